@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { Parser as Json2csvParser } from 'json2csv';
+import AuditLog from '../models/AuditLog.js';
+import { buildAuditFilter } from '../services/auditService.js';
+
+const EXPORT_LIMIT = parseInt(process.env.AUDIT_EXPORT_LIMIT || '10000', 10);
+
+// GET /api/audit?actor=&actorEmail=&entityType=&entityId=&action=&method=&route=&statusCode=&from=&to=&page=&limit=
+export async function listAuditLogs(req, res) {
+  try {
+    const filter = buildAuditFilter(req.query);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const [items, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('actor', 'name email role')
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+    res.json({ items, total, page, pages: Math.ceil(total / limit) });
+  } catch (e) {
+    res.status(500).json({ message: 'Failed to load audit log', error: e?.message || e });
+  }
+}
+
+// GET /api/audit/export (same filters as the list; CSV, newest first)
+export async function exportAuditLogs(req, res) {
+  try {
+    const filter = buildAuditFilter(req.query);
+    const docs = await AuditLog.find(filter).sort({ createdAt: -1 }).limit(EXPORT_LIMIT).lean();
+    const fields = ['createdAt', 'actorEmail', 'actorRole', 'action', 'method', 'route', 'path', 'statusCode', 'entityType', 'entityId', 'changes', 'body', 'ip'];
+    const parser = new Json2csvParser({ fields });
+    const csv = parser.parse(docs.map((d) => ({
+      ...d,
+      createdAt: new Date(d.createdAt).toISOString(),
+      changes: d.changes?.length ? JSON.stringify(d.changes) : '',
+      body: d.body ? JSON.stringify(d.body) : ''
+    })));
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename="audit-log.csv"');
+    res.send(csv);
+  } catch (e) {
+    res.status(500).json({ message: 'Failed to export audit log', error: e?.message || e });
+  }
+}
+
+export async function getAuditLog(req, res) {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ message: 'Invalid audit id' });
+    const entry = await AuditLog.findById(id).populate('actor', 'name email role').lean();
+    if (!entry) return res.status(404).json({ message: 'Audit entry not found' });
+    res.json({ entry });
+  } catch (e) {
+    res.status(500).json({ message: 'Failed to load audit entry', error: e?.message || e });
+  }
+}
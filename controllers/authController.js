@@ -1,40 +1,23 @@
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
-import crypto from 'crypto';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
-// Note: legacy in-memory refreshTokenStore is not suitable for production (restarts/scale);
-// we now issue signed JWT refresh tokens stored in HttpOnly cookies.
-// revokeUserTokens kept for compatibility when ROTATE_ON_REFRESH is used elsewhere.
-import { revokeUserTokens, consumeRefreshToken } from '../utils/refreshTokenStore.js';
+import {
+  rotateRefreshToken,
+  exchangeLegacyToken,
+  findSessionByToken,
+  revokeToken,
+  revokeSession,
+  revokeUserTokens,
+  listUserSessions
+} from '../utils/refreshTokenStore.js';
+import { issueAuthTokens, setRefreshCookie, clearRefreshCookie } from '../utils/authTokens.js';
 import { signUserJwt } from '../utils/jwt.js';
+import { isTokenRevoked } from '../middleware/auth.js';
 import { normalizePhoneE164ish } from '../utils/phone.js';
+import { FULL_ACCESS_ROLES, STAFF_ROLES, isFullAccessRole, permissionsForRole } from '../utils/permissions.js';
 
-function issueTokens(res, userId) {
-  const accessToken = signUserJwt(userId, { expiresIn: process.env.ACCESS_TOKEN_TTL || '1h' });
-  const refreshTtlDays = parseInt(process.env.REFRESH_TOKEN_DAYS || '30', 10);
-  const refreshTtlMs = refreshTtlDays * 24 * 60 * 60 * 1000;
-
-  // Stateless refresh token as JWT
-  const refreshSecret = process.env.REFRESH_JWT_SECRET || process.env.JWT_SECRET;
-  const refreshToken = jwt.sign({ sub: userId.toString(), type: 'refresh' }, refreshSecret, {
-    expiresIn: `${refreshTtlDays}d`
-  });
-
-  // Allow overriding cookie SameSite via env. For cross-site (Netlify/other -> Render) use SameSite=None; Secure.
-  const allowCrossSite = ['1','true','yes','on'].includes(String(process.env.ALLOW_CROSS_SITE_COOKIES || '').toLowerCase());
-  let cookieSameSite = (process.env.COOKIE_SAMESITE || (process.env.NODE_ENV === 'production' ? 'none' : 'lax')).toLowerCase();
-  if (allowCrossSite) cookieSameSite = 'none';
-  const sameSiteValue = ['lax','strict','none'].includes(cookieSameSite) ? cookieSameSite : 'lax';
-
-  res.cookie('rt', refreshToken, {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: sameSiteValue,
-    maxAge: refreshTtlMs,
-    path: '/api/auth'
-  });
-  return { accessToken, refreshTtlMs };
-}
+const issueTokens = (req, res, userId) => issueAuthTokens(req, res, userId);
 
 export const promoteToAdmin = async (req, res) => {
   try {
@@ -47,7 +30,7 @@ export const promoteToAdmin = async (req, res) => {
     // Allow promotion if:
     // 1) No admin exists yet (bootstrap scenario), OR
     // 2) A valid secret token is provided matching ADMIN_SETUP_TOKEN
-    const hasAdmin = await User.exists({ role: 'admin' });
+    const hasAdmin = await User.exists({ role: { $in: FULL_ACCESS_ROLES } });
     const configuredSecret = process.env.ADMIN_SETUP_TOKEN || '';
     const secretOk = configuredSecret && secret && String(secret) === String(configuredSecret);
 
@@ -108,7 +91,7 @@ export const register = async (req, res) => {
     await user.save();
 
     // Generate token
-    const { accessToken } = issueTokens(res, user._id);
+    const { accessToken } = await issueTokens(req, res, user._id);
 
     // Send response
     res.status(201).json({
@@ -165,7 +148,7 @@ export const login = async (req, res) => {
           provider: 'local'
         });
         await newUser.save();
-        const { accessToken } = issueTokens(res, newUser._id);
+        const { accessToken } = await issueTokens(req, res, newUser._id);
         return res.status(201).json({
           autoRegistered: true,
           token: accessToken,
@@ -192,7 +175,7 @@ export const login = async (req, res) => {
     }
 
     // Generate token
-    const { accessToken } = issueTokens(res, user._id);
+    const { accessToken } = await issueTokens(req, res, user._id);
 
     // Send response
     res.json({
@@ -224,6 +207,7 @@ export const getCurrentUser = async (req, res) => {
       name: user.name,
       email: user.email,
       role: user.role,
+      permissions: permissionsForRole(user.role),
       image: user.image || null,
       createdAt: user.createdAt,
       lastLoginAt: user.lastLoginAt
@@ -239,13 +223,20 @@ export const isAdmin = async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
-    return res.json({ isAdmin: user.role === 'admin', email: user.email, role: user.role });
+    return res.json({
+      isAdmin: isFullAccessRole(user.role),
+      isStaff: STAFF_ROLES.includes(user.role),
+      email: user.email,
+      role: user.role,
+      permissions: permissionsForRole(user.role)
+    });
   } catch (e) {
     return res.status(500).json({ message: 'Failed to check admin status' });
   }
 };
 
 // POST /api/auth/refresh - rotate refresh token and issue new access
+// Every call replaces the refresh cookie; replaying an already-rotated token revokes the whole session.
 export const refresh = async (req, res) => {
   try {
     if (['1','true','yes','on'].includes(String(process.env.DISABLE_REFRESH_FLOW || '').toLowerCase())) {
@@ -256,32 +247,53 @@ export const refresh = async (req, res) => {
       console.warn('[auth][refresh] 401 missing_cookie origin=', req.headers.origin);
       return res.status(401).json({ message: 'Missing refresh token' });
     }
-    // Verify stateless refresh JWT
     let userId;
-    try {
-      const refreshSecret = process.env.REFRESH_JWT_SECRET || process.env.JWT_SECRET;
-      const payload = jwt.verify(rt, refreshSecret);
-      if (payload?.type !== 'refresh') throw new Error('invalid_type');
-      userId = payload.sub || payload.userId || payload.id;
-    } catch (e) {
-      // Backward-compat: accept legacy random tokens from in-memory store (until they naturally expire)
-      const legacy = consumeRefreshToken(rt);
-      if (!legacy) {
-        console.warn('[auth][refresh] 401 jwt_invalid_or_expired origin=', req.headers.origin, ' err=', e?.message || e);
+    let legacyPayload = null;
+    const rotated = await rotateRefreshToken(rt, req);
+    if (rotated.ok) {
+      userId = rotated.session.user;
+      setRefreshCookie(res, rotated.token);
+    } else if (rotated.reason === 'invalid') {
+      // Backward-compat: stateless refresh JWTs issued before sessions existed are exchanged once for a session
+      try {
+        const refreshSecret = process.env.REFRESH_JWT_SECRET || process.env.JWT_SECRET;
+        const payload = jwt.verify(rt, refreshSecret);
+        if (payload?.type !== 'refresh') throw new Error('invalid_type');
+        legacyPayload = payload;
+        userId = payload.sub || payload.userId || payload.id;
+      } catch (e) {
+        console.warn('[auth][refresh] 401 invalid_or_expired origin=', req.headers.origin, ' err=', e?.message || e);
+        clearRefreshCookie(res);
         return res.status(401).json({ message: 'Invalid or expired refresh token' });
       }
-      userId = legacy.userId;
+    } else {
+      console.warn('[auth][refresh] 401', rotated.reason, 'origin=', req.headers.origin);
+      if (rotated.reason !== 'concurrent') clearRefreshCookie(res);
+      return res.status(401).json({ message: 'Invalid or expired refresh token', reason: rotated.reason });
     }
     const user = await User.findById(userId);
     if (!user) {
       console.warn('[auth][refresh] 401 user_not_found userId=', userId);
+      if (rotated.ok) await revokeToken(rotated.token, 'logout');
+      clearRefreshCookie(res);
       return res.status(401).json({ message: 'User no longer exists' });
     }
-    // rotate: revoke user's old tokens if ROTATE_ON_REFRESH=1
-    if (process.env.ROTATE_ON_REFRESH === '1') {
-      try { revokeUserTokens(user._id.toString()); } catch {}
+    if (legacyPayload) {
+      // Force-logout (tokensInvalidBefore) also ends pre-session logins
+      if (isTokenRevoked(legacyPayload, user)) {
+        console.warn('[auth][refresh] 401 legacy_token_revoked userId=', userId);
+        clearRefreshCookie(res);
+        return res.status(401).json({ message: 'Invalid or expired refresh token', reason: 'revoked' });
+      }
+      const exchanged = await exchangeLegacyToken(rt, user._id, req);
+      if (!exchanged.ok) {
+        console.warn('[auth][refresh] 401 legacy token already exchanged userId=', userId);
+        clearRefreshCookie(res);
+        return res.status(401).json({ message: 'Invalid or expired refresh token', reason: exchanged.reason });
+      }
+      setRefreshCookie(res, exchanged.token);
     }
-    const { accessToken } = issueTokens(res, user._id);
+    const accessToken = signUserJwt(user._id, { expiresIn: process.env.ACCESS_TOKEN_TTL || '1h' });
     return res.json({ token: accessToken, user: { id: user._id, name: user.name, email: user.email, role: user.role, image: user.image || null, createdAt: user.createdAt, lastLoginAt: user.lastLoginAt } });
   } catch (e) {
     console.error('Refresh error:', e);
@@ -289,13 +301,13 @@ export const refresh = async (req, res) => {
   }
 };
 
-// POST /api/auth/logout - clear cookie and revoke tokens
+// POST /api/auth/logout - clear cookie and revoke the current session
 export const logout = async (req, res) => {
   try {
     const rt = req.cookies?.rt;
     if (rt) {
-      revokeUserTokens(req.user?._id?.toString() || '');
-      res.clearCookie('rt', { path: '/api/auth' });
+      await revokeToken(rt, 'logout');
+      clearRefreshCookie(res);
     }
     return res.json({ ok: true });
   } catch (e) {
@@ -303,6 +315,85 @@ export const logout = async (req, res) => {
   }
 };
 
+const serializeSession = (s, currentId) => ({
+  id: s._id,
+  device: s.device?.label || 'Unknown client',
+  userAgent: s.device?.userAgent || '',
+  ip: s.lastIp || s.createdIp || '',
+  createdAt: s.createdAt,
+  lastUsedAt: s.lastUsedAt,
+  expiresAt: s.expiresAt,
+  revokedAt: s.revokedAt || null,
+  revokedReason: s.revokedReason || null,
+  current: !!currentId && String(s._id) === String(currentId)
+});
+
+// GET /api/auth/sessions - active sessions (devices) of the current user
+export const listSessions = async (req, res) => {
+  try {
+    const current = await findSessionByToken(req.cookies?.rt);
+    const sessions = await listUserSessions(req.user._id);
+    return res.json({ sessions: sessions.map((s) => serializeSession(s, current?._id)) });
+  } catch (e) {
+    return res.status(500).json({ message: 'Failed to load sessions' });
+  }
+};
+
+// DELETE /api/auth/sessions/:id - sign out one device
+export const revokeSessionById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid session id' });
+    }
+    const session = await revokeSession(req.user._id, req.params.id, { reason: 'user_revoked', by: req.user._id });
+    if (!session) return res.status(404).json({ message: 'Session not found' });
+    return res.json({ ok: true, session: serializeSession(session) });
+  } catch (e) {
+    return res.status(500).json({ message: 'Failed to revoke session' });
+  }
+};
+
+// DELETE /api/auth/sessions - sign out every other device (current session is kept)
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const current = await findSessionByToken(req.cookies?.rt);
+    const revoked = await revokeUserTokens(req.user._id, { reason: 'user_revoked', by: req.user._id, exceptSessionId: current?._id });
+    return res.json({ ok: true, revoked });
+  } catch (e) {
+    return res.status(500).json({ message: 'Failed to revoke sessions' });
+  }
+};
+
+// GET /api/auth/sessions/users/:userId (admin) - sessions of any user (?includeRevoked=true)
+export const adminListUserSessions = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+    const sessions = await listUserSessions(req.params.userId, { includeRevoked: req.query.includeRevoked === 'true' });
+    return res.json({ sessions: sessions.map((s) => serializeSession(s)) });
+  } catch (e) {
+    return res.status(500).json({ message: 'Failed to load sessions' });
+  }
+};
+
+// POST /api/auth/sessions/users/:userId/force-logout (admin)
+// Revokes all refresh sessions and invalidates already-issued access tokens immediately.
+export const adminForceLogout = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+    const user = await User.findById(req.params.userId).select('_id email');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const revoked = await revokeUserTokens(user._id, { reason: 'admin_force_logout', by: req.user._id });
+    await User.updateOne({ _id: user._id }, { $set: { tokensInvalidBefore: new Date() } });
+    return res.json({ ok: true, revoked });
+  } catch (e) {
+    return res.status(500).json({ message: 'Failed to force logout' });
+  }
+};
+
 // POST /api/auth/check-identifier { identifier }
 // Checks whether an email or phone number already exists. Returns { exists: boolean, type: 'email'|'phone'|'unknown' }
 export const checkIdentifier = async (req, res) => {
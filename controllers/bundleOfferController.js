@@ -1,6 +1,7 @@
 import BundleOffer from '../models/BundleOffer.js';
 import mongoose from 'mongoose';
 import { getStoreCurrency } from '../services/storeCurrencyService.js';
+import { resolveDisplayCurrency, setDisplayHeaders, addBundleDisplayPrices } from '../services/displayCurrencyService.js';
 
 export const listAdmin = async (req, res) => {
   try {
@@ -87,6 +88,7 @@ export const toggleActive = async (req, res) => {
 
 export const publicList = async (req, res) => {
   try {
+    const display = await resolveDisplayCurrency(req.query.currency);
     const now = new Date();
     const q = { active: true };
     q.$and = [
@@ -99,8 +101,13 @@ export const publicList = async (req, res) => {
       .lean();
     const currency = await getStoreCurrency();
     try { res.set('X-Store-Currency', currency); } catch {}
+    if (display) {
+      addBundleDisplayPrices(bundles, display);
+      setDisplayHeaders(res, display);
+    }
     res.json(bundles);
   } catch (e) {
+    if (e?.statusCode && e.statusCode < 500) return res.status(e.statusCode).json({ message: e.message });
     res.status(500).json({ message: 'Failed to load bundles' });
   }
 };
@@ -113,6 +120,7 @@ export const publicListByProduct = async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(productId)) {
       return res.status(400).json({ message: 'Invalid product id' });
     }
+    const display = await resolveDisplayCurrency(req.query.currency);
     const pid = new mongoose.Types.ObjectId(productId);
     const q = {
       active: true,
@@ -128,8 +136,13 @@ export const publicListByProduct = async (req, res) => {
       .lean();
     const currency = await getStoreCurrency();
     try { res.set('X-Store-Currency', currency); } catch {}
+    if (display) {
+      addBundleDisplayPrices(bundles, display);
+      setDisplayHeaders(res, display);
+    }
     res.json(bundles);
   } catch (e) {
+    if (e?.statusCode && e.statusCode < 500) return res.status(e.statusCode).json({ message: e.message });
     res.status(500).json({ message: 'Failed to load bundles' });
   }
 };
@@ -1,5 +1,12 @@
 import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
 import { StatusCodes } from 'http-status-codes';
+import {
+  buildCouponContext,
+  evaluateCoupon,
+  findActiveCouponByCode,
+  findBestAutoApplyCoupon
+} from '../services/couponService.js';
 
 export const createCoupon = async (req, res) => {
   try {
@@ -71,75 +78,90 @@ export const deleteCoupon = async (req, res) => {
   }
 };
 
+// Validate a typed coupon code against the cart, or (no code) look for the best auto-apply campaign.
+// Body: { code?, totalAmount, items?: [{ product, quantity, variantId }], email?, phone?, giftCard? }
+// When items are sent, product/category scope, sale-item exclusions and flash-sale stacking are enforced
+// against server-side prices; totalAmount is only used by legacy clients that send no items.
 export const validateCoupon = async (req, res) => {
   try {
     if (!req.user?._id) {
       return res.status(StatusCodes.UNAUTHORIZED).json({ message: 'Please login to use coupons' });
     }
     // Support both POST body and optional GET query fallback
-    const codeRaw = (req.body?.code || req.query?.code || '').toString();
+    const codeRaw = (req.body?.code || req.query?.code || '').toString().trim();
     const totalAmountRaw = req.body?.totalAmount ?? req.query?.totalAmount ?? 0;
-    const totalAmount = Number(totalAmountRaw) || 0;
+
+    const ctx = await buildCouponContext({
+      items: req.body?.items,
+      totalAmount: Number(totalAmountRaw) || 0,
+      user: req.user,
+      email: req.body?.email,
+      phone: req.body?.phone,
+      giftCard: req.body?.giftCard
+    });
 
     if (!codeRaw) {
-      return res.status(StatusCodes.BAD_REQUEST).json({ message: 'Coupon code is required' });
+      const best = await findBestAutoApplyCoupon(ctx);
+      if (!best) return res.json({ coupon: null, discount: 0, autoApplied: false });
+      return res.json({ coupon: best.coupon, discount: best.discount, eligibleSubtotal: best.eligibleSubtotal, autoApplied: true });
     }
 
-    const code = codeRaw.toUpperCase();
-    const now = new Date();
-    const coupon = await Coupon.findOne({
-      code,
-      isActive: true,
-      startDate: { $lte: now },
-      endDate: { $gte: now }
-    });
-
+    const coupon = await findActiveCouponByCode(codeRaw);
     if (!coupon) {
       return res.status(StatusCodes.NOT_FOUND).json({ message: 'Invalid or expired coupon code' });
     }
 
-    if (totalAmount < coupon.minPurchase) {
-      return res.status(StatusCodes.BAD_REQUEST).json({ message: `Minimum purchase amount of $${coupon.minPurchase} required` });
-    }
-
-    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
-      return res.status(StatusCodes.BAD_REQUEST).json({ message: 'Coupon usage limit reached' });
-    }
-
-    let discount = 0;
-    if (coupon.type === 'percentage') {
-      discount = (totalAmount * coupon.value) / 100;
-      if (coupon.maxDiscount) {
-        discount = Math.min(discount, coupon.maxDiscount);
-      }
-    } else {
-      discount = coupon.value;
+    const result = await evaluateCoupon(coupon, ctx);
+    if (!result.ok) {
+      return res.status(StatusCodes.BAD_REQUEST).json({ message: result.message, reason: result.reason });
     }
 
-    res.json({ coupon, discount: Number(discount.toFixed(2)) });
+    res.json({ coupon, discount: result.discount, eligibleSubtotal: result.eligibleSubtotal, autoApplied: false });
   } catch (error) {
-    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({ message: error.message });
+    res.status(error.statusCode || StatusCodes.INTERNAL_SERVER_ERROR).json({ message: error.message });
   }
 };
 
+// Check that a coupon applies to the cart (same body as validateCoupon). Nothing is recorded here: usage is
+// counted when the order is placed (createOrder / payment session finalize).
 export const applyCoupon = async (req, res) => {
   try {
     if (!req.user?._id) {
       return res.status(StatusCodes.UNAUTHORIZED).json({ message: 'Please login to use coupons' });
     }
-    const { code } = req.params;
-    const coupon = await Coupon.findOne({ code: code.toUpperCase() });
-    
+    const coupon = await findActiveCouponByCode(req.params.code);
     if (!coupon) {
       return res.status(StatusCodes.NOT_FOUND).json({ message: 'Coupon not found' });
     }
 
-    // Increment usage count
-    coupon.usedCount += 1;
-    await coupon.save();
+    const ctx = await buildCouponContext({
+      items: req.body?.items,
+      totalAmount: Number(req.body?.totalAmount) || 0,
+      user: req.user,
+      email: req.body?.email,
+      phone: req.body?.phone,
+      giftCard: req.body?.giftCard
+    });
+    const result = await evaluateCoupon(coupon, ctx);
+    if (!result.ok) {
+      return res.status(StatusCodes.BAD_REQUEST).json({ message: result.message, reason: result.reason });
+    }
+
+    res.json({ message: 'Coupon applied successfully', coupon, discount: result.discount, eligibleSubtotal: result.eligibleSubtotal });
+  } catch (error) {
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({ message: error.message });
+  }
+};
 
-    res.json({ message: 'Coupon applied successfully' });
+// Admin: redemption ledger for one coupon
+export const getCouponRedemptions = async (req, res) => {
+  try {
+    const list = await CouponRedemption.find({ coupon: req.params.id })
+      .sort('-createdAt')
+      .limit(500)
+      .lean();
+    res.json(list);
   } catch (error) {
     res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({ message: error.message });
   }
-};
\ No newline at end of file
+};
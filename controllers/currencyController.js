@@ -1,4 +1,16 @@
-import { convertPrice, validateCurrency } from '../utils/currency.js';
+import Settings from '../models/Settings.js';
+import { SUPPORTED_CURRENCIES, convertPriceDetailed, validateCurrency } from '../utils/currency.js';
+import {
+  getCurrentRates,
+  getRateHistory,
+  loadLatestRates,
+  refreshExchangeRates,
+  setManualRate
+} from '../services/exchangeRateService.js';
+import { clearDisplayCurrencyCache, listDisplayCurrencies } from '../services/displayCurrencyService.js';
+
+const PROVIDERS = ['static', 'file', 'ecb', 'manual'];
+const ROUNDING_MODES = ['nearest', 'up', 'down'];
 
 export const convertCurrency = async (req, res) => {
   try {
@@ -14,16 +26,145 @@ export const convertCurrency = async (req, res) => {
       return res.status(400).json({ message: 'Invalid currency' });
     }
 
-    const convertedAmount = convertPrice(amount, from, to);
+    const { amount: convertedAmount, rate, asOf, stale, warnings } = convertPriceDetailed(amount, from, to);
     
     res.json({
       convertedAmount,
       fromCurrency: from,
       toCurrency: to,
-      exchangeRate: convertedAmount / amount
+      exchangeRate: rate,
+      rateDate: asOf,
+      stale,
+      warnings
     });
   } catch (error) {
     console.error('Currency conversion error:', error);
     res.status(500).json({ message: 'Currency conversion failed' });
   }
-};
\ No newline at end of file
+};
+
+// GET /api/currency/rates
+export const getRates = async (req, res) => {
+  try {
+    res.json(await getCurrentRates());
+  } catch (error) {
+    console.error('Exchange rates error:', error);
+    res.status(500).json({ message: 'Failed to load exchange rates' });
+  }
+};
+
+// GET /api/currency/rates/history?currency=&from=&to=&limit=
+export const getRatesHistory = async (req, res) => {
+  try {
+    const { currency, from, to, limit } = req.query;
+    res.json(await getRateHistory({ currency, from, to, limit }));
+  } catch (error) {
+    console.error('Exchange rate history error:', error);
+    res.status(500).json({ message: 'Failed to load exchange rate history' });
+  }
+};
+
+// POST /api/currency/rates { currency, rate, effectiveDate?, note? } (units per 1 USD)
+export const createManualRate = async (req, res) => {
+  try {
+    const { currency, rate, effectiveDate, note } = req.body || {};
+    const entry = await setManualRate({ currency, rate, effectiveDate, note, user: req.user });
+    res.status(201).json(entry);
+  } catch (error) {
+    if (error?.statusCode && error.statusCode < 500) return res.status(error.statusCode).json({ message: error.message });
+    console.error('Manual exchange rate error:', error);
+    res.status(500).json({ message: 'Failed to save exchange rate' });
+  }
+};
+
+// POST /api/currency/rates/refresh
+export const refreshRates = async (req, res) => {
+  try {
+    res.json(await refreshExchangeRates());
+  } catch (error) {
+    res.status(error?.statusCode || 500).json({ message: error.message || 'Exchange rate refresh failed' });
+  }
+};
+
+// PUT /api/currency/rates/config { provider, filePath, feedUrl, refreshMinutes, staleAfterHours }
+export const updateRateConfig = async (req, res) => {
+  try {
+    const b = req.body || {};
+    const $set = {};
+    if (b.provider !== undefined) {
+      if (!PROVIDERS.includes(b.provider)) return res.status(400).json({ message: `provider must be one of ${PROVIDERS.join(', ')}` });
+      $set['exchangeRates.provider'] = b.provider;
+    }
+    if (b.filePath !== undefined) $set['exchangeRates.filePath'] = String(b.filePath || '').trim();
+    if (b.feedUrl !== undefined) {
+      if (b.feedUrl && !/^https?:\/\//i.test(String(b.feedUrl))) return res.status(400).json({ message: 'feedUrl must be an http(s) URL' });
+      $set['exchangeRates.feedUrl'] = String(b.feedUrl || '').trim();
+    }
+    if (b.refreshMinutes !== undefined) {
+      const minutes = parseInt(b.refreshMinutes, 10);
+      if (!Number.isFinite(minutes) || minutes < 5) return res.status(400).json({ message: 'refreshMinutes must be at least 5' });
+      $set['exchangeRates.refreshMinutes'] = minutes;
+    }
+    if (b.staleAfterHours !== undefined) {
+      const hours = Number(b.staleAfterHours);
+      if (!Number.isFinite(hours) || hours < 1) return res.status(400).json({ message: 'staleAfterHours must be at least 1' });
+      $set['exchangeRates.staleAfterHours'] = hours;
+    }
+    const settings = await Settings.findOneAndUpdate({}, { $set }, { upsert: true, new: true }).select('exchangeRates').lean();
+    await loadLatestRates();
+    res.json(settings.exchangeRates);
+  } catch (error) {
+    console.error('Exchange rate config error:', error);
+    res.status(500).json({ message: 'Failed to update exchange rate settings' });
+  }
+};
+
+// GET /api/currency/display
+export const getDisplayCurrencies = async (req, res) => {
+  try {
+    res.json(await listDisplayCurrencies());
+  } catch (error) {
+    console.error('Display currencies error:', error);
+    res.status(500).json({ message: 'Failed to load display currencies' });
+  }
+};
+
+// PUT /api/currency/display/config { enabled, currencies: ['JOD'], rounding: [{ currency, increment, ending, mode }] }
+export const updateDisplayCurrencyConfig = async (req, res) => {
+  try {
+    const b = req.body || {};
+    const $set = {};
+    if (b.enabled !== undefined) $set['displayCurrencies.enabled'] = !!b.enabled;
+    if (b.currencies !== undefined) {
+      if (!Array.isArray(b.currencies)) return res.status(400).json({ message: 'currencies must be an array' });
+      const codes = [...new Set(b.currencies.map((c) => String(c || '').trim().toUpperCase()))];
+      const invalid = codes.filter((c) => !SUPPORTED_CURRENCIES[c]);
+      if (invalid.length) return res.status(400).json({ message: `Unsupported currencies: ${invalid.join(', ')}` });
+      $set['displayCurrencies.currencies'] = codes;
+    }
+    if (b.rounding !== undefined) {
+      if (!Array.isArray(b.rounding)) return res.status(400).json({ message: 'rounding must be an array' });
+      const rules = [];
+      for (const r of b.rounding) {
+        const currency = String(r?.currency || '').trim().toUpperCase();
+        if (!SUPPORTED_CURRENCIES[currency]) return res.status(400).json({ message: `Unsupported currency in rounding: ${currency || '(empty)'}` });
+        const increment = r.increment === undefined || r.increment === null || r.increment === '' ? undefined : Number(r.increment);
+        const ending = r.ending === undefined || r.ending === null || r.ending === '' ? undefined : Number(r.ending);
+        if (increment !== undefined && !(increment > 0)) return res.status(400).json({ message: `Rounding increment for ${currency} must be greater than 0` });
+        if (ending !== undefined && (!Number.isFinite(ending) || ending < 0 || (increment !== undefined && ending >= increment))) {
+          return res.status(400).json({ message: `Rounding ending for ${currency} must be between 0 and the increment` });
+        }
+        const mode = r.mode || 'nearest';
+        if (!ROUNDING_MODES.includes(mode)) return res.status(400).json({ message: `mode must be one of ${ROUNDING_MODES.join(', ')}` });
+        rules.push({ currency, increment, ending, mode });
+      }
+      $set['displayCurrencies.rounding'] = rules;
+    }
+    const settings = await Settings.findOneAndUpdate({}, { $set }, { upsert: true, new: true }).select('displayCurrencies').lean();
+    clearDisplayCurrencyCache();
+    res.json(settings.displayCurrencies);
+  } catch (error) {
+    console.error('Display currency config error:', error);
+    res.status(500).json({ message: 'Failed to update display currency settings' });
+  }
+};
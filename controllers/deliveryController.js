@@ -3,8 +3,22 @@ import axios from 'axios';
 import DeliveryCompany from '../models/DeliveryCompany.js';
 import Order from '../models/Order.js';
 import { StatusCodes } from 'http-status-codes';
-import { sendToCompany, getDeliveryStatusFromCompany, testCompanyConnection, mapStatus, validateRequiredMappings, validateCompanyConfiguration } from '../services/deliveryIntegrationService.js';
+import { getDeliveryStatusFromCompany, testCompanyConnection, mapStatus, validateRequiredMappings, validateCompanyConfiguration } from '../services/deliveryIntegrationService.js';
 import { realTimeEventService } from '../services/realTimeEventService.js';
+import { enqueueOrderEvent } from '../services/webhookService.js';
+import { dispatchOrder, updateShipmentStatus, findShipment, recordOrderDeliveryStatus } from '../services/shipmentService.js';
+import { pollCompanyOnce } from '../services/deliveryStatusPoller.js';
+import DeliveryWebhookLog from '../models/DeliveryWebhookLog.js';
+import {
+  rawBodyOf,
+  parseWebhookPayload,
+  verifyWebhookRequest,
+  extractWebhookFields,
+  toStatusPayload,
+  createWebhookLog,
+  finishWebhookLog,
+  loggedRawBody
+} from '../services/deliveryWebhookService.js';
 
 const DELIVERY_WEBHOOK_TOKEN_ENV = 'DELIVERY_WEBHOOK_TOKEN';
 const DELIVERY_ALLOWED_STATUSES = new Set([
@@ -37,7 +51,7 @@ export const listCompanies = async (req, res) => {
 
 // Public active companies
 export const listActiveCompanies = async (req, res) => {
-  const companies = await DeliveryCompany.find({ isActive: true }).sort('name');
+  const companies = await DeliveryCompany.find({ isActive: true }).select('-webhook.secret').sort('name');
   res.json(companies);
 };
 
@@ -153,12 +167,30 @@ export const testConnection = async (req, res) => {
   if (!company) return res.status(StatusCodes.NOT_FOUND).json({ success: false, message: 'Delivery company not found' });
   try {
     const result = await testCompanyConnection(company.toObject());
-    res.json({ success: result.ok, message: `Connection to ${company.name} ${result.ok ? 'successful' : 'failed'}`, status: result.status });
+    res.json({
+      success: result.ok,
+      message: `Connection to ${company.name} ${result.ok ? 'successful' : 'failed'}`,
+      status: result.status,
+      // Test mode (SOAP/GraphQL): the rendered request instead of a live call
+      ...(result.mode ? { mode: result.mode, request: result.request } : {})
+    });
   } catch (e) {
     res.status(StatusCodes.BAD_REQUEST).json({ success: false, message: e.message });
   }
 };
 
+// Check the company's due parcels with the carrier now instead of waiting for the poller
+export const pollCompanyStatuses = async (req, res) => {
+  const company = await DeliveryCompany.findById(req.params.id);
+  if (!company) return res.status(StatusCodes.NOT_FOUND).json({ success: false, message: 'Delivery company not found' });
+  try {
+    const summary = await pollCompanyOnce(company);
+    res.json({ success: !summary.skipped, ...summary });
+  } catch (e) {
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({ success: false, message: e.message || 'Status poll failed' });
+  }
+};
+
 // Validate company configuration and expose effective param sources (including db)
 export const validateCompanyConfig = async (req, res) => {
   const company = await DeliveryCompany.findById(req.params.id);
@@ -203,23 +235,12 @@ export const validateCompanyConfig = async (req, res) => {
 };
 
 
-// Delivery status webhook (public with bearer token)
-export const deliveryStatusWebhook = async (req, res) => {
-  const envToken = process.env[DELIVERY_WEBHOOK_TOKEN_ENV];
-  if (!envToken) {
-    return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
-      ok: false,
-      message: 'webhook_not_configured'
-    });
-  }
-
-  const authHeader = req.header('Authorization') || '';
-  const token = authHeader.replace(/^Bearer\s+/i, '').trim();
-  if (!token || token !== envToken) {
-    return res.status(StatusCodes.UNAUTHORIZED).json({ ok: false, message: 'invalid_token' });
-  }
-
-  const payload = req.body || {};
+// Apply a status update in the shared webhook shape ({ orderId | orderNumber | shipmentNumber | trackingNumber,
+// providerStatus, ... }) to the matching shipment or order. company: the carrier the request was authenticated
+// as (per-company endpoint); the payload cannot name another one then, and only parcels dispatched to that
+// carrier can be updated (anything else is reported as not found).
+// Returns { status, body } for the HTTP response plus the order/shipment that was updated.
+async function applyStatusWebhookPayload(payload, { company: knownCompany = null } = {}) {
   const rawOrderId = payload.orderId;
   const rawOrderIdAlias = payload.order_id;
   const orderId = rawOrderId || (mongoose.isValidObjectId(rawOrderIdAlias) ? rawOrderIdAlias : null);
@@ -254,15 +275,26 @@ export const deliveryStatusWebhook = async (req, res) => {
   const actualDate = parseOptionalDate(payload.actualDate || payload.actual_date);
   const occurredAt = parseOptionalDate(payload.occurredAt || payload.occurred_at);
 
-  if (!orderId && !orderNumber && !trackingNumber) {
-    return res.status(StatusCodes.BAD_REQUEST).json({
-      ok: false,
-      message: 'orderId, orderNumber, or trackingNumber is required'
-    });
+  if (!orderId && !orderNumber && !trackingNumber && !(payload.shipmentNumber || payload.shipment_number)) {
+    return {
+      status: StatusCodes.BAD_REQUEST,
+      body: { ok: false, message: 'orderId, orderNumber, shipmentNumber, or trackingNumber is required' }
+    };
   }
 
+  // Shipment-level updates: carriers report per parcel (tracking number or "<orderNumber>-S<n>")
+  const shipmentNumber = normalizeExternalId(payload.shipmentNumber || payload.shipment_number);
   let order = null;
-  if (orderId) {
+  let shipment = null;
+  if (trackingNumber) {
+    order = await Order.findOne({ 'shipments.trackingNumber': String(trackingNumber) });
+    if (order) shipment = order.shipments.find((s) => s.trackingNumber === String(trackingNumber)) || null;
+  }
+  if (!order && shipmentNumber) {
+    order = await Order.findOne({ 'shipments.shipmentNumber': shipmentNumber });
+    if (order) shipment = order.shipments.find((s) => s.shipmentNumber === shipmentNumber) || null;
+  }
+  if (!order && orderId && mongoose.isValidObjectId(orderId)) {
     order = await Order.findById(orderId);
   }
   if (!order && orderNumberCandidates.length) {
@@ -277,16 +309,32 @@ export const deliveryStatusWebhook = async (req, res) => {
     });
   }
   if (!order) {
-    return res.status(StatusCodes.NOT_FOUND).json({ ok: false, message: 'order_not_found' });
+    return { status: StatusCodes.NOT_FOUND, body: { ok: false, message: 'order_not_found' } };
+  }
+  if (knownCompany) {
+    const ownParcel = (companyRef) => !!companyRef && String(companyRef) === String(knownCompany._id);
+    // Order reference only: the carrier's single parcel of a split order
+    if (!shipment && order.shipments?.length) {
+      const own = order.shipments.filter((s) => ownParcel(s.deliveryCompany) && s.status !== 'cancelled');
+      if (own.length === 1) shipment = own[0];
+    }
+    const owned = shipment
+      ? ownParcel(shipment.deliveryCompany)
+      : !order.shipments?.length && ownParcel(order.deliveryCompany);
+    if (!owned) {
+      return { status: StatusCodes.NOT_FOUND, body: { ok: false, message: 'order_not_found' } };
+    }
   }
 
-  let company = null;
-  if (companyId) {
+  let company = knownCompany;
+  if (company) {
+    // Authenticated as this carrier
+  } else if (companyId) {
     company = await DeliveryCompany.findById(companyId);
   } else if (companyCode) {
     company = await DeliveryCompany.findOne({ code: String(companyCode) });
-  } else if (order.deliveryCompany) {
-    company = await DeliveryCompany.findById(order.deliveryCompany);
+  } else if (shipment?.deliveryCompany || order.deliveryCompany) {
+    company = await DeliveryCompany.findById(shipment?.deliveryCompany || order.deliveryCompany);
   }
 
   let mappedStatus = 'assigned';
@@ -297,8 +345,40 @@ export const deliveryStatusWebhook = async (req, res) => {
     mappedStatus = DELIVERY_ALLOWED_STATUSES.has(normalized) ? normalized : 'assigned';
   }
 
-  order.deliveryStatus = mappedStatus;
-  order.deliveryStatusUpdated = occurredAt || new Date();
+  // The order status follows its shipments (partially shipped / delivered)
+  if (shipment) {
+    await updateShipmentStatus(order, shipment, {
+      status: mappedStatus,
+      providerStatus: providerStatus ? String(providerStatus) : undefined,
+      note: typeof notes === 'string' ? notes : undefined,
+      occurredAt,
+      estimatedDate,
+      deliveredAt: actualDate,
+      source: 'webhook'
+    });
+    return {
+      status: StatusCodes.OK,
+      order,
+      shipment,
+      body: {
+        ok: true,
+        orderId: String(order._id),
+        orderNumber: order.orderNumber,
+        orderStatus: order.status,
+        shipmentNumber: shipment.shipmentNumber,
+        deliveryStatus: shipment.status,
+        deliveryTrackingNumber: shipment.trackingNumber || null
+      }
+    };
+  }
+
+  recordOrderDeliveryStatus(order, {
+    status: mappedStatus,
+    providerStatus: providerStatus ? String(providerStatus) : undefined,
+    occurredAt,
+    deliveredAt: actualDate,
+    source: 'webhook'
+  });
   if (trackingNumber) {
     order.deliveryTrackingNumber = String(trackingNumber);
     order.trackingNumber = String(trackingNumber);
@@ -315,22 +395,165 @@ export const deliveryStatusWebhook = async (req, res) => {
   if (estimatedDate) {
     order.deliveryEstimatedDate = estimatedDate;
   }
-  if (actualDate) {
-    order.deliveryActualDate = actualDate;
-  } else if (mappedStatus === 'delivered' && !order.deliveryActualDate) {
-    order.deliveryActualDate = new Date();
-  }
 
   await order.save();
+  await enqueueOrderEvent('order.updated', order);
   try { realTimeEventService.emitOrderUpdate(order); } catch {}
 
-  res.json({
-    ok: true,
-    orderId: String(order._id),
-    orderNumber: order.orderNumber,
-    deliveryStatus: order.deliveryStatus,
-    deliveryTrackingNumber: order.deliveryTrackingNumber || order.trackingNumber || null
-  });
+  return {
+    status: StatusCodes.OK,
+    order,
+    body: {
+      ok: true,
+      orderId: String(order._id),
+      orderNumber: order.orderNumber,
+      deliveryStatus: order.deliveryStatus,
+      deliveryTrackingNumber: order.deliveryTrackingNumber || order.trackingNumber || null
+    }
+  };
+}
+
+// DeliveryWebhookLog fields describing how a request ended
+const webhookLogResult = (result) => ({
+  responseStatus: result.status,
+  outcome: result.status === StatusCodes.OK ? 'processed' : result.status === StatusCodes.NOT_FOUND ? 'not_found' : 'invalid',
+  error: result.status === StatusCodes.OK ? undefined : result.body?.message,
+  ...(result.order ? { order: result.order._id, orderNumber: result.order.orderNumber } : {}),
+  ...(result.shipment ? { shipmentNumber: result.shipment.shipmentNumber } : {}),
+  deliveryStatus: result.shipment?.status || result.order?.deliveryStatus || undefined
+});
+
+// Delivery status webhook (public with bearer token)
+export const deliveryStatusWebhook = async (req, res) => {
+  const log = await createWebhookLog(req, { endpoint: 'shared' });
+  const respond = async (status, body, patch = {}) => {
+    await finishWebhookLog(log, { responseStatus: status, ...(patch.verified ? { rawBody: loggedRawBody(req) } : {}), ...patch });
+    return res.status(status).json(body);
+  };
+  const envToken = process.env[DELIVERY_WEBHOOK_TOKEN_ENV];
+  if (!envToken) {
+    return respond(StatusCodes.INTERNAL_SERVER_ERROR, { ok: false, message: 'webhook_not_configured' }, {
+      outcome: 'rejected',
+      error: 'webhook_not_configured'
+    });
+  }
+
+  const authHeader = req.header('Authorization') || '';
+  const token = authHeader.replace(/^Bearer\s+/i, '').trim();
+  if (!token || token !== envToken) {
+    return respond(StatusCodes.UNAUTHORIZED, { ok: false, message: 'invalid_token' }, { outcome: 'rejected', error: 'invalid_token' });
+  }
+
+  try {
+    const result = await applyStatusWebhookPayload(req.body || {});
+    return respond(result.status, result.body, { verified: true, ...webhookLogResult(result) });
+  } catch (e) {
+    console.error('Delivery status webhook failed', e);
+    return respond(StatusCodes.INTERNAL_SERVER_ERROR, { ok: false, message: 'webhook_failed' }, {
+      verified: true,
+      outcome: 'failed',
+      error: e?.message
+    });
+  }
+};
+
+// Per-company status webhook: the carrier's own secret or signature, and its native payload read through
+// DeliveryCompany.webhook.paths
+export const companyStatusWebhook = async (req, res) => {
+  const code = String(req.params.companyCode || '').trim();
+  const company = code ? await DeliveryCompany.findOne({ code, isActive: true }) : null;
+  const log = await createWebhookLog(req, { company, companyCode: code, endpoint: 'company' });
+  const respond = async (status, body, patch = {}) => {
+    await finishWebhookLog(log, { responseStatus: status, ...(patch.verified ? { rawBody: loggedRawBody(req) } : {}), ...patch });
+    return res.status(status).json(body);
+  };
+  if (!company || !company.webhook?.enabled) {
+    return respond(StatusCodes.NOT_FOUND, { ok: false, message: 'unknown_company' }, { outcome: 'rejected', error: 'unknown_company' });
+  }
+  const check = verifyWebhookRequest(company, { headers: req.headers, rawBody: rawBodyOf(req), query: req.query });
+  if (!check.ok) {
+    return respond(StatusCodes.UNAUTHORIZED, { ok: false, message: check.reason }, { outcome: 'rejected', error: check.reason });
+  }
+
+  let extracted;
+  try {
+    const payload = typeof req.body === 'string' ? parseWebhookPayload(req.body, req.header('Content-Type')) : req.body || {};
+    extracted = extractWebhookFields(company, payload);
+  } catch (e) {
+    return respond(StatusCodes.BAD_REQUEST, { ok: false, message: 'invalid_payload' }, { verified: true, outcome: 'invalid', error: e?.message });
+  }
+  try {
+    const result = await applyStatusWebhookPayload(toStatusPayload(extracted), { company });
+    return respond(result.status, result.body, { verified: true, extracted, ...webhookLogResult(result) });
+  } catch (e) {
+    console.error('Delivery company webhook failed', e);
+    return respond(StatusCodes.INTERNAL_SERVER_ERROR, { ok: false, message: 'webhook_failed' }, {
+      verified: true,
+      extracted,
+      outcome: 'failed',
+      error: e?.message
+    });
+  }
+};
+
+// Admin: stored webhook requests, newest first. Query: company, outcome, orderNumber, limit
+export const listWebhookLogs = async (req, res) => {
+  const filter = {};
+  if (req.query.company && mongoose.isValidObjectId(req.query.company)) filter.company = req.query.company;
+  if (req.query.outcome) filter.outcome = String(req.query.outcome);
+  if (req.query.orderNumber) filter.orderNumber = String(req.query.orderNumber);
+  const logs = await DeliveryWebhookLog.find(filter)
+    .select('-rawBody -headers')
+    .sort({ createdAt: -1 })
+    .limit(Math.min(500, Number(req.query.limit) || 100))
+    .lean();
+  res.json(logs);
+};
+
+export const getWebhookLog = async (req, res) => {
+  const log = mongoose.isValidObjectId(req.params.id) ? await DeliveryWebhookLog.findById(req.params.id).lean() : null;
+  if (!log) return res.status(StatusCodes.NOT_FOUND).json({ message: 'Webhook log not found' });
+  res.json(log);
+};
+
+// Admin: run a stored request again (after fixing paths, status mappings or the order). Authentication is
+// not re-checked, so only requests that passed it when they arrived can be replayed; the stored body is
+// processed with the company's current settings.
+export const replayWebhookLog = async (req, res) => {
+  const log = mongoose.isValidObjectId(req.params.id) ? await DeliveryWebhookLog.findById(req.params.id) : null;
+  if (!log) return res.status(StatusCodes.NOT_FOUND).json({ message: 'Webhook log not found' });
+  if (log.verified !== true) {
+    return res.status(StatusCodes.CONFLICT).json({ message: 'Only authenticated webhook requests can be replayed' });
+  }
+  let company = null;
+  if (log.endpoint === 'company') {
+    company = log.company ? await DeliveryCompany.findById(log.company) : null;
+    if (!company) return res.status(StatusCodes.BAD_REQUEST).json({ message: 'Delivery company of this webhook no longer exists' });
+  }
+  let payload;
+  let extracted;
+  try {
+    payload = parseWebhookPayload(log.rawBody, log.contentType);
+    if (company) {
+      extracted = extractWebhookFields(company, payload);
+      payload = toStatusPayload(extracted);
+    }
+  } catch (e) {
+    return res.status(StatusCodes.BAD_REQUEST).json({ message: `Stored payload cannot be parsed: ${e.message}` });
+  }
+  try {
+    const result = await applyStatusWebhookPayload(payload, { company });
+    const { outcome, responseStatus, error, ...refs } = webhookLogResult(result);
+    log.replays.push({ by: req.user?._id, outcome, responseStatus, error });
+    if (extracted) log.extracted = extracted;
+    if (outcome === 'processed') Object.assign(log, { outcome, responseStatus, error: undefined, ...refs });
+    await log.save();
+    res.status(result.status).json({ ...result.body, log: log._id });
+  } catch (e) {
+    log.replays.push({ by: req.user?._id, outcome: 'failed', responseStatus: StatusCodes.INTERNAL_SERVER_ERROR, error: e?.message });
+    await log.save().catch(() => {});
+    res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({ message: e?.message || 'Replay failed' });
+  }
 };
 // Proxy external area/sub-area list fetch to avoid CORS in admin UI
 export const proxyExternalList = async (req, res) => {
@@ -565,11 +788,12 @@ export const validateAllFieldMappings = async (req, res) => {
   res.json({ success: true, data: { allValid: results.every(r => r.isValid), results } });
 };
 
-// Send order to delivery company (mock integration)
+// Send order to delivery company (mock integration).
+// Dispatches one shipment: `shipmentId`, or a new shipment with every unit not yet shipped (the whole order
+// when it was never split), optionally from `warehouse`.
 export const sendOrder = async (req, res) => {
-  const session = await mongoose.startSession();
   try {
-    const { orderId, companyId, companyCode, deliveryFee = 0 } = req.body || {};
+    const { orderId, companyId, companyCode, deliveryFee = 0, shipmentId, warehouse } = req.body || {};
     if (!orderId) {
       return res.status(StatusCodes.BAD_REQUEST).json({ message: 'orderId is required' });
     }
@@ -591,8 +815,6 @@ export const sendOrder = async (req, res) => {
     if (!order) return res.status(StatusCodes.NOT_FOUND).json({ message: 'Order not found' });
     if (!company) return res.status(StatusCodes.NOT_FOUND).json({ message: 'Delivery company not found' });
 
-    await session.startTransaction();
-
   // Validate company API configuration before sending
   const cfg = validateCompanyConfiguration(company.toObject());
   if (!cfg.ok) {
@@ -614,34 +836,29 @@ export const sendOrder = async (req, res) => {
     });
   }
 
-  // Build payload and send to provider
-  const { trackingNumber, providerResponse, providerStatus } = await sendToCompany(order.toObject(), company.toObject(), { deliveryFee });
-
-  order.deliveryCompany = company._id;
-  order.deliveryStatus = mapStatus(company, providerStatus || 'assigned');
-  order.deliveryTrackingNumber = trackingNumber;
-  // Set legacy field as well for UI components expecting trackingNumber
-  order.trackingNumber = trackingNumber;
-  order.deliveryAssignedAt = new Date();
-  order.deliveryFee = deliveryFee || 0;
-  order.deliveryResponse = providerResponse;
-  await order.save({ session });
-
-    await session.commitTransaction();
+  // Build payload and send to provider; the legacy order delivery fields mirror the shipment
+  const shipment = await dispatchOrder(order, company, {
+    shipmentId,
+    deliveryFee: Number(deliveryFee) || 0,
+    warehouse,
+    user: req.user
+  });
 
     res.json({
       message: 'Order sent to delivery company',
       data: {
-        trackingNumber,
-        status: order.deliveryStatus,
-        externalStatus: order.deliveryStatus,
+        trackingNumber: shipment.trackingNumber,
+        status: shipment.status,
+        externalStatus: shipment.status,
         isResend: false,
         resendAttempts: 0,
-        deliveryCompanyResponse: order.deliveryResponse
+        deliveryCompanyResponse: shipment.providerResponse,
+        shipmentId: String(shipment._id),
+        shipmentNumber: shipment.shipmentNumber,
+        orderStatus: order.status
       }
     });
   } catch (error) {
-    if (session.inTransaction()) await session.abortTransaction();
     // Return actionable errors for preflight problems
     if (error && (error.code === 'MAPPING_MISSING' || error.code === 'PARAMS_MISSING')) {
       return res.status(StatusCodes.BAD_REQUEST).json({
@@ -650,9 +867,10 @@ export const sendOrder = async (req, res) => {
         ...(error.details ? { details: error.details } : {})
       });
     }
+    if (error?.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({ message: error.message || 'Failed to send order' });
-  } finally {
-    await session.endSession();
   }
 };
 
@@ -667,15 +885,31 @@ export const sendOrderWithOrderPayload = async (req, res) => {
   return sendOrder(req, res);
 };
 
-// Check delivery status (mock)
+// Check delivery status (mock); ?shipmentId= checks one shipment of a split order
 export const getDeliveryStatus = async (req, res) => {
   const { orderId } = req.params;
   const order = await Order.findById(orderId).populate('deliveryCompany');
   if (!order) return res.status(StatusCodes.NOT_FOUND).json({ message: 'Order not found' });
-  if (!order.deliveryCompany) return res.status(StatusCodes.BAD_REQUEST).json({ message: 'Order not assigned to delivery' });
-  const status = await getDeliveryStatusFromCompany(order, order.deliveryCompany);
-  const internal = mapStatus(order.deliveryCompany, status.status);
-  res.json({ success: true, ...status, status: internal, internalStatus: internal });
+  let shipment = null;
+  let company = order.deliveryCompany;
+  if (req.query.shipmentId) {
+    try {
+      shipment = findShipment(order, req.query.shipmentId);
+    } catch (e) {
+      return res.status(e.statusCode || StatusCodes.NOT_FOUND).json({ message: e.message });
+    }
+    if (shipment.deliveryCompany) company = await DeliveryCompany.findById(shipment.deliveryCompany);
+  }
+  if (!company) return res.status(StatusCodes.BAD_REQUEST).json({ message: 'Order not assigned to delivery' });
+  const status = await getDeliveryStatusFromCompany(order, company, { shipment });
+  const internal = mapStatus(company, status.status);
+  res.json({
+    success: true,
+    ...status,
+    status: internal,
+    internalStatus: internal,
+    ...(shipment ? { shipmentId: String(shipment._id), shipmentNumber: shipment.shipmentNumber } : {})
+  });
 };
 
 // Batch assign multiple orders to a delivery company (no external send, just assignment + optional tracking/status)
@@ -716,7 +950,7 @@ export const batchAssignOrders = async (req, res) => {
 
 // Batch send multiple orders to a delivery company using existing sendOrder logic components
 export const batchSendOrders = async (req, res) => {
-  const { orderIds, companyId, companyCode, deliveryFee = 0, stopOnError = false } = req.body || {};
+  const { orderIds, companyId, companyCode, deliveryFee = 0, warehouse, stopOnError = false } = req.body || {};
   if (!Array.isArray(orderIds) || !orderIds.length) {
     return res.status(StatusCodes.BAD_REQUEST).json({ message: 'orderIds array is required' });
   }
@@ -749,17 +983,16 @@ export const batchSendOrders = async (req, res) => {
         throw Object.assign(new Error('Missing required mapped fields'), { code: 'MAPPING_MISSING', missing: mappingCheck.missing });
       }
 
-      const { trackingNumber, providerResponse, providerStatus } = await sendToCompany(order.toObject(), company.toObject(), { deliveryFee });
-      order.deliveryCompany = company._id;
-      order.deliveryStatus = mapStatus(company, providerStatus || 'assigned');
-      order.deliveryTrackingNumber = trackingNumber;
-      order.trackingNumber = trackingNumber; // legacy mirror
-      order.deliveryAssignedAt = new Date();
-      order.deliveryFee = deliveryFee || 0;
-      order.deliveryResponse = providerResponse;
-      await order.save();
-
-      results.push({ orderId, success: true, trackingNumber, status: order.deliveryStatus });
+      // Ships whatever is not yet in a shipment
+      const shipment = await dispatchOrder(order, company, { deliveryFee: Number(deliveryFee) || 0, warehouse, user: req.user });
+
+      results.push({
+        orderId,
+        success: true,
+        trackingNumber: shipment.trackingNumber,
+        status: shipment.status,
+        shipmentNumber: shipment.shipmentNumber
+      });
     } catch (err) {
       const entry = { orderId, success: false, error: err.message || 'Failed', code: err.code };
       if (err.missing) entry.missing = err.missing;
@@ -0,0 +1,224 @@
+import mongoose from 'mongoose';
+import FiscalDocument from '../models/FiscalDocument.js';
+import POSTransaction from '../models/POSTransaction.js';
+import {
+  buildDocumentFilter,
+  issueOrderDocument,
+  issuePosDocument,
+  renderEscPos,
+  renderPdf,
+  sendDocument,
+  verifyDocumentLink
+} from '../services/fiscalDocumentService.js';
+
+const fail = (res, e, message) => {
+  const status = e?.statusCode && e.statusCode < 500 ? e.statusCode : 500;
+  res.status(status).json(status < 500 ? { message: e.message } : { message, error: e?.message || e });
+};
+
+const apiBaseFor = (req) => (process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+
+async function loadDocument(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: 'Invalid document id' });
+    return null;
+  }
+  const document = await FiscalDocument.findById(id);
+  if (!document) {
+    res.status(404).json({ message: 'Document not found' });
+    return null;
+  }
+  return document;
+}
+
+async function sendPdf(res, document, disposition = 'inline') {
+  const pdf = await renderPdf(document);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `${disposition}; filename="${document.documentNumber}.pdf"`);
+  res.send(pdf);
+}
+
+// ?format=escpos (default, with printer commands) | text; ?width=32|42|48 characters
+function sendEscPos(req, res, document) {
+  const raw = req.query.format !== 'text' && req.query.raw !== 'false';
+  const body = renderEscPos(document, { width: req.query.width, raw });
+  res.setHeader('Content-Type', raw ? 'application/octet-stream' : 'text/plain; charset=utf-8');
+  res.send(raw ? Buffer.from(body, 'utf8') : body);
+}
+
+// GET /api/documents?type=&sourceType=&sourceId=&documentNumber=&from=&to=&page=&limit=
+export async function listDocuments(req, res) {
+  try {
+    const filter = buildDocumentFilter(req.query);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const [items, total] = await Promise.all([
+      FiscalDocument.find(filter)
+        .select('-lines -deliveries')
+        .sort({ issuedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      FiscalDocument.countDocuments(filter)
+    ]);
+    res.json({ items, total, page, pages: Math.ceil(total / limit) });
+  } catch (e) {
+    fail(res, e, 'Failed to load documents');
+  }
+}
+
+export async function getDocument(req, res) {
+  try {
+    const document = await loadDocument(req, res);
+    if (!document) return;
+    res.json({ document });
+  } catch (e) {
+    fail(res, e, 'Failed to load document');
+  }
+}
+
+export async function getDocumentPdf(req, res) {
+  try {
+    const document = await loadDocument(req, res);
+    if (!document) return;
+    await sendPdf(res, document, req.query.download === 'true' ? 'attachment' : 'inline');
+  } catch (e) {
+    fail(res, e, 'Failed to render document');
+  }
+}
+
+export async function getDocumentEscPos(req, res) {
+  try {
+    const document = await loadDocument(req, res);
+    if (!document) return;
+    sendEscPos(req, res, document);
+  } catch (e) {
+    fail(res, e, 'Failed to render document');
+  }
+}
+
+// Signed link (sent over WhatsApp); no login
+export async function getPublicDocumentPdf(req, res) {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !verifyDocumentLink(id, req.query.expires, req.query.signature)) {
+      return res.status(403).json({ message: 'Invalid or expired link' });
+    }
+    const document = await FiscalDocument.findById(id);
+    if (!document) return res.status(404).json({ message: 'Document not found' });
+    await sendPdf(res, document);
+  } catch (e) {
+    fail(res, e, 'Failed to render document');
+  }
+}
+
+// POST /api/documents/orders/:orderId { type: 'tax_invoice'|'receipt' } (idempotent per order and type)
+export async function issueOrderDocumentHandler(req, res) {
+  try {
+    const type = req.body?.type || 'tax_invoice';
+    if (type === 'credit_note') return res.status(400).json({ message: 'Use /orders/:orderId/credit-notes for credit notes' });
+    const { document, created } = await issueOrderDocument(req.params.orderId, { type, user: req.user });
+    res.status(created ? 201 : 200).json({ document, created });
+  } catch (e) {
+    fail(res, e, 'Failed to issue document');
+  }
+}
+
+// POST /api/documents/orders/:orderId/credit-notes { items?: [{ index, quantity }], includeShipping?, amount?, reason? }
+export async function issueOrderCreditNoteHandler(req, res) {
+  try {
+    const { items, amount, includeShipping, reason } = req.body || {};
+    const { document, created } = await issueOrderDocument(req.params.orderId, {
+      type: 'credit_note',
+      items,
+      amount,
+      includeShipping: !!includeShipping,
+      reason,
+      user: req.user
+    });
+    res.status(created ? 201 : 200).json({ document, created });
+  } catch (e) {
+    fail(res, e, 'Failed to issue credit note');
+  }
+}
+
+// POST /api/documents/:id/send { channel: 'email'|'whatsapp', to? }
+export async function sendDocumentHandler(req, res) {
+  try {
+    const document = await loadDocument(req, res);
+    if (!document) return;
+    const result = await sendDocument(document, { channel: req.body?.channel, to: req.body?.to, user: req.user, apiBase: apiBaseFor(req) });
+    res.status(result.ok ? 200 : 502).json(result);
+  } catch (e) {
+    fail(res, e, 'Failed to send document');
+  }
+}
+
+// ----- POS receipts (mounted under /api/pos) -----
+
+async function loadTransaction(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: 'Invalid transaction id' });
+    return null;
+  }
+  const tx = await POSTransaction.findById(id);
+  if (!tx) {
+    res.status(404).json({ message: 'Transaction not found' });
+    return null;
+  }
+  return tx;
+}
+
+// POST /api/pos/transactions/:id/documents { type? } (idempotent: returns the existing document)
+export async function issuePosDocumentHandler(req, res) {
+  try {
+    const tx = await loadTransaction(req, res);
+    if (!tx) return;
+    const { document, created } = await issuePosDocument(tx, { type: req.body?.type, user: req.user });
+    res.status(created ? 201 : 200).json({ document, created });
+  } catch (e) {
+    fail(res, e, 'Failed to issue document');
+  }
+}
+
+// GET /api/pos/transactions/:id/receipt?format=escpos|text|pdf&width= (issues the document on first request)
+export async function getPosReceipt(req, res) {
+  try {
+    const tx = await loadTransaction(req, res);
+    if (!tx) return;
+    const { document } = await issuePosDocument(tx, { user: req.user });
+    if (req.query.format === 'pdf') return sendPdf(res, document);
+    if (req.query.format === 'json') return res.json({ document });
+    sendEscPos(req, res, document);
+  } catch (e) {
+    fail(res, e, 'Failed to render receipt');
+  }
+}
+
+// POST /api/pos/transactions/:id/receipt/send { channel, to? }
+export async function sendPosReceipt(req, res) {
+  try {
+    const tx = await loadTransaction(req, res);
+    if (!tx) return;
+    const { document } = await issuePosDocument(tx, { user: req.user });
+    const result = await sendDocument(document, { channel: req.body?.channel, to: req.body?.to, user: req.user, apiBase: apiBaseFor(req) });
+    res.status(result.ok ? 200 : 502).json(result);
+  } catch (e) {
+    fail(res, e, 'Failed to send receipt');
+  }
+}
+
+// PUT /api/pos/transactions/:id/receipt/printed
+export async function markPosReceiptPrinted(req, res) {
+  try {
+    const tx = await loadTransaction(req, res);
+    if (!tx) return;
+    tx.receiptPrinted = true;
+    await tx.save();
+    res.json({ receiptPrinted: true, receiptNumber: tx.receiptNumber });
+  } catch (e) {
+    fail(res, e, 'Failed to update receipt');
+  }
+}
@@ -1,6 +1,7 @@
 import FlashSale from '../models/FlashSale.js';
 import Product from '../models/Product.js';
 import { getStoreCurrency } from '../services/storeCurrencyService.js';
+import { resolveDisplayCurrency, setDisplayHeaders, addFlashSaleItemDisplayPrices } from '../services/displayCurrencyService.js';
 import { autoNotifyFlashSale } from '../services/flashSaleNotify.js';
 import ScheduledPush from '../models/ScheduledPush.js';
 import { deepseekTranslate, isDeepseekConfigured } from '../services/translate/deepseek.js';
@@ -207,6 +208,7 @@ export const publicActiveList = async (req, res) => {
   const reqLang = typeof req.query.lang === 'string' ? req.query.lang.trim() : '';
   const allowAutoTranslate = isDeepseekConfigured() && String(req.query.autoTranslate || 'false').toLowerCase() === 'true';
   const metaOnly = String(req.query.metaOnly || 'false').toLowerCase() === 'true';
+    const display = await resolveDisplayCurrency(req.query.currency);
     const now = new Date();
     let sales = await FlashSale.find({ active: true, startDate: { $lte: now }, endDate: { $gte: now } })
       .sort({ startDate: 1 })
@@ -243,6 +245,7 @@ export const publicActiveList = async (req, res) => {
         };
       }));
       try { const c = await getStoreCurrency(); res.set('X-Store-Currency', c); } catch {}
+      setDisplayHeaders(res, display);
       return res.json(outMeta);
     }
 
@@ -319,9 +322,14 @@ export const publicActiveList = async (req, res) => {
         items
       };
     }));
+    if (display) {
+      out.forEach((s) => addFlashSaleItemDisplayPrices(s.items, display));
+      setDisplayHeaders(res, display);
+    }
     try { const c = await getStoreCurrency(); res.set('X-Store-Currency', c); } catch {}
     res.json(out);
   } catch (e) {
+    if (e?.statusCode && e.statusCode < 500) return res.status(e.statusCode).json({ message: e.message });
     res.status(500).json({ message: 'Failed to load flash sales' });
   }
 };
@@ -329,6 +337,7 @@ export const publicActiveList = async (req, res) => {
 // Public: get a specific active flash sale by id (only returns if currently active)
 export const publicGetById = async (req, res) => {
   try {
+    const display = await resolveDisplayCurrency(req.query.currency);
   const reqLang = typeof req.query.lang === 'string' ? req.query.lang.trim() : '';
   const allowAutoTranslate = isDeepseekConfigured() && String(req.query.autoTranslate || 'false').toLowerCase() === 'true';
     const { id } = req.params;
@@ -401,9 +410,14 @@ export const publicGetById = async (req, res) => {
       discountPercent: s.discountPercent,
       items,
     };
+    if (display) {
+      addFlashSaleItemDisplayPrices(out.items, display);
+      setDisplayHeaders(res, display);
+    }
     try { const c = await getStoreCurrency(); res.set('X-Store-Currency', c); } catch {}
     res.json(out);
   } catch (e) {
+    if (e?.statusCode && e.statusCode < 500) return res.status(e.statusCode).json({ message: e.message });
     res.status(500).json({ message: 'Failed to load flash sale' });
   }
 };
@@ -414,6 +428,7 @@ export const publicGetActiveItems = async (req, res) => {
     const reqLang = typeof req.query.lang === 'string' ? req.query.lang.trim() : '';
     const allowAutoTranslate = isDeepseekConfigured() && String(req.query.autoTranslate || 'false').toLowerCase() === 'true';
     const slim = String(req.query.slim || 'true').toLowerCase() === 'true';
+    const display = await resolveDisplayCurrency(req.query.currency);
     const page = Math.max(1, parseInt(String(req.query.page || '1'), 10) || 1);
     const pageSize = Math.max(1, Math.min(100, parseInt(String(req.query.pageSize || '12'), 10) || 12));
     const skip = (page - 1) * pageSize;
@@ -508,6 +523,10 @@ export const publicGetActiveItems = async (req, res) => {
       }
     }
 
+    if (display) {
+      addFlashSaleItemDisplayPrices(pageItems, display);
+      setDisplayHeaders(res, display);
+    }
     try { const c = await getStoreCurrency(); res.set('X-Store-Currency', c); } catch {}
     return res.json({
       items: pageItems,
@@ -516,6 +535,7 @@ export const publicGetActiveItems = async (req, res) => {
       pageSize,
     });
   } catch (e) {
+    if (e?.statusCode && e.statusCode < 500) return res.status(e.statusCode).json({ message: e.message });
     res.status(500).json({ message: 'Failed to load flash sale items' });
   }
 };
@@ -4,6 +4,7 @@ import { sendGiftCardEmail } from '../utils/emailService.js';
 import { StatusCodes } from 'http-status-codes';
 import { ApiError } from '../utils/ApiError.js';
 import { addDays } from 'date-fns';
+import { loadRedeemableGiftCard, redeemGiftCard } from '../services/giftCardService.js';
 
 // Purchase gift card
 export const purchaseGiftCard = async (req, res) => {
@@ -144,51 +145,7 @@ export const checkBalance = async (req, res) => {
 export const applyToOrder = async (req, res) => {
   try {
     const { code, amount } = req.body;
-    const giftCard = await GiftCard.findOne({ code });
-
-    if (!giftCard) {
-      throw new ApiError(
-        StatusCodes.NOT_FOUND,
-        'Gift card not found'
-      );
-    }
-
-    // Check expiry and update status if needed
-    const now = new Date();
-    if (giftCard.expiryDate && giftCard.expiryDate < now) {
-      if (giftCard.status !== 'expired') {
-        giftCard.status = 'expired';
-        await giftCard.save();
-      }
-      throw new ApiError(
-        StatusCodes.BAD_REQUEST,
-        'Gift card is expired'
-      );
-    }
-
-    if (giftCard.status !== 'active') {
-      throw new ApiError(
-        StatusCodes.BAD_REQUEST,
-        `Gift card is ${giftCard.status}`
-      );
-    }
-
-    if (giftCard.currentBalance < amount) {
-      throw new ApiError(
-        StatusCodes.BAD_REQUEST,
-        'Insufficient gift card balance'
-      );
-    }
-
-    // Update balance
-    giftCard.currentBalance -= amount;
-    giftCard.lastUsed = new Date();
-    giftCard.redemptions.push({
-      order: req.body.orderId,
-      amount
-    });
-
-    await giftCard.save();
+    const { remainingBalance } = await redeemGiftCard({ code, amount, order: req.body.orderId });
 
     try {
       if (req.body?.orderId) {
@@ -196,7 +153,7 @@ export const applyToOrder = async (req, res) => {
           giftCard: {
             code,
             amountApplied: amount,
-            remainingBalance: giftCard.currentBalance
+            remainingBalance
           }
         });
       }
@@ -206,7 +163,7 @@ export const applyToOrder = async (req, res) => {
 
     res.json({
       amountApplied: amount,
-      remainingBalance: giftCard.currentBalance
+      remainingBalance
     });
   } catch (error) {
     throw new ApiError(
@@ -225,29 +182,8 @@ export const applyToOrderGuest = async (req, res) => {
       throw new ApiError(StatusCodes.BAD_REQUEST, 'code, amount, orderId and email are required');
     }
 
-    const giftCard = await GiftCard.findOne({ code });
-
-    if (!giftCard) {
-      throw new ApiError(StatusCodes.NOT_FOUND, 'Gift card not found');
-    }
-
-    // Check expiry and update status if needed
-    const now = new Date();
-    if (giftCard.expiryDate && giftCard.expiryDate < now) {
-      if (giftCard.status !== 'expired') {
-        giftCard.status = 'expired';
-        await giftCard.save();
-      }
-      throw new ApiError(StatusCodes.BAD_REQUEST, 'Gift card is expired');
-    }
-
-    if (giftCard.status !== 'active') {
-      throw new ApiError(StatusCodes.BAD_REQUEST, `Gift card is ${giftCard.status}`);
-    }
-
-    if (giftCard.currentBalance < amount) {
-      throw new ApiError(StatusCodes.BAD_REQUEST, 'Insufficient gift card balance');
-    }
+    // Fail on an unusable card before touching the order
+    await loadRedeemableGiftCard(code, amount);
 
     // Validate order by id and customer email (case-insensitive)
     const order = await Order.findOne({ _id: orderId, 'customerInfo.email': new RegExp(`^${email}$`, 'i') });
@@ -256,23 +192,20 @@ export const applyToOrderGuest = async (req, res) => {
     }
 
     // Deduct and record redemption
-    giftCard.currentBalance -= amount;
-    giftCard.lastUsed = new Date();
-    giftCard.redemptions.push({ order: order._id, amount });
-    await giftCard.save();
+    const { remainingBalance } = await redeemGiftCard({ code, amount, order: order._id });
 
     try {
       order.giftCard = {
         code,
         amountApplied: amount,
-        remainingBalance: giftCard.currentBalance
+        remainingBalance
       };
       await order.save();
     } catch (updateErr) {
       console.warn('Failed to update order gift card snapshot (guest apply):', updateErr?.message || updateErr);
     }
 
-    res.json({ amountApplied: amount, remainingBalance: giftCard.currentBalance });
+    res.json({ amountApplied: amount, remainingBalance });
   } catch (error) {
     throw new ApiError(
       error.statusCode || StatusCodes.INTERNAL_SERVER_ERROR,
@@ -1,6 +1,17 @@
+import mongoose from 'mongoose';
 import Booking from '../models/Booking.js';
 import BookingAudit from '../models/BookingAudit.js';
+import Pet from '../models/Pet.js';
 import Settings from '../models/Settings.js';
+import {
+  computeAvailability,
+  reserveResource,
+  totalServiceDuration,
+  DEFAULT_SLOT_STEP_MIN,
+  DEFAULT_BUFFER_MIN
+} from '../services/groomingScheduleService.js';
+import { applyPetRules, sanitizePricingRules } from '../services/groomingPricingService.js';
+import { hasPermission } from '../utils/permissions.js';
 
 // Static services list (could be moved to DB later)
 const SERVICES = [
@@ -43,13 +54,6 @@ const sanitizeDateSlotOverrides = (value) => {
   }, {});
 };
 
-const getSlotsForDate = (date, fallbackSlots, overridesMap) => {
-  if (!overridesMap) return fallbackSlots;
-  const override = overridesMap[date];
-  if (Array.isArray(override) && override.length) return override;
-  return fallbackSlots;
-};
-
 async function loadGroomingConfig() {
   try {
     const settings = await Settings.findOne().sort({ updatedAt: -1 }).select('grooming');
@@ -58,10 +62,44 @@ async function loadGroomingConfig() {
     const slotList = slots.length ? slots : DEFAULT_SLOTS;
     const slotCapacity = Number(grooming.slotCapacity) > 0 ? Number(grooming.slotCapacity) : DEFAULT_SLOT_CAPACITY;
     const dateSlotOverrides = sanitizeDateSlotOverrides(grooming.dateSlotOverrides);
-    return { grooming, slots: slotList, slotCapacity, dateSlotOverrides };
+    const slotStepMin = Number(grooming.slotStepMin) >= 5 ? Number(grooming.slotStepMin) : DEFAULT_SLOT_STEP_MIN;
+    const bufferMin = grooming.bufferMin != null && Number(grooming.bufferMin) >= 0 ? Number(grooming.bufferMin) : DEFAULT_BUFFER_MIN;
+    const pricingRules = sanitizePricingRules(grooming.pricingRules);
+    return { grooming, slots: slotList, slotCapacity, dateSlotOverrides, slotStepMin, bufferMin, pricingRules };
   } catch {
-    return { grooming: {}, slots: DEFAULT_SLOTS, slotCapacity: DEFAULT_SLOT_CAPACITY, dateSlotOverrides: {} };
+    return { grooming: {}, slots: DEFAULT_SLOTS, slotCapacity: DEFAULT_SLOT_CAPACITY, dateSlotOverrides: {}, slotStepMin: DEFAULT_SLOT_STEP_MIN, bufferMin: DEFAULT_BUFFER_MIN, pricingRules: [] };
+  }
+}
+
+// Map incoming service ids or { id } objects to catalog entries (unknown ids are dropped)
+function normalizeServices(services) {
+  const out = [];
+  (Array.isArray(services) ? services : []).forEach(s => {
+    if (!s) return;
+    const id = typeof s === 'string' ? s : s.id;
+    const found = SERVICES.find(x => x.id === id);
+    if (found) out.push(found);
+  });
+  return out;
+}
+
+// Resolve a Pet profile id to a pet the caller may book for.
+// Returns null for empty/legacy (non-ObjectId) ids; throws with statusCode when not allowed.
+async function resolveBookingPet(petId, user) {
+  if (!petId || !mongoose.Types.ObjectId.isValid(String(petId))) return null;
+  const pet = await Pet.findById(petId);
+  if (!pet) {
+    const err = new Error('Pet not found');
+    err.statusCode = 404;
+    throw err;
   }
+  const isStaff = hasPermission(user, 'grooming:manage');
+  if (!isStaff && (!user || String(pet.owner) !== String(user._id))) {
+    const err = new Error('Not authorized to book for this pet');
+    err.statusCode = 403;
+    throw err;
+  }
+  return pet;
 }
 
 // Compute available dates considering admin-configured settings
@@ -89,29 +127,31 @@ async function computeAvailableDates(days = 14, groomingOverride) {
   }
 }
 
+// Query: ?services=wash,cut&petId=<id> (optional) — free start times are computed for the total duration of the
+// selected services (adjusted by the pet's size/breed rules); without services the shortest service is used.
 export async function getAvailability(req, res) {
   try {
-    const { grooming, slots: slotList, slotCapacity, dateSlotOverrides } = await loadGroomingConfig();
+    const config = await loadGroomingConfig();
+    const { grooming, slotCapacity } = config;
     const dates = await computeAvailableDates(14, grooming);
-    // Fetch existing bookings to compute remaining capacity (exclude cancelled)
-    const existing = await Booking.find({ date: { $in: dates }, status: { $ne: 'cancelled' } }).select('date time').lean();
-    // Build count map
-    const countMap = {};
-    existing.forEach(b => {
-      if (!countMap[b.date]) countMap[b.date] = {};
-      countMap[b.date][b.time] = (countMap[b.date][b.time] || 0) + 1;
-    });
-    const slots = {};
-    const slotRemaining = {};
-    dates.forEach(d => {
-      const dailySlots = getSlotsForDate(d, slotList, dateSlotOverrides);
-      slots[d] = dailySlots;
-      slotRemaining[d] = {};
-      dailySlots.forEach(t => {
-        const used = countMap[d]?.[t] || 0;
-        const remaining = Math.max(slotCapacity - used, 0);
-        slotRemaining[d][t] = remaining;
-      });
+    let pet = null;
+    try {
+      pet = await resolveBookingPet(req.query?.petId, req.user);
+    } catch (err) {
+      return res.status(err.statusCode || 500).json({ message: err.message });
+    }
+    const requested = applyPetRules(
+      normalizeServices(String(req.query?.services || '').split(',').map(v => v.trim()).filter(Boolean)),
+      pet,
+      config.pricingRules
+    );
+    const durationMin = requested.length
+      ? totalServiceDuration(requested)
+      : Math.min(...SERVICES.map(s => s.durationMin));
+    const { resources, byResource, slots, slotRemaining } = await computeAvailability(dates, {
+      config,
+      durationMin,
+      serviceIds: requested.map(s => s.id)
     });
     const heroBannerEnabled = grooming?.showHeroBanner !== false;
     const heroBannerImage = (() => {
@@ -126,7 +166,10 @@ export async function getAvailability(req, res) {
       slots,
       slotRemaining,
       capacity: slotCapacity,
-      services: SERVICES,
+      durationMin,
+      resources,
+      availability: byResource,
+      services: pet ? applyPetRules(SERVICES, pet, config.pricingRules) : SERVICES,
       showHeroBanner: heroBannerEnabled,
       heroBannerImage
     });
@@ -135,47 +178,68 @@ export async function getAvailability(req, res) {
   }
 }
 
+// Body: { date, time, services, petId?, resourceId? } — resourceId picks a specific groomer/table,
+// otherwise the first free resource able to perform the services is assigned.
+// petId may be a Pet profile id (owner or admin only; prices/durations follow its size/breed rules)
+// or a legacy external id kept as-is. contact: { name, email, phone } is used for notifications
+// (guests must provide it; logged-in users default to their profile).
 export async function createBooking(req, res) {
   try {
-    const { date, time, services, petId } = req.body || {};
+    const { date, time, services, petId, resourceId, contact } = req.body || {};
     if (!date || !time || !Array.isArray(services) || !services.length) {
       return res.status(400).json({ message: 'Missing required fields' });
     }
-    const { slots: slotList, slotCapacity, dateSlotOverrides } = await loadGroomingConfig();
+    const config = await loadGroomingConfig();
     const dates = await computeAvailableDates(30);
     if (!dates.includes(date)) {
       return res.status(400).json({ message: 'Date out of range' });
     }
-    const slotsForDay = getSlotsForDate(date, slotList, dateSlotOverrides);
-    if (!slotsForDay.includes(time)) {
-      return res.status(400).json({ message: 'Invalid time slot' });
-    }
-    // Capacity check (exclude cancelled bookings)
-    const existingCount = await Booking.countDocuments({ date, time, status: { $ne: 'cancelled' } });
-    if (existingCount >= slotCapacity) {
-      return res.status(409).json({ message: 'Slot full', capacity: slotCapacity, remaining: 0 });
+    let pet = null;
+    try {
+      pet = await resolveBookingPet(petId, req.user);
+    } catch (err) {
+      return res.status(err.statusCode || 500).json({ message: err.message });
     }
-    // Map incoming service ids or objects
-    let normalizedServices = [];
-    services.forEach(s => {
-      if (!s) return;
-      if (typeof s === 'string') {
-        const found = SERVICES.find(x => x.id === s);
-        if (found) normalizedServices.push(found);
-      } else if (s.id) {
-        const found = SERVICES.find(x => x.id === s.id);
-        if (found) normalizedServices.push(found);
-      }
-    });
+    const normalizedServices = applyPetRules(normalizeServices(services), pet, config.pricingRules);
     if (!normalizedServices.length) {
       return res.status(400).json({ message: 'No valid services' });
     }
+    const durationMin = totalServiceDuration(normalizedServices);
+    let slot;
+    try {
+      slot = await reserveResource({
+        date,
+        time,
+        durationMin,
+        serviceIds: normalizedServices.map(s => s.id),
+        resourceId: resourceId || null,
+        config
+      });
+    } catch (err) {
+      if (!err?.statusCode) throw err;
+      return res.status(err.statusCode).json({ message: err.message, remaining: 0 });
+    }
     const booking = await Booking.create({
       date,
       time,
       services: normalizedServices,
-      petId: petId || undefined,
+      pet: pet?._id || undefined,
+      petId: pet ? undefined : (petId || undefined),
+      petSnapshot: pet
+        ? { name: pet.name, species: pet.species, breed: pet.breed, size: pet.sizeClass, weightKg: pet.weightKg }
+        : undefined,
+      resource: slot.resource._id || undefined,
+      durationMin,
+      bufferMin: slot.bufferMin,
+      endTime: slot.endTime,
       user: req.user?._id || undefined,
+      contact: contact && typeof contact === 'object'
+        ? {
+          name: contact.name ? String(contact.name).trim() : undefined,
+          email: contact.email ? String(contact.email).trim().toLowerCase() : undefined,
+          phone: contact.phone ? String(contact.phone).trim() : undefined
+        }
+        : undefined,
     });
     // Audit log
     try {
@@ -184,12 +248,10 @@ export async function createBooking(req, res) {
         action: 'create',
         by: req.user?._id || undefined,
         statusAfter: booking.status,
-        meta: { services: booking.services.map(s => s.id) }
+        meta: { services: booking.services.map(s => s.id), resource: slot.resource.name }
       });
     } catch {}
-    // Compute remaining after creation
-    const remainingAfter = Math.max(slotCapacity - (existingCount + 1), 0);
-    res.status(201).json({ booking, capacity: slotCapacity, remaining: remainingAfter });
+    res.status(201).json({ booking, capacity: slot.resource.capacity || 1, remaining: slot.remaining });
   } catch (e) {
     console.error('[booking][error]', e);
     res.status(500).json({ message: 'Failed to create booking', error: e?.message || e });
@@ -222,7 +284,8 @@ export async function listBookings(req, res) {
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
-      .populate('user', '_id email role');
+      .populate('user', '_id email role')
+      .populate('pet', 'name species breed size weightKg coatType temperamentNotes vaccinationExpiry');
     res.json({ page, total, pageSize: bookings.length, bookings, filters: { status: status || null, date: date || null, from: from || null, to: to || null } });
   } catch (e) {
     res.status(500).json({ message: 'Failed to load bookings', error: e?.message || e });
@@ -265,7 +328,9 @@ export async function getBookingById(req, res) {
   try {
     const { id } = req.params;
     if (!id) return res.status(400).json({ message: 'Missing id' });
-    const booking = await Booking.findById(id).populate('user', '_id email role');
+    const booking = await Booking.findById(id)
+      .populate('user', '_id email role')
+      .populate('pet', 'name species breed size weightKg coatType temperamentNotes medicalNotes vaccinationExpiry photos');
     if (!booking) return res.status(404).json({ message: 'Booking not found' });
     res.json({ booking });
   } catch (e) {
@@ -279,10 +344,10 @@ export async function cancelBooking(req, res) {
     if (!id) return res.status(400).json({ message: 'Missing id' });
     const booking = await Booking.findById(id);
     if (!booking) return res.status(404).json({ message: 'Booking not found' });
-    // Permission: admin or owner
-    const isAdmin = req.user?.role === 'admin';
+    // Permission: grooming staff or owner
+    const isStaff = hasPermission(req.user, 'grooming:manage');
     const isOwner = req.user && booking.user && String(booking.user) === String(req.user._id);
-    if (!isAdmin && !isOwner) {
+    if (!isStaff && !isOwner) {
       return res.status(403).json({ message: 'Not authorized to cancel this booking' });
     }
     if (booking.status === 'cancelled') {
@@ -319,22 +384,40 @@ export async function getBookingAudit(req, res) {
   }
 }
 
-// Authenticated user: list own bookings with optional status/date filters
+// Authenticated user: list own bookings with optional status/date/petId filters.
+// `pets` groups the same bookings per pet profile as grooming history (bookings without a pet are not grouped).
 export async function getMyBookings(req, res) {
   try {
     if (!req.user) return res.status(401).json({ message: 'Authentication required' });
-    const { status, date } = req.query;
+    const { status, date, petId } = req.query;
     const q = { user: req.user._id };
     if (status && typeof status === 'string') q.status = status;
     if (date && typeof date === 'string') q.date = date;
+    if (petId && mongoose.Types.ObjectId.isValid(String(petId))) q.pet = petId;
     const bookings = await Booking.find(q).sort({ date: 1, time: 1 });
-    res.json({ bookings, count: bookings.length });
+    const pets = await Pet.find({ owner: req.user._id, ...(q.pet ? { _id: q.pet } : {}) }).sort({ createdAt: 1 });
+    const today = new Date().toISOString().slice(0, 10);
+    const history = pets
+      .map(pet => {
+        const list = bookings.filter(b => b.pet && String(b.pet) === String(pet._id));
+        const completed = list.filter(b => b.status === 'completed');
+        const upcoming = list.filter(b => b.date >= today && ['pending', 'confirmed'].includes(b.status));
+        return {
+          pet,
+          bookings: list,
+          visits: completed.length,
+          lastVisit: completed.length ? completed[completed.length - 1].date : null,
+          nextVisit: upcoming.length ? { date: upcoming[0].date, time: upcoming[0].time, booking: upcoming[0]._id } : null
+        };
+      })
+      .filter(h => !h.pet.archived || h.bookings.length);
+    res.json({ bookings, count: bookings.length, pets: history });
   } catch (e) {
     res.status(500).json({ message: 'Failed to load user bookings', error: e?.message || e });
   }
 }
 
-// User or admin: reschedule booking (change date/time) if capacity allows
+// User or admin: reschedule booking (change date/time, optionally resourceId) if the target is free
 export async function rescheduleBooking(req, res) {
   try {
     const { id } = req.params;
@@ -342,29 +425,44 @@ export async function rescheduleBooking(req, res) {
     if (!id || !newDate || !newTime) return res.status(400).json({ message: 'Missing id, date or time' });
     const booking = await Booking.findById(id);
     if (!booking) return res.status(404).json({ message: 'Booking not found' });
-    // Permission: admin or owner
-    const isAdmin = req.user?.role === 'admin';
+    // Permission: grooming staff or owner
+    const isStaff = hasPermission(req.user, 'grooming:manage');
     const isOwner = req.user && booking.user && String(booking.user) === String(req.user._id);
-    if (!isAdmin && !isOwner) return res.status(403).json({ message: 'Not authorized to reschedule this booking' });
+    if (!isStaff && !isOwner) return res.status(403).json({ message: 'Not authorized to reschedule this booking' });
     // Prevent reschedule if cancelled or completed
     if (['cancelled','completed'].includes(booking.status)) {
       return res.status(400).json({ message: 'Cannot reschedule a completed or cancelled booking' });
     }
-    // Validate new date/time in availability range
-    const { slots: slotList, slotCapacity, dateSlotOverrides } = await loadGroomingConfig();
+    // Validate new date/time with the same conflict checks as createBooking (excluding this booking)
+    const config = await loadGroomingConfig();
     const dates = await computeAvailableDates(30);
     if (!dates.includes(newDate)) return res.status(400).json({ message: 'Date out of range' });
-    const slotsForDay = getSlotsForDate(newDate, slotList, dateSlotOverrides);
-    if (!slotsForDay.includes(newTime)) return res.status(400).json({ message: 'Invalid time slot' });
-    // Capacity check (exclude cancelled) for target slot excluding current booking if same slot
-    const existingCount = await Booking.countDocuments({ date: newDate, time: newTime, status: { $ne: 'cancelled' }, _id: { $ne: booking._id } });
-    if (existingCount >= slotCapacity) {
-      return res.status(409).json({ message: 'Target slot full', capacity: slotCapacity, remaining: 0 });
+    const durationMin = Number(booking.durationMin) > 0 ? booking.durationMin : totalServiceDuration(booking.services);
+    let slot;
+    try {
+      slot = await reserveResource({
+        date: newDate,
+        time: newTime,
+        durationMin,
+        serviceIds: booking.services.map(s => s.id),
+        resourceId: req.body?.resourceId || null,
+        config,
+        excludeBookingId: booking._id
+      });
+    } catch (err) {
+      if (!err?.statusCode) throw err;
+      const message = err.statusCode === 409 ? 'Target slot full' : err.message;
+      return res.status(err.statusCode).json({ message, remaining: 0 });
     }
     const beforeDate = booking.date;
     const beforeTime = booking.time;
+    const beforeResource = booking.resource;
     booking.date = newDate;
     booking.time = newTime;
+    booking.resource = slot.resource._id || undefined;
+    booking.durationMin = durationMin;
+    booking.bufferMin = slot.bufferMin;
+    booking.endTime = slot.endTime;
     await booking.save();
     try {
       await BookingAudit.create({
@@ -373,11 +471,13 @@ export async function rescheduleBooking(req, res) {
         by: req.user?._id || undefined,
         statusBefore: booking.status,
         statusAfter: booking.status,
-        meta: { from: { date: beforeDate, time: beforeTime }, to: { date: newDate, time: newTime } }
+        meta: {
+          from: { date: beforeDate, time: beforeTime, resource: beforeResource || null },
+          to: { date: newDate, time: newTime, resource: booking.resource || null }
+        }
       });
     } catch {}
-    const remainingAfter = Math.max(slotCapacity - (existingCount + 1), 0);
-    res.json({ booking, capacity: slotCapacity, remaining: remainingAfter });
+    res.json({ booking, capacity: slot.resource.capacity || 1, remaining: slot.remaining });
   } catch (e) {
     res.status(500).json({ message: 'Failed to reschedule booking', error: e?.message || e });
   }
@@ -0,0 +1,80 @@
+import GroomingResource from '../models/GroomingResource.js';
+
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const sanitizeWorkingHours = (list) => {
+  if (!Array.isArray(list)) return [];
+  return list
+    .map(h => ({
+      dayOfWeek: Number(h?.dayOfWeek),
+      start: String(h?.start || '').trim(),
+      end: String(h?.end || '').trim()
+    }))
+    .filter(h => Number.isInteger(h.dayOfWeek) && h.dayOfWeek >= 0 && h.dayOfWeek <= 6)
+    .filter(h => TIME_PATTERN.test(h.start) && TIME_PATTERN.test(h.end) && h.end > h.start);
+};
+
+// Pick editable fields from the request body (undefined = leave unchanged)
+function pickResourceFields(body = {}) {
+  const out = {};
+  if (typeof body.name === 'string') out.name = body.name.trim();
+  if (['groomer', 'table'].includes(body.type)) out.type = body.type;
+  if (body.user !== undefined) out.user = body.user || null;
+  if (Array.isArray(body.services)) out.services = body.services.map(String).filter(Boolean);
+  if (body.capacity !== undefined && Number(body.capacity) >= 1) out.capacity = Number(body.capacity);
+  if (body.workingHours !== undefined) out.workingHours = sanitizeWorkingHours(body.workingHours);
+  if (Array.isArray(body.daysOff)) out.daysOff = body.daysOff.map(String).filter(d => DATE_PATTERN.test(d));
+  if (body.bufferMin !== undefined) out.bufferMin = body.bufferMin === null || body.bufferMin === '' ? undefined : Number(body.bufferMin);
+  if (body.active !== undefined) out.active = !!body.active;
+  if (body.sortOrder !== undefined && Number.isFinite(Number(body.sortOrder))) out.sortOrder = Number(body.sortOrder);
+  return out;
+}
+
+export async function listResources(req, res) {
+  try {
+    const q = req.query.includeInactive === 'true' ? {} : { active: true };
+    const resources = await GroomingResource.find(q).sort({ sortOrder: 1, name: 1 }).populate('user', '_id name email');
+    res.json({ resources });
+  } catch (e) {
+    res.status(500).json({ message: 'Failed to load resources', error: e?.message || e });
+  }
+}
+
+export async function createResource(req, res) {
+  try {
+    const fields = pickResourceFields(req.body);
+    if (!fields.name) return res.status(400).json({ message: 'Name is required' });
+    const resource = await GroomingResource.create(fields);
+    res.status(201).json({ resource });
+  } catch (e) {
+    res.status(400).json({ message: 'Failed to create resource', error: e?.message || e });
+  }
+}
+
+export async function updateResource(req, res) {
+  try {
+    const resource = await GroomingResource.findById(req.params.id);
+    if (!resource) return res.status(404).json({ message: 'Resource not found' });
+    const fields = pickResourceFields(req.body);
+    if (fields.name === '') return res.status(400).json({ message: 'Name is required' });
+    Object.assign(resource, fields);
+    await resource.save();
+    res.json({ resource });
+  } catch (e) {
+    res.status(400).json({ message: 'Failed to update resource', error: e?.message || e });
+  }
+}
+
+// Soft delete: existing bookings keep pointing at the resource
+export async function deleteResource(req, res) {
+  try {
+    const resource = await GroomingResource.findById(req.params.id);
+    if (!resource) return res.status(404).json({ message: 'Resource not found' });
+    resource.active = false;
+    await resource.save();
+    res.json({ resource });
+  } catch (e) {
+    res.status(500).json({ message: 'Failed to delete resource', error: e?.message || e });
+  }
+}
@@ -91,6 +91,7 @@ export const createMeshulamSessionFromCartHandler = asyncHandler(async (req, res
     coupon: coupon && coupon.code ? { code: coupon.code, discount: Number(coupon.discount) || 0 } : undefined,
     giftCard: sessionGiftCard,
     currency,
+    displayCurrency: body.displayCurrency,
     shippingFee: Number(shippingFee) || 0,
     totalWithShipping: Number(body?.totalWithShipping) || undefined,
     cardChargeAmount: Number(body?.cardChargeAmount) || undefined
@@ -4,6 +4,7 @@ import { computeBadgesForTokens, computeUnreadBadgeForUser } from '../services/b
 import PushLog from '../models/PushLog.js';
 import PushOpen from '../models/PushOpen.js';
 import ScheduledPush from '../models/ScheduledPush.js';
+import { ORDER_ALERT_ROLES } from '../utils/permissions.js';
 
 const LOOPBACK_HOST_RX = /^(localhost|127(?:\.\d+){0,2}|0\.0\.0\.0|\[?::1\]?)/i;
 const ENV_ASSET_BASE = (() => {
@@ -154,11 +155,11 @@ export async function broadcastToAdmins(req, res) {
     const { title, body, data, badge, sound, channelId, imageUrl } = req.body || {};
     const resolvedImage = resolveImageUrl(req, imageUrl);
     if (!title || !body) return res.status(400).json({ message: 'title_and_body_required' });
-    // Fetch tokens for users with admin role
+    // Fetch tokens for staff who receive order alerts
     const q = await MobilePushToken.aggregate([
       { $lookup: { from: 'users', localField: 'user', foreignField: '_id', as: 'u' } },
       { $unwind: '$u' },
-      { $match: { 'u.role': 'admin' } },
+      { $match: { 'u.role': { $in: ORDER_ALERT_ROLES } } },
       { $project: { expoPushToken: 1 } }
     ]);
     const tokens = q.map(d => d.expoPushToken);
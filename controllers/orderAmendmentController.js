@@ -0,0 +1,86 @@
+import { StatusCodes } from 'http-status-codes';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import { amendOrder, listOrderRevisions, settleOrderBalance } from '../services/orderAmendmentService.js';
+import { hasPermission } from '../utils/permissions.js';
+
+function sendError(res, error, fallback) {
+  const status = error?.statusCode || StatusCodes.INTERNAL_SERVER_ERROR;
+  if (status >= 500) console.error(fallback, error);
+  return res.status(status).json({ message: error?.message || fallback });
+}
+
+async function loadOrder(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(StatusCodes.BAD_REQUEST).json({ message: 'Invalid order id' });
+    return null;
+  }
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    res.status(StatusCodes.NOT_FOUND).json({ message: 'Order not found' });
+    return null;
+  }
+  return order;
+}
+
+// Admin: change order lines as a new revision
+// Body: { items: [{ orderItem, quantity } | { orderItem, remove: true } | { product, variantId?, size?, color?, quantity }],
+//         shippingFee?, recalculateShipping?, reason?, expectedRevision?, preview? }
+export const createOrderAmendment = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    const b = req.body || {};
+    const result = await amendOrder(order, {
+      items: b.items,
+      shippingFee: b.shippingFee,
+      recalculateShipping: b.recalculateShipping,
+      reason: b.reason,
+      expectedRevision: b.expectedRevision,
+      preview: b.preview === true,
+      user: req.user
+    });
+    if (result.summary.preview) return res.json({ summary: result.summary });
+    return res.status(StatusCodes.CREATED).json(result);
+  } catch (e) {
+    return sendError(res, e, 'Failed to amend order');
+  }
+};
+
+export const listOrderAmendments = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    const revisions = await listOrderRevisions(order._id);
+    return res.json({
+      revision: order.revision || 0,
+      balanceDue: order.balanceDue || 0,
+      balanceSettlements: order.balanceSettlements || [],
+      revisions
+    });
+  } catch (e) {
+    return sendError(res, e, 'Failed to list order revisions');
+  }
+};
+
+// Admin: collect or refund the amendment balance. Body: { method: 'original' | 'manual', amount?, reference?, note? }
+export const settleOrderAmendmentBalance = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    if ((order.balanceDue || 0) < 0 && !hasPermission(req.user, 'orders:refund')) {
+      return res.status(StatusCodes.FORBIDDEN).json({ message: 'Refunding an order balance requires the orders:refund permission' });
+    }
+    const { method, amount, reference, note } = req.body || {};
+    const result = await settleOrderBalance(order, {
+      method,
+      amount: amount != null ? Number(amount) : undefined,
+      reference,
+      note,
+      user: req.user
+    });
+    return res.json(result);
+  } catch (e) {
+    return sendError(res, e, 'Failed to settle order balance');
+  }
+};
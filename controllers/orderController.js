@@ -5,6 +5,7 @@ import Recipient from '../models/Recipient.js';
 import Inventory from '../models/Inventory.js';
 import { inventoryService } from '../services/inventoryService.js';
 import { SUPPORTED_CURRENCIES } from '../utils/currency.js';
+import { resolveDisplayRate } from '../services/exchangeRateService.js';
 import { realTimeEventService } from '../services/realTimeEventService.js';
 import { sendPushToAll, sendPushToAdmins } from '../services/pushService.js';
 // Mobile (Expo) push support
@@ -14,11 +15,20 @@ import { whatsappFallbackForNewOrder } from '../services/whatsappFallbackService
 import Settings from '../models/Settings.js';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
-import { calculateShippingFee as calcShipFee } from '../services/shippingService.js';
+import { calculateShippingFee as calcShipFee, defaultShippingFee } from '../services/shippingService.js';
+import { itemShippingSpec, summarizePackage, buildCartPackage, getVolumetricDivisor } from '../services/shippingPackageService.js';
+import { priceCartItems } from '../services/promotionPricingService.js';
+import { validateCheckoutCoupon, recordRedemption, voidRedemptionsForOrder } from '../services/couponService.js';
+import { enqueueOrderEvent } from '../services/webhookService.js';
 import DeliveryCompany from '../models/DeliveryCompany.js';
-import { sendToCompany, mapStatus, validateRequiredMappings, validateCompanyConfiguration } from '../services/deliveryIntegrationService.js';
+import { validateRequiredMappings, validateCompanyConfiguration } from '../services/deliveryIntegrationService.js';
+import { dispatchOrder } from '../services/shipmentService.js';
+import { flagBackorderedItems, outstandingBackorder } from '../services/backorderService.js';
+import { ORDER_ALERT_ROLES } from '../utils/permissions.js';
 
 // Update (admin) - update recipient/customer info, shipping address (city/street), status, and optionally shipping fee
+// Line items are changed through POST /orders/:id/amendments (services/orderAmendmentService.js), which also
+// adjusts stock, totals and the balance to collect or refund.
 export const updateOrder = async (req, res) => {
   try {
     const { id } = req.params;
@@ -32,6 +42,7 @@ export const updateOrder = async (req, res) => {
 
     const order = await Order.findById(id);
     if (!order) return res.status(404).json({ message: 'Order not found' });
+    const prevStatus = order.status;
 
     // Update customer info fields if provided
     if (ci && typeof ci === 'object') {
@@ -68,6 +79,12 @@ export const updateOrder = async (req, res) => {
 
     await order.save();
 
+    // Outbound webhooks (outbox)
+    await enqueueOrderEvent('order.updated', order);
+    if (order.status !== prevStatus) {
+      await enqueueOrderEvent('order.status_changed', order, { extra: { previousStatus: prevStatus } });
+    }
+
     // Emit real-time event so admin dashboards refresh
     try { realTimeEventService.emitOrderUpdate(order); } catch {}
 
@@ -90,6 +107,8 @@ export const createOrder = async (req, res) => {
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
     const session = await mongoose.startSession();
     let useTransaction = false;
+    // Order whose coupon redemption was claimed in this attempt (voided again if the order is not created)
+    let redemptionOrderId = null;
 
     try {
     console.log('createOrder called with body:', JSON.stringify(req.body, null, 2));
@@ -195,11 +214,12 @@ export const createOrder = async (req, res) => {
   // Calculate total and validate stock
     // We now treat catalog product.price as already expressed in the chosen store currency.
     // Previous implementation multiplied by an exchangeRate (assuming a USD base) which caused inflated totals
-    // when catalog prices were already in the display currency. We set exchangeRate=1 for backward compatibility.
+    // when catalog prices were already in the display currency. Amounts stay in the store currency; exchangeRate
+    // only records the store->display rate the shopper saw (1 when no display currency was used).
     let totalAmount = 0;
     const orderItems = [];
-    const exchangeRate = 1; // No runtime FX conversion; prices stored as-is
-    const stockUpdates = []; // Track stock updates for rollback
+    const displayRate = resolveDisplayRate(currency, req.body.displayCurrency);
+    const exchangeRate = displayRate?.exchangeRate || 1;
 
     // Defensive normalization of product/variant ids to avoid CastError from accidental suffixes
     const isObjectId = (v) => typeof v === 'string' && /^[0-9a-fA-F]{24}$/.test(v);
@@ -229,55 +249,80 @@ export const createOrder = async (req, res) => {
     };
     const normalizedItems = Array.isArray(items) ? items.map(sanitizeItem) : [];
 
-  const reservationItems = [];
-  for (const item of normalizedItems) {
+    for (const item of normalizedItems) {
       if (!isObjectId(String(item.product))) {
         if (session.inTransaction()) await session.abortTransaction();
         return res.status(400).json({ message: `Invalid product id: ${String(item.product)}` });
       }
-      const baseProductQuery = Product.findById(item.product);
-      const product = useTransaction ? await baseProductQuery.session(session) : await baseProductQuery;
+    }
 
-      if (!product) {
+    // Resolve unit prices server-side (catalog, flash sales, bundles); client-sent prices are ignored
+    let pricing;
+    try {
+      pricing = await priceCartItems(normalizedItems, { session: useTransaction ? session : null });
+    } catch (pricingErr) {
+      if (!pricingErr?.statusCode) throw pricingErr;
+      if (session.inTransaction()) await session.abortTransaction();
+      return res.status(pricingErr.statusCode).json({ message: pricingErr.message });
+    }
+    totalAmount = pricing.subtotal;
+
+    // Re-validate the coupon server-side (per-customer limits, scope, stacking); the client discount is not trusted
+    const orderId = new mongoose.Types.ObjectId();
+    const orderNumber = `ORD${Date.now()}`;
+    if (couponInfo) {
+      const result = await validateCheckoutCoupon({
+        code: couponInfo.code,
+        pricing,
+        user: req.user,
+        email: customerInfo.email,
+        phone: customerInfo.mobile,
+        giftCardApplied: !!req.body?.giftCard?.code
+      });
+      if (!result.ok) {
         if (session.inTransaction()) await session.abortTransaction();
-        return res.status(404).json({ message: `Product not found: ${item.product}` });
+        return res.status(400).json({ message: result.message, reason: result.reason, code: 'COUPON_REJECTED' });
       }
-
-      const qty = Number(item.quantity) || 0;
-      if (qty <= 0) {
+      couponInfo.discount = result.discount;
+      // Claim the redemption before stock is reserved: the ledger enforces the usage limits atomically, so
+      // concurrent checkouts by the same customer cannot all get the discount
+      const claim = await recordRedemption(result.coupon, {
+        identity: result.identity,
+        order: { _id: orderId, orderNumber },
+        discount: result.discount
+      });
+      if (!claim.ok) {
         if (session.inTransaction()) await session.abortTransaction();
-        return res.status(400).json({ message: `Invalid quantity for product ${product.name}` });
+        return res.status(400).json({ message: claim.message, reason: claim.reason, code: 'COUPON_REJECTED' });
       }
+      redemptionOrderId = orderId;
+    }
 
-      const sizeName = item.size;
-      const usingVariant = !!item.variantId;
+    // Prepare reservations to be executed after validating all items
+    // Include size/color as fallback even for variant-based items to match legacy inventory rows if present
+    const reservationItems = normalizedItems.map((item) => {
       const fallbackColor = (typeof item.color === 'string' ? item.color : (item.color?.name || item.color?.code)) || undefined;
-      // Prepare reservation to be executed after validating all items
-      // Include size/color as fallback even for variant-based items to match legacy inventory rows if present
-      reservationItems.push({
-        product: product._id,
-        quantity: qty,
-        ...(usingVariant ? { variantId: item.variantId } : {}),
-        ...(sizeName ? { size: sizeName } : {}),
+      return {
+        product: item.product,
+        quantity: Number(item.quantity) || 0,
+        ...(item.variantId ? { variantId: item.variantId } : {}),
+        ...(item.size ? { size: item.size } : {}),
         ...(fallbackColor ? { color: fallbackColor } : {})
-      });
-
-      // Use catalog price directly (already in store currency)
-      const catalogPrice = Number(product.price);
-      if (!isFinite(catalogPrice)) {
-        if (session.inTransaction()) await session.abortTransaction();
-        return res.status(400).json({ message: `Product ${product.name} has invalid price` });
-      }
-      totalAmount += catalogPrice * qty;
+      };
+    });
 
+    for (const line of pricing.lines) {
+      const { item, product } = line;
+      const usingVariant = !!item.variantId;
+      const { weight, dimensions } = itemShippingSpec(product, item.variantId);
       orderItems.push({
         product: product._id,
-        quantity: qty,
-        price: catalogPrice, // store unmodified
+        quantity: line.quantity,
+        price: line.unitPrice,
         name: product.name,
         image: Array.isArray(product.images) && product.images.length ? product.images[0] : undefined,
         // Include legacy size only when not using explicit variantId
-        size: usingVariant ? undefined : (sizeName || undefined),
+        size: usingVariant ? undefined : (item.size || undefined),
         // Persist optional color and generic variants if provided by client
         color: (typeof item.color === 'string' ? item.color : (item.color?.name || item.color?.code || undefined)),
         variants: Array.isArray(item.variants) ? item.variants.map(v => ({
@@ -287,12 +332,14 @@ export const createOrder = async (req, res) => {
           valueName: v.valueName || v.valueLabel || v.label || undefined
         })) : undefined,
         variantId: (item.variantId ? String(item.variantId) : undefined),
-        sku: (typeof item.sku === 'string' ? item.sku : undefined)
+        sku: (typeof item.sku === 'string' ? item.sku : undefined),
+        weight,
+        dimensions,
+        promotion: line.promotion
       });
-
-      // Track stock update note (no direct product mutation here; inventory service will update totals)
-      stockUpdates.push({ productId: product._id });
     }
+    // Package weight from the catalog (never from the client) for weight-priced shipping rates
+    const shippingPackage = summarizePackage(orderItems, { divisor: await getVolumetricDivisor() });
 
     // Inventory settings control: reserve/decrement on order placement if enabled
     let invCfg = null;
@@ -301,8 +348,10 @@ export const createOrder = async (req, res) => {
   const hasExplicitCfg = invCfg && (Object.prototype.hasOwnProperty.call(invCfg, 'reserveOnCheckout') || Object.prototype.hasOwnProperty.call(invCfg, 'autoDecrementOnOrder'));
   const shouldDecrementNow = hasExplicitCfg ? !!(invCfg?.reserveOnCheckout || invCfg?.autoDecrementOnOrder) : true;
     if (shouldDecrementNow) {
-      // Reserve (decrement) inventory across warehouses for all items atomically
-      await inventoryService.reserveItems(reservationItems, req.user?._id, useTransaction ? session : null);
+      // Reserve (decrement) inventory across warehouses for all items atomically; units of back-order/pre-order
+      // products beyond stock are flagged on the lines and allocated when stock arrives
+      const { backorders } = await inventoryService.reserveItems(reservationItems, req.user?._id, useTransaction ? session : null, { allowBackorder: true });
+      flagBackorderedItems(orderItems, backorders);
     }
 
     // Save or update recipient in Recipient collection
@@ -371,7 +420,7 @@ export const createOrder = async (req, res) => {
       try {
         const addressCountry = normalizedShippingAddress.country;
         const addressCity = normalizedShippingAddress.city;
-        shippingFee = await calcShipFee({ subtotal: totalAmount, weight: 0, country: addressCountry, region: normalizedShippingAddress.areaGroup || undefined, city: addressCity });
+        shippingFee = await calcShipFee({ subtotal: totalAmount, weight: shippingPackage.weight, volume: shippingPackage.volume, missingWeight: shippingPackage.missingWeight, country: addressCountry, region: normalizedShippingAddress.areaGroup || undefined, city: addressCity });
         if (!isFinite(shippingFee) || shippingFee < 0) shippingFee = 0;
       } catch (e) {
         console.warn('Shipping fee calculation failed, will use fallback logic:', e?.message || e);
@@ -414,8 +463,8 @@ export const createOrder = async (req, res) => {
 
     if (!lockFreeShipping && shippingFee === 0) {
       // Final fallback
-      const fallback = Number(process.env.DEFAULT_SHIPPING_FEE || 50);
-      if (isFinite(fallback) && fallback > 0) shippingFee = fallback;
+      const fallback = defaultShippingFee();
+      if (fallback > 0) shippingFee = fallback;
     }
 
     // Last-chance rescue: if still 0 but any raw positive values were provided, take the maximum raw positive
@@ -447,11 +496,15 @@ export const createOrder = async (req, res) => {
   }
   // Create order with auto-generated order number (include shipping & delivery fee fields)
     const order = new Order({
+      _id: orderId,
       user: req.user?._id || undefined,
       items: orderItems,
       totalAmount,
       currency,
       exchangeRate,
+      displayCurrency: displayRate?.displayCurrency,
+      exchangeRateAsOf: displayRate?.exchangeRateAsOf,
+      exchangeRateSource: displayRate?.exchangeRateSource,
       shippingAddress: normalizedShippingAddress,
       paymentMethod,
       customerInfo: {
@@ -462,7 +515,7 @@ export const createOrder = async (req, res) => {
         secondaryMobile: customerInfo.secondaryMobile
       },
       status: 'pending',
-      orderNumber: `ORD${Date.now()}`,
+      orderNumber,
       // Persist only one authoritative shipping fee and mirror it to deliveryFee for legacy consumers.
       shippingFee,
       deliveryFee: shippingFee,
@@ -476,9 +529,11 @@ export const createOrder = async (req, res) => {
         country: normalizedShippingAddress.country,
         city: normalizedShippingAddress.city,
         areaGroup: normalizedShippingAddress.areaGroup,
-        weight: 0
+        weight: shippingPackage.weight,
+        package: shippingPackage
       },
       coupon: couponInfo,
+      promotions: pricing.promotions,
       // For online payments (card/paypal), mark as pending until provider capture completes
       paymentStatus: paymentMethod === 'cod' ? 'pending' : 'pending'
     });
@@ -507,10 +562,15 @@ export const createOrder = async (req, res) => {
       }
     }
 
+    // Outbox event for webhooks; inside the transaction it commits (or aborts) together with the order
+    await enqueueOrderEvent('order.created', savedOrder, { session: useTransaction ? session : null });
+
     // Commit the transaction
     if (session.inTransaction()) {
       await session.commitTransaction();
     }
+    // The order exists: its coupon redemption stays
+    redemptionOrderId = null;
 
     // Emit real-time event for new order
     realTimeEventService.emitNewOrder(savedOrder);
@@ -556,7 +616,7 @@ export const createOrder = async (req, res) => {
         const adminTokensAgg = await MobilePushToken.aggregate([
           { $lookup: { from: 'users', localField: 'user', foreignField: '_id', as: 'u' } },
           { $unwind: '$u' },
-          { $match: { 'u.role': 'admin' } },
+          { $match: { 'u.role': { $in: ORDER_ALERT_ROLES } } },
           { $project: { expoPushToken: 1 } }
         ]);
         const adminTokens = adminTokensAgg.map(d => d.expoPushToken);
@@ -616,28 +676,22 @@ export const createOrder = async (req, res) => {
             const mappingCheck = validateRequiredMappings(savedOrder.toObject(), autoCompany.toObject());
             if (mappingCheck.ok) {
               const deliveryFee = savedOrder.shippingFee || savedOrder.deliveryFee || 0;
-              const dispatchAttempt = withTimeout(sendToCompany(savedOrder.toObject(), autoCompany.toObject(), { deliveryFee }));
+              // Whole order as one shipment; the legacy delivery fields mirror it
+              const dispatchAttempt = withTimeout(dispatchOrder(savedOrder, autoCompany, { deliveryFee }));
               const dispatchResult = await dispatchAttempt;
               if (dispatchResult?.timeout) {
                 autoDispatchResult = { success: false, reason: 'TIMEOUT' };
               } else if (dispatchResult?.error) {
                 throw dispatchResult.error;
               } else {
-                const { trackingNumber, providerResponse, providerStatus } = dispatchResult;
-              savedOrder.deliveryCompany = autoCompany._id;
-              savedOrder.deliveryStatus = mapStatus(autoCompany, providerStatus || 'assigned');
-              savedOrder.deliveryTrackingNumber = trackingNumber;
-              savedOrder.trackingNumber = trackingNumber; // legacy
-              savedOrder.deliveryAssignedAt = new Date();
-              savedOrder.deliveryFee = deliveryFee || savedOrder.deliveryFee || 0;
-              savedOrder.deliveryResponse = providerResponse;
-              await savedOrder.save();
+                const shipment = dispatchResult;
               autoDispatchResult = {
                 success: true,
                 companyId: String(autoCompany._id),
-                trackingNumber,
+                trackingNumber: shipment.trackingNumber,
+                shipmentNumber: shipment.shipmentNumber,
                 status: savedOrder.deliveryStatus,
-                providerStatus: providerStatus || 'assigned'
+                providerStatus: shipment.statusHistory[shipment.statusHistory.length - 1]?.providerStatus || 'assigned'
               };
               }
             } else {
@@ -681,7 +735,9 @@ export const createOrder = async (req, res) => {
           color: it.color,
           variants: it.variants,
           variantId: it.variantId,
-          sku: it.sku
+          sku: it.sku,
+          promotion: it.promotion,
+          backorder: it.backorder?.status ? it.backorder : undefined
         })) : [],
         shippingAddress: savedOrder.shippingAddress,
         paymentMethod: savedOrder.paymentMethod,
@@ -715,6 +771,9 @@ export const createOrder = async (req, res) => {
       if (session.inTransaction()) {
         await session.abortTransaction();
       }
+      if (redemptionOrderId) {
+        try { await voidRedemptionsForOrder(redemptionOrderId); } catch (e) { console.warn('[createOrder] coupon redemption release failed', e?.message || e); }
+      }
 
       if (isWriteConflict(error) && attempt < maxRetries) {
         const delay = 50 * (attempt + 1);
@@ -834,6 +893,9 @@ export const updateOrderStatus = async (req, res) => {
     // Update status
     order.status = status;
     await order.save();
+    if (prevStatus !== status) {
+      await enqueueOrderEvent('order.status_changed', order, { extra: { previousStatus: prevStatus } });
+    }
 
     // Inventory configuration driven stock adjustments
     let invCfg = null;
@@ -854,14 +916,25 @@ export const updateOrderStatus = async (req, res) => {
       try { await inventoryService.reserveItems(asInventoryItems(order.items), req.user?._id || null); } catch (e) { console.warn('Delivery decrement failed:', e?.message || e); }
     }
 
-    // Auto-increment on cancel if it was decremented earlier
+    // Auto-increment on cancel if it was decremented earlier (back-ordered units never left stock)
     if (status === 'cancelled' && prevStatus !== status && invCfg?.autoIncrementOnCancel && decrementedAtOrder) {
-      try { await inventoryService.incrementItems(asInventoryItems(order.items), req.user?._id || null, 'Order cancelled'); } catch (e) { console.warn('Cancel increment failed:', e?.message || e); }
+      const reserved = order.items
+        .map(it => ({ ...it.toObject(), quantity: (Number(it.quantity) || 0) - outstandingBackorder(it) }))
+        .filter(it => it.quantity > 0);
+      try { await inventoryService.incrementItems(asInventoryItems(reserved), req.user?._id || null, 'Order cancelled'); } catch (e) { console.warn('Cancel increment failed:', e?.message || e); }
+    }
+
+    // Release coupon redemptions so a cancelled order does not count toward per-customer limits
+    if (status === 'cancelled' && prevStatus !== status) {
+      try { await voidRedemptionsForOrder(order._id); } catch (e) { console.warn('Coupon redemption void failed:', e?.message || e); }
     }
 
-    // Auto-increment on returned
+    // Auto-increment on returned (units already restocked through a Return/RMA are skipped)
     if (status === 'returned' && prevStatus !== status && invCfg?.autoIncrementOnReturn) {
-      try { await inventoryService.incrementItems(asInventoryItems(order.items), req.user?._id || null, 'Order returned'); } catch (e) { console.warn('Return increment failed:', e?.message || e); }
+      const notYetReturned = order.items
+        .map(it => ({ ...it.toObject(), quantity: (Number(it.quantity) || 0) - (Number(it.returnedQuantity) || 0) }))
+        .filter(it => it.quantity > 0);
+      try { await inventoryService.incrementItems(asInventoryItems(notYetReturned), req.user?._id || null, 'Order returned'); } catch (e) { console.warn('Return increment failed:', e?.message || e); }
     }
 
     // Emit real-time event for order update
@@ -898,9 +971,11 @@ export const recalculateShipping = async (req, res) => {
     }
 
     const subtotal = order.totalAmount || order.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    // Line snapshots, or the current catalog for orders placed before weights were recorded
+    const shippingPackage = await buildCartPackage(order.items);
     let newFee = order.shippingFee || 0;
     try {
-      newFee = await calcShipFee({ subtotal, weight: 0, country, region: areaGroup || undefined, city });
+      newFee = await calcShipFee({ subtotal, weight: shippingPackage.weight, volume: shippingPackage.volume, missingWeight: shippingPackage.missingWeight, country, region: areaGroup || undefined, city });
     } catch (e) {
       return res.status(400).json({ message: 'Failed to calculate shipping', error: e?.message });
     }
@@ -913,7 +988,8 @@ export const recalculateShipping = async (req, res) => {
       country,
       city,
       areaGroup,
-      weight: 0,
+      weight: shippingPackage.weight,
+      package: shippingPackage,
       recalculatedAt: new Date()
     };
     await order.save();
@@ -0,0 +1,18 @@
+import { StatusCodes } from 'http-status-codes';
+import { findTrackableOrder, buildTrackingView, resolveTrackingLanguage } from '../services/orderTrackingService.js';
+
+// Public: where is my order. Body: { orderNumber, phone?, email?, lang? } (one of phone / email required)
+// Language: body.lang, then ?lang, then Accept-Language; English otherwise
+export const trackOrder = async (req, res) => {
+  try {
+    const b = req.body || {};
+    const order = await findTrackableOrder({ orderNumber: b.orderNumber, phone: b.phone, email: b.email });
+    const lang = resolveTrackingLanguage(b.lang) || resolveTrackingLanguage(req.query.lang)
+      || resolveTrackingLanguage(req.headers['accept-language']) || 'en';
+    return res.json({ tracking: await buildTrackingView(order, lang) });
+  } catch (e) {
+    const status = e?.statusCode || StatusCodes.INTERNAL_SERVER_ERROR;
+    if (status >= 500) console.error('Failed to load order tracking', e);
+    return res.status(status).json({ message: status >= 500 ? 'Failed to load order tracking' : e.message });
+  }
+};
@@ -1,7 +1,12 @@
-import Product from '../models/Product.js';
 import PaymentSession from '../models/PaymentSession.js';
 import { getPayPalClient, paypalSdk } from '../services/paypalClient.js';
-import { createPaymentSessionDocument, finalizePaymentSessionToOrder } from '../services/paymentSessionService.js';
+import {
+  createPaymentSessionDocument,
+  finalizePaymentSessionToOrder,
+  resolveSessionCoupon,
+  resolveSessionShipping
+} from '../services/paymentSessionService.js';
+import { priceCartItems } from '../services/promotionPricingService.js';
 
 const isHex24 = (s) => typeof s === 'string' && /^[0-9a-fA-F]{24}$/.test(s);
 
@@ -34,27 +39,12 @@ function parseGiftCardPayload(raw) {
   return { code, amount };
 }
 
-async function calculateCatalogSubtotal(items) {
-  let subtotal = 0;
-  for (const item of items) {
-    const qty = Number(item.quantity) || 0;
-    if (qty <= 0) {
-      throw new Error('invalid_quantity');
-    }
-    if (!item.product) {
-      throw new Error('missing_product');
-    }
-    const product = await Product.findById(item.product);
-    if (!product) {
-      throw new Error(`Product not found: ${item.product}`);
-    }
-    const price = Number(product.price);
-    if (!Number.isFinite(price)) {
-      throw new Error(`Invalid price for product ${product._id}`);
-    }
-    subtotal += price * qty;
+async function calculateCatalogPricing(items) {
+  if (items.some((item) => !item.product)) {
+    throw new Error('missing_product');
   }
-  return subtotal;
+  // Flash sale / bundle pricing is resolved server-side by the shared engine
+  return priceCartItems(items);
 }
 
 // Create a PayPal order based on a local Order document
@@ -81,16 +71,32 @@ export const createPayPalOrder = async (req, res) => {
       return res.status(400).json({ message: 'Complete shipping address is required' });
     }
 
-    const couponInfo = body?.coupon?.code
-      ? { code: String(body.coupon.code).trim(), discount: Math.max(0, Number(body.coupon.discount) || 0) }
-      : undefined;
     const giftCardInfo = parseGiftCardPayload(body?.giftCard);
 
-    const subtotal = await calculateCatalogSubtotal(items);
-    const discount = couponInfo?.discount ? Math.max(0, Number(couponInfo.discount) || 0) : 0;
+    const pricing = await calculateCatalogPricing(items);
+    const subtotal = pricing.subtotal;
+    // Discount computed server-side; body.coupon.discount is ignored
+    const couponResult = await resolveSessionCoupon({
+      code: body?.coupon?.code,
+      pricing,
+      customerInfo,
+      user: req.user,
+      giftCardApplied: !!giftCardInfo
+    });
+    if (!couponResult.ok) {
+      return res.status(400).json({ message: couponResult.message, reason: couponResult.reason, code: 'COUPON_REJECTED' });
+    }
+    const couponInfo = couponResult.coupon;
+    const discount = couponInfo?.discount || 0;
     const discountedSubtotal = Math.max(0, subtotal - discount);
-    const rawShippingFee = Number(body.shippingFee);
-    const shippingFee = Number.isFinite(rawShippingFee) && rawShippingFee >= 0 ? rawShippingFee : 0;
+    // Shipping priced server-side on the cart's catalog weight; body.shippingFee is ignored
+    let shipping;
+    try {
+      shipping = await resolveSessionShipping({ items, subtotal, shippingAddress });
+    } catch (e) {
+      return res.status(400).json({ message: 'Shipping is not available for this address', detail: e?.message });
+    }
+    const { shippingFee, shippingPackage } = shipping;
     const totalWithShipping = discountedSubtotal + shippingFee;
 
     if (!(totalWithShipping > 0)) {
@@ -104,6 +110,7 @@ export const createPayPalOrder = async (req, res) => {
       reference: `PP-${Date.now()}`,
       orderNumber,
       items,
+      user: req.user?._id,
       shippingAddress: {
         street: shippingAddress.street,
         city: shippingAddress.city,
@@ -120,7 +127,9 @@ export const createPayPalOrder = async (req, res) => {
       coupon: couponInfo,
       giftCard: giftCardInfo,
       currency,
+      displayCurrency: body.displayCurrency,
       shippingFee,
+      shippingPackage,
       totalWithShipping
     });
 
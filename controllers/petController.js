@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+import Pet from '../models/Pet.js';
+import Booking from '../models/Booking.js';
+import { hasPermission } from '../utils/permissions.js';
+
+const SPECIES = ['dog', 'cat', 'other'];
+const SIZES = ['small', 'medium', 'large', 'xlarge'];
+const COAT_TYPES = ['short', 'medium', 'long', 'double', 'curly', 'wire', 'hairless'];
+
+const parseDate = (v) => {
+  if (v === null || v === '') return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+};
+
+// Pick editable fields from the request body (undefined = leave unchanged, null/'' = clear)
+function pickPetFields(body = {}) {
+  const out = {};
+  if (typeof body.name === 'string') out.name = body.name.trim();
+  if (SPECIES.includes(body.species)) out.species = body.species;
+  if (body.breed !== undefined) out.breed = body.breed ? String(body.breed).trim() : undefined;
+  if (body.size !== undefined) out.size = SIZES.includes(body.size) ? body.size : undefined;
+  if (body.weightKg !== undefined) {
+    const w = Number(body.weightKg);
+    out.weightKg = body.weightKg !== null && body.weightKg !== '' && Number.isFinite(w) && w >= 0 ? w : undefined;
+  }
+  if (body.coatType !== undefined) out.coatType = COAT_TYPES.includes(body.coatType) ? body.coatType : undefined;
+  for (const key of ['birthDate', 'vaccinationExpiry']) {
+    if (body[key] === undefined) continue;
+    const d = parseDate(body[key]);
+    if (d !== undefined) out[key] = d || undefined;
+  }
+  if (body.temperamentNotes !== undefined) out.temperamentNotes = body.temperamentNotes ? String(body.temperamentNotes) : undefined;
+  if (body.medicalNotes !== undefined) out.medicalNotes = body.medicalNotes ? String(body.medicalNotes) : undefined;
+  if (Array.isArray(body.photos)) out.photos = body.photos.map(String).filter(Boolean);
+  if (body.archived !== undefined) out.archived = !!body.archived;
+  return out;
+}
+
+// Owner or grooming staff; responds and returns null when not accessible
+async function loadPet(req, res) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: 'Invalid pet id' });
+    return null;
+  }
+  const pet = await Pet.findById(id);
+  if (!pet) {
+    res.status(404).json({ message: 'Pet not found' });
+    return null;
+  }
+  const isStaff = hasPermission(req.user, 'grooming:manage');
+  if (!isStaff && String(pet.owner) !== String(req.user._id)) {
+    res.status(403).json({ message: 'Not authorized to access this pet' });
+    return null;
+  }
+  return pet;
+}
+
+// Authenticated user: own pets (?includeArchived=true to include archived). Grooming staff may pass ?owner=<userId>
+export async function listPets(req, res) {
+  try {
+    const isStaff = hasPermission(req.user, 'grooming:manage');
+    const owner = isStaff && req.query.owner ? req.query.owner : req.user._id;
+    const q = { owner };
+    if (req.query.includeArchived !== 'true') q.archived = { $ne: true };
+    const pets = await Pet.find(q).sort({ createdAt: 1 });
+    res.json({ pets });
+  } catch (e) {
+    res.status(500).json({ message: 'Failed to load pets', error: e?.message || e });
+  }
+}
+
+export async function createPet(req, res) {
+  try {
+    const fields = pickPetFields(req.body);
+    if (!fields.name) return res.status(400).json({ message: 'Name is required' });
+    const pet = await Pet.create({ ...fields, owner: req.user._id });
+    res.status(201).json({ pet });
+  } catch (e) {
+    res.status(400).json({ message: 'Failed to create pet', error: e?.message || e });
+  }
+}
+
+// Pet profile with its grooming history
+export async function getPet(req, res) {
+  try {
+    const pet = await loadPet(req, res);
+    if (!pet) return;
+    const history = await Booking.find({ pet: pet._id }).sort({ date: -1, time: -1 });
+    res.json({ pet, history });
+  } catch (e) {
+    res.status(500).json({ message: 'Failed to load pet', error: e?.message || e });
+  }
+}
+
+export async function updatePet(req, res) {
+  try {
+    const pet = await loadPet(req, res);
+    if (!pet) return;
+    const fields = pickPetFields(req.body);
+    if (fields.name === '') return res.status(400).json({ message: 'Name is required' });
+    Object.assign(pet, fields);
+    await pet.save();
+    res.json({ pet });
+  } catch (e) {
+    res.status(400).json({ message: 'Failed to update pet', error: e?.message || e });
+  }
+}
+
+// Pets with bookings are archived so their history survives; others are removed
+export async function deletePet(req, res) {
+  try {
+    const pet = await loadPet(req, res);
+    if (!pet) return;
+    const hasBookings = await Booking.exists({ pet: pet._id });
+    if (hasBookings) {
+      pet.archived = true;
+      await pet.save();
+      return res.json({ pet, archived: true });
+    }
+    await pet.deleteOne();
+    res.json({ message: 'Pet deleted', archived: false });
+  } catch (e) {
+    res.status(500).json({ message: 'Failed to delete pet', error: e?.message || e });
+  }
+}
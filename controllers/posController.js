@@ -1,10 +1,59 @@
-// Basic POS Controller - Initial Implementation  
-// This provides basic endpoints while we build out the full functionality
+// POS Controller
+// Registers sell from a warehouse (POSRegister.warehouse, else Settings.pos.defaultWarehouse); completed sales
+// decrement stock there and refunds put it back.
+import mongoose from 'mongoose';
+import POSRegister from '../models/POSRegister.js';
+import POSSession from '../models/POSSession.js';
+import POSTransaction from '../models/POSTransaction.js';
+import POSCashMovement from '../models/POSCashMovement.js';
+import Warehouse from '../models/Warehouse.js';
+import { posService } from '../services/posService.js';
+import { autoIssuePosDocument } from '../services/fiscalDocumentService.js';
+import {
+  searchCustomers,
+  resolveSaleCustomer,
+  accrueLoyaltyPoints,
+  reverseLoyaltyPoints,
+  getPurchaseHistory
+} from '../services/customerService.js';
+import { loadRedeemableGiftCard } from '../services/giftCardService.js';
+import User from '../models/User.js';
+import { syncOfflineTransactions, listSyncConflicts, resolveSyncConflict } from '../services/posSyncService.js';
+import POSSyncBatch from '../models/POSSyncBatch.js';
+import { hasPermission } from '../utils/permissions.js';
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(String(id || ''));
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const REGISTER_FIELDS = ['name', 'location', 'description', 'isActive', 'openingBalance', 'currency', 'settings'];
+
+// Validates body.warehouse ('' / null clears it); responds and returns false when invalid
+async function applyRegisterWarehouse(body, update, res) {
+  if (body.warehouse === undefined) return true;
+  if (body.warehouse === null || body.warehouse === '') {
+    update.warehouse = null;
+    return true;
+  }
+  if (!isValidId(body.warehouse) || !(await Warehouse.exists({ _id: body.warehouse }))) {
+    res.status(400).json({ message: 'Warehouse not found' });
+    return false;
+  }
+  update.warehouse = body.warehouse;
+  return true;
+}
 
 // Register Management
 export const createRegister = async (req, res) => {
   try {
-    res.status(501).json({ message: 'POS Register creation not yet implemented' });
+    const data = {};
+    for (const key of REGISTER_FIELDS) if (req.body[key] !== undefined) data[key] = req.body[key];
+    if (!data.name || !data.location) {
+      return res.status(400).json({ message: 'Name and location are required' });
+    }
+    if (!(await applyRegisterWarehouse(req.body, data, res))) return;
+    if (!data.currency) data.currency = (await posService.getPosSettings()).currency;
+    const register = await POSRegister.create(data);
+    res.status(201).json(register);
   } catch (error) {
     console.error('Error creating POS register:', error);
     res.status(500).json({ message: 'Error creating POS register', error: error.message });
@@ -13,8 +62,10 @@ export const createRegister = async (req, res) => {
 
 export const getRegisters = async (req, res) => {
   try {
-    // Return empty array for now - this allows the frontend to load without errors
-    res.json([]);
+    const filter = {};
+    if (req.query.active === 'true') filter.isActive = true;
+    const registers = await POSRegister.find(filter).populate('warehouse', 'name').sort({ name: 1 }).lean();
+    res.json(registers);
   } catch (error) {
     console.error('Error fetching POS registers:', error);
     res.status(500).json({ message: 'Error fetching POS registers', error: error.message });
@@ -24,7 +75,11 @@ export const getRegisters = async (req, res) => {
 export const getRegister = async (req, res) => {
   try {
     const { id } = req.params;
-    res.status(404).json({ message: 'POS Register not found' });
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid register id' });
+    const register = await POSRegister.findById(id).populate('warehouse', 'name').lean();
+    if (!register) return res.status(404).json({ message: 'POS Register not found' });
+    const currentSession = await POSSession.findOne({ register: id, status: 'open' }).lean();
+    res.json({ ...register, currentSession });
   } catch (error) {
     console.error('Error fetching POS register:', error);
     res.status(500).json({ message: 'Error fetching POS register', error: error.message });
@@ -34,7 +89,14 @@ export const getRegister = async (req, res) => {
 export const updateRegister = async (req, res) => {
   try {
     const { id } = req.params;
-    res.status(501).json({ message: 'POS Register update not yet implemented' });
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid register id' });
+    const update = {};
+    for (const key of REGISTER_FIELDS) if (req.body[key] !== undefined) update[key] = req.body[key];
+    if (!(await applyRegisterWarehouse(req.body, update, res))) return;
+    const register = await POSRegister.findByIdAndUpdate(id, { $set: update }, { new: true, runValidators: true })
+      .populate('warehouse', 'name');
+    if (!register) return res.status(404).json({ message: 'POS Register not found' });
+    res.json(register);
   } catch (error) {
     console.error('Error updating POS register:', error);
     res.status(500).json({ message: 'Error updating POS register', error: error.message });
@@ -44,7 +106,29 @@ export const updateRegister = async (req, res) => {
 // Session Management
 export const openSession = async (req, res) => {
   try {
-    res.status(501).json({ message: 'POS Session opening not yet implemented' });
+    const registerId = req.body.registerId || req.body.register;
+    if (!isValidId(registerId)) return res.status(400).json({ message: 'registerId is required' });
+    const register = await POSRegister.findById(registerId);
+    if (!register || !register.isActive) return res.status(404).json({ message: 'POS Register not found or inactive' });
+    const existing = await POSSession.findOne({ register: register._id, status: 'open' });
+    if (existing) return res.status(409).json({ message: 'Register already has an open session', session: existing });
+
+    const openingBalance = Number(req.body.openingBalance ?? register.openingBalance ?? 0);
+    if (!Number.isFinite(openingBalance) || openingBalance < 0) {
+      return res.status(400).json({ message: 'Invalid opening balance' });
+    }
+    const session = await POSSession.create({
+      register: register._id,
+      openedBy: req.user._id,
+      openingBalance,
+      openingNotes: req.body.notes || req.body.openingNotes,
+      currency: register.currency
+    });
+    register.lastOpenedBy = req.user._id;
+    register.lastOpenedAt = session.openedAt;
+    register.currentBalance = openingBalance;
+    await register.save();
+    res.status(201).json(session);
   } catch (error) {
     console.error('Error opening POS session:', error);
     res.status(500).json({ message: 'Error opening POS session', error: error.message });
@@ -53,8 +137,49 @@ export const openSession = async (req, res) => {
 
 export const closeSession = async (req, res) => {
   try {
-    res.status(501).json({ message: 'POS Session closing not yet implemented' });
+    const { sessionId } = req.params;
+    if (!isValidId(sessionId)) return res.status(400).json({ message: 'Invalid session id' });
+    const session = await POSSession.findById(sessionId);
+    if (!session) return res.status(404).json({ message: 'Session not found' });
+    if (session.status !== 'open') return res.status(409).json({ message: 'Session is not open' });
+
+    // Blind close: the drawer is counted by denomination and the expected cash is only revealed afterwards
+    const posSettings = await posService.getPosSettings();
+    let closingBalance = Number(req.body.closingBalance);
+    let denominations = [];
+    if (req.body.denominations !== undefined || posSettings.blindClose) {
+      if (req.body.denominations === undefined) {
+        return res.status(400).json({ message: 'Blind close requires a denomination count' });
+      }
+      const count = posService.countDenominations(req.body.denominations, posSettings.cashDenominations);
+      if (req.body.closingBalance !== undefined && round2(closingBalance) !== count.total) {
+        return res.status(400).json({ message: `closingBalance does not match the denomination count (${count.total.toFixed(2)})` });
+      }
+      closingBalance = count.total;
+      denominations = count.denominations;
+    }
+    if (!Number.isFinite(closingBalance) || closingBalance < 0) {
+      return res.status(400).json({ message: 'closingBalance is required' });
+    }
+    const expected = await posService.calculateExpectedCash(session);
+    session.status = 'closed';
+    session.closedBy = req.user._id;
+    session.closedAt = new Date();
+    session.closeMode = posSettings.blindClose ? 'blind' : 'standard';
+    session.countedDenominations = denominations;
+    session.cashMovements = await posService.getCashMovementTotals(session._id);
+    session.closingBalance = closingBalance;
+    session.expectedClosingBalance = expected;
+    session.variance = round2(closingBalance - expected);
+    if (req.body.notes || req.body.closingNotes) session.closingNotes = req.body.notes || req.body.closingNotes;
+    await session.save();
+    await POSRegister.updateOne(
+      { _id: session.register },
+      { $set: { lastClosedBy: req.user._id, lastClosedAt: session.closedAt, currentBalance: closingBalance } }
+    );
+    res.json(session);
   } catch (error) {
+    if (error?.statusCode && error.statusCode < 500) return res.status(error.statusCode).json({ message: error.message });
     console.error('Error closing POS session:', error);
     res.status(500).json({ message: 'Error closing POS session', error: error.message });
   }
@@ -63,18 +188,148 @@ export const closeSession = async (req, res) => {
 export const getCurrentSession = async (req, res) => {
   try {
     const { registerId } = req.params;
-    res.status(404).json({ message: 'No active session found for this register' });
+    if (!isValidId(registerId)) return res.status(400).json({ message: 'Invalid register id' });
+    const session = await POSSession.findOne({ register: registerId, status: 'open' })
+      .populate('openedBy', 'firstName lastName');
+    if (!session) return res.status(404).json({ message: 'No active session found for this register' });
+    // Same redaction as the X report: cashiers counting a blind close do not see the drawer figures
+    res.json(await posService.revealsExpectedCash(req.user) ? session : posService.blindSessionView(session));
   } catch (error) {
     console.error('Error fetching current session:', error);
     res.status(500).json({ message: 'Error fetching current session', error: error.message });
   }
 };
 
+// Cash Movements (drops to the safe, petty-cash pay-outs, float pay-ins)
+export const createCashMovement = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!isValidId(sessionId)) return res.status(400).json({ message: 'Invalid session id' });
+    const session = await POSSession.findById(sessionId);
+    if (!session) return res.status(404).json({ message: 'Session not found' });
+    const { type, amount, reason, reference } = req.body || {};
+    const movement = await posService.recordCashMovement(session, { type, amount, reason, reference }, req.user);
+    res.status(201).json(movement);
+  } catch (error) {
+    if (error?.statusCode && error.statusCode < 500) return res.status(error.statusCode).json({ message: error.message });
+    console.error('Error recording cash movement:', error);
+    res.status(500).json({ message: 'Error recording cash movement', error: error.message });
+  }
+};
+
+export const getCashMovements = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!isValidId(sessionId)) return res.status(400).json({ message: 'Invalid session id' });
+    const session = await POSSession.findById(sessionId).select('status').lean();
+    if (!session) return res.status(404).json({ message: 'Session not found' });
+    // Drops and pay-outs of an open blind-close session are left out of the X report for cashiers too
+    if (session.status !== 'closed' && !(await posService.revealsExpectedCash(req.user))) {
+      return res.status(403).json({ message: 'Cash movements are available once the blind-close session is closed' });
+    }
+    const movements = await POSCashMovement.find({ session: sessionId })
+      .populate('performedBy', 'firstName lastName')
+      .sort({ createdAt: 1 })
+      .lean();
+    res.json(movements);
+  } catch (error) {
+    console.error('Error fetching cash movements:', error);
+    res.status(500).json({ message: 'Error fetching cash movements', error: error.message });
+  }
+};
+
 // Transaction Management
 export const createTransaction = async (req, res) => {
   try {
-    res.status(501).json({ message: 'POS Transaction creation not yet implemented' });
+    const registerId = req.body.registerId || req.body.register;
+    if (!isValidId(registerId)) return res.status(400).json({ message: 'registerId is required' });
+    const register = await POSRegister.findById(registerId);
+    if (!register || !register.isActive) return res.status(404).json({ message: 'POS Register not found or inactive' });
+    const session = await POSSession.findOne({ register: register._id, status: 'open' });
+    if (!session) return res.status(409).json({ message: 'No open session for this register' });
+    const sessionId = req.body.sessionId || req.body.session;
+    if (sessionId && String(sessionId) !== String(session._id)) {
+      return res.status(409).json({ message: 'Session is no longer open' });
+    }
+    // Optional idempotency key: a retried request returns the sale already recorded
+    const clientTransactionId = req.body.clientTransactionId ? String(req.body.clientTransactionId).trim() : undefined;
+    if (clientTransactionId) {
+      const existing = await POSTransaction.findOne({ clientTransactionId });
+      if (existing) return res.status(200).json(existing);
+    }
+
+    const posSettings = await posService.getPosSettings();
+    const warehouse = posService.resolveWarehouse(register, posSettings);
+    const allowNegative = posSettings.allowNegativeInventory;
+    const calc = await posService.validateAndCalculateTransaction({ ...req.body, warehouse, allowNegative });
+    const { customer, customerInfo } = await resolveSaleCustomer({ customer: req.body.customer, customerInfo: req.body.customerInfo });
+
+    const transaction = await POSTransaction.create({
+      session: session._id,
+      register: register._id,
+      cashier: req.user._id,
+      type: 'sale',
+      status: 'pending',
+      items: calc.items,
+      subtotal: calc.subtotal,
+      totalDiscount: calc.totalDiscount,
+      totalTax: calc.totalTax,
+      total: calc.total,
+      paymentMethod: req.body.paymentMethod,
+      payments: calc.payments,
+      amountPaid: calc.amountPaid,
+      change: calc.change,
+      customer,
+      customerInfo,
+      warehouse: warehouse || undefined,
+      currency: register.currency,
+      notes: req.body.notes,
+      clientTransactionId
+    });
+
+    // Gift card balances are charged before stock moves; a declined card voids the sale
+    try {
+      await posService.redeemGiftCardTender(transaction);
+    } catch (gcErr) {
+      transaction.status = 'voided';
+      transaction.internalNotes = `Gift card declined: ${gcErr?.message || gcErr}`;
+      await transaction.save();
+      const status = gcErr?.statusCode && gcErr.statusCode < 500 ? gcErr.statusCode : 500;
+      return res.status(status).json({ message: gcErr?.message || 'Gift card payment failed', transactionId: transaction._id });
+    }
+
+    // Stock is only taken once the sale is recorded; a failure here voids the sale
+    try {
+      await posService.commitSaleInventory(transaction, req.user._id, { allowNegative });
+    } catch (invErr) {
+      await posService.releaseGiftCardTender(transaction);
+      transaction.status = 'voided';
+      transaction.internalNotes = `Inventory commit failed: ${invErr?.message || invErr}`;
+      await transaction.save();
+      const status = invErr?.statusCode === 400 ? 409 : (invErr?.statusCode || 500);
+      return res.status(status).json({ message: invErr?.message || 'Failed to commit inventory', transactionId: transaction._id });
+    }
+    transaction.status = 'completed';
+    transaction.inventoryCommitted = true;
+    await transaction.save();
+    await posService.updateSessionTotals(session._id, transaction);
+    try {
+      await accrueLoyaltyPoints(transaction);
+    } catch (loyaltyErr) {
+      console.error('POS loyalty accrual failed:', loyaltyErr?.message || loyaltyErr);
+    }
+    const document = await autoIssuePosDocument(transaction, req.user);
+    if (document) transaction.receiptNumber = document.documentNumber;
+
+    res.status(201).json(transaction);
   } catch (error) {
+    if (error?.code === 11000 && req.body.clientTransactionId) {
+      const existing = await POSTransaction.findOne({ clientTransactionId: String(req.body.clientTransactionId).trim() });
+      if (existing) return res.status(200).json(existing);
+    }
+    if (error?.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Error creating POS transaction:', error);
     res.status(500).json({ message: 'Error creating POS transaction', error: error.message });
   }
@@ -82,14 +337,39 @@ export const createTransaction = async (req, res) => {
 
 export const getTransactions = async (req, res) => {
   try {
-    // Return empty array for now
+    const { registerId, sessionId, type, status, receiptNumber, dateFrom, dateTo } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const filter = {};
+    if (registerId && isValidId(registerId)) filter.register = registerId;
+    if (sessionId && isValidId(sessionId)) filter.session = sessionId;
+    if (type) filter.type = type;
+    if (status) filter.status = status;
+    if (receiptNumber) filter.receiptNumber = String(receiptNumber).trim();
+    if (dateFrom || dateTo) {
+      filter.createdAt = {};
+      if (dateFrom) filter.createdAt.$gte = new Date(dateFrom);
+      if (dateTo) filter.createdAt.$lte = new Date(dateTo);
+    }
+    // Cashiers see their own transactions; receipt lookups (for refunds) are not restricted
+    if (!hasPermission(req.user, 'pos:manage') && !filter.receiptNumber) filter.cashier = req.user._id;
+
+    const [transactions, total] = await Promise.all([
+      POSTransaction.find(filter)
+        .populate('cashier', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      POSTransaction.countDocuments(filter)
+    ]);
     res.json({
-      transactions: [],
+      transactions,
       pagination: {
-        total: 0,
-        page: 1,
-        limit: 50,
-        pages: 0
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
       }
     });
   } catch (error) {
@@ -101,7 +381,13 @@ export const getTransactions = async (req, res) => {
 export const getTransaction = async (req, res) => {
   try {
     const { id } = req.params;
-    res.status(404).json({ message: 'Transaction not found' });
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid transaction id' });
+    const transaction = await POSTransaction.findById(id)
+      .populate('cashier', 'firstName lastName')
+      .populate('register', 'name location warehouse')
+      .populate('originalTransaction', 'transactionNumber receiptNumber');
+    if (!transaction) return res.status(404).json({ message: 'Transaction not found' });
+    res.json(transaction);
   } catch (error) {
     console.error('Error fetching POS transaction:', error);
     res.status(500).json({ message: 'Error fetching POS transaction', error: error.message });
@@ -109,21 +395,293 @@ export const getTransaction = async (req, res) => {
 };
 
 // Refund and void operations
+// Body: { items?: [{ itemId, quantity }], restock = true, reason, refundMethod, registerId }
+// Without items the whole remaining quantity of every line is refunded.
 export const refundTransaction = async (req, res) => {
   try {
-    res.status(501).json({ message: 'POS Transaction refund not yet implemented' });
+    const { transactionId } = req.params;
+    if (!isValidId(transactionId)) return res.status(400).json({ message: 'Invalid transaction id' });
+    const original = await POSTransaction.findById(transactionId);
+    if (!original) return res.status(404).json({ message: 'Transaction not found' });
+    if (original.type !== 'sale' || original.status !== 'completed') {
+      return res.status(409).json({ message: 'Only completed sales can be refunded' });
+    }
+
+    const registerId = req.body.registerId || original.register;
+    const session = await POSSession.findOne({ register: registerId, status: 'open' });
+    if (!session) return res.status(409).json({ message: 'No open session for this register' });
+
+    const requested = Array.isArray(req.body.items) && req.body.items.length
+      ? req.body.items
+      : original.items.map((it) => ({ itemId: it._id, quantity: it.quantity - (it.refundedQuantity || 0) }));
+    const lines = [];
+    for (const r of requested) {
+      const line = original.items.id(r.itemId);
+      if (!line) return res.status(400).json({ message: `Item ${r.itemId} is not part of this transaction` });
+      const qty = Number(r.quantity);
+      const remaining = line.quantity - (line.refundedQuantity || 0);
+      if (!Number.isFinite(qty) || qty < 0 || qty > remaining) {
+        return res.status(400).json({ message: `Invalid refund quantity for ${line.productName || line.product}. Refundable: ${remaining}` });
+      }
+      if (qty > 0) lines.push({ line, qty });
+    }
+    if (!lines.length) return res.status(400).json({ message: 'Nothing to refund' });
+
+    // Prorate each line's price, discount and tax by the refunded share
+    let subtotal = 0;
+    let totalTax = 0;
+    let totalDiscount = 0;
+    const items = lines.map(({ line, qty }) => {
+      const share = qty / line.quantity;
+      const tax = round2((line.tax?.amount || 0) * share);
+      const discount = round2((line.discount?.amount || 0) * share);
+      const totalPrice = round2(line.totalPrice * share);
+      subtotal += totalPrice - tax;
+      totalTax += tax;
+      totalDiscount += discount;
+      return {
+        product: line.product,
+        variant: line.variant,
+        size: line.size,
+        color: line.color,
+        quantity: qty,
+        unitPrice: line.unitPrice,
+        totalPrice,
+        discount: { amount: discount, percentage: line.discount?.percentage || 0, reason: line.discount?.reason },
+        tax: { rate: line.tax?.rate || 0, amount: tax },
+        productName: line.productName,
+        productSku: line.productSku,
+        variantName: line.variantName,
+        originalItem: line._id
+      };
+    });
+    const total = round2(subtotal + totalTax);
+    const refundMethod = req.body.refundMethod || (original.paymentMethod === 'split' ? 'cash' : original.paymentMethod);
+    if (refundMethod === 'gift-card' && !req.body.giftCardCode && !original.payments.some((p) => p.method === 'gift-card')) {
+      return res.status(400).json({ message: 'giftCardCode is required to refund to a gift card' });
+    }
+
+    // Claim the quantities on the sale first; the version check rejects a concurrent refund of the same lines
+    for (const { line, qty } of lines) line.refundedQuantity = (line.refundedQuantity || 0) + qty;
+    if (original.items.every((it) => (it.refundedQuantity || 0) >= it.quantity)) original.status = 'refunded';
+    original.increment();
+    try {
+      await original.save();
+    } catch (saveErr) {
+      if (saveErr?.name === 'VersionError') {
+        return res.status(409).json({ message: 'Transaction was modified concurrently; reload and try again' });
+      }
+      throw saveErr;
+    }
+
+    const refund = await POSTransaction.create({
+      session: session._id,
+      register: session.register,
+      cashier: req.user._id,
+      type: 'refund',
+      status: 'completed',
+      items,
+      subtotal: round2(subtotal),
+      totalDiscount: round2(totalDiscount),
+      totalTax: round2(totalTax),
+      total,
+      paymentMethod: refundMethod,
+      payments: [{ method: refundMethod, amount: total }],
+      amountPaid: total,
+      customer: original.customer,
+      customerInfo: original.customerInfo,
+      warehouse: original.warehouse,
+      originalTransaction: original._id,
+      currency: original.currency,
+      notes: req.body.reason
+    });
+
+    // Units go back to the warehouse the sale drew from (skip for damaged goods: restock=false)
+    const restock = req.body.restock !== false && original.inventoryCommitted;
+    if (restock) {
+      try {
+        await posService.restockRefund(refund, req.user._id);
+        refund.restocked = true;
+        await refund.save();
+      } catch (invErr) {
+        console.error('POS refund restock failed:', invErr?.message || invErr);
+      }
+    }
+    // Store credit goes back on the card; a failure leaves the refund recorded for manual follow-up
+    let giftCardError;
+    if (refundMethod === 'gift-card') {
+      try {
+        const credited = await posService.refundToGiftCard(refund, original, req.body.giftCardCode);
+        refund.payments[0].reference = credited.code;
+        refund.payments[0].processor = 'gift-card';
+        refund.payments[0].processorResponse = { remainingBalance: credited.remainingBalance };
+        await refund.save();
+      } catch (gcErr) {
+        giftCardError = gcErr?.message || String(gcErr);
+        refund.internalNotes = `Gift card credit failed: ${giftCardError}`;
+        await refund.save();
+      }
+    }
+    try {
+      await reverseLoyaltyPoints(refund, original);
+    } catch (loyaltyErr) {
+      console.error('POS loyalty reversal failed:', loyaltyErr?.message || loyaltyErr);
+    }
+    await posService.updateSessionTotals(session._id, refund);
+    const document = await autoIssuePosDocument(refund, req.user);
+    if (document) refund.receiptNumber = document.documentNumber;
+
+    res.status(201).json({ refund, originalTransaction: original, ...(giftCardError ? { giftCardError } : {}) });
   } catch (error) {
     console.error('Error processing refund:', error);
     res.status(500).json({ message: 'Error processing refund', error: error.message });
   }
 };
 
+// Offline sync
+// Body: { registerId, deviceId?, transactions: [{ clientTransactionId, clientCreatedAt, sessionId?, items, paymentMethod, payments?, ... }] }
+// Always 200 with a per-transaction report; the client drops created/duplicate/conflict entries from its queue.
+export const syncTransactions = async (req, res) => {
+  try {
+    const report = await syncOfflineTransactions({
+      registerId: req.body.registerId || req.body.register,
+      deviceId: req.body.deviceId ? String(req.body.deviceId).slice(0, 200) : undefined,
+      transactions: req.body.transactions,
+      user: req.user
+    });
+    res.json(report);
+  } catch (error) {
+    if (error?.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error syncing offline POS transactions:', error);
+    res.status(500).json({ message: 'Error syncing offline POS transactions', error: error.message });
+  }
+};
+
+export const getSyncConflicts = async (req, res) => {
+  try {
+    res.json(await listSyncConflicts(req.query));
+  } catch (error) {
+    console.error('Error fetching POS sync conflicts:', error);
+    res.status(500).json({ message: 'Error fetching POS sync conflicts', error: error.message });
+  }
+};
+
+export const resolveConflict = async (req, res) => {
+  try {
+    const transaction = await resolveSyncConflict(req.params.id, { user: req.user, note: req.body?.note });
+    res.json(transaction);
+  } catch (error) {
+    if (error?.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error resolving POS sync conflict:', error);
+    res.status(500).json({ message: 'Error resolving POS sync conflict', error: error.message });
+  }
+};
+
+export const getSyncBatches = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const filter = {};
+    if (req.query.registerId && isValidId(req.query.registerId)) filter.register = req.query.registerId;
+    if (req.query.withIssues === 'true') filter.$or = [{ 'summary.conflicts': { $gt: 0 } }, { 'summary.rejected': { $gt: 0 } }];
+    const [batches, total] = await Promise.all([
+      POSSyncBatch.find(filter)
+        .select('-results')
+        .populate('register', 'name location')
+        .populate('submittedBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      POSSyncBatch.countDocuments(filter)
+    ]);
+    res.json({ batches, pagination: { total, page, limit, pages: Math.ceil(total / limit) } });
+  } catch (error) {
+    console.error('Error fetching POS sync batches:', error);
+    res.status(500).json({ message: 'Error fetching POS sync batches', error: error.message });
+  }
+};
+
+export const getSyncBatch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid batch id' });
+    const batch = await POSSyncBatch.findById(id)
+      .populate('register', 'name location')
+      .populate('submittedBy', 'firstName lastName')
+      .lean();
+    if (!batch) return res.status(404).json({ message: 'Sync batch not found' });
+    res.json(batch);
+  } catch (error) {
+    console.error('Error fetching POS sync batch:', error);
+    res.status(500).json({ message: 'Error fetching POS sync batch', error: error.message });
+  }
+};
+
+// Customers
+// GET /api/pos/customers/search?q=<phone|email|name>
+export const lookupCustomers = async (req, res) => {
+  try {
+    const customers = await searchCustomers(req.query.q, { limit: req.query.limit });
+    res.json(customers);
+  } catch (error) {
+    if (error?.statusCode && error.statusCode < 500) return res.status(error.statusCode).json({ message: error.message });
+    console.error('Error searching customers:', error);
+    res.status(500).json({ message: 'Error searching customers', error: error.message });
+  }
+};
+
+// Customer card at the register: contact details, loyalty balance and recent online + in-store purchases
+export const getCustomer = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isValidId(id)) return res.status(400).json({ message: 'Invalid customer id' });
+    const customer = await User.findById(id).select('name email phoneNumber loyaltyPoints createdAt').lean();
+    if (!customer) return res.status(404).json({ message: 'Customer not found' });
+    const purchases = await getPurchaseHistory(id, { limit: req.query.limit });
+    res.json({ ...customer, loyaltyPoints: customer.loyaltyPoints || 0, purchases });
+  } catch (error) {
+    console.error('Error fetching customer:', error);
+    res.status(500).json({ message: 'Error fetching customer', error: error.message });
+  }
+};
+
+// Gift card balance check before tendering (GET /api/pos/gift-cards/:code)
+export const checkGiftCard = async (req, res) => {
+  try {
+    const currency = req.query.currency ? String(req.query.currency) : undefined;
+    const giftCard = await loadRedeemableGiftCard(req.params.code, undefined, { currency });
+    res.json({
+      code: giftCard.code,
+      balance: giftCard.currentBalance,
+      currency: giftCard.currency,
+      status: giftCard.status,
+      expiryDate: giftCard.expiryDate
+    });
+  } catch (error) {
+    if (error?.statusCode && error.statusCode < 500) return res.status(error.statusCode).json({ message: error.message });
+    console.error('Error checking gift card:', error);
+    res.status(500).json({ message: 'Error checking gift card', error: error.message });
+  }
+};
+
 // Reports
 export const getSessionReport = async (req, res) => {
   try {
     const { sessionId } = req.params;
-    res.status(501).json({ message: 'POS Session reports not yet implemented' });
+    if (!isValidId(sessionId)) return res.status(400).json({ message: 'Invalid session id' });
+    // Cashiers do not see the expected drawer cash of an open blind-close session (X report)
+    const report = await posService.generateSessionReport(sessionId, {
+      type: String(req.query.type || 'x').toLowerCase(),
+      revealExpected: await posService.revealsExpectedCash(req.user)
+    });
+    res.json(report);
   } catch (error) {
+    if (error?.statusCode && error.statusCode < 500) return res.status(error.statusCode).json({ message: error.message });
     console.error('Error generating session report:', error);
     res.status(500).json({ message: 'Error generating session report', error: error.message });
   }
@@ -131,9 +689,12 @@ export const getSessionReport = async (req, res) => {
 
 export const getSalesReport = async (req, res) => {
   try {
-    res.status(501).json({ message: 'POS Sales reports not yet implemented' });
+    const { registerId, dateFrom, dateTo, groupBy } = req.query;
+    if (registerId && !isValidId(registerId)) return res.status(400).json({ message: 'Invalid register id' });
+    const report = await posService.generateSalesReport({ registerId, dateFrom, dateTo, groupBy });
+    res.json(report);
   } catch (error) {
     console.error('Error generating sales report:', error);
     res.status(500).json({ message: 'Error generating sales report', error: error.message });
   }
-};
\ No newline at end of file
+};
@@ -121,8 +121,9 @@ import { realTimeEventService } from '../services/realTimeEventService.js';
 import { deepseekTranslate, deepseekTranslateBatch, isDeepseekConfigured } from '../services/translate/deepseek.js';
 import { getItemQuantity as rivhitGetQty, testConnectivity as rivhitTest } from '../services/rivhitService.js';
 import { setItemsList } from '../services/mcgService.js';
+import { resolveDisplayCurrency, setDisplayHeaders, addProductDisplayPrices } from '../services/displayCurrencyService.js';
 import { collectMcgIdentifiers, persistMcgBlocklistEntries, persistMcgArchiveEntries, propagateMcgDeletion, markMcgItemsArchived, ensureIdentifiersHaveMcgIds, restoreMcgItemsFromArchive } from '../services/mcgDeletionService.js';
-// Currency conversion disabled for product storage/display; prices are stored and served as-is in store currency
+// Prices are stored and served in the store currency; ?currency= adds converted `display` prices alongside
 
 // Get all products
 // Shared query builder so both product listing and facet endpoints derive sizes/colors from actual filtered product set
@@ -281,6 +282,7 @@ async function buildProductQuery(params) {
 
 export const getProducts = async (req, res) => {
   try {
+    const display = await resolveDisplayCurrency(req.query.currency);
     let reqLang = typeof req.query.lang === 'string' ? req.query.lang.trim() : '';
     // Normalize language code to primary subtag we actually store ('ar' | 'he' | 'en')
     if (reqLang) {
@@ -487,8 +489,15 @@ export const getProducts = async (req, res) => {
       })
     );
 
+    if (display) {
+      productsWithInventory.forEach((p) => addProductDisplayPrices(p, display));
+      setDisplayHeaders(res, display);
+    }
     res.json(productsWithInventory);
   } catch (error) {
+    if (error?.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Error fetching products:', error);
     res.status(500).json({ message: 'Failed to fetch products' });
   }
@@ -918,7 +927,7 @@ export const getProductFilters = async (req, res) => {
 // Get single product
 export const getProduct = async (req, res) => {
   try {
-  // Currency query param ignored; no conversion performed
+    const display = await resolveDisplayCurrency(req.query.currency);
     let reqLang = typeof req.query.lang === 'string' ? req.query.lang.trim() : '';
     if (reqLang) {
       reqLang = String(reqLang).toLowerCase();
@@ -1102,8 +1111,15 @@ export const getProduct = async (req, res) => {
       try { console.warn('[getProduct] failed to compute real buyer count', e?.message || e); } catch {}
     }
 
+    if (display) {
+      addProductDisplayPrices(productObj, display);
+      setDisplayHeaders(res, display);
+    }
     res.json(productObj);
   } catch (error) {
+    if (error?.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Error fetching product:', error);
     res.status(500).json({ message: error.message });
   }
@@ -1202,6 +1218,11 @@ export const createProduct = async (req, res) => {
       brand: req.body.brand || undefined,
       // optional Rivhit mapping on create
       rivhitItemId: Number.isFinite(Number(req.body.rivhitItemId)) ? Number(req.body.rivhitItemId) : undefined,
+      // optional back-order / pre-order setting ({ mode, expectedDate, maxQuantity })
+      backorder: req.body.backorder && typeof req.body.backorder === 'object' ? req.body.backorder : undefined,
+      // optional shipping weight (kg) and dimensions ({ length, width, height } in cm)
+      weight: Number.isFinite(Number(req.body.weight)) && req.body.weight !== '' && req.body.weight !== null ? Number(req.body.weight) : undefined,
+      dimensions: req.body.dimensions && typeof req.body.dimensions === 'object' ? req.body.dimensions : undefined,
       isNew: !!req.body.isNew,
       isFeatured: !!req.body.isFeatured,
       sizeGuide,
@@ -2371,11 +2392,11 @@ export const generateProductVariants = async (req, res) => {
   }
 };
 
-// Update one variant (price, sku, stock, images, isActive)
+// Update one variant (price, sku, stock, images, isActive, weight, dimensions)
 export const updateVariant = async (req, res) => {
   try {
   const { id, variantId } = req.params;
-  const { sku, barcode, price, originalPrice, stock, images, isActive, rivhitItemId } = req.body || {};
+  const { sku, barcode, price, originalPrice, stock, images, isActive, rivhitItemId, weight, dimensions } = req.body || {};
     const product = await Product.findById(id);
     if (!product) return res.status(404).json({ message: 'Product not found' });
     const identifiersBefore = collectMcgIdentifiers(product);
@@ -2389,6 +2410,30 @@ export const updateVariant = async (req, res) => {
       const n = Number(rivhitItemId);
       v.rivhitItemId = Number.isFinite(n) && n > 0 ? n : undefined;
     }
+    // Shipping weight (kg) and dimensions ({ length, width, height } in cm); null or '' falls back to the product's
+    const isBlank = (val) => val === null || val === '';
+    const isNonNegative = (val) => Number.isFinite(Number(val)) && Number(val) >= 0;
+    if (weight !== undefined) {
+      if (!isBlank(weight) && !isNonNegative(weight)) return res.status(400).json({ message: 'weight must be a non-negative number' });
+      v.weight = isBlank(weight) ? undefined : Number(weight);
+    }
+    if (dimensions !== undefined) {
+      if (isBlank(dimensions)) {
+        v.dimensions = undefined;
+      } else {
+        if (typeof dimensions !== 'object' || Array.isArray(dimensions)) {
+          return res.status(400).json({ message: 'dimensions must be an object of { length, width, height }' });
+        }
+        const next = {};
+        for (const key of ['length', 'width', 'height']) {
+          const val = dimensions[key];
+          if (val === undefined || isBlank(val)) continue;
+          if (!isNonNegative(val)) return res.status(400).json({ message: `dimensions.${key} must be a non-negative number` });
+          next[key] = Number(val);
+        }
+        v.dimensions = next;
+      }
+    }
     // Stock handling: prefer inventory as source of truth. If no inventory exists yet for this variant,
     // allow setting stock here by creating an initial record in a default warehouse.
     let createdInitialInventory = false;
@@ -6,6 +6,7 @@ import PushSubscription from '../models/PushSubscription.js';
 import { ApiError } from '../utils/ApiError.js';
 import Settings from '../models/Settings.js';
 import mongoose from 'mongoose';
+import { hasPermission } from '../utils/permissions.js';
 
 // Helper duplicated (lightweight) – convert relative asset to absolute for notification icons
 function toAbsolute(req, url) {
@@ -122,7 +123,7 @@ export const listSubscriptions = async (req, res, next) => {
   try {
     const filter = userFilter(req);
     // If admin requests all subs explicitly
-    if (req.user?.role === 'admin' && req.query.all === 'true') {
+    if (hasPermission(req.user, 'push:send') && req.query.all === 'true') {
       const subs = await PushSubscription.find().select('-__v');
       return res.json({ total: subs.length, subs });
     }
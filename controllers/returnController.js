@@ -0,0 +1,136 @@
+import { StatusCodes } from 'http-status-codes';
+import Order from '../models/Order.js';
+import Return from '../models/Return.js';
+import {
+  canAccessOrder,
+  createReturnRequest,
+  approveReturn,
+  rejectReturn,
+  cancelReturn,
+  receiveReturn,
+  refundReturn
+} from '../services/returnService.js';
+
+function sendError(res, error, fallback) {
+  const status = error?.statusCode || StatusCodes.INTERNAL_SERVER_ERROR;
+  if (status >= 500) console.error(fallback, error);
+  return res.status(status).json({ message: error?.message || fallback });
+}
+
+async function loadOrderReturn(req, res) {
+  const doc = await Return.findOne({ _id: req.params.returnId, order: req.params.id });
+  if (!doc) {
+    res.status(StatusCodes.NOT_FOUND).json({ message: 'Return not found' });
+    return null;
+  }
+  return doc;
+}
+
+// Customer (or guest with matching email): request a return for some order lines
+// Body: { items: [{ orderItem, quantity, reason, note }], note, email? }
+export const createOrderReturn = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(StatusCodes.NOT_FOUND).json({ message: 'Order not found' });
+    if (!canAccessOrder(order, { user: req.user, email: req.body?.email })) {
+      return res.status(StatusCodes.FORBIDDEN).json({ message: 'Not allowed to return this order' });
+    }
+    const doc = await createReturnRequest(order, { items: req.body?.items, note: req.body?.note, user: req.user });
+    return res.status(StatusCodes.CREATED).json(doc);
+  } catch (e) {
+    return sendError(res, e, 'Failed to create return request');
+  }
+};
+
+// Customer / admin: returns for one order
+export const listOrderReturns = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('user customerInfo');
+    if (!order) return res.status(StatusCodes.NOT_FOUND).json({ message: 'Order not found' });
+    if (!canAccessOrder(order, { user: req.user, email: req.query?.email })) {
+      return res.status(StatusCodes.FORBIDDEN).json({ message: 'Not allowed to view returns for this order' });
+    }
+    const list = await Return.find({ order: order._id }).sort({ createdAt: -1 }).lean();
+    return res.json(list);
+  } catch (e) {
+    return sendError(res, e, 'Failed to list returns');
+  }
+};
+
+export const cancelOrderReturn = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('user customerInfo');
+    if (!order) return res.status(StatusCodes.NOT_FOUND).json({ message: 'Order not found' });
+    if (!canAccessOrder(order, { user: req.user, email: req.body?.email })) {
+      return res.status(StatusCodes.FORBIDDEN).json({ message: 'Not allowed to cancel this return' });
+    }
+    const doc = await loadOrderReturn(req, res);
+    if (!doc) return;
+    await cancelReturn(doc, { userId: req.user?._id });
+    return res.json(doc);
+  } catch (e) {
+    return sendError(res, e, 'Failed to cancel return');
+  }
+};
+
+// Admin: all returns, optional ?status=
+export const listReturns = async (req, res) => {
+  try {
+    const filter = req.query?.status ? { status: req.query.status } : {};
+    const list = await Return.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(500, Number(req.query?.limit) || 200))
+      .lean();
+    return res.json(list);
+  } catch (e) {
+    return sendError(res, e, 'Failed to list returns');
+  }
+};
+
+export const approveOrderReturn = async (req, res) => {
+  try {
+    const doc = await loadOrderReturn(req, res);
+    if (!doc) return;
+    await approveReturn(doc, { adminId: req.user?._id, note: req.body?.note });
+    return res.json(doc);
+  } catch (e) {
+    return sendError(res, e, 'Failed to approve return');
+  }
+};
+
+export const rejectOrderReturn = async (req, res) => {
+  try {
+    const doc = await loadOrderReturn(req, res);
+    if (!doc) return;
+    await rejectReturn(doc, { adminId: req.user?._id, note: req.body?.note });
+    return res.json(doc);
+  } catch (e) {
+    return sendError(res, e, 'Failed to reject return');
+  }
+};
+
+// Body: { warehouseId, items?: [{ itemId, receivedQuantity, restock }], note? }
+export const receiveOrderReturn = async (req, res) => {
+  try {
+    const doc = await loadOrderReturn(req, res);
+    if (!doc) return;
+    const { warehouseId, items, note } = req.body || {};
+    await receiveReturn(doc, { warehouseId, items, note, adminId: req.user?._id });
+    return res.json(doc);
+  } catch (e) {
+    return sendError(res, e, 'Failed to receive return');
+  }
+};
+
+// Body: { method: 'original' | 'store_credit', amount? }
+export const refundOrderReturn = async (req, res) => {
+  try {
+    const doc = await loadOrderReturn(req, res);
+    if (!doc) return;
+    const { method, amount } = req.body || {};
+    await refundReturn(doc, { method, amount: amount != null ? Number(amount) : undefined, adminId: req.user?._id });
+    return res.json(doc);
+  } catch (e) {
+    return sendError(res, e, 'Failed to refund return');
+  }
+};
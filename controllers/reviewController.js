@@ -1,5 +1,6 @@
 import Product from '../models/Product.js';
 import { validateReviewData } from '../utils/validation.js';
+import { hasPermission } from '../utils/permissions.js';
 
 // Get all reviews (admin)
 export const getAllReviews = async (req, res) => {
@@ -293,8 +294,8 @@ export const deleteReview = async (req, res) => {
       return res.status(404).json({ message: 'Review not found' });
     }
 
-    // Check if user is admin or review owner
-    if (req.user.role !== 'admin' && review.user.toString() !== req.user._id.toString()) {
+    // Check if user may moderate reviews or owns the review
+    if (!hasPermission(req.user, 'catalog:write') && review.user.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: 'Not authorized to delete this review' });
     }
 
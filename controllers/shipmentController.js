@@ -0,0 +1,136 @@
+import { StatusCodes } from 'http-status-codes';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import DeliveryCompany from '../models/DeliveryCompany.js';
+import {
+  createShipment,
+  dispatchShipment,
+  updateShipmentStatus,
+  cancelShipment,
+  findShipment,
+  unallocatedQuantities
+} from '../services/shipmentService.js';
+import { validateCompanyConfiguration } from '../services/deliveryIntegrationService.js';
+
+function sendError(res, error, fallback) {
+  const status = error?.statusCode || StatusCodes.INTERNAL_SERVER_ERROR;
+  if (status >= 500) console.error(fallback, error);
+  return res.status(status).json({ message: error?.message || fallback });
+}
+
+async function loadOrder(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(StatusCodes.BAD_REQUEST).json({ message: 'Invalid order id' });
+    return null;
+  }
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    res.status(StatusCodes.NOT_FOUND).json({ message: 'Order not found' });
+    return null;
+  }
+  return order;
+}
+
+const shipmentSummary = (order) => ({
+  orderStatus: order.status,
+  unshipped: [...unallocatedQuantities(order).entries()]
+    .filter(([, quantity]) => quantity > 0)
+    .map(([orderItem, quantity]) => ({ orderItem, quantity }))
+});
+
+// Admin: shipments of an order and the units not yet in one
+export const listOrderShipments = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    await order.populate([
+      { path: 'shipments.warehouse', select: 'name code' },
+      { path: 'shipments.deliveryCompany', select: 'name code' }
+    ]);
+    return res.json({ shipments: order.shipments, ...shipmentSummary(order) });
+  } catch (e) {
+    return sendError(res, e, 'Failed to list shipments');
+  }
+};
+
+// Admin: split off a shipment
+// Body: { items?: [{ orderItem, quantity }], warehouse?, deliveryCompany?, deliveryFee?, codAmount?, notes? }
+export const createOrderShipment = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    const b = req.body || {};
+    const shipment = await createShipment(order, {
+      items: b.items,
+      warehouse: b.warehouse,
+      deliveryCompany: b.deliveryCompany,
+      deliveryFee: b.deliveryFee,
+      codAmount: b.codAmount,
+      notes: b.notes,
+      user: req.user
+    });
+    return res.status(StatusCodes.CREATED).json({ shipment, ...shipmentSummary(order) });
+  } catch (e) {
+    return sendError(res, e, 'Failed to create shipment');
+  }
+};
+
+// Admin: send one shipment to its (or the given) delivery company. Body: { companyId?, deliveryFee? }
+export const dispatchOrderShipment = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    const shipment = findShipment(order, req.params.shipmentId);
+    const companyId = req.body?.companyId || shipment.deliveryCompany;
+    const company = companyId
+      ? await DeliveryCompany.findById(companyId)
+      : await DeliveryCompany.findOne({ isActive: true, isDefault: true }) || await DeliveryCompany.findOne({ isActive: true }).sort('name');
+    if (!company) return res.status(StatusCodes.NOT_FOUND).json({ message: 'Delivery company not found' });
+    const cfg = validateCompanyConfiguration(company.toObject());
+    if (!cfg.ok) {
+      return res.status(StatusCodes.BAD_REQUEST).json({ message: 'Delivery company configuration is incomplete', issues: cfg.issues });
+    }
+    const deliveryFee = req.body?.deliveryFee != null ? Number(req.body.deliveryFee) : undefined;
+    await dispatchShipment(order, shipment, company, { deliveryFee, user: req.user });
+    return res.json({ shipment, ...shipmentSummary(order) });
+  } catch (e) {
+    if (e && (e.code === 'MAPPING_MISSING' || e.code === 'PARAMS_MISSING')) {
+      return res.status(StatusCodes.BAD_REQUEST).json({ message: e.message, code: e.code, ...(e.details ? { details: e.details } : {}) });
+    }
+    return sendError(res, e, 'Failed to dispatch shipment');
+  }
+};
+
+// Admin: record a shipment status by hand. Body: { status, trackingNumber?, note?, estimatedDate? }
+export const updateOrderShipmentStatus = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    const shipment = findShipment(order, req.params.shipmentId);
+    const b = req.body || {};
+    await updateShipmentStatus(order, shipment, {
+      status: b.status,
+      trackingNumber: b.trackingNumber,
+      note: b.note,
+      estimatedDate: b.estimatedDate ? new Date(b.estimatedDate) : undefined,
+      source: 'admin',
+      user: req.user
+    });
+    return res.json({ shipment, ...shipmentSummary(order) });
+  } catch (e) {
+    return sendError(res, e, 'Failed to update shipment');
+  }
+};
+
+// Admin: cancel a shipment that has not left the store; its units can be shipped again
+export const cancelOrderShipment = async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+    const shipment = findShipment(order, req.params.shipmentId);
+    await cancelShipment(order, shipment, { note: req.body?.note, user: req.user });
+    return res.json({ shipment, ...shipmentSummary(order) });
+  } catch (e) {
+    return sendError(res, e, 'Failed to cancel shipment');
+  }
+};
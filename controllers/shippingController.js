@@ -1,6 +1,7 @@
 import ShippingZone from '../models/ShippingZone.js';
 import ShippingRate from '../models/ShippingRate.js';
 import { calculateShippingFee as calculateFee, getAvailableShippingOptions } from '../services/shippingService.js';
+import { buildCartPackage } from '../services/shippingPackageService.js';
 import { StatusCodes } from 'http-status-codes';
 import { ApiError } from '../utils/ApiError.js';
 import XLSX from 'xlsx';
@@ -131,9 +132,18 @@ export const deleteShippingRate = async (req, res) => {
 // Fee Calculation
 export const calculateShippingFee = async (req, res) => {
   try {
-    const { subtotal, weight, country, region, areaGroup, city } = req.body;
-    const fee = await calculateFee({ subtotal, weight, country, region, areaGroup, city });
-    res.json({ fee, cityApplied: !!city });
+    const { subtotal, country, region, areaGroup, city, items } = req.body;
+    let { weight, volume } = req.body;
+    let missingWeight = 0;
+    // Cart lines ({ product, variantId, quantity }): weigh them from the products instead of trusting the client
+    const pkg = Array.isArray(items) && items.length ? await buildCartPackage(items) : null;
+    if (pkg) {
+      weight = pkg.weight;
+      volume = pkg.volume;
+      missingWeight = pkg.missingWeight;
+    }
+    const fee = await calculateFee({ subtotal, weight, volume, missingWeight, country, region, areaGroup, city });
+    res.json({ fee, cityApplied: !!city, ...(pkg ? { package: pkg } : {}) });
   } catch (error) {
     throw new ApiError(StatusCodes.BAD_REQUEST, error.message || 'Failed to calculate shipping fee');
   }
@@ -142,8 +152,8 @@ export const calculateShippingFee = async (req, res) => {
 // Get options (including city overrides) for UI selection
 export const getShippingOptions = async (req, res) => {
   try {
-    const { country, region, areaGroup, city, subtotal, weight } = req.query;
-    const options = await getAvailableShippingOptions({ country, region, areaGroup, city, subtotal: Number(subtotal) || 0, weight: Number(weight) || 0 });
+    const { country, region, areaGroup, city, subtotal, weight, volume } = req.query;
+    const options = await getAvailableShippingOptions({ country, region, areaGroup, city, subtotal: Number(subtotal) || 0, weight: Number(weight) || 0, volume: Number(volume) || 0 });
     res.json({ options });
   } catch (error) {
     throw new ApiError(StatusCodes.BAD_REQUEST, error.message || 'Failed to get shipping options');
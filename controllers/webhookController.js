@@ -0,0 +1,185 @@
+import mongoose from 'mongoose';
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import OutboxEvent from '../models/OutboxEvent.js';
+import {
+  WEBHOOK_EVENT_TYPES,
+  generateWebhookSecret,
+  sanitizeEventFilters,
+  enqueueEvent
+} from '../services/webhookService.js';
+import { redeliver } from '../services/webhookDispatcher.js';
+
+const isHttpUrl = (value) => {
+  try {
+    const u = new URL(String(value));
+    return u.protocol === 'https:' || u.protocol === 'http:';
+  } catch {
+    return false;
+  }
+};
+
+// Secrets are write-only: responses show only the tail
+const present = (sub, { revealSecret = false } = {}) => {
+  const o = typeof sub.toObject === 'function' ? sub.toObject() : { ...sub };
+  if (!revealSecret) o.secret = o.secret ? `…${String(o.secret).slice(-4)}` : '';
+  return o;
+};
+
+const paging = (query) => {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(query.limit, 10) || 50));
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+export async function listSubscriptions(req, res) {
+  try {
+    const subs = await WebhookSubscription.find().sort({ createdAt: -1 }).lean();
+    res.json({ subscriptions: subs.map((s) => present(s)), eventTypes: WEBHOOK_EVENT_TYPES });
+  } catch (e) {
+    res.status(500).json({ message: 'Failed to load webhook subscriptions', error: e?.message || e });
+  }
+}
+
+// Response includes the full signing secret once; later reads mask it
+export async function createSubscription(req, res) {
+  try {
+    const { name, url, events, active, description, secret } = req.body || {};
+    if (!name || !String(name).trim()) return res.status(400).json({ message: 'Name is required' });
+    if (!isHttpUrl(url)) return res.status(400).json({ message: 'A valid http(s) URL is required' });
+    const sub = await WebhookSubscription.create({
+      name: String(name).trim(),
+      url: String(url).trim(),
+      secret: secret && String(secret).length >= 16 ? String(secret) : generateWebhookSecret(),
+      events: sanitizeEventFilters(events),
+      active: active !== false,
+      description,
+      createdBy: req.user?._id
+    });
+    res.status(201).json({ subscription: present(sub, { revealSecret: true }) });
+  } catch (e) {
+    res.status(400).json({ message: 'Failed to create webhook subscription', error: e?.message || e });
+  }
+}
+
+// PUT body may include rotateSecret: true to issue a new signing secret (returned once)
+export async function updateSubscription(req, res) {
+  try {
+    const sub = await WebhookSubscription.findById(req.params.id);
+    if (!sub) return res.status(404).json({ message: 'Webhook subscription not found' });
+    const { name, url, events, active, description, rotateSecret } = req.body || {};
+    if (name !== undefined) {
+      if (!String(name).trim()) return res.status(400).json({ message: 'Name is required' });
+      sub.name = String(name).trim();
+    }
+    if (url !== undefined) {
+      if (!isHttpUrl(url)) return res.status(400).json({ message: 'A valid http(s) URL is required' });
+      sub.url = String(url).trim();
+    }
+    if (events !== undefined) sub.events = sanitizeEventFilters(events);
+    if (active !== undefined) {
+      sub.active = !!active;
+      if (sub.active) sub.consecutiveFailures = 0;
+    }
+    if (description !== undefined) sub.description = description;
+    if (rotateSecret) sub.secret = generateWebhookSecret();
+    await sub.save();
+    res.json({ subscription: present(sub, { revealSecret: !!rotateSecret }) });
+  } catch (e) {
+    res.status(400).json({ message: 'Failed to update webhook subscription', error: e?.message || e });
+  }
+}
+
+export async function deleteSubscription(req, res) {
+  try {
+    const sub = await WebhookSubscription.findByIdAndDelete(req.params.id);
+    if (!sub) return res.status(404).json({ message: 'Webhook subscription not found' });
+    // Queued deliveries for this endpoint can never succeed now
+    await WebhookDelivery.updateMany(
+      { subscription: sub._id, status: { $in: ['pending', 'retrying'] } },
+      { $set: { status: 'failed', error: 'Subscription deleted' } }
+    );
+    res.json({ message: 'Webhook subscription deleted' });
+  } catch (e) {
+    res.status(500).json({ message: 'Failed to delete webhook subscription', error: e?.message || e });
+  }
+}
+
+// Queue a webhook.ping event for a single subscription
+export async function pingSubscription(req, res) {
+  try {
+    const sub = await WebhookSubscription.findById(req.params.id).lean();
+    if (!sub) return res.status(404).json({ message: 'Webhook subscription not found' });
+    const event = await enqueueEvent('webhook.ping', { subscription: String(sub._id), message: 'Test event' }, { subscription: sub._id });
+    if (!event) return res.status(500).json({ message: 'Failed to queue test event' });
+    res.status(202).json({ message: 'Test event queued', eventId: event._id });
+  } catch (e) {
+    res.status(500).json({ message: 'Failed to queue test event', error: e?.message || e });
+  }
+}
+
+// GET /api/webhooks/deliveries?subscription=&status=&eventType=&page=&limit=
+export async function listDeliveries(req, res) {
+  try {
+    const filter = {};
+    if (req.query.subscription && mongoose.Types.ObjectId.isValid(req.query.subscription)) filter.subscription = req.query.subscription;
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.eventType) filter.eventType = String(req.query.eventType);
+    const { page, limit, skip } = paging(req.query);
+    const [items, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-attemptLog -responseBody')
+        .populate('subscription', 'name url')
+        .lean(),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+    res.json({ items, total, page, pages: Math.ceil(total / limit) });
+  } catch (e) {
+    res.status(500).json({ message: 'Failed to load webhook deliveries', error: e?.message || e });
+  }
+}
+
+export async function getDelivery(req, res) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid delivery id' });
+    const delivery = await WebhookDelivery.findById(req.params.id)
+      .populate('subscription', 'name url active')
+      .populate('event')
+      .lean();
+    if (!delivery) return res.status(404).json({ message: 'Delivery not found' });
+    res.json({ delivery });
+  } catch (e) {
+    res.status(500).json({ message: 'Failed to load webhook delivery', error: e?.message || e });
+  }
+}
+
+export async function redeliverDelivery(req, res) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid delivery id' });
+    const result = await redeliver(req.params.id);
+    res.json({ result });
+  } catch (e) {
+    res.status(e?.statusCode || 500).json({ message: e?.statusCode ? e.message : 'Failed to redeliver webhook', error: e?.message || e });
+  }
+}
+
+// Recent outbox events (newest first)
+export async function listEvents(req, res) {
+  try {
+    const filter = {};
+    if (req.query.type) filter.type = String(req.query.type);
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.aggregateId) filter.aggregateId = String(req.query.aggregateId);
+    const { page, limit, skip } = paging(req.query);
+    const [items, total] = await Promise.all([
+      OutboxEvent.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      OutboxEvent.countDocuments(filter)
+    ]);
+    res.json({ items, total, page, pages: Math.ceil(total / limit) });
+  } catch (e) {
+    res.status(500).json({ message: 'Failed to load outbox events', error: e?.message || e });
+  }
+}
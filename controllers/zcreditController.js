@@ -1,8 +1,13 @@
 import asyncHandler from 'express-async-handler';
 import Order from '../models/Order.js';
-import Product from '../models/Product.js';
 import PaymentSession from '../models/PaymentSession.js';
-import { finalizePaymentSessionToOrder, createPaymentSessionDocument } from '../services/paymentSessionService.js';
+import {
+  finalizePaymentSessionToOrder,
+  createPaymentSessionDocument,
+  resolveSessionCoupon,
+  resolveSessionShipping
+} from '../services/paymentSessionService.js';
+import { priceCartItems } from '../services/promotionPricingService.js';
 import { createSession, getSessionStatus, resendNotification } from '../services/zcreditService.js';
 
 function deriveOrigin(req) {
@@ -74,36 +79,12 @@ function parseGiftCardPayload(raw) {
 }
 
 async function calculatePricingSummary(items, currency) {
-  const summary = { subtotal: 0 };
-  for (const item of items) {
-    const qty = Number(item.quantity) || 0;
-    if (qty <= 0) {
-      throw new Error('invalid_quantity');
-    }
-    let unitPrice = undefined;
-    // Prefer client-provided price to avoid DB dependency/timeouts
-    const provided = Number(item.price);
-    if (Number.isFinite(provided) && provided > 0) {
-      unitPrice = provided;
-    } else if (item.product) {
-      // Fallback to DB price only when no valid client price was provided
-      const product = await Product.findById(item.product);
-      if (product) {
-        unitPrice = Number(product.price);
-        if (!Number.isFinite(unitPrice) || unitPrice <= 0) {
-          throw new Error(`Invalid price for product ${product._id}`);
-        }
-      } else {
-        throw new Error(`Product not found and no valid price provided: ${item.product}`);
-      }
-    } else {
-      throw new Error('missing_product_and_price');
-    }
-
-    summary.subtotal += unitPrice * qty;
+  if (items.some((item) => !item.product)) {
+    throw new Error('missing_product');
   }
-  summary.currency = currency;
-  return summary;
+  // Same server-side engine that finalizes the order, so the charged amount matches promo pricing
+  const pricing = await priceCartItems(items);
+  return { subtotal: pricing.subtotal, promotions: pricing.promotions, currency, pricing };
 }
 
 function buildSessionUrlSet(req, sessionId) {
@@ -329,18 +310,34 @@ export const createSessionFromCartHandler = asyncHandler(async (req, res) => {
     const detail = err?.message || 'pricing_failed';
     return res.status(400).json({ message: 'pricing_failed', detail });
   }
-  const couponInfo = body?.coupon?.code
-    ? { code: String(body.coupon.code).trim(), discount: Math.max(0, Number(body.coupon.discount) || 0) }
-    : undefined;
   const giftCardInfo = parseGiftCardPayload(body?.giftCard);
+  // Discount computed server-side; body.coupon.discount is ignored
+  const couponResult = await resolveSessionCoupon({
+    code: body?.coupon?.code,
+    pricing: summary.pricing,
+    customerInfo,
+    user: req.user,
+    giftCardApplied: !!giftCardInfo
+  });
+  if (!couponResult.ok) {
+    return res.status(400).json({ message: couponResult.message, reason: couponResult.reason, code: 'COUPON_REJECTED' });
+  }
+  const couponInfo = couponResult.coupon;
 
   let itemsTotal = summary.subtotal;
   if (couponInfo?.discount) {
     itemsTotal = Math.max(0, itemsTotal - couponInfo.discount);
   }
 
-  const rawShippingFee = Number(body.shippingFee);
-  const shippingFee = Number.isFinite(rawShippingFee) && rawShippingFee >= 0 ? rawShippingFee : 0;
+  // Shipping priced server-side on the cart's catalog weight; body.shippingFee is ignored
+  let shipping;
+  try {
+    shipping = await resolveSessionShipping({ items: normalizedItems, subtotal: summary.subtotal, shippingAddress });
+  } catch (err) {
+    try { console.error('[zcredit][session-from-cart] shipping calculation failed', err?.message || err); } catch {}
+    return res.status(400).json({ message: 'shipping_unavailable', detail: err?.message || 'shipping_failed' });
+  }
+  const { shippingFee, shippingPackage } = shipping;
   const totalWithShipping = itemsTotal + shippingFee;
   const giftDeduction = giftCardInfo?.amount || 0;
   const cardChargeAmount = Math.max(0, totalWithShipping - giftDeduction);
@@ -356,6 +353,7 @@ export const createSessionFromCartHandler = asyncHandler(async (req, res) => {
     reference: `ZC-${Date.now()}`,
     orderNumber,
     items: normalizedItems,
+    user: req.user?._id,
     shippingAddress: {
       street: shippingAddress.street,
       city: shippingAddress.city,
@@ -372,7 +370,9 @@ export const createSessionFromCartHandler = asyncHandler(async (req, res) => {
     coupon: couponInfo,
     giftCard: giftCardInfo,
     currency,
+    displayCurrency: body.displayCurrency,
     shippingFee,
+    shippingPackage,
     totalWithShipping,
     cardChargeAmount
   });
@@ -80,12 +80,20 @@ import meshulamRoutes from './routes/meshulamRoutes.js';
 import mobilePushRoutes from './routes/mobilePushRoutes.js';
 import groomingRoutes from './routes/groomingRoutes.js';
 import visitorRoutes from './routes/visitorRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import documentRoutes from './routes/documentRoutes.js';
+import { auditRequests } from './middleware/audit.js';
 // Lazy import function to warm DeepSeek config from DB
 import { loadDeepseekConfigFromDb } from './services/translate/deepseek.js';
 import { startPushScheduler } from './services/pushScheduler.js';
 import { startMcgSyncScheduler } from './services/mcgSyncScheduler.js';
 import { startPaymentSessionJanitor } from './services/paymentSessionJanitor.js';
 import { startCheckoutDraftReminderScheduler } from './services/checkoutDraftReminderScheduler.js';
+import { startBookingNotificationScheduler } from './services/bookingNotificationScheduler.js';
+import { startExchangeRateScheduler } from './services/exchangeRateService.js';
+import { startWebhookDispatcher } from './services/webhookDispatcher.js';
+import { startDeliveryStatusPoller } from './services/deliveryStatusPoller.js';
 
 // Path Setup
 const __filename = fileURLToPath(import.meta.url);
@@ -207,10 +215,14 @@ app.use((req, res, next) => {
 // Apply Content Security Policy middleware
 app.use(cspMiddleware);
 
+// Carrier webhooks are signed over the exact bytes received: keep them for signature checks and the webhook log
+const keepDeliveryWebhookRawBody = (req, res, buf) => {
+  if (req.originalUrl?.startsWith('/api/delivery/webhook/')) req.rawBody = buf;
+};
 // Allow larger JSON payloads (city bulk uploads, etc.) without triggering 413 errors
-app.use(express.json({ limit: '2mb' }));
+app.use(express.json({ limit: '2mb', verify: keepDeliveryWebhookRawBody }));
 // Accept urlencoded for gateway callbacks; additional raw body parsing can be added per-route if needed
-app.use(express.urlencoded({ extended: true, limit: '2mb' }));
+app.use(express.urlencoded({ extended: true, limit: '2mb', verify: keepDeliveryWebhookRawBody }));
 app.use(cookieParser());
 // Serve static for service worker if behind express (especially in production)
 const publicDir = path.resolve(__dirname, '../public');
@@ -280,6 +292,9 @@ app.use('/uploads', (req, res, next) => {
 
 // MongoDB connection handled by dbManager service
 
+// Admin audit trail: records successful mutating calls that passed a staff permission check
+app.use('/api', auditRequests);
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
@@ -336,6 +351,9 @@ app.use('/api/meshulam', meshulamRoutes);
 app.use('/api/cancellation-requests', cancellationRequestRoutes);
 app.use('/api/grooming', groomingRoutes);
 app.use('/api/visitors', visitorRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/documents', documentRoutes);
 
 // Health Check Route
 app.get('/health', (req, res) => {
@@ -683,6 +701,10 @@ const startServer = async () => {
   try { startPushScheduler(app); console.log('[startup] Push scheduler started'); } catch {}
   try { startMcgSyncScheduler(); console.log('[startup] MCG auto-pull scheduler started'); } catch {}
   try { startCheckoutDraftReminderScheduler(); console.log('[startup] Checkout reminder scheduler started'); } catch {}
+  try { startBookingNotificationScheduler(); console.log('[startup] Booking notification scheduler started'); } catch {}
+  try { startWebhookDispatcher(); console.log('[startup] Webhook dispatcher started'); } catch {}
+  try { startExchangeRateScheduler(); console.log('[startup] Exchange rate scheduler started'); } catch {}
+  try { startDeliveryStatusPoller(); console.log('[startup] Delivery status poller started'); } catch {}
 };
 
 // Start server
@@ -0,0 +1,65 @@
+// Admin audit trail middleware.
+// auditRequests (mounted once on /api) records every successful mutating request that passed a staff guard
+// (adminAuth / requirePermission mark req.privileged). Routes that edit a known document add auditEntity()
+// after their guard so the entry carries a before/after diff instead of just the masked request body.
+import { recordAudit } from '../services/auditService.js';
+
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+const ACTIONS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+// '/api/gift-cards' -> 'gift-cards'
+const entityTypeFromUrl = (baseUrl = '') => String(baseUrl).replace(/^\/api\//, '').split('/')[0] || undefined;
+
+export const auditRequests = (req, res, next) => {
+  if (!MUTATING_METHODS.has(req.method)) return next();
+  res.on('finish', async () => {
+    if (!req.privileged || res.statusCode >= 400) return;
+    const audit = req.audit || {};
+    let after;
+    if (audit.load) {
+      try { after = await audit.load(req); } catch (e) {
+        console.warn('[audit] failed to load entity after change:', e?.message || e);
+      }
+    }
+    const entityId = audit.entityId || req.params?.id || after?._id || audit.before?._id;
+    await recordAudit({
+      actor: req.user,
+      action: ACTIONS[req.method],
+      method: req.method,
+      route: `${req.baseUrl || ''}${req.route?.path || ''}` || undefined,
+      path: req.originalUrl.split('?')[0],
+      statusCode: res.statusCode,
+      entityType: audit.entityType || entityTypeFromUrl(req.baseUrl),
+      entityId: entityId ? String(entityId) : undefined,
+      before: audit.load ? audit.before ?? null : undefined,
+      after: audit.load ? after ?? null : undefined,
+      body: req.body,
+      ip: req.ip,
+      userAgent: String(req.headers['user-agent'] || '').slice(0, 512)
+    });
+  });
+  next();
+};
+
+/**
+ * Snapshot the document a route is about to change.
+ * @param {import('mongoose').Model|string} modelOrType Mongoose model (loaded by req.params[idParam]) or an entity type name
+ * @param {{ load?: (req) => Promise<object|null>, idParam?: string }} [options] custom loader, e.g. for the Settings singleton
+ * Usage: router.put('/:id', requirePermission('orders:write'), auditEntity(Order), updateOrder)
+ */
+export const auditEntity = (modelOrType, { load, idParam = 'id' } = {}) => {
+  const isModel = typeof modelOrType === 'function' && modelOrType.modelName;
+  const entityType = isModel ? modelOrType.modelName : modelOrType;
+  const loader = load || (isModel ? (req) => modelOrType.findById(req.params[idParam]).lean() : null);
+  return async (req, res, next) => {
+    if (!MUTATING_METHODS.has(req.method) || !loader) return next();
+    try {
+      const before = await loader(req);
+      req.audit = { entityType, entityId: req.params?.[idParam] || before?._id, load: loader, before };
+    } catch (e) {
+      // Invalid ids etc. are the handler's problem; audit falls back to the request body
+      console.warn('[audit] failed to load entity before change:', e?.message || e);
+    }
+    next();
+  };
+};
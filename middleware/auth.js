@@ -1,5 +1,10 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { hasPermission, isFullAccessRole } from '../utils/permissions.js';
+
+// Access tokens issued before a force-logout are no longer accepted
+export const isTokenRevoked = (decoded, user) =>
+  !!user?.tokensInvalidBefore && (Number(decoded?.iat) || 0) * 1000 < new Date(user.tokensInvalidBefore).getTime();
 
 export const auth = async (req, res, next) => {
   try {
@@ -15,6 +20,9 @@ export const auth = async (req, res, next) => {
     if (!user) {
       throw new Error('User not found');
     }
+    if (isTokenRevoked(decoded, user)) {
+      throw new Error('Session revoked');
+    }
 
     req.user = user;
     next();
@@ -33,7 +41,7 @@ export const maybeAuth = async (req, _res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const user = await User.findById(decoded.userId);
-    if (user) req.user = user;
+    if (user && !isTokenRevoked(decoded, user)) req.user = user;
   } catch (error) {
     console.warn('Optional auth skipped:', error?.message || error);
   }
@@ -47,13 +55,14 @@ export const adminAuth = async (req, res, next) => {
   try {
     await auth(req, res, () => {
       console.log('User role check:', req.user?.role);
-      if (req.user?.role !== 'admin') {
+      if (!isFullAccessRole(req.user?.role)) {
         console.log('User is not admin, rejecting request');
         return res.status(403).json({ 
           message: 'Admin access required' 
         });
       }
       console.log('Admin auth successful, proceeding to controller');
+      req.privileged = true; // picked up by the admin audit trail (middleware/audit.js)
       next();
     });
   } catch (error) {
@@ -62,4 +71,25 @@ export const adminAuth = async (req, res, next) => {
       message: 'Admin access required' 
     });
   }
-};
\ No newline at end of file
+};
+
+// Staff access by permission (see utils/permissions.js). All listed permissions are required.
+// Usage: router.put('/:id/status', requirePermission('orders:write'), handler)
+export const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    await auth(req, res, () => {
+      const missing = permissions.filter((p) => !hasPermission(req.user, p));
+      if (missing.length) {
+        return res.status(403).json({
+          message: 'Permission denied',
+          required: missing
+        });
+      }
+      req.privileged = true;
+      next();
+    });
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(403).json({ message: 'Permission denied' });
+  }
+};
@@ -1,6 +1,7 @@
 // Optional auth middleware: attaches user if Authorization header valid, otherwise continues.
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { isTokenRevoked } from './auth.js';
 
 export async function protectOptional(req, res, next) {
   try {
@@ -12,8 +13,8 @@ export async function protectOptional(req, res, next) {
         // Tokens are signed with { userId }, not { id }
         const uid = decoded?.userId || decoded?.id;
         if (uid) {
-          const user = await User.findById(uid).select('_id role');
-          if (user) req.user = user;
+          const user = await User.findById(uid).select('_id role tokensInvalidBefore');
+          if (user && !isTokenRevoked(decoded, user)) req.user = user;
         }
       } catch {}
     }
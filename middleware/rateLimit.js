@@ -0,0 +1,44 @@
+// In-memory fixed-window rate limiter for public endpoints that can be used to probe data (e.g. order lookup).
+// Counters live in this process only; behind several instances each one enforces the limit on its own.
+import { StatusCodes } from 'http-status-codes';
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * @param {Object} options
+ * @param {number} options.windowMs - Window length
+ * @param {number} options.max - Requests allowed per key and window
+ * @param {(req) => string} [options.keyGenerator] - Defaults to the client IP
+ * @param {string} [options.message]
+ */
+export function rateLimit({ windowMs, max, keyGenerator, message = 'Too many requests, please try again later' }) {
+  const hits = new Map();
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, Math.min(windowMs, SWEEP_INTERVAL_MS));
+  sweep.unref?.();
+
+  return (req, res, next) => {
+    const key = (keyGenerator ? keyGenerator(req) : null) || req.ip || 'unknown';
+    const now = Date.now();
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+    res.setHeader('RateLimit-Limit', String(max));
+    res.setHeader('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+    res.setHeader('RateLimit-Reset', String(Math.ceil((entry.resetAt - now) / 1000)));
+    if (entry.count > max) {
+      res.setHeader('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(StatusCodes.TOO_MANY_REQUESTS).json({ message });
+    }
+    return next();
+  };
+}
+
+export default rateLimit;
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// One record per successful mutating admin/staff API call (see middleware/audit.js)
+const auditChangeSchema = new mongoose.Schema({
+  path: { type: String, required: true },
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  actorEmail: { type: String },
+  actorRole: { type: String },
+  action: { type: String, required: true }, // create | update | delete
+  method: { type: String, required: true },
+  route: { type: String }, // route pattern, e.g. /api/orders/:id/status
+  path: { type: String }, // concrete URL path
+  statusCode: { type: Number },
+  entityType: { type: String },
+  entityId: { type: String },
+  changes: { type: [auditChangeSchema], default: [] },
+  body: { type: mongoose.Schema.Types.Mixed }, // masked request body when no entity snapshot is available
+  ip: { type: String },
+  userAgent: { type: String }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+export default mongoose.models.AuditLog || mongoose.model('AuditLog', auditLogSchema);
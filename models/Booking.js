@@ -9,17 +9,49 @@ const ServiceSchema = new mongoose.Schema({
 
 const BookingSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: false },
-  petId: { type: String }, // basic reference or external id
+  pet: { type: mongoose.Schema.Types.ObjectId, ref: 'Pet' },
+  petId: { type: String }, // legacy/external id; new bookings reference `pet`
+  // Pet details at booking time (the profile may change later)
+  petSnapshot: {
+    name: { type: String },
+    species: { type: String },
+    breed: { type: String },
+    size: { type: String },
+    weightKg: { type: Number }
+  },
   date: { type: String, required: true }, // YYYY-MM-DD
   time: { type: String, required: true }, // HH:MM
+  // Assigned groomer/table; empty for bookings made before resources were configured
+  resource: { type: mongoose.Schema.Types.ObjectId, ref: 'GroomingResource' },
+  // Total service duration and cleanup buffer, frozen at booking time
+  durationMin: { type: Number, min: 0 },
+  bufferMin: { type: Number, min: 0 },
+  endTime: { type: String }, // HH:MM (end of service, buffer excluded)
   services: { type: [ServiceSchema], default: [] },
   status: { type: String, default: 'pending' },
   notes: { type: String },
+  // Customer contact for notifications (guests; logged-in users fall back to their profile)
+  contact: {
+    name: { type: String },
+    email: { type: String },
+    phone: { type: String }
+  },
+  // Notification progress, maintained by bookingNotificationScheduler
+  notifications: {
+    // Status / slot the customer was last told about (confirmation resent when either changes)
+    statusNotified: { type: String },
+    slotNotified: { type: String }, // "YYYY-MM-DD HH:MM"
+    reminderSentAt: { type: Date },
+    followUpSentAt: { type: Date }
+  },
 }, {
   timestamps: true
 });
 
 // Prevent duplicate booking for same slot (optional uniqueness constraint)
 BookingSchema.index({ date: 1, time: 1, user: 1 }, { unique: false });
+BookingSchema.index({ date: 1, resource: 1 });
+BookingSchema.index({ pet: 1, date: -1 });
+BookingSchema.index({ status: 1, date: 1 });
 
 export default mongoose.models.Booking || mongoose.model('Booking', BookingSchema);
\ No newline at end of file
@@ -56,7 +56,50 @@ const couponSchema = new mongoose.Schema({
   products: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
-  }]
+  }],
+  // Max redemptions per customer (matched by user id, email or phone); 0/empty = unlimited
+  perCustomerLimit: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Only valid when the customer has no previous (non-cancelled) orders
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Only valid for accounts registered within newCustomerWindowDays
+  newCustomersOnly: {
+    type: Boolean,
+    default: false
+  },
+  newCustomerWindowDays: {
+    type: Number,
+    min: 1,
+    default: 30
+  },
+  // Lines already discounted (flash sale / bundle / catalog originalPrice) do not count toward the discount
+  excludeSaleItems: {
+    type: Boolean,
+    default: false
+  },
+  // Restrict the coupon to specific customers (any match is enough); empty = anyone
+  allowedEmails: [{ type: String, lowercase: true, trim: true }],
+  allowedPhones: [{ type: String, trim: true }],
+  // Stacking rules with other promotions
+  stacking: {
+    giftCards: { type: Boolean, default: true },
+    flashSales: { type: Boolean, default: true }
+  },
+  // Auto-apply campaigns: evaluated against the cart without a typed code (highest discount wins, then priority)
+  autoApply: {
+    type: Boolean,
+    default: false
+  },
+  autoApplyPriority: {
+    type: Number,
+    default: 0
+  }
 }, {
   timestamps: true
 });
@@ -64,5 +107,6 @@ const couponSchema = new mongoose.Schema({
 // Add index for efficient querying
 couponSchema.index({ code: 1 }, { unique: true });
 couponSchema.index({ startDate: 1, endDate: 1, isActive: 1 });
+couponSchema.index({ autoApply: 1, isActive: 1 });
 
 export default mongoose.model('Coupon', couponSchema);
\ No newline at end of file
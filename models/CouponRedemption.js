@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Per-customer coupon redemption ledger. A customer is matched by user id, email or phone,
+// so guests and signed-in users share the same per-customer limits.
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+  code: { type: String, required: true, uppercase: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  email: { type: String, lowercase: true, trim: true },
+  phone: { type: String, trim: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  orderNumber: { type: String },
+  discount: { type: Number, default: 0, min: 0 },
+  autoApplied: { type: Boolean, default: false },
+  // voided when the order is cancelled so the customer can use the coupon again
+  status: { type: String, enum: ['redeemed', 'voided'], default: 'redeemed' }
+}, { timestamps: true });
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index({ coupon: 1, email: 1 });
+couponRedemptionSchema.index({ coupon: 1, phone: 1 });
+couponRedemptionSchema.index({ order: 1 });
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+export default CouponRedemption;
@@ -52,6 +52,37 @@ const apiConfigurationSchema = new mongoose.Schema({
   credentialsInParams: { type: Boolean, default: false },
   // Some JSON-RPC providers omit method; enable per-company
   jsonrpcOmitMethod: { type: Boolean, default: false },
+  // SOAP transport (format 'soap'). Without an envelope template the mapped fields become child elements of
+  // <prefix:operation xmlns:prefix="namespace"> in the Body. Templates use {{field}} placeholders (mapped
+  // fields, escaped) and {{fields}} (all mapped fields as elements).
+  soap: {
+    version: { type: String, enum: ['1.1', '1.2'], default: '1.1' },
+    namespace: { type: String },
+    namespacePrefix: { type: String, default: 'tns' },
+    // Body element of the create call; defaults to `method`
+    operation: { type: String },
+    action: { type: String },
+    envelopeTemplate: { type: String },
+    // Status lookup ({{trackingNumber}} is available to the template)
+    statusOperation: { type: String },
+    statusAction: { type: String },
+    statusEnvelopeTemplate: { type: String },
+    // Dotted paths inside the response Body; common element names are searched when unset
+    trackingPath: { type: String },
+    statusPath: { type: String }
+  },
+  // GraphQL transport (format 'graphql'): the mutation receives the mapped fields as variables, or as one
+  // input object when inputVariable is set (e.g. mutation($input: ShipmentInput!) -> inputVariable 'input')
+  graphql: {
+    mutation: { type: String },
+    operationName: { type: String },
+    inputVariable: { type: String },
+    // Status query; receives $trackingNumber
+    statusQuery: { type: String },
+    // Dotted paths inside `data`; common field names are searched when unset
+    trackingPath: { type: String },
+    statusPath: { type: String }
+  },
 }, { _id: false });
 
 const deliveryCompanySchema = new mongoose.Schema({
@@ -68,6 +99,9 @@ const deliveryCompanySchema = new mongoose.Schema({
   autoDispatchStatuses: { type: [String], default: ['pending'] },
   // Common UI-driven fields
   apiUrl: { type: String },
+  // Customer-facing tracking page on the carrier site, e.g. https://carrier.example/track/{{trackingNumber}}
+  // ({{orderNumber}} is also available); shown on the public order tracking view
+  trackingUrlTemplate: { type: String, trim: true },
   apiFormat: { type: String, enum: ['rest', 'jsonrpc', 'soap', 'graphql'], default: 'rest' },
   credentials: { type: mongoose.Schema.Types.Mixed, default: {} },
   settings: { type: mongoose.Schema.Types.Mixed, default: {} },
@@ -79,6 +113,47 @@ const deliveryCompanySchema = new mongoose.Schema({
   statusMapping: { type: [statusMappingSchema], default: [] },
   areaMappings: { type: [areaMappingSchema], default: [] },
   customFields: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Inbound status webhook at POST /api/delivery/webhook/:code (services/deliveryWebhookService.js)
+  webhook: {
+    enabled: { type: Boolean, default: false },
+    // token: shared secret in tokenHeader (Bearer prefix optional) or ?token=; hmac: signature of the raw body.
+    // There is no unauthenticated mode: a webhook without a secret rejects every request.
+    auth: { type: String, enum: ['token', 'hmac'], default: 'token' },
+    secret: { type: String },
+    tokenHeader: { type: String, default: 'Authorization' },
+    signatureHeader: { type: String, default: 'X-Signature' },
+    signatureAlgorithm: { type: String, enum: ['sha256', 'sha1', 'sha512'], default: 'sha256' },
+    signatureEncoding: { type: String, enum: ['hex', 'base64'], default: 'hex' },
+    // Stripped from the header value before comparing, e.g. 'sha256='
+    signaturePrefix: { type: String, default: '' },
+    // When set, the signed content is `${timestamp}.${rawBody}` and old timestamps are refused.
+    // "t=<ts>,v1=<sig>" header values (our own outbound scheme) carry the timestamp themselves.
+    timestampHeader: { type: String },
+    toleranceSeconds: { type: Number, default: 300 },
+    // JSONPath-style locations in the carrier's payload (e.g. $.data.reference, events[-1].code);
+    // empty = look for the usual key names anywhere in the payload
+    paths: {
+      orderReference: { type: String },
+      shipmentReference: { type: String },
+      status: { type: String },
+      trackingNumber: { type: String },
+      occurredAt: { type: String },
+      estimatedDate: { type: String },
+      deliveredAt: { type: String },
+      notes: { type: String }
+    }
+  },
+  // Status polling for carriers without webhooks (services/deliveryStatusPoller.js): each dispatched shipment
+  // is checked every intervalMinutes until it reaches a final status or is older than maxAgeDays
+  statusPolling: {
+    enabled: { type: Boolean, default: false },
+    intervalMinutes: { type: Number, default: 60, min: 5 },
+    maxAgeDays: { type: Number, default: 30, min: 1 },
+    // Shipments checked per run
+    batchSize: { type: Number, default: 50, min: 1, max: 500 },
+    lastRunAt: { type: Date },
+    lastError: { type: String }
+  },
 }, { timestamps: true });
 
 deliveryCompanySchema.index({ name: 1 }, { unique: true });
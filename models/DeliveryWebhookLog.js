@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// Raw inbound carrier webhook (POST /api/delivery/webhook/...), kept for debugging and replay.
+// Secrets (Authorization, token query) are masked; signature headers are kept to debug verification.
+const deliveryWebhookLogSchema = new mongoose.Schema({
+  company: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliveryCompany' },
+  companyCode: { type: String },
+  // 'company' = /webhook/:companyCode, 'shared' = /webhook/status with the env token
+  endpoint: { type: String, enum: ['company', 'shared'], required: true },
+  method: { type: String },
+  contentType: { type: String },
+  headers: { type: mongoose.Schema.Types.Mixed, default: {} },
+  query: { type: mongoose.Schema.Types.Mixed, default: {} },
+  rawBody: { type: String }, // truncated; only stored for verified requests
+  verified: { type: Boolean, default: false },
+  outcome: { type: String, enum: ['received', 'processed', 'rejected', 'invalid', 'not_found', 'failed'], default: 'received' },
+  responseStatus: { type: Number },
+  error: { type: String },
+  // Fields read from the payload (order reference, status, tracking number, ...)
+  extracted: { type: mongoose.Schema.Types.Mixed, default: null },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  orderNumber: { type: String },
+  shipmentNumber: { type: String },
+  deliveryStatus: { type: String },
+  replays: [{
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    outcome: { type: String },
+    responseStatus: { type: Number },
+    error: { type: String },
+    _id: false
+  }]
+}, { timestamps: true });
+
+deliveryWebhookLogSchema.index({ company: 1, createdAt: -1 });
+deliveryWebhookLogSchema.index({ outcome: 1, createdAt: -1 });
+deliveryWebhookLogSchema.index({ order: 1 }, { sparse: true });
+// Logs are debugging material, not records: keep 90 days
+deliveryWebhookLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.models.DeliveryWebhookLog || mongoose.model('DeliveryWebhookLog', deliveryWebhookLogSchema);
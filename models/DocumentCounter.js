@@ -0,0 +1,9 @@
+import mongoose from 'mongoose';
+
+// Named sequence (e.g. 'fiscal:tax_invoice'); incremented inside the same transaction as the document that uses it
+const documentCounterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+}, { versionKey: false });
+
+export default mongoose.models.DocumentCounter || mongoose.model('DocumentCounter', documentCounterSchema);
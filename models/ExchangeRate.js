@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// Dated exchange rate: units of `currency` per 1 `base` (USD, same base as utils/currency.js)
+const exchangeRateSchema = new mongoose.Schema({
+  base: {
+    type: String,
+    required: true,
+    default: 'USD'
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  source: {
+    type: String,
+    enum: ['file', 'ecb', 'manual'],
+    required: true
+  },
+  // Date the rate applies to (feed publication date, or when an admin entered it)
+  effectiveDate: {
+    type: Date,
+    required: true
+  },
+  fetchedAt: {
+    type: Date,
+    default: Date.now
+  },
+  setBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: String
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ currency: 1, effectiveDate: -1, createdAt: -1 });
+exchangeRateSchema.index({ source: 1, currency: 1, effectiveDate: 1 });
+
+export default mongoose.models.ExchangeRate || mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+const documentLineSchema = new mongoose.Schema({
+  description: { type: String, required: true },
+  sku: { type: String },
+  quantity: { type: Number, default: 1 },
+  unitPrice: { type: Number, default: 0 }, // as charged (VAT inclusive when pricesIncludeVat)
+  discount: { type: Number, default: 0 },
+  vatRate: { type: Number, default: 0 }, // percent
+  net: { type: Number, default: 0 },
+  vat: { type: Number, default: 0 },
+  total: { type: Number, default: 0 } // gross
+}, { _id: false });
+
+const vatBreakdownSchema = new mongoose.Schema({
+  rate: { type: Number, required: true },
+  net: { type: Number, default: 0 },
+  vat: { type: Number, default: 0 },
+  gross: { type: Number, default: 0 }
+}, { _id: false });
+
+const documentDeliverySchema = new mongoose.Schema({
+  channel: { type: String, enum: ['email', 'whatsapp'], required: true },
+  to: { type: String },
+  status: { type: String, enum: ['sent', 'failed'], required: true },
+  error: { type: String },
+  reference: { type: String }, // provider message id
+  sentBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Issued tax invoice / receipt / credit note. Documents are immutable once issued: corrections are credit notes.
+// `number` is gapless per type (DocumentCounter); `documentNumber` is the printed form (prefix + padded number).
+const fiscalDocumentSchema = new mongoose.Schema({
+  type: { type: String, enum: ['tax_invoice', 'receipt', 'credit_note'], required: true },
+  number: { type: Number, required: true },
+  documentNumber: { type: String, required: true },
+  sourceType: { type: String, enum: ['Order', 'POSTransaction'], required: true },
+  source: { type: mongoose.Schema.Types.ObjectId, refPath: 'sourceType', required: true },
+  sourceNumber: { type: String }, // order number / POS transaction number
+  // Credit notes: the invoice/receipt they correct
+  relatedDocument: { type: mongoose.Schema.Types.ObjectId, ref: 'FiscalDocument' },
+  relatedDocumentNumber: { type: String },
+  // One invoice/receipt per source and type; credit notes are keyed by what they refund (return, refund transaction)
+  idempotencyKey: { type: String },
+  issuedAt: { type: Date, default: Date.now },
+  issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  currency: { type: String, required: true },
+  seller: {
+    name: String,
+    businessId: String,
+    address: String,
+    phone: String,
+    email: String
+  },
+  customer: {
+    name: String,
+    email: String,
+    phone: String,
+    address: String,
+    taxId: String
+  },
+  lines: { type: [documentLineSchema], default: [] },
+  vatBreakdown: { type: [vatBreakdownSchema], default: [] },
+  totals: {
+    net: { type: Number, default: 0 },
+    vat: { type: Number, default: 0 },
+    discount: { type: Number, default: 0 },
+    gross: { type: Number, default: 0 }
+  },
+  payments: [{
+    _id: false,
+    method: String,
+    amount: Number,
+    reference: String
+  }],
+  change: { type: Number, default: 0 },
+  pricesIncludeVat: { type: Boolean, default: true },
+  reason: { type: String },
+  footer: { type: String },
+  deliveries: { type: [documentDeliverySchema], default: [] }
+}, { timestamps: true });
+
+fiscalDocumentSchema.index({ type: 1, number: 1 }, { unique: true });
+fiscalDocumentSchema.index(
+  { idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+fiscalDocumentSchema.index({ sourceType: 1, source: 1, issuedAt: -1 });
+fiscalDocumentSchema.index({ issuedAt: -1 });
+fiscalDocumentSchema.index({ documentNumber: 1 });
+
+export default mongoose.models.FiscalDocument || mongoose.model('FiscalDocument', fiscalDocumentSchema);
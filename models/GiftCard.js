@@ -47,6 +47,16 @@ const giftCardSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Order'
     },
+    posTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'POSTransaction'
+    },
+    // refund entries put balance back (negative amount)
+    type: {
+      type: String,
+      enum: ['redemption', 'refund'],
+      default: 'redemption'
+    },
     amount: Number,
     date: {
       type: Date,
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// Working window for one weekday (several entries per day allow breaks)
+const WorkingHoursSchema = new mongoose.Schema({
+  dayOfWeek: { type: Number, required: true, min: 0, max: 6 }, // 0 = Sunday
+  start: { type: String, required: true }, // HH:MM
+  end: { type: String, required: true }, // HH:MM
+}, { _id: false });
+
+// A bookable grooming resource: a groomer (staff member) or a table/station
+const GroomingResourceSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  type: { type: String, enum: ['groomer', 'table'], default: 'groomer' },
+  // Optional staff account linked to a groomer
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Service ids this resource can perform; empty = all services
+  services: { type: [String], default: [] },
+  // Parallel bookings the resource can take (e.g. a wash station with two tubs)
+  capacity: { type: Number, default: 1, min: 1, max: 20 },
+  // Empty = open whenever the shop slot grid is open (Settings.grooming.slots)
+  workingHours: { type: [WorkingHoursSchema], default: [] },
+  // Dates (YYYY-MM-DD) the resource is unavailable
+  daysOff: { type: [String], default: [] },
+  // Cleanup minutes after each booking; falls back to Settings.grooming.bufferMin
+  bufferMin: { type: Number, min: 0, max: 240 },
+  active: { type: Boolean, default: true },
+  sortOrder: { type: Number, default: 0 },
+}, { timestamps: true });
+
+GroomingResourceSchema.index({ active: 1, sortOrder: 1 });
+
+export default mongoose.models.GroomingResource || mongoose.model('GroomingResource', GroomingResourceSchema);
@@ -21,10 +21,10 @@ const inventorySchema = new mongoose.Schema({
     type: String,
     required: false
   },
+  // May go below zero when negative stock is allowed (Settings.inventory.allowNegativeStock / pos.allowNegativeInventory)
   quantity: {
     type: Number,
     required: true,
-    min: 0,
     default: 0
   },
   lowStockThreshold: {
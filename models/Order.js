@@ -1,5 +1,57 @@
 import mongoose from 'mongoose';
 
+// Part of an order sent as one parcel (services/shipmentService.js). An order can be split into several
+// shipments, e.g. in-stock lines now and back-ordered lines later, or lines from different warehouses.
+const shipmentSchema = new mongoose.Schema({
+  // <orderNumber>-S<n>; sent to the carrier as the parcel reference
+  shipmentNumber: { type: String, required: true },
+  items: [{
+    // _id of the line in Order.items
+    orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    variantId: { type: String },
+    size: { type: String },
+    color: { type: String },
+    name: { type: String },
+    quantity: { type: Number, required: true, min: 1 },
+    _id: false
+  }],
+  warehouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse' },
+  deliveryCompany: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliveryCompany' },
+  trackingNumber: { type: String },
+  status: {
+    type: String,
+    enum: ['pending', 'assigned', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'delivery_failed', 'returned', 'cancelled'],
+    default: 'pending'
+  },
+  statusHistory: [{
+    status: { type: String },
+    providerStatus: { type: String },
+    at: { type: Date, default: Date.now },
+    // 'admin' | 'dispatch' | 'webhook' | 'poll'
+    source: { type: String },
+    note: { type: String },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    _id: false
+  }],
+  // Fee charged by the carrier for this parcel and cash it collects on delivery (COD)
+  deliveryFee: { type: Number, default: 0 },
+  codAmount: { type: Number, default: 0 },
+  providerResponse: { type: mongoose.Schema.Types.Mixed, default: null },
+  dispatchedAt: { type: Date },
+  // Set while the parcel is being booked with the carrier, so a second dispatch cannot book it again
+  dispatchStartedAt: { type: Date },
+  estimatedDate: { type: Date },
+  deliveredAt: { type: Date },
+  // Status polling state (services/deliveryStatusPoller.js); failures push nextPollAt further out
+  lastPolledAt: { type: Date },
+  nextPollAt: { type: Date },
+  pollFailures: { type: Number, default: 0 },
+  lastPollError: { type: String },
+  notes: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
@@ -41,8 +93,38 @@ const orderSchema = new mongoose.Schema({
     }],
     // Exact variant reference when applicable (e.g., product.variants[])
     variantId: { type: String },
-    sku: { type: String }
+    sku: { type: String },
+    // Unit shipping weight (kg) and dimensions (cm) at order time (services/shippingPackageService.js)
+    weight: { type: Number },
+    dimensions: {
+      length: { type: Number },
+      width: { type: Number },
+      height: { type: Number }
+    },
+    // Units of this line accepted back through a Return (RMA)
+    returnedQuantity: { type: Number, default: 0, min: 0 },
+    // Promotion that priced this line server-side (absent when the catalog price applied)
+    promotion: {
+      type: { type: String, enum: ['flash_sale', 'bundle'] },
+      refId: { type: mongoose.Schema.Types.ObjectId },
+      name: { type: String },
+      originalPrice: { type: Number }
+    },
+    // Units accepted without stock (services/backorderService.js); allocated FIFO as inventory arrives
+    backorder: {
+      mode: { type: String, enum: ['backorder', 'preorder'] },
+      quantity: { type: Number, min: 0 },
+      allocatedQuantity: { type: Number, min: 0 },
+      status: { type: String, enum: ['pending', 'allocated'] },
+      expectedDate: { type: Date },
+      allocatedAt: { type: Date }
+    }
   }],
+  // Order-level summary of promotions applied by the pricing engine: [{ type, refId, name, units|sets, discount }]
+  promotions: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
   totalAmount: {
     type: Number,
     required: true,
@@ -54,13 +136,17 @@ const orderSchema = new mongoose.Schema({
     enum: ['USD', 'EUR', 'GBP', 'AED', 'SAR', 'QAR', 'KWD', 'BHD', 'OMR', 'JOD', 'LBP', 'EGP', 'IQD', 'ILS'],
     default: () => process.env.STORE_CURRENCY || 'USD'
   },
-  // In single store currency mode, exchangeRate is always 1 (kept for backward compatibility with historical orders/analytics)
+  // Amounts are in the store currency. When the shopper browsed in another display currency, exchangeRate is
+  // the store->display rate used at checkout (displayCurrency units per 1 store unit); otherwise 1.
   exchangeRate: {
     type: Number,
     required: true,
     default: 1,
     min: 0
   },
+  displayCurrency: String,
+  exchangeRateAsOf: Date,
+  exchangeRateSource: String,
   shippingAddress: {
     street: {
       type: String,
@@ -120,9 +206,28 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed', 'failed'],
+    enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
+  // Total refunded through returns (gateway refunds and store credit)
+  refundedAmount: { type: Number, default: 0, min: 0 },
+  // Order amendments (services/orderAmendmentService.js): number of the latest revision and, for paid orders,
+  // the difference still to settle. Positive: to collect from the customer; negative: owed back to them.
+  revision: { type: Number, default: 0 },
+  balanceDue: { type: Number, default: 0 },
+  balanceSettlements: [{
+    // Signed like balanceDue: positive when collected, negative when refunded
+    amount: { type: Number, required: true },
+    method: { type: String, enum: ['original', 'manual'] },
+    gateway: { type: String },
+    reference: { type: String },
+    note: { type: String },
+    providerResponse: { type: mongoose.Schema.Types.Mixed },
+    // 'pending' while a refund through the original payment is with the gateway
+    status: { type: String, enum: ['pending', 'completed'], default: 'completed' },
+    settledAt: { type: Date, default: Date.now },
+    settledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }],
   paymentReference: { type: String },
   paymentDetails: { type: mongoose.Schema.Types.Mixed },
   coupon: {
@@ -136,9 +241,13 @@ const orderSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
+    // partially_shipped / partially_delivered are derived from shipments (services/shipmentService.js)
+    enum: ['pending', 'processing', 'partially_shipped', 'shipped', 'partially_delivered', 'delivered', 'cancelled', 'partially_returned', 'returned'],
     default: 'pending'
   },
+  // Parcels the order is fulfilled in. The single-delivery fields below mirror the most recently
+  // dispatched shipment for screens and integrations that predate split shipments.
+  shipments: { type: [shipmentSchema], default: [] },
   deliveryCompany: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'DeliveryCompany'
@@ -203,6 +312,22 @@ const orderSchema = new mongoose.Schema({
   deliveryNotes: {
     type: String
   },
+  // Delivery status timeline of orders sent before split shipments (shipments keep their own statusHistory)
+  deliveryStatusHistory: [{
+    status: { type: String },
+    providerStatus: { type: String },
+    at: { type: Date, default: Date.now },
+    // 'webhook' | 'poll'
+    source: { type: String },
+    _id: false
+  }],
+  // Status polling state for those orders (services/deliveryStatusPoller.js)
+  deliveryPoll: {
+    lastPolledAt: { type: Date },
+    nextPollAt: { type: Date },
+    failures: { type: Number, default: 0 },
+    lastError: { type: String }
+  },
   // Legacy field for backward compatibility
   trackingNumber: {
     type: String
@@ -281,5 +406,8 @@ orderSchema.index({ deliveryStatus: 1 });
 orderSchema.index({ deliveryTrackingNumber: 1 });
 orderSchema.index({ deliveryCompany: 1, deliveryStatus: 1 });
 orderSchema.index({ deliveryAssignedAt: -1 });
+orderSchema.index({ 'shipments.trackingNumber': 1 }, { sparse: true });
+orderSchema.index({ 'shipments.deliveryCompany': 1, 'shipments.status': 1 }, { sparse: true });
+orderSchema.index({ 'items.backorder.status': 1, 'items.product': 1, createdAt: 1 }, { sparse: true });
 
 export default mongoose.model('Order', orderSchema);
\ No newline at end of file
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// One applied amendment of an order's lines (services/orderAmendmentService.js).
+// Revisions are numbered per order from 1; Order.revision holds the latest number.
+const revisionChangeSchema = new mongoose.Schema({
+  action: { type: String, enum: ['add', 'update', 'remove'], required: true },
+  // _id of the line in Order.items (for adds: the line that was created)
+  orderItem: { type: mongoose.Schema.Types.ObjectId },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variantId: { type: String },
+  size: { type: String },
+  color: { type: String },
+  name: { type: String },
+  previousQuantity: { type: Number, default: 0, min: 0 },
+  quantity: { type: Number, default: 0, min: 0 },
+  unitPrice: { type: Number, min: 0 }
+}, { _id: false });
+
+const totalsSchema = new mongoose.Schema({
+  subtotal: { type: Number, default: 0 },
+  couponDiscount: { type: Number, default: 0 },
+  shippingFee: { type: Number, default: 0 },
+  giftCardApplied: { type: Number, default: 0 },
+  // What the customer pays: subtotal - coupon + shipping - gift card
+  total: { type: Number, default: 0 }
+}, { _id: false });
+
+const stockLineSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  variantId: { type: String },
+  size: { type: String },
+  color: { type: String },
+  quantity: { type: Number }
+}, { _id: false });
+
+const orderRevisionSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  orderNumber: { type: String },
+  revision: { type: Number, required: true, min: 1 },
+  changes: { type: [revisionChangeSchema], default: [] },
+  // Line items as they were before this revision
+  previousItems: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  before: { type: totalsSchema, default: () => ({}) },
+  after: { type: totalsSchema, default: () => ({}) },
+  // after.total - before.total
+  difference: { type: Number, default: 0 },
+  paymentStatus: { type: String },
+  // Amount already paid when the revision was applied and Order.balanceDue after it (paid orders only)
+  amountPaid: { type: Number, default: 0 },
+  balanceDue: { type: Number, default: 0 },
+  coupon: {
+    code: { type: String },
+    previousDiscount: { type: Number },
+    discount: { type: Number },
+    // Set when the coupon no longer applies to the amended lines (e.g. below minimum purchase)
+    droppedReason: { type: String }
+  },
+  shippingRecalculated: { type: Boolean, default: false },
+  // Stock moved because of this revision (only when stock was decremented at order placement)
+  inventory: {
+    adjusted: { type: Boolean, default: false },
+    reserved: { type: [stockLineSchema], default: [] },
+    released: { type: [stockLineSchema], default: [] }
+  },
+  reason: { type: String },
+  warnings: { type: [String], default: [] },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+orderRevisionSchema.index({ order: 1, revision: 1 }, { unique: true });
+
+export default mongoose.models.OrderRevision || mongoose.model('OrderRevision', orderRevisionSchema);
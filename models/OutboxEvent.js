@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// Transactional outbox: domain events written alongside the change that caused them,
+// then fanned out to webhook subscriptions by services/webhookDispatcher.js
+const outboxEventSchema = new mongoose.Schema({
+  type: { type: String, required: true }, // order.created | order.updated | order.status_changed | inventory.updated | webhook.ping
+  aggregateType: { type: String }, // Order | Product
+  aggregateId: { type: String },
+  payload: { type: mongoose.Schema.Types.Mixed },
+  status: { type: String, enum: ['pending', 'processing', 'processed'], default: 'pending' },
+  lockedAt: { type: Date },
+  processedAt: { type: Date },
+  deliveries: { type: Number, default: 0 }, // number of subscriptions it was fanned out to
+  // Optional: restrict fan-out to one subscription (test pings)
+  subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookSubscription' }
+}, { timestamps: true });
+
+outboxEventSchema.index({ status: 1, createdAt: 1 });
+outboxEventSchema.index({ aggregateType: 1, aggregateId: 1, createdAt: -1 });
+
+export default mongoose.models.OutboxEvent || mongoose.model('OutboxEvent', outboxEventSchema);
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// Cash put into or taken out of a register drawer outside of sales and refunds
+//  drop: excess cash moved to the safe; pay_out: petty-cash expense paid from the drawer; pay_in: float top-up
+const posCashMovementSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'POSSession',
+    required: true
+  },
+  register: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'POSRegister',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['drop', 'pay_in', 'pay_out'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  // Safe bag number, supplier invoice, etc.
+  reference: {
+    type: String,
+    trim: true
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    default: 'USD'
+  }
+}, {
+  timestamps: true
+});
+
+posCashMovementSchema.index({ session: 1, createdAt: 1 });
+posCashMovementSchema.index({ register: 1, createdAt: -1 });
+
+// Signed effect on the drawer
+posCashMovementSchema.virtual('signedAmount').get(function() {
+  return this.type === 'pay_in' ? this.amount : -this.amount;
+});
+
+export default mongoose.models.POSCashMovement || mongoose.model('POSCashMovement', posCashMovementSchema);
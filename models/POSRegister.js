@@ -15,6 +15,11 @@ const posRegisterSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Warehouse this register sells from; stock is decremented/restocked there
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -60,5 +65,6 @@ const posRegisterSchema = new mongoose.Schema({
 // Indexes for better performance
 posRegisterSchema.index({ isActive: 1 });
 posRegisterSchema.index({ location: 1 });
+posRegisterSchema.index({ warehouse: 1 });
 
 export default mongoose.model('POSRegister', posRegisterSchema);
\ No newline at end of file
@@ -73,6 +73,23 @@ const posSessionSchema = new mongoose.Schema({
     giftCard: { type: Number, default: 0 },
     other: { type: Number, default: 0 }
   },
+  // Drops, pay-ins and pay-outs (POSCashMovement) recorded during the session
+  cashMovements: {
+    drops: { type: Number, default: 0 },
+    payIns: { type: Number, default: 0 },
+    payOuts: { type: Number, default: 0 }
+  },
+  // Closing count; in blind mode the cashier counts before the expected figure is shown
+  closeMode: {
+    type: String,
+    enum: ['standard', 'blind']
+  },
+  countedDenominations: [{
+    value: { type: Number, required: true, min: 0 },
+    count: { type: Number, required: true, min: 0 },
+    _id: false
+  }],
+  zReportAt: Date,
   // Notes and observations
   openingNotes: String,
   closingNotes: String,
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// One upload of transactions a register recorded while offline, with the per-transaction outcome
+const posSyncResultSchema = new mongoose.Schema({
+  clientTransactionId: String,
+  clientCreatedAt: Date,
+  status: {
+    type: String,
+    enum: ['created', 'duplicate', 'conflict', 'rejected'],
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'POSTransaction'
+  },
+  conflicts: [{
+    type: { type: String },
+    message: String,
+    details: mongoose.Schema.Types.Mixed
+  }],
+  error: String
+}, { _id: false });
+
+const posSyncBatchSchema = new mongoose.Schema({
+  register: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'POSRegister'
+  },
+  deviceId: String,
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  summary: {
+    received: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    conflicts: { type: Number, default: 0 },
+    rejected: { type: Number, default: 0 }
+  },
+  results: [posSyncResultSchema]
+}, {
+  timestamps: true
+});
+
+posSyncBatchSchema.index({ register: 1, createdAt: -1 });
+posSyncBatchSchema.index({ 'summary.conflicts': 1, createdAt: -1 });
+
+export default mongoose.models.POSSyncBatch || mongoose.model('POSSyncBatch', posSyncBatchSchema);
@@ -39,10 +39,13 @@ const posTransactionSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    // Product.variants[] subdocument _id
     variant: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'ProductVariant'
+      type: mongoose.Schema.Types.ObjectId
     },
+    // Non-variant products are stocked by size/color
+    size: String,
+    color: String,
     quantity: {
       type: Number,
       required: true,
@@ -70,7 +73,11 @@ const posTransactionSchema = new mongoose.Schema({
     // Product snapshot for historical accuracy
     productName: String,
     productSku: String,
-    variantName: String
+    variantName: String,
+    // Units already refunded from this sale line
+    refundedQuantity: { type: Number, default: 0, min: 0 },
+    // On refund transactions: the sale line this refund line reverses
+    originalItem: { type: mongoose.Schema.Types.ObjectId }
   }],
   // Financial details
   subtotal: {
@@ -134,6 +141,8 @@ const posTransactionSchema = new mongoose.Schema({
     email: String,
     phone: String
   },
+  // Points added to (sale) or taken from (refund, negative) the customer's balance
+  loyaltyPointsEarned: { type: Number, default: 0 },
   // Discount and promotion tracking
   coupons: [{
     code: String,
@@ -150,6 +159,34 @@ const posTransactionSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Stock source (register warehouse at sale time; empty = all warehouses)
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  inventoryCommitted: { type: Boolean, default: false }, // sale decremented stock
+  restocked: { type: Boolean, default: false }, // refund returned units to stock
+  // Offline sync: id/timestamp generated by the register client; the id makes uploads idempotent
+  clientTransactionId: { type: String, trim: true },
+  clientCreatedAt: Date,
+  offline: { type: Boolean, default: false },
+  syncedAt: Date,
+  syncBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'POSSyncBatch'
+  },
+  // Problems found while syncing (sale is still recorded); a manager reviews and resolves them
+  syncConflicts: [{
+    type: { type: String, enum: ['oversold', 'session_closed', 'session_mismatch', 'gift_card'] },
+    message: String,
+    details: mongoose.Schema.Types.Mixed
+  }],
+  review: {
+    status: { type: String, enum: ['none', 'pending', 'resolved'], default: 'none' },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    resolvedAt: Date,
+    note: String
+  },
   // References
   originalTransaction: {
     type: mongoose.Schema.Types.ObjectId,
@@ -182,9 +219,14 @@ posTransactionSchema.index({ receiptNumber: 1 });
 posTransactionSchema.index({ type: 1, status: 1 });
 posTransactionSchema.index({ customer: 1 });
 posTransactionSchema.index({ createdAt: -1 });
+posTransactionSchema.index(
+  { clientTransactionId: 1 },
+  { unique: true, partialFilterExpression: { clientTransactionId: { $type: 'string' } } }
+);
+posTransactionSchema.index({ 'review.status': 1, createdAt: -1 });
 
-// Generate transaction number before saving
-posTransactionSchema.pre('save', async function(next) {
+// Generate transaction number before validation (it is a required field)
+posTransactionSchema.pre('validate', async function(next) {
   if (this.isNew && !this.transactionNumber) {
     const date = new Date();
     const dateStr = date.toISOString().slice(0, 10).replace(/-/g, '');
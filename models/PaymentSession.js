@@ -33,6 +33,8 @@ const PaymentSessionSchema = new mongoose.Schema({
     areaGroup: { type: String, default: '' },
     country: { type: String, required: true }
   },
+  // Signed-in customer who started the checkout (coupon eligibility is re-checked for them at confirmation)
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   customerInfo: {
     firstName: { type: String, required: true },
     lastName: { type: String, required: true },
@@ -49,7 +51,11 @@ const PaymentSessionSchema = new mongoose.Schema({
     amount: { type: Number }
   },
   currency: { type: String, required: true },
+  // Currency the shopper viewed prices in; the rate is captured on the order at confirmation
+  displayCurrency: { type: String },
   shippingFee: { type: Number, default: 0 },
+  // Cart package weighed from the catalog when the session was created (services/shippingPackageService.js)
+  shippingPackage: { type: mongoose.Schema.Types.Mixed },
   totalWithShipping: { type: Number },
   cardChargeAmount: { type: Number },
 
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// Pet profile owned by a customer; referenced by grooming bookings
+const PetSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  species: { type: String, enum: ['dog', 'cat', 'other'], default: 'dog' },
+  breed: { type: String, trim: true },
+  // Size class used by grooming price/duration rules; derived from weight when not set explicitly
+  size: { type: String, enum: ['small', 'medium', 'large', 'xlarge'] },
+  weightKg: { type: Number, min: 0 },
+  coatType: { type: String, enum: ['short', 'medium', 'long', 'double', 'curly', 'wire', 'hairless'] },
+  birthDate: { type: Date },
+  temperamentNotes: { type: String },
+  medicalNotes: { type: String },
+  vaccinationExpiry: { type: Date },
+  photos: { type: [String], default: [] },
+  // Archived pets are hidden from the booking form but keep their history
+  archived: { type: Boolean, default: false },
+}, { timestamps: true });
+
+// Weight thresholds (kg) for the derived size class
+const SIZE_LIMITS = [['small', 10], ['medium', 25], ['large', 40]];
+
+PetSchema.virtual('sizeClass').get(function() {
+  if (this.size) return this.size;
+  const w = Number(this.weightKg);
+  if (!Number.isFinite(w) || w <= 0) return undefined;
+  const match = SIZE_LIMITS.find(([, max]) => w < max);
+  return match ? match[0] : 'xlarge';
+});
+
+PetSchema.set('toJSON', { virtuals: true });
+PetSchema.set('toObject', { virtuals: true });
+
+export default mongoose.models.Pet || mongoose.model('Pet', PetSchema);
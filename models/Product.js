@@ -246,6 +246,19 @@ const productSchema = new mongoose.Schema({
     stock: { type: Number, min: 0, default: 0 },
     images: [{ type: String }],
     isActive: { type: Boolean, default: true },
+    // Selling without stock for this variant; 'inherit' uses the product setting
+    backorder: {
+      mode: { type: String, enum: ['inherit', 'none', 'backorder', 'preorder'], default: 'inherit' },
+      expectedDate: { type: Date },
+      maxQuantity: { type: Number, min: 0 }
+    },
+    // Shipping weight (kg) and packed dimensions (cm); unset = the product's values apply
+    weight: { type: Number, min: 0 },
+    dimensions: {
+      length: { type: Number, min: 0 },
+      width: { type: Number, min: 0 },
+      height: { type: Number, min: 0 }
+    },
     // The defining combination for this variant
     attributes: [{
       attribute: { type: mongoose.Schema.Types.ObjectId, ref: 'Attribute', required: true },
@@ -270,6 +283,25 @@ const productSchema = new mongoose.Schema({
 
 // Optional Rivhit item id mapping at product level (for simple single-SKU products)
 productSchema.add({ rivhitItemId: { type: Number } });
+// Orders beyond stock: 'backorder' (restock expected) or 'preorder' (not released yet). expectedDate is shown to
+// shoppers; maxQuantity caps the units waiting for stock across open orders (unset = no cap).
+productSchema.add({
+  backorder: {
+    mode: { type: String, enum: ['none', 'backorder', 'preorder'], default: 'none' },
+    expectedDate: { type: Date },
+    maxQuantity: { type: Number, min: 0 }
+  }
+});
+// Shipping weight (kg) and packed dimensions (cm) of one unit; used for weight-based rates and volumetric weight
+// (services/shippingPackageService.js)
+productSchema.add({
+  weight: { type: Number, min: 0 },
+  dimensions: {
+    length: { type: Number, min: 0 },
+    width: { type: Number, min: 0 },
+    height: { type: Number, min: 0 }
+  }
+});
 // Prevent duplicates when importing from Rivhit; allow sparse so most products can be without mapping
 try { productSchema.index({ rivhitItemId: 1 }, { unique: true, sparse: true }); } catch {}
 
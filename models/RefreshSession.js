@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// One login session (refresh token family). The refresh token rotates on every /auth/refresh;
+// only its SHA-256 hash is stored. Presenting an already-rotated token revokes the whole family.
+const refreshSessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  family: { type: String, required: true, unique: true },
+  tokenHash: { type: String, required: true, unique: true },
+  // Recently rotated-out hashes (newest last) used for reuse detection
+  usedTokenHashes: { type: [String], default: [] },
+  rotatedAt: { type: Date },
+  // Hash of the stateless refresh JWT (pre-session login) this session was exchanged for; unique so a legacy
+  // token can only ever be exchanged once
+  legacyTokenHash: { type: String, unique: true, sparse: true },
+  device: {
+    userAgent: { type: String },
+    label: { type: String } // e.g. "Chrome on Windows"
+  },
+  createdIp: { type: String },
+  lastIp: { type: String },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'admin_force_logout', 'reuse_detected']
+  },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+refreshSessionSchema.index({ usedTokenHashes: 1 });
+refreshSessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+// Expired sessions are removed by MongoDB
+refreshSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshSession = mongoose.model('RefreshSession', refreshSessionSchema);
+
+export default RefreshSession;
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+// Return / RMA request for (part of) an order.
+// Lifecycle: requested -> approved -> received -> refunded (or rejected / cancelled)
+const returnItemSchema = new mongoose.Schema({
+  // _id of the line in Order.items being returned
+  orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variantId: { type: String },
+  size: { type: String },
+  color: { type: String },
+  name: { type: String },
+  quantity: { type: Number, required: true, min: 1 },
+  // Unit price paid on the order line (snapshot used for refund amount)
+  unitPrice: { type: Number, required: true, min: 0 },
+  reason: {
+    type: String,
+    enum: ['damaged', 'defective', 'wrong_item', 'not_as_described', 'size_fit', 'changed_mind', 'other'],
+    default: 'other'
+  },
+  note: { type: String },
+  // Set when the item is received: whether it goes back to sellable stock
+  restock: { type: Boolean, default: true },
+  receivedQuantity: { type: Number, default: 0, min: 0 }
+}, { _id: true });
+
+const returnSchema = new mongoose.Schema({
+  rmaNumber: { type: String, required: true, unique: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, index: true },
+  orderNumber: { type: String, index: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  customer: {
+    name: { type: String },
+    email: { type: String },
+    mobile: { type: String }
+  },
+  items: { type: [returnItemSchema], validate: (v) => Array.isArray(v) && v.length > 0 },
+  customerNote: { type: String },
+  status: {
+    type: String,
+    // 'refunding' while the refund is with the gateway (or the store credit is being issued)
+    enum: ['requested', 'approved', 'rejected', 'received', 'refunding', 'refunded', 'cancelled'],
+    default: 'requested',
+    index: true
+  },
+  // Warehouse that received the returned goods (restock target)
+  warehouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse' },
+  refund: {
+    // original: back to the order's payment gateway; store_credit: issued as a gift card
+    method: { type: String, enum: ['original', 'store_credit'] },
+    gateway: { type: String },
+    amount: { type: Number, min: 0 },
+    currency: { type: String },
+    reference: { type: String },
+    giftCard: { type: mongoose.Schema.Types.ObjectId, ref: 'GiftCard' },
+    giftCardCode: { type: String },
+    providerResponse: { type: mongoose.Schema.Types.Mixed },
+    refundedAt: { type: Date },
+    refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  adminNote: { type: String },
+  statusHistory: [{
+    status: { type: String },
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    note: { type: String }
+  }]
+}, { timestamps: true });
+
+returnSchema.virtual('requestedAmount').get(function() {
+  return (this.items || []).reduce((s, it) => s + (it.unitPrice || 0) * (it.quantity || 0), 0);
+});
+
+returnSchema.index({ status: 1, createdAt: -1 });
+
+const Return = mongoose.model('Return', returnSchema);
+export default Return;
@@ -421,6 +421,88 @@ settingsSchema.add({
   }
 });
 
+// In-store POS configuration
+settingsSchema.add({
+  pos: {
+    taxRate: { type: Number, default: 0, min: 0, max: 100 },
+    // Sell below zero at the register (separate from the online allowNegativeStock switch)
+    allowNegativeInventory: { type: Boolean, default: false },
+    requireReceiptPrint: { type: Boolean, default: false },
+    autoLogoutMinutes: { type: Number, default: 30, min: 1 },
+    // Stock source for registers without their own warehouse (empty = all warehouses)
+    defaultWarehouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse' },
+    // Cashiers count the drawer by denomination without seeing the expected cash
+    blindClose: { type: Boolean, default: false },
+    // Note and coin values offered on the count screen (empty = any value accepted)
+    cashDenominations: { type: [Number], default: [] },
+    // Loyalty points per currency unit paid by an identified customer (0 = off); gift card tender earns none
+    loyaltyPointsPerUnit: { type: Number, default: 0, min: 0 }
+  }
+});
+
+// Fiscal documents (tax invoices, receipts, credit notes) for POS sales and online orders
+settingsSchema.add({
+  fiscal: {
+    businessName: { type: String, default: '' },
+    businessId: { type: String, default: '' }, // VAT / company registration number printed on documents
+    address: { type: String, default: '' },
+    phone: { type: String, default: '' },
+    email: { type: String, default: '' },
+    footer: { type: String, default: '' },
+    // VAT percent; empty = derive from mcg.taxMultiplier (utils/mcgTax.js)
+    vatPercent: { type: Number, min: 0, max: 100, default: null },
+    vatExempt: { type: Boolean, default: false },
+    pricesIncludeVat: { type: Boolean, default: true },
+    prefixes: {
+      tax_invoice: { type: String, default: 'INV' },
+      receipt: { type: String, default: 'RCP' },
+      credit_note: { type: String, default: 'CRN' }
+    },
+    // First number per type (only applies before the first document of that type is issued)
+    startNumbers: {
+      tax_invoice: { type: Number, default: 1, min: 1 },
+      receipt: { type: Number, default: 1, min: 1 },
+      credit_note: { type: Number, default: 1, min: 1 }
+    },
+    // Issue a document automatically for every completed POS sale / refund
+    autoIssuePos: { type: Boolean, default: true },
+    posSaleDocumentType: { type: String, enum: ['tax_invoice', 'receipt'], default: 'tax_invoice' },
+    // TrueType font used for PDFs (needed for Hebrew/Arabic text); empty = FISCAL_PDF_FONT env or Helvetica
+    pdfFontPath: { type: String, default: '' }
+  }
+});
+
+// Exchange rates for display currencies (services/exchangeRateService.js)
+settingsSchema.add({
+  exchangeRates: {
+    // static = built-in table in utils/currency.js; file = local JSON; ecb = ECB-style XML feed; manual = admin entry only
+    provider: { type: String, enum: ['static', 'file', 'ecb', 'manual'], default: 'static' },
+    // JSON file: { "base": "USD", "date": "YYYY-MM-DD", "rates": { "ILS": 3.7, ... } }
+    filePath: { type: String, default: '' },
+    feedUrl: { type: String, default: 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml' },
+    refreshMinutes: { type: Number, default: 360, min: 5 },
+    // Rates older than this are still used but conversions carry a warning
+    staleAfterHours: { type: Number, default: 48, min: 1 },
+    lastRefreshAt: Date,
+    lastRefreshError: { type: String, default: '' }
+  },
+  // Storefront browsing in other currencies; checkout still settles in Settings.currency
+  displayCurrencies: {
+    enabled: { type: Boolean, default: false },
+    // Codes offered to shoppers (must be in utils/currency.js SUPPORTED_CURRENCIES)
+    currencies: { type: [String], default: [] },
+    // Per-currency rounding (utils/currency.js roundDisplayPrice), e.g. { currency: 'ILS', increment: 1 }
+    // for whole shekels or { currency: 'SAR', increment: 1, ending: 0.9 } for .90 endings
+    rounding: [{
+      currency: { type: String, required: true, uppercase: true, trim: true },
+      increment: { type: Number, min: 0 },
+      ending: { type: Number, min: 0 },
+      mode: { type: String, enum: ['nearest', 'up', 'down'], default: 'nearest' },
+      _id: false
+    }]
+  }
+});
+
 // Grooming / Booking availability configuration (admin-managed)
 settingsSchema.add({
   grooming: {
@@ -444,6 +526,53 @@ settingsSchema.add({
     },
     // Optional override for per-slot capacity; defaults to env BOOKING_SLOT_CAPACITY when empty
     slotCapacity: { type: Number, default: 4, min: 1, max: 50 },
+    // Scheduling grid: candidate start times every N minutes within resource working hours
+    slotStepMin: { type: Number, default: 15, min: 5, max: 120 },
+    // Default cleanup buffer after each booking (resources may override)
+    bufferMin: { type: Number, default: 10, min: 0, max: 240 },
+    // Pet-based service adjustments, applied in order when a booking references a pet.
+    // A rule matches when every non-empty criterion matches (serviceIds empty = all services).
+    pricingRules: {
+      type: [{
+        _id: false,
+        name: { type: String },
+        serviceIds: { type: [String], default: [] },
+        species: { type: [String], default: [] },
+        sizes: { type: [String], default: [] },
+        breeds: { type: [String], default: [] },
+        priceMultiplier: { type: Number, default: 1, min: 0 },
+        priceDelta: { type: Number, default: 0 },
+        durationMultiplier: { type: Number, default: 1, min: 0 },
+        durationDelta: { type: Number, default: 0 }
+      }],
+      default: []
+    },
+    // Customer notifications for bookings (bookingNotificationScheduler)
+    notifications: {
+      enabled: { type: Boolean, default: false },
+      channels: {
+        whatsapp: { type: Boolean, default: true },
+        push: { type: Boolean, default: true },
+        email: { type: Boolean, default: true }
+      },
+      // Reminder is sent this many hours before the appointment
+      reminderHoursBefore: { type: Number, default: 24, min: 1, max: 168 },
+      // Follow-up / review request this many hours after the booking is marked completed
+      followUpDelayHours: { type: Number, default: 2, min: 0, max: 168 },
+      reviewUrl: { type: String, default: '' },
+      // IANA time zone of the shop; booking date/time strings are local to it
+      timeZone: { type: String, default: 'Asia/Jerusalem' },
+      // Message templates (empty = built-in default). Placeholders:
+      // {{name}} {{petName}} {{date}} {{time}} {{services}} {{status}} {{reviewUrl}}
+      templates: {
+        received: { type: String, default: '' },
+        confirmed: { type: String, default: '' },
+        rescheduled: { type: String, default: '' },
+        cancelled: { type: String, default: '' },
+        reminder: { type: String, default: '' },
+        followUp: { type: String, default: '' }
+      }
+    },
     // Booking hero banner controls (public booking page)
     showHeroBanner: { type: Boolean, default: true },
     heroBannerImage: { type: String, default: '' }
@@ -861,7 +990,9 @@ settingsSchema.add({
     fixedFeeAmount: { type: Number, default: 0, min: 0 },
     // If enabled and order subtotal >= freeShippingMinSubtotal, shipping is free (cost 0)
     freeShippingEnabled: { type: Boolean, default: false },
-    freeShippingMinSubtotal: { type: Number, default: 0, min: 0 }
+    freeShippingMinSubtotal: { type: Number, default: 0, min: 0 },
+    // cm³ per kg for the volumetric weight recorded on orders (rates can use their own divisor)
+    volumetricDivisor: { type: Number, default: 5000, min: 1 }
   }
 });
 
@@ -23,13 +23,13 @@ const shippingRateSchema = new mongoose.Schema({
   },
   method: {
     type: String,
-    enum: ['flat_rate', 'weight_based', 'percentage', 'free'],
+    enum: ['flat_rate', 'weight_based', 'weight_band', 'percentage', 'free'],
     required: [true, 'Shipping method is required']
   },
   cost: {
     type: Number,
     required: function() {
-      return this.method !== 'free';
+      return !['free', 'weight_band'].includes(this.method);
     },
     min: [0, 'Cost cannot be negative']
   },
@@ -50,6 +50,29 @@ const shippingRateSchema = new mongoose.Schema({
       min: 0
     }
   }],
+  // weight_band: cost of the first band the weight fits in (bands sorted by upTo), then extraWeight.cost for
+  // every started extraWeight.step above the last band (no extraWeight: heavier packages do not qualify)
+  weightBands: [{
+    upTo: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    cost: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  extraWeight: {
+    step: { type: Number, min: 0 },
+    cost: { type: Number, min: 0 }
+  },
+  // Price max(actual weight, volume / divisor) instead of the actual weight; volume in cm³, weight in kg
+  volumetric: {
+    enabled: { type: Boolean, default: false },
+    divisor: { type: Number, default: 5000, min: 1 }
+  },
   conditions: {
     minOrderValue: {
       type: Number,
@@ -107,6 +130,9 @@ shippingRateSchema.pre('save', function(next) {
   if (this.method === 'weight_based' && (!this.weightRanges || this.weightRanges.length === 0)) {
     next(new Error('Weight ranges are required for weight-based shipping'));
   }
+  if (this.method === 'weight_band' && (!this.weightBands || this.weightBands.length === 0)) {
+    return next(new Error('Weight bands are required for weight-band shipping'));
+  }
   
   // Validate weight ranges
   if (this.weightRanges) {
@@ -126,8 +152,17 @@ shippingRateSchema.methods.toJSON = function() {
   return rate;
 };
 
-shippingRateSchema.methods.calculateCost = function(orderValue, weight) {
+// Weight the rate is priced on: the actual weight, or the volumetric weight when that is larger
+shippingRateSchema.methods.chargeableWeight = function(weight, volume) {
+  const actual = Number(weight) || 0;
+  if (!this.volumetric?.enabled || !(Number(volume) > 0)) return actual;
+  const divisor = Number(this.volumetric.divisor) > 0 ? Number(this.volumetric.divisor) : 5000;
+  return Math.max(actual, Math.round((Number(volume) / divisor) * 1000) / 1000);
+};
+
+shippingRateSchema.methods.calculateCost = function(orderValue, actualWeight, { volume } = {}) {
   if (!this.isActive) return 0;
+  const weight = this.chargeableWeight(actualWeight, volume);
   
   // Check conditions
   if (this.conditions.minOrderValue && orderValue < this.conditions.minOrderValue) return null;
@@ -149,6 +184,16 @@ shippingRateSchema.methods.calculateCost = function(orderValue, weight) {
         }
       }
       return null; // Weight not in any range
+    case 'weight_band': {
+      const bands = [...(this.weightBands || [])].sort((a, b) => a.upTo - b.upTo);
+      if (!bands.length) return null;
+      const band = bands.find(b => weight <= b.upTo);
+      if (band) return band.cost;
+      const last = bands[bands.length - 1];
+      const step = Number(this.extraWeight?.step);
+      if (!(step > 0)) return null; // Heavier than the last band
+      return last.cost + Math.ceil((weight - last.upTo) / step) * (Number(this.extraWeight.cost) || 0);
+    }
     default:
       return null;
   }
@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import { normalizePhoneE164ish } from '../utils/phone.js';
+import { ROLES, FULL_ACCESS_ROLES } from '../utils/permissions.js';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -49,7 +50,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   whatsappOptIn: {
@@ -85,6 +86,16 @@ const userSchema = new mongoose.Schema({
   lastLoginAt: {
     type: Date
   },
+  // Earned on in-store (POS) purchases; see Settings.pos.loyaltyPointsPerUnit
+  loyaltyPoints: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Access tokens issued before this instant are rejected (set by "log out everywhere" / admin force-logout)
+  tokensInvalidBefore: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -124,7 +135,7 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 // Create default admin user if none exists
 userSchema.statics.createDefaultAdmin = async function() {
   try {
-    const adminExists = await this.findOne({ role: 'admin' });
+    const adminExists = await this.findOne({ role: { $in: FULL_ACCESS_ROLES } });
     if (!adminExists) {
       await this.create({
         name: 'Admin User',
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+const deliveryAttemptSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  responseStatus: { type: Number },
+  durationMs: { type: Number },
+  error: { type: String },
+  manual: { type: Boolean, default: false }
+}, { _id: false });
+
+// One event sent to one subscription, with retry state and the attempt log
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookSubscription', required: true },
+  event: { type: mongoose.Schema.Types.ObjectId, ref: 'OutboxEvent', required: true },
+  eventType: { type: String, required: true },
+  url: { type: String, required: true },
+  status: { type: String, enum: ['pending', 'sending', 'succeeded', 'retrying', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date },
+  lastAttemptAt: { type: Date },
+  responseStatus: { type: Number },
+  responseBody: { type: String }, // truncated
+  error: { type: String },
+  deliveredAt: { type: Date },
+  attemptLog: { type: [deliveryAttemptSchema], default: [] }
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+webhookDeliverySchema.index({ event: 1, subscription: 1 }, { unique: true });
+
+export default mongoose.models.WebhookDelivery || mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// Outbound webhook endpoint registered by an admin (see services/webhookService.js)
+const webhookSubscriptionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  url: { type: String, required: true, trim: true },
+  // HMAC-SHA256 signing key; write-only in the API (masked in responses)
+  secret: { type: String, required: true },
+  // Event filter: exact types ('order.created'), prefixes ('order.*') or '*' for everything
+  events: { type: [String], default: ['*'] },
+  active: { type: Boolean, default: true },
+  description: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  lastDeliveryAt: { type: Date },
+  lastDeliveryStatus: { type: String },
+  consecutiveFailures: { type: Number, default: 0 }
+}, { timestamps: true });
+
+webhookSubscriptionSchema.index({ active: 1 });
+
+export default mongoose.models.WebhookSubscription || mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
@@ -1,5 +1,5 @@
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import {
   getAnnouncements,
   getActiveAnnouncements,
@@ -21,10 +21,10 @@ router.get('/mobile-active', getActiveAnnouncementsMobile);
 router.get('/web-active', getActiveAnnouncementsWeb);
 
 // Admin routes
-router.get('/', adminAuth, getAnnouncements);
-router.post('/', adminAuth, createAnnouncement);
-router.put('/reorder', adminAuth, reorderAnnouncements);
-router.put('/:id([0-9a-fA-F]{24})', adminAuth, updateAnnouncement);
-router.delete('/:id([0-9a-fA-F]{24})', adminAuth, deleteAnnouncement);
+router.get('/', requirePermission('content:write'), getAnnouncements);
+router.post('/', requirePermission('content:write'), createAnnouncement);
+router.put('/reorder', requirePermission('content:write'), reorderAnnouncements);
+router.put('/:id([0-9a-fA-F]{24})', requirePermission('content:write'), updateAnnouncement);
+router.delete('/:id([0-9a-fA-F]{24})', requirePermission('content:write'), deleteAnnouncement);
 
 export default router;
\ No newline at end of file
@@ -1,5 +1,5 @@
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import {
   listAttributes,
   getAttribute,
@@ -23,22 +23,22 @@ const router = express.Router();
 // Public read endpoints
 router.get('/', listAttributes);
 router.get('/:id', getAttribute);
-router.post('/', adminAuth, createAttribute);
-router.put('/:id', adminAuth, updateAttribute);
-router.delete('/:id', adminAuth, deleteAttribute);
+router.post('/', requirePermission('catalog:write'), createAttribute);
+router.put('/:id', requirePermission('catalog:write'), updateAttribute);
+router.delete('/:id', requirePermission('catalog:write'), deleteAttribute);
 
 // Values nested under attribute
 // Public read for values
 router.get('/:attributeId/values', listValues);
-router.post('/:attributeId/values', adminAuth, createValue);
+router.post('/:attributeId/values', requirePermission('catalog:write'), createValue);
 // Manage individual value by id
-router.put('/values/:id', adminAuth, updateValue);
-router.delete('/values/:id', adminAuth, deleteValue);
+router.put('/values/:id', requirePermission('catalog:write'), updateValue);
+router.delete('/values/:id', requirePermission('catalog:write'), deleteValue);
 
 // i18n admin
-router.get('/:id/i18n', adminAuth, getAttributeI18n);
-router.put('/:id/i18n', adminAuth, setAttributeI18n);
-router.get('/:attributeId/values/:valueId/i18n', adminAuth, getAttributeValueI18n);
-router.put('/:attributeId/values/:valueId/i18n', adminAuth, setAttributeValueI18n);
+router.get('/:id/i18n', requirePermission('catalog:write'), getAttributeI18n);
+router.put('/:id/i18n', requirePermission('catalog:write'), setAttributeI18n);
+router.get('/:attributeId/values/:valueId/i18n', requirePermission('catalog:write'), getAttributeValueI18n);
+router.put('/:attributeId/values/:valueId/i18n', requirePermission('catalog:write'), setAttributeValueI18n);
 
 export default router;
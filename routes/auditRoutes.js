@@ -0,0 +1,11 @@
+import express from 'express';
+import { requirePermission } from '../middleware/auth.js';
+import { listAuditLogs, exportAuditLogs, getAuditLog } from '../controllers/auditController.js';
+
+const router = express.Router();
+
+router.get('/', requirePermission('audit:read'), listAuditLogs);
+router.get('/export', requirePermission('audit:read'), exportAuditLogs);
+router.get('/:id', requirePermission('audit:read'), getAuditLog);
+
+export default router;
@@ -1,9 +1,23 @@
 import express from 'express';
-import { login, register, getCurrentUser, promoteToAdmin, isAdmin, refresh, logout, checkIdentifier } from '../controllers/authController.js';
+import {
+	login,
+	register,
+	getCurrentUser,
+	promoteToAdmin,
+	isAdmin,
+	refresh,
+	logout,
+	checkIdentifier,
+	listSessions,
+	revokeSessionById,
+	revokeOtherSessions,
+	adminListUserSessions,
+	adminForceLogout
+} from '../controllers/authController.js';
 import { googleAuth } from '../controllers/googleAuthController.js';
 import { facebookAuth } from '../controllers/facebookAuthController.js';
 import Settings from '../models/Settings.js';
-import { auth } from '../middleware/auth.js';
+import { auth, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -15,6 +29,12 @@ router.post('/google', googleAuth);
 router.post('/facebook', facebookAuth);
 router.post('/refresh', refresh);
 router.post('/logout', auth, logout);
+// Device sessions (refresh token families)
+router.get('/sessions', auth, listSessions);
+router.delete('/sessions', auth, revokeOtherSessions);
+router.get('/sessions/users/:userId', requirePermission('users:manage_roles'), adminListUserSessions);
+router.post('/sessions/users/:userId/force-logout', requirePermission('users:manage_roles'), adminForceLogout);
+router.delete('/sessions/:id', auth, revokeSessionById);
 // Public auth config (currently only Google)
 router.get('/config', async (req, res) => {
 	try {
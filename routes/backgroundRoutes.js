@@ -1,5 +1,5 @@
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import {
   getBackgrounds,
   getActiveBackground,
@@ -15,10 +15,10 @@ const router = express.Router();
 router.get('/active', getActiveBackground);
 
 // Admin routes
-router.get('/', adminAuth, getBackgrounds);
-router.post('/', adminAuth, createBackground);
-router.put('/reorder', adminAuth, reorderBackgrounds);
-router.put('/:id([0-9a-fA-F]{24})', adminAuth, updateBackground);
-router.delete('/:id([0-9a-fA-F]{24})', adminAuth, deleteBackground);
+router.get('/', requirePermission('content:write'), getBackgrounds);
+router.post('/', requirePermission('content:write'), createBackground);
+router.put('/reorder', requirePermission('content:write'), reorderBackgrounds);
+router.put('/:id([0-9a-fA-F]{24})', requirePermission('content:write'), updateBackground);
+router.delete('/:id([0-9a-fA-F]{24})', requirePermission('content:write'), deleteBackground);
 
 export default router;
\ No newline at end of file
@@ -1,5 +1,5 @@
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import { videoUpload } from '../middleware/videoUpload.js';
 import {
   getBanners,
@@ -25,14 +25,14 @@ router.get('/mobile/by-category/:slug', getMobileBannersByCategory);
 router.get('/mobile/by-tag/:tag', getMobileBannersByTag);
 
 // Admin
-router.get('/', adminAuth, getBanners);
-router.post('/', adminAuth, createBanner);
+router.get('/', requirePermission('content:write'), getBanners);
+router.post('/', requirePermission('content:write'), createBanner);
 // Pre-create standalone video upload (returns URL only) before dynamic id routes
-router.post('/videos/temp', adminAuth, videoUpload.single('video'), uploadTempBannerVideo);
+router.post('/videos/temp', requirePermission('content:write'), videoUpload.single('video'), uploadTempBannerVideo);
 // Upload and attach video to a specific banner
-router.post('/:id([0-9a-fA-F]{24})/video', adminAuth, videoUpload.single('video'), uploadBannerVideo);
-router.put('/reorder', adminAuth, reorderBanners);
-router.put('/:id([0-9a-fA-F]{24})', adminAuth, updateBanner);
-router.delete('/:id([0-9a-fA-F]{24})', adminAuth, deleteBanner);
+router.post('/:id([0-9a-fA-F]{24})/video', requirePermission('content:write'), videoUpload.single('video'), uploadBannerVideo);
+router.put('/reorder', requirePermission('content:write'), reorderBanners);
+router.put('/:id([0-9a-fA-F]{24})', requirePermission('content:write'), updateBanner);
+router.delete('/:id([0-9a-fA-F]{24})', requirePermission('content:write'), deleteBanner);
 
 export default router;
@@ -3,7 +3,7 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import { listBrands, listActiveBrands, createBrand, updateBrand, deleteBrand, reorderBrands, getBrandBySlug } from '../controllers/brandController.js';
 
 const router = express.Router();
@@ -31,20 +31,20 @@ router.get('/active', listActiveBrands);
 router.get('/slug/:slug', getBrandBySlug);
 
 // Admin-only
-router.post('/', adminAuth, createBrand);
-router.put('/:id', adminAuth, updateBrand);
-router.delete('/:id', adminAuth, deleteBrand);
-router.post('/reorder', adminAuth, reorderBrands);
+router.post('/', requirePermission('catalog:write'), createBrand);
+router.put('/:id', requirePermission('catalog:write'), updateBrand);
+router.delete('/:id', requirePermission('catalog:write'), deleteBrand);
+router.post('/reorder', requirePermission('catalog:write'), reorderBrands);
 
 // Image upload endpoint (returns URL)
-router.post('/upload', adminAuth, upload.single('file'), (req, res) => {
+router.post('/upload', requirePermission('catalog:write'), upload.single('file'), (req, res) => {
   if (!req.file) return res.status(400).json({ message: 'No file uploaded' });
   const url = `/uploads/${req.file.filename}`;
   res.json({ url });
 });
 
 // Label image upload endpoint (returns URL)
-router.post('/upload-label', adminAuth, upload.single('file'), (req, res) => {
+router.post('/upload-label', requirePermission('catalog:write'), upload.single('file'), (req, res) => {
   if (!req.file) return res.status(400).json({ message: 'No file uploaded' });
   const url = `/uploads/${req.file.filename}`;
   res.json({ url });
@@ -1,5 +1,5 @@
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import { listAdmin, getById, create, update, remove, bulkRemove, toggleActive, publicList, publicListByProduct } from '../controllers/bundleOfferController.js';
 
 const router = express.Router();
@@ -9,12 +9,12 @@ router.get('/public/list', publicList);
 router.get('/public/by-product/:id', publicListByProduct);
 
 // Admin
-router.get('/', adminAuth, listAdmin);
-router.get('/:id', adminAuth, getById);
-router.post('/', adminAuth, create);
-router.put('/:id', adminAuth, update);
-router.delete('/:id', adminAuth, remove);
-router.post('/bulk-delete', adminAuth, bulkRemove);
-router.post('/:id/toggle', adminAuth, toggleActive);
+router.get('/', requirePermission('promotions:write'), listAdmin);
+router.get('/:id', requirePermission('promotions:write'), getById);
+router.post('/', requirePermission('promotions:write'), create);
+router.put('/:id', requirePermission('promotions:write'), update);
+router.delete('/:id', requirePermission('promotions:write'), remove);
+router.post('/bulk-delete', requirePermission('promotions:write'), bulkRemove);
+router.post('/:id/toggle', requirePermission('promotions:write'), toggleActive);
 
 export default router;
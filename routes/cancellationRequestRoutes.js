@@ -1,5 +1,5 @@
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import { createCancellationRequest, listCancellationRequests, updateCancellationRequest } from '../controllers/cancellationRequestController.js';
 
 const router = express.Router();
@@ -8,7 +8,7 @@ const router = express.Router();
 router.post('/', createCancellationRequest);
 
 // Admin-only listing and updates
-router.get('/', adminAuth, listCancellationRequests);
-router.patch('/:id([0-9a-fA-F]{24})', adminAuth, updateCancellationRequest);
+router.get('/', requirePermission('orders:read'), listCancellationRequests);
+router.patch('/:id([0-9a-fA-F]{24})', requirePermission('orders:write'), updateCancellationRequest);
 
 export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import {
   getAllCategories,
   getCategory,
@@ -31,11 +31,11 @@ router.get('/parent/:parentId', getSubcategories); // parentId = 'root' for root
 router.get('/:id', getCategory);
 
 // Admin routes
-router.post('/', adminAuth, createCategory);
-router.put('/reorder', adminAuth, reorderCategories);
-router.put('/:id([0-9a-fA-F]{24})', adminAuth, updateCategory);
-router.delete('/:id([0-9a-fA-F]{24})', adminAuth, deleteCategory);
+router.post('/', requirePermission('catalog:write'), createCategory);
+router.put('/reorder', requirePermission('catalog:write'), reorderCategories);
+router.put('/:id([0-9a-fA-F]{24})', requirePermission('catalog:write'), updateCategory);
+router.delete('/:id([0-9a-fA-F]{24})', requirePermission('catalog:write'), deleteCategory);
 // Backfill translations for categories: POST /api/categories/translate?to=ar
-router.post('/translate', adminAuth, translateAllCategories);
+router.post('/translate', requirePermission('catalog:write'), translateAllCategories);
 
 export default router;
\ No newline at end of file
@@ -1,13 +1,13 @@
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import { upsertCheckoutDraft, getCheckoutDraft, deleteCheckoutDraft, listCheckoutDrafts, updateCheckoutDraftAdmin, deleteCheckoutDraftAdmin, sendCheckoutDraftReminder } from '../controllers/checkoutDraftController.js';
 
 const router = express.Router();
 
-router.get('/admin/list', adminAuth, listCheckoutDrafts);
-router.patch('/admin/:id', adminAuth, updateCheckoutDraftAdmin);
-router.delete('/admin/:id', adminAuth, deleteCheckoutDraftAdmin);
-router.post('/admin/:id/send-whatsapp', adminAuth, sendCheckoutDraftReminder);
+router.get('/admin/list', requirePermission('customers:read'), listCheckoutDrafts);
+router.patch('/admin/:id', requirePermission('customers:write'), updateCheckoutDraftAdmin);
+router.delete('/admin/:id', requirePermission('customers:write'), deleteCheckoutDraftAdmin);
+router.post('/admin/:id/send-whatsapp', requirePermission('customers:write'), sendCheckoutDraftReminder);
 
 router.post('/', upsertCheckoutDraft);
 router.get('/:draftKey', getCheckoutDraft);
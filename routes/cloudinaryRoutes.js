@@ -1,15 +1,15 @@
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import { listResources, listFolders, deleteResources, renameResource, health } from '../controllers/cloudinaryController.js';
 
 const router = express.Router();
 
 // All routes require admin
-router.get('/resources', adminAuth, listResources);
-router.get('/folders', adminAuth, listFolders);
-router.post('/delete', adminAuth, deleteResources);
-router.post('/rename', adminAuth, renameResource);
-router.get('/health', adminAuth, health);
+router.get('/resources', requirePermission('integrations:manage'), listResources);
+router.get('/folders', requirePermission('integrations:manage'), listFolders);
+router.post('/delete', requirePermission('integrations:manage'), deleteResources);
+router.post('/rename', requirePermission('integrations:manage'), renameResource);
+router.get('/health', requirePermission('integrations:manage'), health);
 // Public health endpoint (read-only diagnostics)
 router.get('/health/public', health);
 
@@ -1,5 +1,7 @@
 import express from 'express';
-import { adminAuth, auth } from '../middleware/auth.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+import { auditEntity } from '../middleware/audit.js';
+import Coupon from '../models/Coupon.js';
 import {
   createCoupon,
   getAllCoupons,
@@ -7,20 +9,22 @@ import {
   updateCoupon,
   deleteCoupon,
   validateCoupon,
-  applyCoupon
+  applyCoupon,
+  getCouponRedemptions
 } from '../controllers/couponController.js';
 
 const router = express.Router();
 
 // Admin routes
-router.post('/', adminAuth, createCoupon);
-router.get('/', adminAuth, getAllCoupons);
-router.get('/:id', adminAuth, getCoupon);
-router.put('/:id', adminAuth, updateCoupon);
-router.delete('/:id', adminAuth, deleteCoupon);
+router.post('/', requirePermission('promotions:write'), createCoupon);
+router.get('/', requirePermission('promotions:write'), getAllCoupons);
+router.get('/:id/redemptions', requirePermission('promotions:write'), getCouponRedemptions);
+router.get('/:id', requirePermission('promotions:write'), getCoupon);
+router.put('/:id', requirePermission('promotions:write'), auditEntity(Coupon), updateCoupon);
+router.delete('/:id', requirePermission('promotions:write'), auditEntity(Coupon), deleteCoupon);
 
 // Customer routes (registration required)
-// Primary POST validate endpoint (expects JSON body { code, totalAmount })
+// Primary POST validate endpoint (JSON body { code?, totalAmount, items? }; without code returns the best auto-apply coupon)
 router.post('/validate', auth, validateCoupon);
 // Convenience GET variant to reduce accidental 404s from incorrect method usage
 router.get('/validate', auth, validateCoupon);
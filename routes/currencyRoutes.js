@@ -1,8 +1,28 @@
 import express from 'express';
-import { convertCurrency } from '../controllers/currencyController.js';
+import { requirePermission } from '../middleware/auth.js';
+import {
+  convertCurrency,
+  getRates,
+  getRatesHistory,
+  createManualRate,
+  refreshRates,
+  updateRateConfig,
+  getDisplayCurrencies,
+  updateDisplayCurrencyConfig
+} from '../controllers/currencyController.js';
 
 const router = express.Router();
 
 router.post('/convert', convertCurrency);
+router.get('/rates', getRates);
+// Currencies shoppers can browse in (?currency= on product, flash sale and bundle endpoints)
+router.get('/display', getDisplayCurrencies);
 
-export default router;
\ No newline at end of file
+// Admin: rate history, manual entry and provider configuration
+router.get('/rates/history', requirePermission('settings:write'), getRatesHistory);
+router.post('/rates', requirePermission('settings:write'), createManualRate);
+router.post('/rates/refresh', requirePermission('settings:write'), refreshRates);
+router.put('/rates/config', requirePermission('settings:write'), updateRateConfig);
+router.put('/display/config', requirePermission('settings:write'), updateDisplayCurrencyConfig);
+
+export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import {
   getDbStatus,
   getDbConfig,
@@ -10,10 +10,10 @@ import {
 
 const router = express.Router();
 
-router.get('/status', adminAuth, getDbStatus);
-router.get('/config', adminAuth, getDbConfig);
-router.post('/test', adminAuth, testDbConnection);
-router.post('/apply', adminAuth, applyDbConfig);
-router.post('/reconnect', adminAuth, reconnectDb);
+router.get('/status', requirePermission('db:manage'), getDbStatus);
+router.get('/config', requirePermission('db:manage'), getDbConfig);
+router.post('/test', requirePermission('db:manage'), testDbConnection);
+router.post('/apply', requirePermission('db:manage'), applyDbConfig);
+router.post('/reconnect', requirePermission('db:manage'), reconnectDb);
 
 export default router;
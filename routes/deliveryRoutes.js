@@ -1,5 +1,5 @@
 import express from 'express';
-import { auth, adminAuth } from '../middleware/auth.js';
+import { auth, requirePermission } from '../middleware/auth.js';
 import {
   listCompanies,
   listActiveCompanies,
@@ -23,6 +23,11 @@ import {
   batchAssignOrders,
   batchSendOrders,
   deliveryStatusWebhook,
+  pollCompanyStatuses,
+  companyStatusWebhook,
+  listWebhookLogs,
+  getWebhookLog,
+  replayWebhookLog,
 } from '../controllers/deliveryController.js';
 
 const router = express.Router();
@@ -31,7 +36,7 @@ const router = express.Router();
 const deliveryAdminGuard = (req, res, next) => {
   const bypass = process.env.DELIVERY_ADMIN_BYPASS === 'true' || process.env.DEV_DELIVERY_NO_AUTH === 'true';
   if (bypass) return next();
-  return adminAuth(req, res, next);
+  return requirePermission('shipping:manage')(req, res, next);
 };
 
 // Companies (admin)
@@ -44,6 +49,8 @@ router.put('/companies/:id/field-mappings', deliveryAdminGuard, updateFieldMappi
 router.get('/companies/:id/area-mappings', deliveryAdminGuard, getAreaMappings);
 router.put('/companies/:id/area-mappings', deliveryAdminGuard, updateAreaMappings);
 router.post('/companies/:id/test-connection', deliveryAdminGuard, testConnection);
+// Run the status poller for this company now (its due parcels only)
+router.post('/companies/:id/poll-status', deliveryAdminGuard, pollCompanyStatuses);
 // Validate config + show effective db sources
 router.get('/companies/:id/validate-config', deliveryAdminGuard, validateCompanyConfig);
 router.get('/companies/:id/validate-config', deliveryAdminGuard, validateCompanyConfig);
@@ -56,6 +63,16 @@ router.get('/companies/public/active', listActiveCompanies);
 
 // Delivery status webhook (public with bearer token)
 router.post('/webhook/status', deliveryStatusWebhook);
+// Per-company status webhook (company secret or HMAC signature; JSON, form or XML body)
+router.post(
+  '/webhook/:companyCode',
+  express.text({ type: ['application/xml', 'text/xml', 'application/soap+xml'], limit: '2mb' }),
+  companyStatusWebhook
+);
+// Stored inbound webhook requests (debugging / replay)
+router.get('/webhook-logs', deliveryAdminGuard, listWebhookLogs);
+router.get('/webhook-logs/:id', deliveryAdminGuard, getWebhookLog);
+router.post('/webhook-logs/:id/replay', deliveryAdminGuard, replayWebhookLog);
 
 // Fee calculation for a company
 router.post('/companies/:id/calculate-fee', calculateDeliveryFee);
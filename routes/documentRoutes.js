@@ -0,0 +1,27 @@
+import express from 'express';
+import { requirePermission } from '../middleware/auth.js';
+import {
+  listDocuments,
+  getDocument,
+  getDocumentPdf,
+  getDocumentEscPos,
+  getPublicDocumentPdf,
+  issueOrderDocumentHandler,
+  issueOrderCreditNoteHandler,
+  sendDocumentHandler
+} from '../controllers/documentController.js';
+
+const router = express.Router();
+
+// Signed link sent to customers (no login)
+router.get('/:id/public.pdf', getPublicDocumentPdf);
+
+router.get('/', requirePermission('orders:read'), listDocuments);
+router.post('/orders/:orderId', requirePermission('orders:write'), issueOrderDocumentHandler);
+router.post('/orders/:orderId/credit-notes', requirePermission('orders:refund'), issueOrderCreditNoteHandler);
+router.get('/:id', requirePermission('orders:read'), getDocument);
+router.get('/:id/pdf', requirePermission('orders:read'), getDocumentPdf);
+router.get('/:id/escpos', requirePermission('orders:read'), getDocumentEscPos);
+router.post('/:id/send', requirePermission('orders:write'), sendDocumentHandler);
+
+export default router;
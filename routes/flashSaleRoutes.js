@@ -1,5 +1,5 @@
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import { listAdmin, create, update, remove, publicActiveList, publicGetById, publicGetActiveItems } from '../controllers/flashSaleController.js';
 
 const router = express.Router();
@@ -11,9 +11,9 @@ router.get('/public/active/:id', publicGetById);
 router.get('/public/active/:id/items', publicGetActiveItems);
 
 // Admin
-router.get('/', adminAuth, listAdmin);
-router.post('/', adminAuth, create);
-router.put('/:id', adminAuth, update);
-router.delete('/:id', adminAuth, remove);
+router.get('/', requirePermission('promotions:write'), listAdmin);
+router.post('/', requirePermission('promotions:write'), create);
+router.put('/:id', requirePermission('promotions:write'), update);
+router.delete('/:id', requirePermission('promotions:write'), remove);
 
 export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import {
   getFooterSettings,
   updateFooterSettings,
@@ -15,14 +15,14 @@ const router = express.Router();
 // Settings routes
 // Accepts optional ?lang=xx to localize description/newsletter fields using DeepSeek when configured
 router.get('/settings', getFooterSettings);
-router.put('/settings', adminAuth, updateFooterSettings);
+router.put('/settings', requirePermission('content:write'), updateFooterSettings);
 
 // Links routes
 // Accepts optional ?lang=xx to localize link names using DeepSeek when configured
 router.get('/links', getFooterLinks);
-router.post('/links', adminAuth, createFooterLink);
-router.put('/links/:id', adminAuth, updateFooterLink);
-router.delete('/links/:id', adminAuth, deleteFooterLink);
-router.put('/links/reorder', adminAuth, reorderFooterLinks);
+router.post('/links', requirePermission('content:write'), createFooterLink);
+router.put('/links/:id', requirePermission('content:write'), updateFooterLink);
+router.delete('/links/:id', requirePermission('content:write'), deleteFooterLink);
+router.put('/links/reorder', requirePermission('content:write'), reorderFooterLinks);
 
 export default router;
\ No newline at end of file
@@ -1,9 +1,9 @@
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import { listForms } from '../controllers/formController.js';
 
 const router = express.Router();
 
-router.get('/', adminAuth, listForms);
+router.get('/', requirePermission('customers:read'), listForms);
 
 export default router;
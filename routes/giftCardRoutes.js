@@ -1,5 +1,5 @@
 import express from 'express';
-import { auth, adminAuth } from '../middleware/auth.js';
+import { auth, requirePermission } from '../middleware/auth.js';
 import {
   purchaseGiftCard,
   checkBalance,
@@ -20,7 +20,7 @@ router.post('/purchase', auth, purchaseGiftCard);
 router.post('/apply', auth, applyToOrder);
 
 // Admin routes
-router.get('/all', adminAuth, getAllGiftCards);
-router.put('/:id/cancel', adminAuth, cancelGiftCard);
+router.get('/all', requirePermission('promotions:write'), getAllGiftCards);
+router.put('/:id/cancel', requirePermission('promotions:write'), cancelGiftCard);
 
 export default router;
\ No newline at end of file
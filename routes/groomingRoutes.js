@@ -1,21 +1,34 @@
 import express from 'express';
 import { getAvailability, createBooking, listBookings, updateBookingStatus, getBookingById, cancelBooking, getBookingAudit, getMyBookings, rescheduleBooking } from '../controllers/groomingController.js';
-import { adminAuth, auth } from '../middleware/auth.js';
+import { listResources, createResource, updateResource, deleteResource } from '../controllers/groomingResourceController.js';
+import { listPets, createPet, getPet, updatePet, deletePet } from '../controllers/petController.js';
+import { auth, requirePermission } from '../middleware/auth.js';
 import { protectOptional } from '../middleware/authOptional.js';
 
 const router = express.Router();
 
 // Optional auth: allow logged-in user association, but not required
-router.get('/availability', getAvailability);
+router.get('/availability', protectOptional, getAvailability);
 router.post('/book', protectOptional, createBooking);
 // Authenticated user bookings
 router.get('/my-bookings', auth, getMyBookings);
+// Pet profiles (owner or admin)
+router.get('/pets', auth, listPets);
+router.post('/pets', auth, createPet);
+router.get('/pets/:id', auth, getPet);
+router.put('/pets/:id', auth, updatePet);
+router.delete('/pets/:id', auth, deletePet);
 // Admin management endpoints
-router.get('/bookings', adminAuth, listBookings);
-router.get('/bookings/:id', adminAuth, getBookingById);
-router.patch('/bookings/:id', adminAuth, updateBookingStatus);
+router.get('/bookings', requirePermission('grooming:manage'), listBookings);
+router.get('/bookings/:id', requirePermission('grooming:manage'), getBookingById);
+router.patch('/bookings/:id', requirePermission('grooming:manage'), updateBookingStatus);
 router.post('/bookings/:id/cancel', protectOptional, cancelBooking); // user or admin
 router.post('/bookings/:id/reschedule', auth, rescheduleBooking); // user or admin, requires auth
-router.get('/bookings/:id/audit', adminAuth, getBookingAudit);
+router.get('/bookings/:id/audit', requirePermission('grooming:manage'), getBookingAudit);
+// Admin: groomers / tables used by the scheduler
+router.get('/resources', requirePermission('grooming:manage'), listResources);
+router.post('/resources', requirePermission('grooming:manage'), createResource);
+router.put('/resources/:id', requirePermission('grooming:manage'), updateResource);
+router.delete('/resources/:id', requirePermission('grooming:manage'), deleteResource);
 
 export default router;
\ No newline at end of file
@@ -1,5 +1,5 @@
 import express from 'express';
-import { auth, adminAuth } from '../middleware/auth.js';
+import { auth, requirePermission } from '../middleware/auth.js';
 import {
   getAllHeros,
   getActiveHero,
@@ -16,9 +16,9 @@ router.get('/active', getActiveHero);
 router.get('/slider', getSliderHeros);
 
 // Admin routes
-router.get('/', adminAuth, getAllHeros);
-router.post('/', adminAuth, createHero);
-router.put('/:id', adminAuth, updateHero);
-router.delete('/:id', adminAuth, deleteHero);
+router.get('/', requirePermission('content:write'), getAllHeros);
+router.post('/', requirePermission('content:write'), createHero);
+router.put('/:id', requirePermission('content:write'), updateHero);
+router.delete('/:id', requirePermission('content:write'), deleteHero);
 
 export default router;
\ No newline at end of file
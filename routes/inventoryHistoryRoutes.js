@@ -1,5 +1,5 @@
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import {
   getInventoryHistory,
   addInventoryHistory
@@ -7,7 +7,7 @@ import {
 
 const router = express.Router();
 
-router.get('/', adminAuth, getInventoryHistory);
-router.post('/', adminAuth, addInventoryHistory);
+router.get('/', requirePermission('inventory:read'), getInventoryHistory);
+router.post('/', requirePermission('inventory:write'), addInventoryHistory);
 
 export default router;
\ No newline at end of file
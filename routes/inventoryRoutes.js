@@ -1,44 +1,44 @@
 
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import { updateInventoryByProductColorSize, getInventory, getProductInventory, updateInventory, addInventory, getLowStockItems, bulkUpdateInventory, moveStockBetweenWarehouses, updateInventoryByVariant, getVariantStockSummary } from '../controllers/inventoryController.js';
 import { getInventoryAnalytics, getStockMovements, getTurnoverAnalysis, getCategoryBreakdown, getLocationAnalysis, getInventoryAlerts, exportInventoryAnalytics, getPredictiveAnalytics, getSeasonalAnalysis, getCostAnalysis, getSupplierPerformance, getAdvancedMetrics } from '../controllers/inventoryAnalyticsController.js';
 
 const router = express.Router();
 
 // Move stock between warehouses
-router.post('/move', adminAuth, moveStockBetweenWarehouses);
+router.post('/move', requirePermission('inventory:write'), moveStockBetweenWarehouses);
 
 // Update inventory by product, color, and size (or variantId)
-router.put('/by-combo', adminAuth, updateInventoryByProductColorSize);
+router.put('/by-combo', requirePermission('inventory:write'), updateInventoryByProductColorSize);
 
 // Basic inventory operations
-router.get('/', adminAuth, getInventory);
-router.get('/product/:productId', adminAuth, getProductInventory);
-router.get('/product/:productId/variants/summary', adminAuth, getVariantStockSummary);
-router.get('/low-stock', adminAuth, getLowStockItems);
-router.post('/', adminAuth, addInventory);
+router.get('/', requirePermission('inventory:read'), getInventory);
+router.get('/product/:productId', requirePermission('inventory:read'), getProductInventory);
+router.get('/product/:productId/variants/summary', requirePermission('inventory:read'), getVariantStockSummary);
+router.get('/low-stock', requirePermission('inventory:read'), getLowStockItems);
+router.post('/', requirePermission('inventory:write'), addInventory);
 // IMPORTANT: Register specific routes BEFORE generic param routes like '/:id'
 // Update inventory quantity for a specific variant in a warehouse
-router.put('/by-variant', adminAuth, updateInventoryByVariant);
+router.put('/by-variant', requirePermission('inventory:write'), updateInventoryByVariant);
 // Generic update by inventory document id (must come after specific PUTs)
-router.put('/:id', adminAuth, updateInventory);
-router.post('/bulk', adminAuth, bulkUpdateInventory);
+router.put('/:id', requirePermission('inventory:write'), updateInventory);
+router.post('/bulk', requirePermission('inventory:write'), bulkUpdateInventory);
 
 // Analytics endpoints
-router.get('/analytics', adminAuth, getInventoryAnalytics);
-router.get('/movements', adminAuth, getStockMovements);
-router.get('/turnover', adminAuth, getTurnoverAnalysis);
-router.get('/categories', adminAuth, getCategoryBreakdown);
-router.get('/locations', adminAuth, getLocationAnalysis);
-router.get('/alerts', adminAuth, getInventoryAlerts);
-router.get('/export', adminAuth, exportInventoryAnalytics);
+router.get('/analytics', requirePermission('inventory:read'), getInventoryAnalytics);
+router.get('/movements', requirePermission('inventory:read'), getStockMovements);
+router.get('/turnover', requirePermission('inventory:read'), getTurnoverAnalysis);
+router.get('/categories', requirePermission('inventory:read'), getCategoryBreakdown);
+router.get('/locations', requirePermission('inventory:read'), getLocationAnalysis);
+router.get('/alerts', requirePermission('inventory:read'), getInventoryAlerts);
+router.get('/export', requirePermission('inventory:read'), exportInventoryAnalytics);
 
 // Enhanced analytics endpoints
-router.get('/analytics/predictive', adminAuth, getPredictiveAnalytics);
-router.get('/analytics/seasonal', adminAuth, getSeasonalAnalysis);
-router.get('/analytics/cost', adminAuth, getCostAnalysis);
-router.get('/analytics/suppliers', adminAuth, getSupplierPerformance);
-router.get('/analytics/advanced', adminAuth, getAdvancedMetrics);
+router.get('/analytics/predictive', requirePermission('inventory:read'), getPredictiveAnalytics);
+router.get('/analytics/seasonal', requirePermission('inventory:read'), getSeasonalAnalysis);
+router.get('/analytics/cost', requirePermission('inventory:read'), getCostAnalysis);
+router.get('/analytics/suppliers', requirePermission('inventory:read'), getSupplierPerformance);
+router.get('/analytics/advanced', requirePermission('inventory:read'), getAdvancedMetrics);
 
 export default router;
\ No newline at end of file
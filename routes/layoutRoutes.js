@@ -4,7 +4,7 @@ import path from 'path';
 import mongoose from 'mongoose';
 import { fileURLToPath } from 'url';
 import PageLayout from '../models/PageLayout.js';
-import { auth, adminAuth } from '../middleware/auth.js';
+import { auth, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -70,12 +70,12 @@ function dynamicUpdateGuard(req, res, next) {
   if (mongoose.connection.readyState !== 1) {
     // In production, still enforce admin auth even if DB is down
     if (process.env.NODE_ENV === 'production') {
-      return adminAuth(req, res, next);
+      return requirePermission('content:write')(req, res, next);
     }
     // Dev fallback: allow update to avoid data loss and enable file-based persistence
     return next();
   }
-  return (REQUIRE_ADMIN ? adminAuth : auth)(req, res, next);
+  return (REQUIRE_ADMIN ? requirePermission('content:write') : auth)(req, res, next);
 }
 
 // Replace all sections (guarded)
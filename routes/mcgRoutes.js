@@ -1,5 +1,5 @@
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import Settings from '../models/Settings.js';
 import Product from '../models/Product.js';
 import Category from '../models/Category.js';
@@ -59,7 +59,7 @@ router.get('/ping', (req, res) => {
 
 // Proxy to MCG get_items_list with OAuth2
 // POST /api/mcg/items
-router.post('/items', adminAuth, async (req, res) => {
+router.post('/items', requirePermission('integrations:manage'), async (req, res) => {
   try {
     const { PageNumber, PageSize, Filter } = req.body || {};
     const s = await Settings.findOne();
@@ -75,7 +75,7 @@ router.post('/items', adminAuth, async (req, res) => {
 export default router;
 
 // Config endpoints
-router.get('/config', adminAuth, async (req, res) => {
+router.get('/config', requirePermission('integrations:manage'), async (req, res) => {
   try {
     let s = await Settings.findOne();
     if (!s) s = await Settings.create({});
@@ -108,7 +108,7 @@ router.get('/config', adminAuth, async (req, res) => {
   }
 });
 
-router.put('/config', adminAuth, async (req, res) => {
+router.put('/config', requirePermission('integrations:manage'), async (req, res) => {
   try {
     let s = await Settings.findOne().sort({ updatedAt: -1 });
     if (!s) s = new Settings();
@@ -214,7 +214,7 @@ router.put('/config', adminAuth, async (req, res) => {
 
 // Lookup a single item in MCG by barcode (item_code) or item_id
 // POST /api/mcg/item-lookup { code?: string, id?: string, group?: number }
-router.post('/item-lookup', adminAuth, async (req, res) => {
+router.post('/item-lookup', requirePermission('integrations:manage'), async (req, res) => {
   try {
     const { code, id, group } = req.body || {};
     const norm = (v) => (v === undefined || v === null) ? '' : String(v).trim();
@@ -240,7 +240,7 @@ router.post('/item-lookup', adminAuth, async (req, res) => {
 // Sync inventory quantities from MCG into local Inventory
 // POST /api/mcg/sync-inventory
 // Body: { dryRun?: boolean, page?: number, pageSize?: number, syncAll?: boolean }
-router.post('/sync-inventory', adminAuth, async (req, res) => {
+router.post('/sync-inventory', requirePermission('integrations:manage'), async (req, res) => {
   try {
     const s = await Settings.findOne();
     if (!s?.mcg?.enabled) return res.status(412).json({ message: 'MCG integration disabled' });
@@ -385,7 +385,7 @@ router.post('/sync-inventory', adminAuth, async (req, res) => {
 
 // Force an immediate automated stock sync using the scheduler's logic (single run)
 // POST /api/mcg/auto-sync/run-now { }
-router.post('/auto-sync/run-now', adminAuth, async (req, res) => {
+router.post('/auto-sync/run-now', requirePermission('integrations:manage'), async (req, res) => {
   try {
     const s = await Settings.findOne();
     if (!s?.mcg?.enabled) return res.status(412).json({ message: 'MCG integration disabled' });
@@ -398,7 +398,7 @@ router.post('/auto-sync/run-now', adminAuth, async (req, res) => {
 });
 
 // Import items from MCG into Products (create-only, skip duplicates)
-router.post('/sync-items', adminAuth, async (req, res) => {
+router.post('/sync-items', requirePermission('integrations:manage'), async (req, res) => {
   try {
     const s = await Settings.findOne();
     if (!s?.mcg?.enabled) return res.status(412).json({ message: 'MCG integration disabled' });
@@ -774,7 +774,7 @@ router.post('/sync-items', adminAuth, async (req, res) => {
 //   equals its barcode, equals its mcgItemId, or is a long numeric-only token (likely EAN),
 //   updates name/description from the MCG item fields. Language is detected heuristically
 //   and stored into name_i18n/description_i18n maps as well (base name remains readable).
-router.post('/backfill-names', adminAuth, async (req, res) => {
+router.post('/backfill-names', requirePermission('integrations:manage'), async (req, res) => {
   try {
     const s = await Settings.findOne();
     if (!s?.mcg?.enabled) return res.status(412).json({ message: 'MCG integration disabled' });
@@ -861,7 +861,7 @@ router.post('/backfill-names', adminAuth, async (req, res) => {
 });
 
 // Sync a single existing product from MCG by mcgItemId or mcgBarcode
-router.post('/sync-product/:productId', adminAuth, async (req, res) => {
+router.post('/sync-product/:productId', requirePermission('integrations:manage'), async (req, res) => {
   try {
 
     const s = await Settings.findOne();
@@ -1013,7 +1013,7 @@ router.post('/sync-product/:productId', adminAuth, async (req, res) => {
 });
 
 // Delete mapped identifiers from MCG without removing the local product
-router.post('/delete-product/:productId', adminAuth, async (req, res) => {
+router.post('/delete-product/:productId', requirePermission('integrations:manage'), async (req, res) => {
   try {
     const settings = await Settings.findOne();
     const rawAllow = req.body?.allowWhenDisabled;
@@ -1128,7 +1128,7 @@ router.post('/delete-product/:productId', adminAuth, async (req, res) => {
 // Push a single absolute inventory value to MCG for diagnostics/testing
 // POST /api/mcg/push-absolute
 // Body can be: { productId, variantId?, quantity?, group? } or { code?, id?, quantity?, group? }
-router.post('/push-absolute', adminAuth, async (req, res) => {
+router.post('/push-absolute', requirePermission('integrations:manage'), async (req, res) => {
   try {
     const { productId, variantId, code, id, quantity, group } = req.body || {};
     const s = await Settings.findOne();
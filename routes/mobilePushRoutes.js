@@ -1,5 +1,5 @@
 import express from 'express';
-import { auth, adminAuth, maybeAuth } from '../middleware/auth.js';
+import { auth, maybeAuth, requirePermission } from '../middleware/auth.js';
 import { registerToken, deregisterToken, sendTestToMe, broadcastToAdmins, broadcastAll, sendToUser, listTokens, recordOpen, getStats, schedulePush, listScheduled, cancelScheduled, listHistory, getAnalytics, getMyBadge } from '../controllers/mobilePushController.js';
 
 const router = express.Router();
@@ -12,16 +12,16 @@ router.post('/deregister', maybeAuth, deregisterToken);
 router.post('/test', auth, sendTestToMe);
 
 // Broadcast to admins only (protected)
-router.post('/broadcast-admins', adminAuth, broadcastToAdmins);
+router.post('/broadcast-admins', requirePermission('push:send'), broadcastToAdmins);
 
 // Broadcast to all users (protected)
-router.post('/broadcast', adminAuth, broadcastAll);
+router.post('/broadcast', requirePermission('push:send'), broadcastAll);
 
 // Send to a specific user by id or email (protected)
-router.post('/send-to-user', adminAuth, sendToUser);
+router.post('/send-to-user', requirePermission('push:send'), sendToUser);
 
 // List registered tokens for admin UI (protected)
-router.get('/tokens', adminAuth, listTokens);
+router.get('/tokens', requirePermission('push:send'), listTokens);
 
 // Track opens (auth optional)
 router.post('/open', maybeAuth, recordOpen);
@@ -29,11 +29,11 @@ router.post('/open', maybeAuth, recordOpen);
 router.get('/badge', auth, getMyBadge);
 
 // Stats and scheduling (admin)
-router.get('/stats', adminAuth, getStats);
-router.get('/history', adminAuth, listHistory);
-router.get('/analytics', adminAuth, getAnalytics);
-router.post('/schedule', adminAuth, schedulePush);
-router.get('/schedule', adminAuth, listScheduled);
-router.post('/schedule/:id/cancel', adminAuth, cancelScheduled);
+router.get('/stats', requirePermission('push:send'), getStats);
+router.get('/history', requirePermission('push:send'), listHistory);
+router.get('/analytics', requirePermission('push:send'), getAnalytics);
+router.post('/schedule', requirePermission('push:send'), schedulePush);
+router.get('/schedule', requirePermission('push:send'), listScheduled);
+router.post('/schedule/:id/cancel', requirePermission('push:send'), cancelScheduled);
 
 export default router;
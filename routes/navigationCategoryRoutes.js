@@ -1,5 +1,5 @@
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import NavigationCategory from '../models/NavigationCategory.js';
 import Category from '../models/Category.js';
 import { deepseekTranslate, isDeepseekConfigured } from '../services/translate/deepseek.js';
@@ -181,7 +181,7 @@ router.get('/', async (req, res) => {
 });
 
 // Create navigation category (admin only)
-router.post('/', adminAuth, async (req, res) => {
+router.post('/', requirePermission('content:write'), async (req, res) => {
   try {
     const body = req.body || {};
     // Normalize/ensure unique slug if client provided one
@@ -240,7 +240,7 @@ router.post('/', adminAuth, async (req, res) => {
 });
 
 // Update navigation category (admin only)
-router.put('/reorder', adminAuth, async (req, res) => {
+router.put('/reorder', requirePermission('content:write'), async (req, res) => {
   try {
     const { categories } = req.body;
     await Promise.all(
@@ -255,7 +255,7 @@ router.put('/reorder', adminAuth, async (req, res) => {
 });
 
 // Update navigation category (admin only)
-router.put('/:id([0-9a-fA-F]{24})', adminAuth, async (req, res) => {
+router.put('/:id([0-9a-fA-F]{24})', requirePermission('content:write'), async (req, res) => {
   try {
     const body = req.body || {};
     // Normalize/ensure unique slug if provided
@@ -323,7 +323,7 @@ router.put('/:id([0-9a-fA-F]{24})', adminAuth, async (req, res) => {
 });
 
 // Delete navigation category (admin only)
-router.delete('/:id([0-9a-fA-F]{24})', adminAuth, async (req, res) => {
+router.delete('/:id([0-9a-fA-F]{24})', requirePermission('content:write'), async (req, res) => {
   try {
     const category = await NavigationCategory.findByIdAndDelete(req.params.id);
     
@@ -399,7 +399,7 @@ router.get('/:id([0-9a-fA-F]{24})/groups', async (req, res) => {
 });
 
 // Add group
-router.post('/:id([0-9a-fA-F]{24})/groups', adminAuth, async (req, res) => {
+router.post('/:id([0-9a-fA-F]{24})/groups', requirePermission('content:write'), async (req, res) => {
   try {
     const { slug, title, categories = [], categorySlugs = [] } = req.body || {};
     const doc = await NavigationCategory.findById(req.params.id);
@@ -430,7 +430,7 @@ router.post('/:id([0-9a-fA-F]{24})/groups', adminAuth, async (req, res) => {
 });
 
 // Update group by slug
-router.put('/:id([0-9a-fA-F]{24})/groups/:groupSlug', adminAuth, async (req, res) => {
+router.put('/:id([0-9a-fA-F]{24})/groups/:groupSlug', requirePermission('content:write'), async (req, res) => {
   try {
     const { slug, title, categories = [], categorySlugs = [] } = req.body || {};
     const doc = await NavigationCategory.findById(req.params.id);
@@ -464,7 +464,7 @@ router.put('/:id([0-9a-fA-F]{24})/groups/:groupSlug', adminAuth, async (req, res
 });
 
 // Delete group
-router.delete('/:id([0-9a-fA-F]{24})/groups/:groupSlug', adminAuth, async (req, res) => {
+router.delete('/:id([0-9a-fA-F]{24})/groups/:groupSlug', requirePermission('content:write'), async (req, res) => {
   try {
     const doc = await NavigationCategory.findById(req.params.id);
     if (!doc) return res.status(404).json({ message: 'Navigation item not found' });
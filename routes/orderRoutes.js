@@ -1,5 +1,8 @@
 import express from 'express';
-import { auth, adminAuth } from '../middleware/auth.js';
+import { auth, maybeAuth, requirePermission } from '../middleware/auth.js';
+import { auditEntity } from '../middleware/audit.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import Order from '../models/Order.js';
 import {
   createOrder,
   getUserOrders,
@@ -8,27 +11,83 @@ import {
   updateOrderStatus,
   recalculateShipping
 } from '../controllers/orderController.js';
+import {
+  createOrderReturn,
+  listOrderReturns,
+  cancelOrderReturn,
+  listReturns,
+  approveOrderReturn,
+  rejectOrderReturn,
+  receiveOrderReturn,
+  refundOrderReturn
+} from '../controllers/returnController.js';
+import {
+  createOrderAmendment,
+  listOrderAmendments,
+  settleOrderAmendmentBalance
+} from '../controllers/orderAmendmentController.js';
+import {
+  listOrderShipments,
+  createOrderShipment,
+  dispatchOrderShipment,
+  updateOrderShipmentStatus,
+  cancelOrderShipment
+} from '../controllers/shipmentController.js';
+import { trackOrder } from '../controllers/orderTrackingController.js';
 
 const router = express.Router();
 
+// Order tracking is keyed by order number + phone/email: limit guesses per client, and per client and order
+// number (keyed on the client too, so bad lookups from elsewhere cannot lock the customer out of their order)
+const trackingLimitByIp = rateLimit({ windowMs: 15 * 60 * 1000, max: 30 });
+const trackingLimitByOrder = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => `order:${req.ip || 'unknown'}:${String(req.body?.orderNumber || '').trim().toLowerCase()}`
+});
+
 // Public routes (guest checkout)
 router.post('/', (req, res, next) => {
   console.log('POST /orders route hit');
   next();
 }, createOrder);
+// Public order tracking (status timeline, carrier link, ETA)
+router.post('/track', trackingLimitByIp, trackingLimitByOrder, trackOrder);
 
 // Protected routes
 router.get('/my-orders', auth, getUserOrders);
 
 // Admin routes (must be before catch-all '/:id')
-router.get('/all', adminAuth, getAllOrders);
+router.get('/all', requirePermission('orders:read'), getAllOrders);
+router.get('/returns', requirePermission('orders:read'), listReturns);
 
 // Public order details (guest checkout flow)
 router.get('/:id', getOrderPublic);
 // Full admin update (customer info, shipping address, status, fee)
 import { updateOrder } from '../controllers/orderController.js';
-router.put('/:id', adminAuth, updateOrder);
-router.put('/:id/status', adminAuth, updateOrderStatus);
-router.post('/:id/recalculate-shipping', adminAuth, recalculateShipping);
+router.put('/:id', requirePermission('orders:write'), auditEntity(Order), updateOrder);
+router.put('/:id/status', requirePermission('orders:write'), auditEntity(Order), updateOrderStatus);
+router.post('/:id/recalculate-shipping', requirePermission('orders:write'), auditEntity(Order), recalculateShipping);
+
+// Order amendments: line changes as numbered revisions, and settling the resulting balance
+router.get('/:id/revisions', requirePermission('orders:read'), listOrderAmendments);
+router.post('/:id/amendments', requirePermission('orders:write'), auditEntity(Order), createOrderAmendment);
+router.post('/:id/balance/settle', requirePermission('orders:write'), auditEntity(Order), settleOrderAmendmentBalance);
+
+// Split shipments: line-item subsets dispatched separately; the order status follows them
+router.get('/:id/shipments', requirePermission('orders:read'), listOrderShipments);
+router.post('/:id/shipments', requirePermission('orders:write', 'shipping:manage'), auditEntity(Order), createOrderShipment);
+router.post('/:id/shipments/:shipmentId/dispatch', requirePermission('orders:write', 'shipping:manage'), auditEntity(Order), dispatchOrderShipment);
+router.put('/:id/shipments/:shipmentId/status', requirePermission('orders:write', 'shipping:manage'), auditEntity(Order), updateOrderShipmentStatus);
+router.post('/:id/shipments/:shipmentId/cancel', requirePermission('orders:write', 'shipping:manage'), auditEntity(Order), cancelOrderShipment);
+
+// Returns / RMA (customer: signed-in owner or guest with matching email; admin: workflow transitions)
+router.post('/:id/returns', maybeAuth, createOrderReturn);
+router.get('/:id/returns', maybeAuth, listOrderReturns);
+router.post('/:id/returns/:returnId/cancel', maybeAuth, cancelOrderReturn);
+router.post('/:id/returns/:returnId/approve', requirePermission('orders:write'), approveOrderReturn);
+router.post('/:id/returns/:returnId/reject', requirePermission('orders:write'), rejectOrderReturn);
+router.post('/:id/returns/:returnId/receive', requirePermission('inventory:write'), receiveOrderReturn);
+router.post('/:id/returns/:returnId/refund', requirePermission('orders:refund'), refundOrderReturn);
 
 export default router;
\ No newline at end of file
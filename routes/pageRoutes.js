@@ -1,5 +1,5 @@
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import {
   listPages,
   getPageById,
@@ -15,10 +15,10 @@ const router = express.Router();
 router.get('/slug/:slug', getPageBySlug);
 
 // Admin list + CRUD
-router.get('/', adminAuth, listPages);
-router.get('/:id', adminAuth, getPageById);
-router.post('/', adminAuth, createPage);
-router.put('/:id', adminAuth, updatePage);
-router.delete('/:id', adminAuth, deletePage);
+router.get('/', requirePermission('content:write'), listPages);
+router.get('/:id', requirePermission('content:write'), getPageById);
+router.post('/', requirePermission('content:write'), createPage);
+router.put('/:id', requirePermission('content:write'), updatePage);
+router.delete('/:id', requirePermission('content:write'), deletePage);
 
 export default router;
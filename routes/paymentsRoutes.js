@@ -5,7 +5,7 @@ import Order from '../models/Order.js';
 import Product from '../models/Product.js';
 import Settings from '../models/Settings.js';
 import PaymentSession from '../models/PaymentSession.js';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import { loadSettings, requestICreditPaymentUrl, buildICreditRequest, buildICreditCandidates, diagnoseICreditConnectivity, pingICredit } from '../services/icreditService.js';
 import { finalizePaymentSessionToOrder, createPaymentSessionDocument } from '../services/paymentSessionService.js';
 import { createGrowPayment, approveGrowTransaction, loadGrowConfig } from '../services/growPaymentService.js';
@@ -61,7 +61,7 @@ router.get('/icredit/candidates', async (req, res) => {
 });
 
 // Diagnose connectivity/DNS to iCredit endpoints (admin only)
-router.get('/icredit/diagnose', adminAuth, async (req, res) => {
+router.get('/icredit/diagnose', requirePermission('payments:manage'), async (req, res) => {
   try {
     const settings = await loadSettings();
     const base = settings?.payments?.icredit?.apiUrl || 'https://icredit.rivhit.co.il/API/PaymentPageRequest.svc/GetUrl';
@@ -73,7 +73,7 @@ router.get('/icredit/diagnose', adminAuth, async (req, res) => {
 });
 
 // Admin-only: quick ping of iCredit endpoints (JSON and SOAP) with minimal payload
-router.get('/icredit/ping', adminAuth, async (req, res) => {
+router.get('/icredit/ping', requirePermission('payments:manage'), async (req, res) => {
   try {
     const useReal = String(req.query.useReal || '').trim() === '1' || String(req.query.real || '').trim() === '1';
     const out = await pingICredit({ useRealToken: useReal });
@@ -84,7 +84,7 @@ router.get('/icredit/ping', adminAuth, async (req, res) => {
 });
 
 // Preview the exact JSON payload we would send to iCredit GetUrl for a given order (admin only)
-router.get('/icredit/preview-request', adminAuth, async (req, res) => {
+router.get('/icredit/preview-request', requirePermission('payments:manage'), async (req, res) => {
   try {
     const orderId = String(req.query.orderId || '').trim();
     if (!orderId) return res.status(400).json({ message: 'orderId required' });
@@ -322,6 +322,7 @@ router.post('/icredit/create-session-from-cart', async (req, res) => {
       coupon: coupon && coupon.code ? { code: coupon.code, discount: Number(coupon.discount) || 0 } : undefined,
       giftCard: sessionGiftCard,
       currency,
+      displayCurrency: body.displayCurrency,
       shippingFee: Number(shippingFee) || 0,
       totalWithShipping: Number(body?.totalWithShipping) || undefined
     });
@@ -439,7 +440,7 @@ router.post('/icredit/confirm', async (req, res) => {
 });
 
 // Admin diagnostics: inspect runtime IP resolution and relevant env flags
-router.get('/icredit/debug-runtime', adminAuth, (req, res) => {
+router.get('/icredit/debug-runtime', requirePermission('payments:manage'), (req, res) => {
   try {
     const fromHeaders = getClientIp(req) || null;
     const fromEnv = getFallbackIpFromEnv() || null;
@@ -514,6 +515,7 @@ router.post('/grow/create-session-from-cart', async (req, res) => {
       coupon: coupon && coupon.code ? { code: coupon.code, discount: Number(coupon.discount) || 0 } : undefined,
       giftCard: sessionGiftCard,
       currency,
+      displayCurrency: body.displayCurrency,
       shippingFee: Number(shippingFee) || 0,
       totalWithShipping: Number(body?.totalWithShipping) || undefined
     });
@@ -1,10 +1,11 @@
 import express from 'express';
 import { createPayPalOrder, capturePayPalOrder } from '../controllers/paypalController.js';
+import { protectOptional } from '../middleware/authOptional.js';
 
 const router = express.Router();
 
 // Public endpoints for client-side SDK integration
-router.post('/create-order', createPayPalOrder);
+router.post('/create-order', protectOptional, createPayPalOrder);
 router.post('/capture-order', capturePayPalOrder);
 
 // Card authorize placeholder for mobile screen; respond 501 to indicate not implemented
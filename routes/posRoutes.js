@@ -2,6 +2,9 @@ import express from 'express';
 import mongoose from 'mongoose';
 import Product from '../models/Product.js';
 import Category from '../models/Category.js';
+import POSRegister from '../models/POSRegister.js';
+import Settings from '../models/Settings.js';
+import { posService } from '../services/posService.js';
 import {
   // Register management
   createRegister,
@@ -14,43 +17,96 @@ import {
   closeSession,
   getCurrentSession,
   
+  // Cash management
+  createCashMovement,
+  getCashMovements,
+  
   // Transaction management
   createTransaction,
   getTransactions,
   getTransaction,
   refundTransaction,
   
+  // Offline sync
+  syncTransactions,
+  getSyncConflicts,
+  resolveConflict,
+  getSyncBatches,
+  getSyncBatch,
+  
+  // Customers and gift cards
+  lookupCustomers,
+  getCustomer,
+  checkGiftCard,
+  
   // Reports
   getSessionReport,
   getSalesReport
 } from '../controllers/posController.js';
-import { auth, adminAuth } from '../middleware/auth.js';
+import {
+  issuePosDocumentHandler,
+  getPosReceipt,
+  sendPosReceipt,
+  markPosReceiptPrinted
+} from '../controllers/documentController.js';
+import { requirePermission } from '../middleware/auth.js';
+import { hasPermission } from '../utils/permissions.js';
 
 const router = express.Router();
 
-// All POS routes require authentication
-router.use(auth);
+// All POS routes require a POS operator (cashier or above)
+router.use(requirePermission('pos:operate'));
 
 // Register Management Routes (Admin only)
-router.post('/registers', adminAuth, createRegister);
-router.get('/registers', adminAuth, getRegisters);
-router.get('/registers/:id', adminAuth, getRegister);
-router.put('/registers/:id', adminAuth, updateRegister);
+router.post('/registers', requirePermission('pos:manage'), createRegister);
+router.get('/registers', requirePermission('pos:manage'), getRegisters);
+router.get('/registers/:id', requirePermission('pos:manage'), getRegister);
+router.put('/registers/:id', requirePermission('pos:manage'), updateRegister);
 
 // Session Management Routes
 router.post('/sessions/open', openSession);
 router.put('/sessions/:sessionId/close', closeSession);
 router.get('/registers/:registerId/current-session', getCurrentSession);
+router.post('/sessions/:sessionId/cash-movements', createCashMovement);
+router.get('/sessions/:sessionId/cash-movements', getCashMovements);
 
 // Transaction Management Routes
 router.post('/transactions', createTransaction);
+router.post('/transactions/sync', syncTransactions);
 router.get('/transactions', getTransactions);
 router.get('/transactions/:id', getTransaction);
-router.post('/transactions/:transactionId/refund', refundTransaction);
+router.post('/transactions/:transactionId/refund', requirePermission('pos:refund'), refundTransaction);
+
+// Fiscal documents / receipts
+router.post('/transactions/:id/documents', issuePosDocumentHandler);
+router.get('/transactions/:id/receipt', getPosReceipt);
+router.post('/transactions/:id/receipt/send', sendPosReceipt);
+router.put('/transactions/:id/receipt/printed', markPosReceiptPrinted);
+
+// Customer Lookup and Gift Card Routes
+router.get('/customers/search', lookupCustomers);
+router.get('/customers/:id', getCustomer);
+router.get('/gift-cards/:code', checkGiftCard);
+
+// Offline Sync Review Routes
+router.get('/sync/batches', requirePermission('pos:manage'), getSyncBatches);
+router.get('/sync/batches/:id', requirePermission('pos:manage'), getSyncBatch);
+router.get('/sync/conflicts', requirePermission('pos:manage'), getSyncConflicts);
+router.post('/sync/conflicts/:id/resolve', requirePermission('pos:manage'), resolveConflict);
 
 // Report Routes
-router.get('/sessions/:sessionId/report', getSessionReport);
-router.get('/reports/sales', getSalesReport);
+router.get('/sessions/:sessionId/report', getSessionReport); // ?type=x|z
+router.get('/reports/sales', requirePermission('reports:read'), getSalesReport);
+
+// Warehouse for stock lookups: ?warehouseId, else the register's warehouse (?registerId), else the POS default
+async function resolveStockWarehouse(query, posSettings) {
+  if (query.warehouseId && mongoose.Types.ObjectId.isValid(String(query.warehouseId))) return query.warehouseId;
+  let register = null;
+  if (query.registerId && mongoose.Types.ObjectId.isValid(String(query.registerId))) {
+    register = await POSRegister.findById(query.registerId).select('warehouse').lean();
+  }
+  return posService.resolveWarehouse(register, posSettings);
+}
 
 // POS User Management Routes (basic implementation)
 router.get('/users/current', async (req, res) => {
@@ -59,15 +115,15 @@ router.get('/users/current', async (req, res) => {
     res.json({
       user: req.user.id,
       permissions: {
-        canAccessAllRegisters: true,
+        canAccessAllRegisters: hasPermission(req.user, 'pos:manage'),
         canOpenRegister: true,
         canCloseRegister: true,
         canProcessSales: true,
-        canProcessRefunds: true,
-        canVoidTransactions: true,
+        canProcessRefunds: hasPermission(req.user, 'pos:refund'),
+        canVoidTransactions: hasPermission(req.user, 'pos:refund'),
         canApplyDiscounts: true,
-        canViewReports: true,
-        canManageInventory: true
+        canViewReports: hasPermission(req.user, 'reports:read'),
+        canManageInventory: hasPermission(req.user, 'inventory:write')
       },
       assignedRegisters: [],
       preferences: {}
@@ -127,16 +183,36 @@ router.get('/products/search', async (req, res) => {
     }
 
     const docs = await Product.find(filter)
-      .select('name price images sku barcode category categories')
+      .select('name price images sku barcode category categories variants')
       .limit(take)
       .sort({ createdAt: -1 })
       .lean();
 
-    // Provide minimal inventory info so POS UI can enable Add button; real check happens via /pos/inventory/.../check
-    const data = docs.map(d => ({
-      ...d,
-      inventory: { availableQuantity: 100 },
-    }));
+    // On-hand quantities at the register's warehouse (all warehouses when none is configured)
+    const posSettings = await posService.getPosSettings();
+    const warehouse = await resolveStockWarehouse(req.query, posSettings);
+    const levels = await posService.getStockLevels(docs.map(d => d._id), warehouse);
+    const data = docs.map(({ variants, ...d }) => {
+      const activeVariants = (variants || [])
+        .filter(v => v.isActive !== false)
+        .map(v => ({
+          _id: v._id,
+          sku: v.sku,
+          barcode: v.barcode,
+          price: v.price,
+          attributes: v.attributes,
+          availableQuantity: levels.get(`${d._id}|v:${v._id}`) || 0
+        }));
+      return {
+        ...d,
+        variants: activeVariants,
+        inventory: {
+          availableQuantity: levels.get(`${d._id}|*`) || 0,
+          allowNegativeInventory: posSettings.allowNegativeInventory,
+          warehouse: warehouse ? String(warehouse) : null
+        },
+      };
+    });
 
     res.json(data);
   } catch (error) {
@@ -148,34 +224,76 @@ router.get('/products/search', async (req, res) => {
 router.get('/inventory/:productId/check', async (req, res) => {
   try {
     const { productId } = req.params;
-    const { variantId, quantity = 1 } = req.query;
-    
-    // Return basic availability info
-    res.json({
-      available: true,
-      availableQuantity: 100,
-      productName: 'Sample Product'
+    const { variantId, size, color, quantity = 1 } = req.query;
+    const posSettings = await posService.getPosSettings();
+    const warehouseId = await resolveStockWarehouse(req.query, posSettings);
+    const result = await posService.checkAvailability({
+      productId,
+      variantId,
+      size,
+      color,
+      quantity,
+      warehouseId,
+      allowNegative: posSettings.allowNegativeInventory
     });
+    res.json(result);
   } catch (error) {
+    if (error?.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error checking inventory', error: error.message });
   }
 });
 
-// POS-specific settings (basic implementation)
+// POS-specific settings (Settings.pos; currency comes from the store settings)
 router.get('/settings', async (req, res) => {
   try {
-    const posSettings = {
-      currency: 'USD',
-      taxRate: 0,
-      allowNegativeInventory: false,
-      requireReceiptPrint: false,
-      autoLogoutMinutes: 30
-    };
-    
-    res.json(posSettings);
+    res.json(await posService.getPosSettings());
   } catch (error) {
     res.status(500).json({ message: 'Error fetching POS settings', error: error.message });
   }
 });
 
+router.put('/settings', requirePermission('pos:manage'), async (req, res) => {
+  try {
+    const b = req.body || {};
+    const $set = {};
+    if (b.taxRate !== undefined) {
+      const rate = Number(b.taxRate);
+      if (!Number.isFinite(rate) || rate < 0 || rate > 100) return res.status(400).json({ message: 'taxRate must be between 0 and 100' });
+      $set['pos.taxRate'] = rate;
+    }
+    if (b.allowNegativeInventory !== undefined) $set['pos.allowNegativeInventory'] = !!b.allowNegativeInventory;
+    if (b.requireReceiptPrint !== undefined) $set['pos.requireReceiptPrint'] = !!b.requireReceiptPrint;
+    if (b.autoLogoutMinutes !== undefined) {
+      const minutes = parseInt(b.autoLogoutMinutes, 10);
+      if (!Number.isFinite(minutes) || minutes < 1) return res.status(400).json({ message: 'Invalid autoLogoutMinutes' });
+      $set['pos.autoLogoutMinutes'] = minutes;
+    }
+    if (b.defaultWarehouse !== undefined) {
+      if (b.defaultWarehouse && !mongoose.Types.ObjectId.isValid(String(b.defaultWarehouse))) {
+        return res.status(400).json({ message: 'Invalid defaultWarehouse' });
+      }
+      $set['pos.defaultWarehouse'] = b.defaultWarehouse || null;
+    }
+    if (b.loyaltyPointsPerUnit !== undefined) {
+      const rate = Number(b.loyaltyPointsPerUnit);
+      if (!Number.isFinite(rate) || rate < 0) return res.status(400).json({ message: 'Invalid loyaltyPointsPerUnit' });
+      $set['pos.loyaltyPointsPerUnit'] = rate;
+    }
+    if (b.blindClose !== undefined) $set['pos.blindClose'] = !!b.blindClose;
+    if (b.cashDenominations !== undefined) {
+      const values = Array.isArray(b.cashDenominations) ? b.cashDenominations.map(Number) : [];
+      if (!Array.isArray(b.cashDenominations) || values.some((v) => !Number.isFinite(v) || v <= 0)) {
+        return res.status(400).json({ message: 'cashDenominations must be an array of positive amounts' });
+      }
+      $set['pos.cashDenominations'] = [...new Set(values)].sort((x, y) => y - x);
+    }
+    await Settings.findOneAndUpdate({}, { $set }, { upsert: true, new: true });
+    res.json(await posService.getPosSettings());
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating POS settings', error: error.message });
+  }
+});
+
 export default router;
\ No newline at end of file
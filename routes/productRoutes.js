@@ -1,5 +1,7 @@
 import express from 'express';
-import { auth, adminAuth } from '../middleware/auth.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+import { auditEntity } from '../middleware/audit.js';
+import Product from '../models/Product.js';
 import {
   getProducts,
   getProduct,
@@ -45,8 +47,8 @@ router.get('/', (req, res, next) => {
 });
 router.get('/filters', getProductFilters); // must be before :id
 // Admin stats (total/active counts)
-router.get('/stats', adminAuth, getProductStats);
-router.get('/export/csv', adminAuth, exportProductsCsv);
+router.get('/stats', requirePermission('reports:read'), getProductStats);
+router.get('/export/csv', requirePermission('reports:read'), exportProductsCsv);
 router.get('/search', searchProducts);
 router.get('/lite/:id', getProductLite);
 // Place static paths before dynamic ':id' to avoid conflicts
@@ -54,45 +56,45 @@ router.get('/:id/stock', getProductStock); // New endpoint for stock levels
 router.get('/:id', getProduct);
 
 // Protected routes (admin only)
-router.post('/', adminAuth, createProduct);
-router.post('/bulk', adminAuth, bulkCreateProducts);
+router.post('/', requirePermission('catalog:write'), createProduct);
+router.post('/bulk', requirePermission('catalog:write'), bulkCreateProducts);
 // Translation endpoints
-router.post('/translate/batch', adminAuth, batchTranslateProducts);
-router.post('/:id/translate', adminAuth, translateProductFields);
+router.post('/translate/batch', requirePermission('catalog:write'), batchTranslateProducts);
+router.post('/:id/translate', requirePermission('catalog:write'), translateProductFields);
 // Manual i18n (admin)
-router.get('/:id/i18n', adminAuth, getProductI18n);
-router.put('/:id/i18n', adminAuth, setProductI18n);
+router.get('/:id/i18n', requirePermission('catalog:write'), getProductI18n);
+router.put('/:id/i18n', requirePermission('catalog:write'), setProductI18n);
 // Put static route before dynamic ones
-router.put('/featured/reorder', adminAuth, reorderFeaturedProducts);
-router.put('/:id', adminAuth, updateProduct);
+router.put('/featured/reorder', requirePermission('catalog:write'), reorderFeaturedProducts);
+router.put('/:id', requirePermission('catalog:write'), auditEntity(Product), updateProduct);
 // Sync quantity from Rivhit for product or variant (variantId via query param)
-router.post('/:id/sync-rivhit-qty', adminAuth, syncQuantityFromRivhit);
-router.put('/:id/related', adminAuth, updateRelatedProducts);
-router.put('/:id/addons', adminAuth, updateAddOns);
+router.post('/:id/sync-rivhit-qty', requirePermission('inventory:write'), syncQuantityFromRivhit);
+router.put('/:id/related', requirePermission('catalog:write'), updateRelatedProducts);
+router.put('/:id/addons', requirePermission('catalog:write'), updateAddOns);
 // Variant management
-router.post('/:id/variants/generate', adminAuth, generateProductVariants);
-router.put('/:id/variants/:variantId', adminAuth, updateVariant);
-router.put('/:id/variants-bulk', adminAuth, bulkUpdateVariants);
-router.delete('/:id/variants/:variantId', adminAuth, deleteVariant);
+router.post('/:id/variants/generate', requirePermission('catalog:write'), generateProductVariants);
+router.put('/:id/variants/:variantId', requirePermission('catalog:write'), auditEntity(Product), updateVariant);
+router.put('/:id/variants-bulk', requirePermission('catalog:write'), auditEntity(Product), bulkUpdateVariants);
+router.delete('/:id/variants/:variantId', requirePermission('catalog:write'), auditEntity(Product), deleteVariant);
 // Attribute value images on a product
-router.get('/:id/attribute-images', adminAuth, getAttributeValueImages);
-router.put('/:id/attribute-images', adminAuth, setAttributeValueImages);
+router.get('/:id/attribute-images', requirePermission('catalog:write'), getAttributeValueImages);
+router.put('/:id/attribute-images', requirePermission('catalog:write'), setAttributeValueImages);
 // Partial image-only update
-router.patch('/:id/images', adminAuth, updateProductImages);
-router.post('/:id/videos', adminAuth, videoUpload.single('video'), uploadProductVideo);
+router.patch('/:id/images', requirePermission('catalog:write'), updateProductImages);
+router.post('/:id/videos', requirePermission('catalog:write'), videoUpload.single('video'), uploadProductVideo);
 // Pre-create standalone video upload (returns URL only). Must precede dynamic :id catch for GETs but after other static POSTs.
-router.post('/videos/temp', adminAuth, videoUpload.single('video'), uploadTempProductVideo);
-router.delete('/:id', adminAuth, deleteProduct);
+router.post('/videos/temp', requirePermission('catalog:write'), videoUpload.single('video'), uploadTempProductVideo);
+router.delete('/:id', requirePermission('catalog:write'), auditEntity(Product), deleteProduct);
 
 // Review routes
-router.get('/reviews/all', adminAuth, getAllReviews);
+router.get('/reviews/all', requirePermission('catalog:write'), getAllReviews);
 router.get('/:id/reviews', getProductReviews);
 router.get('/:id/reviews/eligibility', auth, getReviewEligibility);
 router.post('/:id/reviews', auth, addReview);
 router.patch('/:id/reviews/:reviewId', auth, updateReview);
 router.post('/:id/reviews/:reviewId/helpful', auth, markReviewHelpful);
 router.post('/:id/reviews/:reviewId/report', auth, reportReview);
-router.put('/:id/reviews/:reviewId/verify', adminAuth, verifyReview);
+router.put('/:id/reviews/:reviewId/verify', requirePermission('catalog:write'), verifyReview);
 router.delete('/:id/reviews/:reviewId', auth, deleteReview);
 
 export default router;
\ No newline at end of file
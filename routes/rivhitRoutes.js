@@ -1,6 +1,6 @@
 import express from 'express';
 import Settings from '../models/Settings.js';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import { getItemQuantity, updateItem, testConnectivity, getLastRequest, getErrorMessage, listItems } from '../services/rivhitService.js';
 import Product from '../models/Product.js';
 import Category from '../models/Category.js';
@@ -8,7 +8,7 @@ import Category from '../models/Category.js';
 const router = express.Router();
 
 // Get Rivhit config (mask token)
-router.get('/config', adminAuth, async (req, res) => {
+router.get('/config', requirePermission('integrations:manage'), async (req, res) => {
   try {
     let s = await Settings.findOne();
     if (!s) s = await Settings.create({});
@@ -26,7 +26,7 @@ router.get('/config', adminAuth, async (req, res) => {
 });
 
 // Update Rivhit config
-router.put('/config', adminAuth, async (req, res) => {
+router.put('/config', requirePermission('integrations:manage'), async (req, res) => {
   try {
     let s = await Settings.findOne().sort({ updatedAt: -1 });
     if (!s) s = new Settings();
@@ -53,7 +53,7 @@ router.put('/config', adminAuth, async (req, res) => {
 });
 
 // Test connectivity
-router.get('/test', adminAuth, async (req, res) => {
+router.get('/test', requirePermission('integrations:manage'), async (req, res) => {
   try {
     const r = await testConnectivity();
     res.json(r);
@@ -63,7 +63,7 @@ router.get('/test', adminAuth, async (req, res) => {
 });
 
 // Diagnostics: last request/response seen by Rivhit
-router.get('/status/last', adminAuth, async (req, res) => {
+router.get('/status/last', requirePermission('integrations:manage'), async (req, res) => {
   try {
     const format = typeof req.query.format === 'string' ? req.query.format : 'json';
     const r = await getLastRequest(format);
@@ -74,7 +74,7 @@ router.get('/status/last', adminAuth, async (req, res) => {
 });
 
 // Diagnostics: get error message for an error code
-router.get('/status/error-message', adminAuth, async (req, res) => {
+router.get('/status/error-message', requirePermission('integrations:manage'), async (req, res) => {
   try {
     const code = Number(req.query.code);
     const r = await getErrorMessage(code || 0);
@@ -85,7 +85,7 @@ router.get('/status/error-message', adminAuth, async (req, res) => {
 });
 
 // Get current quantity for an item
-router.post('/quantity', adminAuth, async (req, res) => {
+router.post('/quantity', requirePermission('integrations:manage'), async (req, res) => {
   try {
     const { id_item, storage_id } = req.body || {};
     if (!id_item) return res.status(400).json({ message: 'id_item is required' });
@@ -97,7 +97,7 @@ router.post('/quantity', adminAuth, async (req, res) => {
 });
 
 // Update item (price/cost/etc.)
-router.post('/update', adminAuth, async (req, res) => {
+router.post('/update', requirePermission('integrations:manage'), async (req, res) => {
   try {
     const { id_item } = req.body || {};
     if (!id_item) return res.status(400).json({ message: 'id_item is required' });
@@ -110,7 +110,7 @@ router.post('/update', adminAuth, async (req, res) => {
 });
 
 // Sync items from Rivhit into Products: create only new ones (no duplicates)
-router.post('/sync-items', adminAuth, async (req, res) => {
+router.post('/sync-items', requirePermission('integrations:manage'), async (req, res) => {
   try {
     // Incoming mapping options
     const { defaultCategoryId, page, page_size, dryRun } = req.body || {};
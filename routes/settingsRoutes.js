@@ -3,10 +3,13 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
-import { adminAuth, auth } from '../middleware/auth.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+import { auditEntity } from '../middleware/audit.js';
 import Settings from '../models/Settings.js';
 import { ensureCloudinaryConfig, hasCloudinaryCredentials } from '../services/cloudinaryConfigService.js';
 import cloudinary from '../services/cloudinaryClient.js';
+import { sanitizePricingRules } from '../services/groomingPricingService.js';
+import { sanitizeBookingNotificationSettings } from '../services/bookingNotificationScheduler.js';
 
 const fsp = fs.promises;
 
@@ -194,7 +197,11 @@ const runLocaleUpload = (req, res, next) => {
 
 // Optional: allow non-admins to edit general settings when ALLOW_NON_ADMIN_SETTINGS=1
 // This is intended for development only. Sensitive endpoints remain admin-only.
-const settingsWriteGuard = process.env.ALLOW_NON_ADMIN_SETTINGS === '1' ? auth : adminAuth;
+const settingsWriteGuard = process.env.ALLOW_NON_ADMIN_SETTINGS === '1' ? auth : requirePermission('settings:write');
+const groomingWriteGuard = process.env.ALLOW_NON_ADMIN_SETTINGS === '1' ? auth : requirePermission('grooming:manage');
+
+// Snapshot settings before every change so the audit trail can diff them (mutating requests only)
+router.use(auditEntity('Settings', { load: () => Settings.findOne().lean() }));
 
 // Get store settings
 router.get('/', async (req, res) => {
@@ -364,7 +371,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get DeepSeek translation config (admin only for full detail sans secret value)
-router.get('/translations/deepseek', adminAuth, async (req, res) => {
+router.get('/translations/deepseek', requirePermission('integrations:manage'), async (req, res) => {
   try {
     let settings = await Settings.findOne();
     if (!settings) settings = await Settings.create({});
@@ -381,7 +388,7 @@ router.get('/translations/deepseek', adminAuth, async (req, res) => {
 });
 
 // Update DeepSeek translation config (admin)
-router.put('/translations/deepseek', adminAuth, async (req, res) => {
+router.put('/translations/deepseek', requirePermission('integrations:manage'), async (req, res) => {
   try {
     let settings = await Settings.findOne().sort({ updatedAt: -1 });
     if (!settings) settings = new Settings();
@@ -409,7 +416,7 @@ router.put('/translations/deepseek', adminAuth, async (req, res) => {
 });
 
 // Mobile app translation bundles (JSON) – list metadata
-router.get('/translations/mobile/locales', adminAuth, async (req, res) => {
+router.get('/translations/mobile/locales', requirePermission('content:write'), async (req, res) => {
   try {
     const codes = await collectLocaleLanguages();
     const languages = [];
@@ -441,7 +448,7 @@ router.get('/translations/mobile/locales', adminAuth, async (req, res) => {
 });
 
 // Upload JSON translation bundle for mobile/web (admin only)
-router.post('/translations/mobile/upload', adminAuth, runLocaleUpload, async (req, res) => {
+router.post('/translations/mobile/upload', requirePermission('content:write'), runLocaleUpload, async (req, res) => {
   try {
     const langInput = (req.body?.lang || '').trim();
     if (!langInput || !LANG_PATTERN.test(langInput)) {
@@ -488,7 +495,7 @@ router.post('/translations/mobile/upload', adminAuth, runLocaleUpload, async (re
   }
 });
 
-router.get('/translations/mobile/download/:lang', adminAuth, async (req, res) => {
+router.get('/translations/mobile/download/:lang', requirePermission('content:write'), async (req, res) => {
   try {
     const langInput = (req.params?.lang || req.query?.lang || '').trim();
     if (!langInput || !LANG_PATTERN.test(langInput)) {
@@ -544,7 +551,7 @@ router.get('/analytics', async (req, res) => {
 });
 
 // Rivhit integration config (admin only)
-router.get('/rivhit', adminAuth, async (req, res) => {
+router.get('/rivhit', requirePermission('integrations:manage'), async (req, res) => {
   try {
     let settings = await Settings.findOne();
     if (!settings) settings = await Settings.create({});
@@ -560,7 +567,7 @@ router.get('/rivhit', adminAuth, async (req, res) => {
   }
 });
 
-router.put('/rivhit', adminAuth, async (req, res) => {
+router.put('/rivhit', requirePermission('integrations:manage'), async (req, res) => {
   try {
     let settings = await Settings.findOne().sort({ updatedAt: -1 });
     if (!settings) settings = new Settings();
@@ -633,7 +640,7 @@ router.put('/inventory', settingsWriteGuard, async (req, res) => {
 });
 
 // Grooming availability settings: GET (admin only)
-router.get('/grooming', adminAuth, async (req, res) => {
+router.get('/grooming', requirePermission('grooming:manage'), async (req, res) => {
   try {
     let settings = await Settings.findOne().sort({ updatedAt: -1 });
     if (!settings) settings = await Settings.create({});
@@ -648,6 +655,10 @@ router.get('/grooming', adminAuth, async (req, res) => {
       slots: slots.length ? slots : ['07:00','08:00','09:00','10:00','11:00','12:00','13:00','14:00','15:00','16:00'],
       dateSlotOverrides: normalizeDateSlotOverrides(g.dateSlotOverrides),
       slotCapacity: Number(g.slotCapacity) > 0 ? Number(g.slotCapacity) : 4,
+      slotStepMin: Number(g.slotStepMin) >= 5 ? Number(g.slotStepMin) : 15,
+      bufferMin: Number(g.bufferMin) >= 0 ? Number(g.bufferMin) : 10,
+      pricingRules: sanitizePricingRules(g.pricingRules),
+      notifications: sanitizeBookingNotificationSettings(g.notifications),
       showHeroBanner: g.showHeroBanner !== false,
       heroBannerImage: (() => {
         if (typeof g.heroBannerImage === 'string') {
@@ -664,7 +675,7 @@ router.get('/grooming', adminAuth, async (req, res) => {
 });
 
 // Grooming availability settings: PUT (guarded like general settings)
-router.put('/grooming', settingsWriteGuard, async (req, res) => {
+router.put('/grooming', groomingWriteGuard, async (req, res) => {
   try {
     let settings = await Settings.findOne().sort({ updatedAt: -1 });
     if (!settings) settings = new Settings();
@@ -683,6 +694,14 @@ router.put('/grooming', settingsWriteGuard, async (req, res) => {
       slots: slotsFinal,
       dateSlotOverrides: nextOverrides,
       slotCapacity: Number(inc.slotCapacity) > 0 ? Number(inc.slotCapacity) : (settings.grooming?.slotCapacity || 4),
+      slotStepMin: Number(inc.slotStepMin) >= 5 && Number(inc.slotStepMin) <= 120 ? Number(inc.slotStepMin) : (settings.grooming?.slotStepMin || 15),
+      bufferMin: inc.bufferMin != null && Number(inc.bufferMin) >= 0 && Number(inc.bufferMin) <= 240 ? Number(inc.bufferMin) : (settings.grooming?.bufferMin ?? 10),
+      pricingRules: typeof inc.pricingRules === 'undefined'
+        ? sanitizePricingRules(settings.grooming?.pricingRules)
+        : sanitizePricingRules(inc.pricingRules),
+      notifications: typeof inc.notifications === 'undefined'
+        ? sanitizeBookingNotificationSettings(settings.grooming?.notifications)
+        : sanitizeBookingNotificationSettings(inc.notifications),
       showHeroBanner: typeof inc.showHeroBanner === 'undefined'
         ? settings.grooming?.showHeroBanner !== false
         : !!inc.showHeroBanner,
@@ -703,7 +722,7 @@ router.put('/grooming', settingsWriteGuard, async (req, res) => {
 });
 
 // Grooming availability settings (admin)
-router.get('/grooming', adminAuth, async (req, res) => {
+router.get('/grooming', requirePermission('grooming:manage'), async (req, res) => {
   try {
     let settings = await Settings.findOne().sort({ updatedAt: -1 });
     if (!settings) settings = await Settings.create({});
@@ -733,7 +752,7 @@ router.get('/grooming', adminAuth, async (req, res) => {
   }
 });
 
-router.put('/grooming', settingsWriteGuard, async (req, res) => {
+router.put('/grooming', groomingWriteGuard, async (req, res) => {
   try {
     let settings = await Settings.findOne().sort({ updatedAt: -1 });
     if (!settings) settings = new Settings();
@@ -782,7 +801,7 @@ router.put('/grooming', settingsWriteGuard, async (req, res) => {
 });
 
 // Dedicated endpoint to update only booking hero banner fields without touching other grooming settings
-router.put('/grooming/hero', settingsWriteGuard, async (req, res) => {
+router.put('/grooming/hero', groomingWriteGuard, async (req, res) => {
   try {
     let settings = await Settings.findOne().sort({ updatedAt: -1 });
     if (!settings) settings = await Settings.create({});
@@ -1131,6 +1150,10 @@ router.put('/', settingsWriteGuard, async (req, res) => {
           const min = Number(s.freeShippingMinSubtotal);
           if (!isNaN(min) && min >= 0) settings.shipping.freeShippingMinSubtotal = min;
         }
+        if (typeof s.volumetricDivisor !== 'undefined') {
+          const divisor = Number(s.volumetricDivisor);
+          if (!isNaN(divisor) && divisor >= 1) settings.shipping.volumetricDivisor = divisor;
+        }
         try { settings.markModified('shipping'); } catch {}
       }
 
@@ -1351,7 +1374,7 @@ router.put('/', settingsWriteGuard, async (req, res) => {
 });
 
 // Upload custom header icon asset (admin only)
-router.post('/upload/header-icon/:key', adminAuth, upload.single('file'), async (req, res) => {
+router.post('/upload/header-icon/:key', requirePermission('content:write'), upload.single('file'), async (req, res) => {
   try {
     const { key } = req.params; // cart|wishlist|account|search|language|currency
     const allowed = ['cart','wishlist','account','search','language','currency'];
@@ -1429,7 +1452,7 @@ router.post('/upload/header-icon/:key', adminAuth, upload.single('file'), async
 });
 
 // Upload header icon background image (admin only)
-router.post('/upload/header-icon-bg/:key', adminAuth, upload.single('file'), async (req, res) => {
+router.post('/upload/header-icon-bg/:key', requirePermission('content:write'), upload.single('file'), async (req, res) => {
   try {
     const { key } = req.params; // cart|wishlist|account|search|language|currency
     const allowed = ['cart','wishlist','account','search','language','currency'];
@@ -1505,7 +1528,7 @@ router.post('/upload/header-icon-bg/:key', adminAuth, upload.single('file'), asy
 
 // Upload mobile tab bar icon (admin only)
 // key: home.active|home.inactive|category.active|category.inactive|cart.active|cart.inactive|me.active|me.inactive|center.icon
-router.post('/upload/mobile-tab-icon/:key', adminAuth, upload.single('file'), async (req, res) => {
+router.post('/upload/mobile-tab-icon/:key', requirePermission('content:write'), upload.single('file'), async (req, res) => {
   try {
     const { key } = req.params;
     const allowed = new Set([
@@ -1653,7 +1676,7 @@ router.put('/mobile-tab/sizes', settingsWriteGuard, async (req, res) => {
 });
 
 // Upload authentication background image (admin only)
-router.post('/upload/auth-background', adminAuth, upload.single('file'), async (req, res) => {
+router.post('/upload/auth-background', requirePermission('content:write'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
@@ -1723,7 +1746,7 @@ router.post('/upload/auth-background', adminAuth, upload.single('file'), async (
 });
 
 // Upload header background image (admin only)
-router.post('/upload/header-background', adminAuth, upload.single('file'), async (req, res) => {
+router.post('/upload/header-background', requirePermission('content:write'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
@@ -1783,7 +1806,7 @@ router.post('/upload/header-background', adminAuth, upload.single('file'), async
 });
 
 // Upload navigation bar background image (admin only)
-router.post('/upload/nav-background', adminAuth, upload.single('file'), async (req, res) => {
+router.post('/upload/nav-background', requirePermission('content:write'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
@@ -1844,7 +1867,7 @@ router.post('/upload/nav-background', adminAuth, upload.single('file'), async (r
 });
 
 // Upload visitor popup background image (admin only)
-router.post('/upload/visitor-popup-background', adminAuth, upload.single('file'), async (req, res) => {
+router.post('/upload/visitor-popup-background', requirePermission('content:write'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
@@ -1907,7 +1930,7 @@ router.post('/upload/visitor-popup-background', adminAuth, upload.single('file')
 });
 
 // Upload announcements bar background image (admin only)
-router.post('/upload/announcements-background', adminAuth, upload.single('file'), async (req, res) => {
+router.post('/upload/announcements-background', requirePermission('content:write'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
@@ -1969,7 +1992,7 @@ router.post('/upload/announcements-background', adminAuth, upload.single('file')
 });
 
 // Upload scroll-to-top background image (admin only)
-router.post('/upload/scroll-top-background', adminAuth, upload.single('file'), async (req, res) => {
+router.post('/upload/scroll-top-background', requirePermission('content:write'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
@@ -2031,7 +2054,7 @@ router.post('/upload/scroll-top-background', adminAuth, upload.single('file'), a
 });
 
 // Upload global store background image (admin only)
-router.post('/upload/store-background', adminAuth, upload.single('file'), async (req, res) => {
+router.post('/upload/store-background', requirePermission('content:write'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
@@ -2093,7 +2116,7 @@ router.post('/upload/store-background', adminAuth, upload.single('file'), async
 });
 
 // Upload New Arrivals banner image (admin only)
-router.post('/upload/new-arrivals-banner', adminAuth, upload.single('file'), async (req, res) => {
+router.post('/upload/new-arrivals-banner', requirePermission('content:write'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
@@ -2155,7 +2178,7 @@ router.post('/upload/new-arrivals-banner', adminAuth, upload.single('file'), asy
 });
 
 // Upload favicon (admin only). Accepts image/svg+xml, image/png, image/x-icon. Stores at /uploads or Cloudinary folder settings/favicon
-router.post('/upload/favicon', adminAuth, upload.single('file'), async (req, res) => {
+router.post('/upload/favicon', requirePermission('content:write'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
@@ -2228,7 +2251,7 @@ export default router;
 
 // Cloudinary admin config endpoints
 // Cloudinary settings are sensitive; admin only
-router.get('/cloudinary', adminAuth, async (req, res) => {
+router.get('/cloudinary', requirePermission('integrations:manage'), async (req, res) => {
   try {
     let settings = await Settings.findOne();
     if (!settings) settings = new Settings();
@@ -2247,7 +2270,7 @@ router.get('/cloudinary', adminAuth, async (req, res) => {
   }
 });
 
-router.put('/cloudinary', adminAuth, async (req, res) => {
+router.put('/cloudinary', requirePermission('integrations:manage'), async (req, res) => {
   try {
     const { cloudName = '', apiKey = '', apiSecret = '', clearSecret = false } = req.body || {};
     let settings = await Settings.findOne();
@@ -2270,7 +2293,7 @@ router.put('/cloudinary', adminAuth, async (req, res) => {
   }
 });
 
-router.post('/cloudinary/test', adminAuth, async (req, res) => {
+router.post('/cloudinary/test', requirePermission('integrations:manage'), async (req, res) => {
   try {
     const ok = await ensureCloudinaryConfig();
     if (!ok) return res.status(400).json({ ok: false, message: 'Missing Cloudinary credentials' });
@@ -2297,7 +2320,7 @@ router.get('/payments/paypal', async (req, res) => {
 });
 
 // Updating PayPal credentials should be admin-only
-router.put('/payments/paypal', adminAuth, async (req, res) => {
+router.put('/payments/paypal', requirePermission('payments:manage'), async (req, res) => {
   try {
     const { enabled, mode, clientId, secret } = req.body || {};
     if (mode && !['sandbox', 'live'].includes(String(mode))) {
@@ -2385,7 +2408,7 @@ router.put('/checkout', settingsWriteGuard, async (req, res) => {
 });
 
 // Checkout WhatsApp reminder delivery (Twilio) - admin only
-router.get('/checkout/whatsapp', adminAuth, async (req, res) => {
+router.get('/checkout/whatsapp', requirePermission('integrations:manage'), async (req, res) => {
   try {
     let settings = await Settings.findOne();
     if (!settings) settings = new Settings();
@@ -2407,7 +2430,7 @@ router.get('/checkout/whatsapp', adminAuth, async (req, res) => {
   }
 });
 
-router.put('/checkout/whatsapp', adminAuth, async (req, res) => {
+router.put('/checkout/whatsapp', requirePermission('integrations:manage'), async (req, res) => {
   try {
     const { reminderWhatsAppEnabled, twilioAccountSid, twilioAuthToken, twilioWhatsAppFrom, twilioMessagingServiceSid } = req.body || {};
     let settings = await Settings.findOne();
@@ -2429,7 +2452,7 @@ router.put('/checkout/whatsapp', adminAuth, async (req, res) => {
 });
 
 // PayPal config test endpoint
-router.post('/payments/paypal/test', adminAuth, async (req, res) => {
+router.post('/payments/paypal/test', requirePermission('payments:manage'), async (req, res) => {
   try {
     let settings = await Settings.findOne();
     if (!settings || !settings.payments || !settings.payments.paypal || !settings.payments.paypal.clientId || !settings.payments.paypal.secret) {
@@ -2479,7 +2502,7 @@ router.get('/payments/icredit', async (req, res) => {
   }
 });
 
-router.put('/payments/icredit', adminAuth, async (req, res) => {
+router.put('/payments/icredit', requirePermission('payments:manage'), async (req, res) => {
   try {
     const inc = req.body || {};
     let settings = await Settings.findOne();
@@ -2522,7 +2545,7 @@ router.put('/payments/icredit', adminAuth, async (req, res) => {
 });
 
 // Basic test endpoint: validates required fields presence
-router.post('/payments/icredit/test', adminAuth, async (req, res) => {
+router.post('/payments/icredit/test', requirePermission('payments:manage'), async (req, res) => {
   try {
     let settings = await Settings.findOne();
     const c = settings?.payments?.icredit || {};
@@ -2559,7 +2582,7 @@ router.get('/payments/meshulam', async (req, res) => {
   }
 });
 
-router.put('/payments/meshulam', adminAuth, async (req, res) => {
+router.put('/payments/meshulam', requirePermission('payments:manage'), async (req, res) => {
   try {
     const inc = req.body || {};
     let settings = await Settings.findOne();
@@ -2585,7 +2608,7 @@ router.put('/payments/meshulam', adminAuth, async (req, res) => {
   }
 });
 
-router.post('/payments/meshulam/test', adminAuth, async (req, res) => {
+router.post('/payments/meshulam/test', requirePermission('payments:manage'), async (req, res) => {
   try {
     let settings = await Settings.findOne();
     const m = settings?.payments?.meshulam || {};
@@ -1,7 +1,7 @@
 import express from 'express';
 import asyncHandler from 'express-async-handler';
 import multer from 'multer';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import {
   getShippingZones,
   getShippingZone,
@@ -40,22 +40,22 @@ const excelUpload = multer({
 // Shipping Zone Routes
 router.route('/zones')
   .get(asyncHandler(getShippingZones)) // Get all shipping zones
-  .post(adminAuth, asyncHandler(createShippingZone)); // Admin-only: Create a new shipping zone
+  .post(requirePermission('shipping:manage'), asyncHandler(createShippingZone)); // Admin-only: Create a new shipping zone
 
 router.route('/zones/:id')
   .get(asyncHandler(getShippingZone)) // Get a single shipping zone by ID
-  .put(adminAuth, asyncHandler(updateShippingZone)) // Admin-only: Update a shipping zone by ID
-  .delete(adminAuth, asyncHandler(deleteShippingZone)); // Admin-only: Delete a shipping zone by ID
+  .put(requirePermission('shipping:manage'), asyncHandler(updateShippingZone)) // Admin-only: Update a shipping zone by ID
+  .delete(requirePermission('shipping:manage'), asyncHandler(deleteShippingZone)); // Admin-only: Delete a shipping zone by ID
 
 // Shipping Rate Routes
 router.route('/rates')
   .get(asyncHandler(getShippingRates)) // Get all shipping rates
-  .post(adminAuth, asyncHandler(createShippingRate)); // Admin-only: Create a new shipping rate
+  .post(requirePermission('shipping:manage'), asyncHandler(createShippingRate)); // Admin-only: Create a new shipping rate
 
 router.route('/rates/:id')
   .get(asyncHandler(getShippingRate)) // Get a single shipping rate by ID
-  .put(adminAuth, asyncHandler(updateShippingRate)) // Admin-only: Update a shipping rate by ID
-  .delete(adminAuth, asyncHandler(deleteShippingRate)); // Admin-only: Delete a shipping rate by ID
+  .put(requirePermission('shipping:manage'), asyncHandler(updateShippingRate)) // Admin-only: Update a shipping rate by ID
+  .delete(requirePermission('shipping:manage'), asyncHandler(deleteShippingRate)); // Admin-only: Delete a shipping rate by ID
 
 // Shipping Fee Calculation Route (supports city)
 router.post('/calculate', asyncHandler(calculateShippingFee));
@@ -64,11 +64,11 @@ router.post('/calculate', asyncHandler(calculateShippingFee));
 router.get('/options', asyncHandler(getShippingOptions));
 
 // Get distinct configured cities (admin only)
-router.get('/cities', adminAuth, asyncHandler(getConfiguredCities));
+router.get('/cities', requirePermission('shipping:manage'), asyncHandler(getConfiguredCities));
 
 router.post(
   '/zones/import/excel',
-  adminAuth,
+  requirePermission('shipping:manage'),
   excelUpload.single('file'),
   asyncHandler(importShippingZoneFromExcel)
 );
@@ -1,5 +1,5 @@
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import { upload, uploadProductImage } from '../controllers/uploadController.js';
 
 const router = express.Router();
@@ -50,7 +50,7 @@ router.use((err, req, res, next) => {
 // POST /api/uploads/product-image
 // Allow unauthenticated upload only when SKIP_DB=1 (local test mode) so we can verify CORS without JWT.
 const allowUnauth = process.env.SKIP_DB === '1';
-router.post('/product-image', allowUnauth ? upload.single('file') : [adminAuth, upload.single('file')], async (req, res, next) => {
+router.post('/product-image', allowUnauth ? upload.single('file') : [requirePermission('content:write'), upload.single('file')], async (req, res, next) => {
 	// Extra diagnostics to Cloud Run logs for persistent CORS/400 troubleshooting
 	try {
 		console.log('[upload][product-image] incoming', {
@@ -82,7 +82,7 @@ router.get('/product-image', (req, res) => {
 });
 
 // POST /api/uploads/announcement-icon  (stores in 'announcements/icons' folder)
-router.post('/announcement-icon', adminAuth, upload.single('file'), (req, res, next) => {
+router.post('/announcement-icon', requirePermission('content:write'), upload.single('file'), (req, res, next) => {
 	// Inject default folder for announcement icons
 	req.body = { ...(req.body || {}), folder: 'announcements/icons' };
 	next();
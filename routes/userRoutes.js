@@ -2,10 +2,12 @@ import express from 'express';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import Order from '../models/Order.js';
-import { auth } from '../middleware/auth.js';
-import { adminAuth } from '../middleware/auth.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+import { auditEntity } from '../middleware/audit.js';
 import * as XLSX from 'xlsx';
 import mongoose from 'mongoose';
+import { ROLES } from '../utils/permissions.js';
+import { getPurchaseHistory } from '../services/customerService.js';
 
 const router = express.Router();
 
@@ -187,7 +189,7 @@ router.get('/reviews', auth, async (req, res) => {
 });
 
 // Admin: list users with simple pagination & search
-router.get('/', adminAuth, async (req, res) => {
+router.get('/', requirePermission('customers:read'), async (req, res) => {
   try {
     console.log('GET /api/users listing request query=', req.query, 'user=', req.user?._id);
     const page = parseInt(req.query.page) || 1;
@@ -294,7 +296,7 @@ router.get('/', adminAuth, async (req, res) => {
 });
 
 // Admin: export users as CSV (optionally filtered by search)
-router.get('/export', adminAuth, async (req, res) => {
+router.get('/export', requirePermission('customers:read'), async (req, res) => {
   try {
     const search = (req.query.search || '').trim();
     const role = (req.query.role || '').trim();
@@ -386,7 +388,7 @@ router.get('/export', adminAuth, async (req, res) => {
 });
 
 // Admin: export users as XLSX
-router.get('/export.xlsx', adminAuth, async (req, res) => {
+router.get('/export.xlsx', requirePermission('customers:read'), async (req, res) => {
   try {
     const search = (req.query.search || '').trim();
     const role = (req.query.role || '').trim();
@@ -471,7 +473,7 @@ router.get('/export.xlsx', adminAuth, async (req, res) => {
 });
 
 // Admin: summary stats for dashboard (total customers, new this period, top spenders)
-router.get('/stats/summary', adminAuth, async (req, res) => {
+router.get('/stats/summary', requirePermission('customers:read'), async (req, res) => {
   try {
     const periodDays = Math.min(parseInt(req.query.days) || 30, 365);
     const since = new Date();
@@ -502,15 +504,10 @@ router.get('/stats/summary', adminAuth, async (req, res) => {
   }
 });
 
-// Admin: get specific user's recent orders
-router.get('/:id/orders', adminAuth, async (req, res) => {
+// Admin: get specific user's recent orders (online orders and in-store POS purchases, see `channel`)
+router.get('/:id/orders', requirePermission('customers:read'), async (req, res) => {
   try {
-    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
-    const userId = req.params.id;
-    const orders = await Order.find({ user: userId })
-      .sort({ createdAt: -1 })
-      .limit(limit)
-      .select('orderNumber totalAmount currency status paymentStatus createdAt items');
+    const orders = await getPurchaseHistory(req.params.id, { limit: req.query.limit });
     res.json(orders);
   } catch (error) {
     console.error('Error fetching user orders:', error);
@@ -519,10 +516,10 @@ router.get('/:id/orders', adminAuth, async (req, res) => {
 });
 
 // Admin: update a user's role
-router.patch('/:id/role', adminAuth, async (req, res) => {
+router.patch('/:id/role', requirePermission('users:manage_roles'), auditEntity(User), async (req, res) => {
   try {
     const { role } = req.body;
-    if (!['user','admin'].includes(role)) {
+    if (!ROLES.includes(role)) {
       return res.status(400).json({ message: 'Invalid role' });
     }
     const u = await User.findById(req.params.id);
@@ -530,6 +527,10 @@ router.patch('/:id/role', adminAuth, async (req, res) => {
     if (u._id.toString() === req.user._id.toString()) {
       return res.status(400).json({ message: 'You cannot change your own role' });
     }
+    // Only an owner may grant or revoke ownership
+    if ((role === 'owner' || u.role === 'owner') && req.user.role !== 'owner') {
+      return res.status(403).json({ message: 'Only an owner can change owner roles' });
+    }
     u.role = role;
     await u.save();
     res.json({ message: 'Role updated', user: { id: u._id, role: u.role } });
@@ -540,18 +541,24 @@ router.patch('/:id/role', adminAuth, async (req, res) => {
 });
 
 // Admin: bulk role update
-router.patch('/bulk-role', adminAuth, async (req, res) => {
+router.patch('/bulk-role', requirePermission('users:manage_roles'), async (req, res) => {
   try {
     const { userIds, role } = req.body;
     if (!Array.isArray(userIds) || userIds.length === 0) {
       return res.status(400).json({ message: 'userIds array required' });
     }
-    if (!['user','admin'].includes(role)) {
+    if (!ROLES.includes(role)) {
       return res.status(400).json({ message: 'Invalid role' });
     }
+    const isOwner = req.user.role === 'owner';
+    if (role === 'owner' && !isOwner) {
+      return res.status(403).json({ message: 'Only an owner can change owner roles' });
+    }
     // Prevent self change through bulk
     const filteredIds = userIds.filter(id => id !== req.user._id.toString());
-    const result = await User.updateMany({ _id: { $in: filteredIds } }, { $set: { role } });
+    const filter = { _id: { $in: filteredIds } };
+    if (!isOwner) filter.role = { $ne: 'owner' };
+    const result = await User.updateMany(filter, { $set: { role } });
     res.json({ message: 'Roles updated', modifiedCount: result.modifiedCount });
   } catch (error) {
     console.error('Error bulk updating roles:', error);
@@ -560,7 +567,7 @@ router.patch('/bulk-role', adminAuth, async (req, res) => {
 });
 
 // Admin: update contact info (phone / whatsapp opt-in)
-router.patch('/:id/contact', adminAuth, async (req, res) => {
+router.patch('/:id/contact', requirePermission('customers:write'), auditEntity(User), async (req, res) => {
   try {
     const { phoneNumber, whatsappOptIn } = req.body;
     const u = await User.findById(req.params.id);
@@ -1,5 +1,5 @@
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import Product from '../models/Product.js';
 import { trackVisitor, getVisitorStats, trackEvent, getRecentEvents, getEventsCount, getActiveVisitorsByProduct, trackPageView, getActiveVisitorList } from '../services/visitorTracker.js';
 
@@ -56,7 +56,7 @@ router.post('/event', (req, res) => {
   }
 });
 
-router.get('/active', adminAuth, (req, res) => {
+router.get('/active', requirePermission('reports:read'), (req, res) => {
   try {
     const windowSec = Number.parseInt(String(req.query?.windowSec || ''), 10);
     const windowMs = Number.isFinite(windowSec) ? windowSec * 1000 : undefined;
@@ -67,7 +67,7 @@ router.get('/active', adminAuth, (req, res) => {
   }
 });
 
-router.get('/active/list', adminAuth, async (req, res) => {
+router.get('/active/list', requirePermission('reports:read'), async (req, res) => {
   try {
     const windowSec = Number.parseInt(String(req.query?.windowSec || ''), 10);
     const windowMs = Number.isFinite(windowSec) ? windowSec * 1000 : undefined;
@@ -102,7 +102,7 @@ router.get('/active/list', adminAuth, async (req, res) => {
   }
 });
 
-router.get('/events', adminAuth, (req, res) => {
+router.get('/events', requirePermission('reports:read'), (req, res) => {
   try {
     const limit = Number.parseInt(String(req.query?.limit || '50'), 10);
     const data = getRecentEvents(limit).map((event) => ({
@@ -120,7 +120,7 @@ router.get('/events', adminAuth, (req, res) => {
   }
 });
 
-router.get('/by-product', adminAuth, (req, res) => {
+router.get('/by-product', requirePermission('reports:read'), (req, res) => {
   try {
     const windowSec = Number.parseInt(String(req.query?.windowSec || ''), 10);
     const windowMs = Number.isFinite(windowSec) ? windowSec * 1000 : undefined;
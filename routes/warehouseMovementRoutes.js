@@ -1,10 +1,10 @@
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import { getWarehouseMovements, getWarehouseMovementById } from '../controllers/warehouseMovementController.js';
 
 const router = express.Router();
 
-router.get('/', adminAuth, getWarehouseMovements);
-router.get('/:id', adminAuth, getWarehouseMovementById);
+router.get('/', requirePermission('inventory:read'), getWarehouseMovements);
+router.get('/:id', requirePermission('inventory:read'), getWarehouseMovementById);
 
 export default router;
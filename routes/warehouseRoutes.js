@@ -7,16 +7,16 @@ import {
   deleteWarehouse,
   getDefaultWarehouse
 } from '../controllers/warehouseController.js';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.get('/', adminAuth, getWarehouses);
+router.get('/', requirePermission('inventory:read'), getWarehouses);
 // Must be defined before '/:id' to avoid being captured by it
-router.get('/default', adminAuth, getDefaultWarehouse);
-router.get('/:id', adminAuth, getWarehouseById);
-router.post('/', adminAuth, createWarehouse);
-router.put('/:id', adminAuth, updateWarehouse);
-router.delete('/:id', adminAuth, deleteWarehouse);
+router.get('/default', requirePermission('inventory:read'), getDefaultWarehouse);
+router.get('/:id', requirePermission('inventory:read'), getWarehouseById);
+router.post('/', requirePermission('inventory:write'), createWarehouse);
+router.put('/:id', requirePermission('inventory:write'), updateWarehouse);
+router.delete('/:id', requirePermission('inventory:write'), deleteWarehouse);
 
 export default router;
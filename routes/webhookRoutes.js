@@ -0,0 +1,34 @@
+import express from 'express';
+import { requirePermission } from '../middleware/auth.js';
+import {
+  listSubscriptions,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  pingSubscription,
+  listDeliveries,
+  getDelivery,
+  redeliverDelivery,
+  listEvents
+} from '../controllers/webhookController.js';
+
+const router = express.Router();
+
+router.use(requirePermission('integrations:manage'));
+
+// Subscriptions (endpoints + event filters)
+router.get('/subscriptions', listSubscriptions);
+router.post('/subscriptions', createSubscription);
+router.put('/subscriptions/:id([0-9a-fA-F]{24})', updateSubscription);
+router.delete('/subscriptions/:id([0-9a-fA-F]{24})', deleteSubscription);
+router.post('/subscriptions/:id([0-9a-fA-F]{24})/ping', pingSubscription);
+
+// Delivery log and manual redelivery
+router.get('/deliveries', listDeliveries);
+router.get('/deliveries/:id', getDelivery);
+router.post('/deliveries/:id/redeliver', redeliverDelivery);
+
+// Outbox
+router.get('/events', listEvents);
+
+export default router;
@@ -1,21 +1,21 @@
 import express from 'express';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import { singleLink, bulkLinksByIds, bulkLinksByFilter } from '../controllers/whatsappController.js';
 import WhatsAppAudit from '../models/WhatsAppAudit.js';
 
 const router = express.Router();
 
 // Generate a single WhatsApp chat link
-router.post('/link', adminAuth, singleLink);
+router.post('/link', requirePermission('push:send'), singleLink);
 // Generate links for selected customer IDs
-router.post('/links/ids', adminAuth, bulkLinksByIds);
+router.post('/links/ids', requirePermission('push:send'), bulkLinksByIds);
 // Generate links for all (optionally limited) filtered users
-router.post('/links/filter', adminAuth, bulkLinksByFilter);
+router.post('/links/filter', requirePermission('push:send'), bulkLinksByFilter);
 
 export default router;
 
 // List audits (simple)
-router.get('/audits', adminAuth, async (req, res) => {
+router.get('/audits', requirePermission('push:send'), async (req, res) => {
 	try {
 		const limit = Math.min(parseInt(req.query.limit) || 50, 200);
 		const audits = await WhatsAppAudit.find().sort({ createdAt: -1 }).limit(limit).select('-messageHash').lean();
@@ -10,7 +10,8 @@ import {
   successCallbackHandler,
   failureCallbackHandler
 } from '../controllers/zcreditController.js';
-import { adminAuth } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
+import { protectOptional } from '../middleware/authOptional.js';
 
 const router = express.Router();
 
@@ -18,10 +19,10 @@ const router = express.Router();
 router.post('/session', createSessionHandler);
 
 // Create session directly from checkout payload (no order pre-create)
-router.post('/session-from-cart', createSessionFromCartHandler);
+router.post('/session-from-cart', protectOptional, createSessionFromCartHandler);
 
 // Admin: create an invoice/payment session for an existing order
-router.post('/orders/:orderId/create-invoice', adminAuth, createInvoiceFromOrderHandler);
+router.post('/orders/:orderId/create-invoice', requirePermission('orders:write'), createInvoiceFromOrderHandler);
 
 // Get session status
 router.post('/status', getStatusHandler);
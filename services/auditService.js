@@ -0,0 +1,109 @@
+// auditService.js
+// Generic admin audit trail: before/after diffs with secrets masked, written to the AuditLog collection.
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import { maskSecrets, isSensitivePath } from '../utils/secrets.js';
+
+const IGNORED_KEYS = new Set(['__v', 'updatedAt', 'createdAt']);
+const MAX_CHANGES = 200;
+const MAX_VALUE_CHARS = 2000;
+const MAX_BODY_CHARS = 10000;
+
+// Plain JSON view of a document (ObjectIds -> strings, Dates -> ISO strings)
+const toPlain = (doc) => {
+  if (doc == null) return doc;
+  const obj = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  try { return JSON.parse(JSON.stringify(obj)); } catch { return undefined; }
+};
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+const clip = (value) => {
+  if (value === undefined) return undefined;
+  const str = JSON.stringify(value);
+  if (str === undefined || str.length <= MAX_VALUE_CHARS) return value;
+  return `${str.slice(0, MAX_VALUE_CHARS)}…(truncated)`;
+};
+
+/**
+ * Field-level diff of two documents. Nested objects are walked; arrays are compared as a whole.
+ * Values under secret-looking keys are recorded as '***' (the change itself is still listed).
+ * @returns {Array<{ path: string, before: any, after: any }>}
+ */
+export function diffDocuments(before, after) {
+  const changes = [];
+  const walk = (a, b, prefix) => {
+    if (changes.length >= MAX_CHANGES) return;
+    if (isPlainObject(a) && isPlainObject(b)) {
+      const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+      for (const key of keys) {
+        if (!prefix && IGNORED_KEYS.has(key)) continue;
+        walk(a[key], b[key], prefix ? `${prefix}.${key}` : key);
+      }
+      return;
+    }
+    if (JSON.stringify(a) === JSON.stringify(b)) return;
+    const path = prefix || '(root)';
+    if (isSensitivePath(path)) {
+      changes.push({ path, before: a === undefined ? undefined : '***', after: b === undefined ? undefined : '***' });
+    } else {
+      changes.push({ path, before: clip(maskSecrets(a)), after: clip(maskSecrets(b)) });
+    }
+  };
+  walk(toPlain(before) ?? {}, toPlain(after) ?? {}, '');
+  return changes;
+}
+
+// Masked, size-capped copy of a request body
+export function sanitizeBody(body) {
+  if (body == null || (isPlainObject(body) && !Object.keys(body).length)) return undefined;
+  const masked = maskSecrets(toPlain(body));
+  const str = JSON.stringify(masked);
+  if (str === undefined) return undefined;
+  return str.length > MAX_BODY_CHARS ? { truncated: true, preview: str.slice(0, MAX_BODY_CHARS) } : masked;
+}
+
+/**
+ * Persist an audit entry. Never throws: auditing must not break the audited request.
+ * @param {object} entry { actor, action, method, route, path, statusCode, entityType, entityId, before, after, body, ip, userAgent }
+ */
+export async function recordAudit({ actor, before, after, body, ...rest }) {
+  try {
+    const hasSnapshot = before !== undefined || after !== undefined;
+    return await AuditLog.create({
+      ...rest,
+      actor: actor?._id,
+      actorEmail: actor?.email,
+      actorRole: actor?.role,
+      changes: hasSnapshot ? diffDocuments(before, after) : [],
+      body: hasSnapshot ? undefined : sanitizeBody(body)
+    });
+  } catch (e) {
+    console.warn('[audit] failed to record entry:', e?.message || e);
+    return null;
+  }
+}
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Mongo filter from /api/audit query params
+export function buildAuditFilter(query = {}) {
+  const filter = {};
+  if (query.actor && mongoose.Types.ObjectId.isValid(query.actor)) filter.actor = query.actor;
+  for (const key of ['entityType', 'entityId', 'action', 'actorRole']) {
+    if (query[key]) filter[key] = String(query[key]);
+  }
+  if (query.method) filter.method = String(query.method).toUpperCase();
+  if (query.actorEmail) filter.actorEmail = String(query.actorEmail).trim().toLowerCase();
+  if (query.route) filter.route = { $regex: escapeRegex(query.route), $options: 'i' };
+  if (query.statusCode && Number.isFinite(Number(query.statusCode))) filter.statusCode = Number(query.statusCode);
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from && !Number.isNaN(new Date(query.from).getTime())) filter.createdAt.$gte = new Date(query.from);
+    if (query.to && !Number.isNaN(new Date(query.to).getTime())) filter.createdAt.$lte = new Date(query.to);
+    if (!Object.keys(filter.createdAt).length) delete filter.createdAt;
+  }
+  return filter;
+}
+
+export default { diffDocuments, sanitizeBody, recordAudit, buildAuditFilter };
@@ -0,0 +1,99 @@
+// backorderService.js
+// Back-orders and pre-orders: a product (or one of its variants) can be sold beyond its stock. reserveItems takes
+// what is on hand and reports the shortfall; the order line keeps it under Order.items[].backorder, and
+// inventoryService.allocateBackorders hands out new stock to those lines oldest order first.
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+
+export const BACKORDER_MODES = ['backorder', 'preorder'];
+// Orders whose back-ordered lines no longer wait for stock
+const CLOSED_ORDER_STATUSES = ['cancelled', 'returned'];
+
+const normalizeDefault = (v) => ((v && String(v).trim()) ? String(v) : 'Default');
+
+// Inventory row identity of an item (same normalization as inventoryService)
+export function skuFilter({ product, variantId, size, color }) {
+  return variantId
+    ? { product, variantId: String(variantId) }
+    : { product, size: normalizeDefault(size), color: normalizeDefault(color) };
+}
+
+export const isSameSku = (line, sku) => String(line.product?._id || line.product) === String(sku.product)
+  && (sku.variantId
+    ? String(line.variantId || '') === String(sku.variantId)
+    : !line.variantId && normalizeDefault(line.size) === normalizeDefault(sku.size) && normalizeDefault(line.color) === normalizeDefault(sku.color));
+
+// Units of an order line still waiting for stock
+export const outstandingBackorder = (line) => (line?.backorder?.status === 'pending'
+  ? Math.max(0, (Number(line.backorder.quantity) || 0) - (Number(line.backorder.allocatedQuantity) || 0))
+  : 0);
+
+/**
+ * Back-order setting for a product/variant, or null when it cannot be sold without stock.
+ * A variant set to 'inherit' (the default) uses the product setting.
+ * @returns {Promise<null | { mode, expectedDate, maxQuantity, productName }>}
+ */
+export async function resolveBackorderPolicy(productId, variantId = null) {
+  const product = await Product.findById(productId).select('name backorder variants._id variants.backorder').lean();
+  if (!product) return null;
+  const variant = variantId ? (product.variants || []).find((v) => String(v._id) === String(variantId)) : null;
+  const cfg = variant?.backorder?.mode && variant.backorder.mode !== 'inherit' ? variant.backorder : product.backorder;
+  if (!cfg || !BACKORDER_MODES.includes(cfg.mode)) return null;
+  return {
+    mode: cfg.mode,
+    expectedDate: cfg.expectedDate || undefined,
+    maxQuantity: Number.isFinite(Number(cfg.maxQuantity)) && cfg.maxQuantity !== null ? Number(cfg.maxQuantity) : null,
+    productName: product.name
+  };
+}
+
+/**
+ * Open orders with lines of these products still waiting for stock, oldest first
+ */
+export async function findPendingBackorderOrders(productIds) {
+  const ids = [...new Set((productIds || []).map(String))];
+  if (!ids.length) return [];
+  return Order.find({
+    status: { $nin: CLOSED_ORDER_STATUSES },
+    items: { $elemMatch: { product: { $in: ids }, 'backorder.status': 'pending' } }
+  }).sort({ createdAt: 1 });
+}
+
+// Units of a SKU back-ordered across open orders and not yet allocated
+export async function outstandingBackorderQuantity(sku) {
+  const orders = await findPendingBackorderOrders([sku.product]);
+  let total = 0;
+  for (const order of orders) {
+    for (const line of order.items) {
+      if (isSameSku(line, sku)) total += outstandingBackorder(line);
+    }
+  }
+  return total;
+}
+
+/**
+ * Record reserveItems' back-orders on the new order lines. One SKU can be split over several priced lines
+ * (flash sale + regular price); the shortfall is put on the last of them first.
+ * backorders: [{ product, variantId?, size?, color?, quantity, mode, expectedDate }]
+ */
+export function flagBackorderedItems(orderItems, backorders) {
+  for (const bo of backorders || []) {
+    let left = Number(bo.quantity) || 0;
+    for (const line of [...orderItems].reverse()) {
+      if (left <= 0) break;
+      if (!isSameSku(line, bo)) continue;
+      const already = Number(line.backorder?.quantity) || 0;
+      const take = Math.min(left, (Number(line.quantity) || 0) - already);
+      if (take <= 0) continue;
+      line.backorder = {
+        mode: bo.mode,
+        quantity: already + take,
+        allocatedQuantity: 0,
+        status: 'pending',
+        expectedDate: bo.expectedDate
+      };
+      left -= take;
+    }
+  }
+  return orderItems;
+}
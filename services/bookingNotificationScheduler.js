@@ -0,0 +1,345 @@
+import Booking from '../models/Booking.js';
+import BookingAudit from '../models/BookingAudit.js';
+import MobilePushToken from '../models/MobilePushToken.js';
+import Settings from '../models/Settings.js';
+import User from '../models/User.js';
+import { sendExpoPush } from './expoPushService.js';
+import { sendNotificationEmail } from '../utils/emailService.js';
+import {
+  isTwilioConfigured,
+  normalizeWhatsAppAddress,
+  resolveTwilioConfig,
+  sendWhatsAppViaTwilio
+} from './twilioWhatsAppService.js';
+
+// Grooming booking notifications:
+//  - confirmation when a booking is created, changes status or is rescheduled
+//  - reminder `reminderHoursBefore` hours before the appointment
+//  - follow-up / review request `followUpDelayHours` after completion
+// Each tick claims the work with a conditional update so concurrent instances never double-send,
+// then delivers over WhatsApp (Twilio), Expo push and email. Every attempt is written to BookingAudit.
+
+const POLL_INTERVAL_MS = 60 * 1000;
+const SETTINGS_CACHE_MS = 60 * 1000;
+const BATCH_SIZE = 20;
+// Completed bookings older than this never get a follow-up (avoids a burst on first deploy)
+const FOLLOW_UP_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const NOTIFIED_STATUSES = ['pending', 'confirmed', 'cancelled'];
+
+const DEFAULT_TEMPLATES = {
+  received: [
+    'היי {{name}} 👋',
+    'קיבלנו את בקשת התור של {{petName}} ל-{{date}} בשעה {{time}} ({{services}}).',
+    'נעדכן אותך ברגע שהתור יאושר 🐾'
+  ].join('\n'),
+  confirmed: [
+    'היי {{name}} 👋',
+    'התור של {{petName}} אושר ✅',
+    '📅 {{date}} בשעה {{time}}',
+    '✂️ {{services}}'
+  ].join('\n'),
+  rescheduled: [
+    'היי {{name}} 👋',
+    'התור של {{petName}} עודכן ל-{{date}} בשעה {{time}} 📅'
+  ].join('\n'),
+  cancelled: [
+    'היי {{name}},',
+    'התור של {{petName}} ל-{{date}} בשעה {{time}} בוטל.',
+    'נשמח לראות אתכם בפעם אחרת 🐾'
+  ].join('\n'),
+  reminder: [
+    'היי {{name}} 👋',
+    'תזכורת: התור של {{petName}} ב-{{date}} בשעה {{time}} ⏰',
+    '✂️ {{services}}'
+  ].join('\n'),
+  followUp: [
+    'היי {{name}},',
+    'תודה שבחרתם בנו לטיפוח של {{petName}} 🐶',
+    'נשמח לשמוע מה חשבתם: {{reviewUrl}}'
+  ].join('\n')
+};
+
+const TITLES = {
+  received: 'בקשת התור התקבלה',
+  confirmed: 'התור אושר',
+  rescheduled: 'התור עודכן',
+  cancelled: 'התור בוטל',
+  reminder: 'תזכורת לתור',
+  followUp: 'איך היה?'
+};
+
+let timer = null;
+let running = false;
+let cachedSettings = null;
+let cachedAt = 0;
+
+const getSettings = async () => {
+  const now = Date.now();
+  if (cachedSettings && now - cachedAt < SETTINGS_CACHE_MS) return cachedSettings;
+  cachedSettings = await Settings.findOne({}).sort({ updatedAt: -1 }).lean();
+  cachedAt = now;
+  return cachedSettings;
+};
+
+// Normalize Settings.grooming.notifications (also used by PUT /api/settings/grooming)
+export function sanitizeBookingNotificationSettings(input = {}) {
+  const src = input && typeof input === 'object' ? input : {};
+  const num = (v, def, min, max) => {
+    const n = Number(v);
+    return Number.isFinite(n) && n >= min && n <= max ? n : def;
+  };
+  const validZone = (tz) => {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: tz });
+      return true;
+    } catch {
+      return false;
+    }
+  };
+  const timeZone = typeof src.timeZone === 'string' && src.timeZone.trim() && validZone(src.timeZone.trim())
+    ? src.timeZone.trim()
+    : 'Asia/Jerusalem';
+  const templates = {};
+  for (const key of Object.keys(DEFAULT_TEMPLATES)) {
+    templates[key] = typeof src.templates?.[key] === 'string' ? src.templates[key] : '';
+  }
+  return {
+    enabled: !!src.enabled,
+    channels: {
+      whatsapp: src.channels?.whatsapp !== false,
+      push: src.channels?.push !== false,
+      email: src.channels?.email !== false
+    },
+    reminderHoursBefore: num(src.reminderHoursBefore, 24, 1, 168),
+    followUpDelayHours: num(src.followUpDelayHours, 2, 0, 168),
+    reviewUrl: typeof src.reviewUrl === 'string' ? src.reviewUrl.trim() : '',
+    timeZone,
+    templates
+  };
+}
+
+// Offset (ms) of a time zone from UTC at the given instant
+const zoneOffsetMs = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant).reduce((acc, p) => ({ ...acc, [p.type]: Number(p.value) }), {});
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - instant.getTime();
+};
+
+// Booking date (YYYY-MM-DD) + time (HH:MM) in the shop time zone -> Date
+const bookingStartsAt = (booking, timeZone) => {
+  const guess = new Date(`${booking.date}T${booking.time}:00Z`);
+  if (Number.isNaN(guess.getTime())) return null;
+  return new Date(guess.getTime() - zoneOffsetMs(guess, timeZone));
+};
+
+const shiftDate = (date, days) => new Date(new Date(`${date}T00:00:00Z`).getTime() + days * 86400000).toISOString().slice(0, 10);
+
+const buildMessage = (template, booking, vars) => {
+  const msg = (template && String(template).trim()) ? template : DEFAULT_TEMPLATES[vars.type];
+  const values = {
+    name: vars.name || 'לקוח/ה יקר/ה',
+    petName: booking.petSnapshot?.name || '',
+    date: booking.date,
+    time: booking.time,
+    services: (booking.services || []).map((s) => s.name).join(', '),
+    status: booking.status,
+    reviewUrl: vars.reviewUrl || ''
+  };
+  return msg.replace(/\{\{(\w+)\}\}/g, (m, key) => (key in values ? String(values[key] ?? '') : m));
+};
+
+async function resolveRecipient(booking) {
+  const user = booking.user ? await User.findById(booking.user).select('name email phoneNumber').lean() : null;
+  return {
+    name: booking.contact?.name || user?.name || '',
+    email: booking.contact?.email || user?.email || '',
+    phone: booking.contact?.phone || user?.phoneNumber || '',
+    userId: user?._id || null
+  };
+}
+
+async function audit(booking, type, channel, result) {
+  try {
+    await BookingAudit.create({
+      booking: booking._id,
+      action: 'notification',
+      statusBefore: booking.status,
+      statusAfter: booking.status,
+      meta: { type, channel, ...result }
+    });
+  } catch {}
+}
+
+async function deliver(booking, type, config, twilio) {
+  const recipient = await resolveRecipient(booking);
+  const body = buildMessage(config.templates[type], booking, { type, name: recipient.name, reviewUrl: config.reviewUrl });
+  const title = TITLES[type];
+  let attempted = 0;
+
+  if (config.channels.whatsapp) {
+    const to = normalizeWhatsAppAddress(recipient.phone);
+    if (to && isTwilioConfigured(twilio)) {
+      attempted += 1;
+      try {
+        const result = await sendWhatsAppViaTwilio({ ...twilio, to, body });
+        await audit(booking, type, 'whatsapp', { ok: true, to, sid: result?.sid || '' });
+      } catch (e) {
+        const detail = e?.response?.data?.message || e?.message || 'Unknown error';
+        await audit(booking, type, 'whatsapp', { ok: false, to, error: detail });
+      }
+    }
+  }
+
+  if (config.channels.push && recipient.userId) {
+    const tokens = (await MobilePushToken.find({ user: recipient.userId }).select('expoPushToken').lean())
+      .map((t) => t.expoPushToken);
+    if (tokens.length) {
+      attempted += 1;
+      try {
+        const result = await sendExpoPush({ tokens, title, body, data: { type: 'booking', bookingId: String(booking._id), event: type } });
+        const errors = (result?.receipts || []).filter((r) => r?.error).map((r) => r.error);
+        await audit(booking, type, 'push', { ok: !errors.length, tokens: tokens.length, ...(errors.length ? { error: errors[0] } : {}) });
+      } catch (e) {
+        await audit(booking, type, 'push', { ok: false, tokens: tokens.length, error: e?.message || String(e) });
+      }
+    }
+  }
+
+  if (config.channels.email && recipient.email) {
+    attempted += 1;
+    try {
+      await sendNotificationEmail({ to: recipient.email, subject: title, text: body });
+      await audit(booking, type, 'email', { ok: true, to: recipient.email });
+    } catch (e) {
+      await audit(booking, type, 'email', { ok: false, to: recipient.email, error: e?.message || String(e) });
+    }
+  }
+
+  if (!attempted) {
+    await audit(booking, type, 'none', { ok: false, error: 'no_reachable_channel' });
+  }
+}
+
+// Claim a booking for one notification; returns false when another tick/instance already handled it
+async function claim(booking, guard, set, unset) {
+  const update = { $set: set };
+  if (unset) update.$unset = unset;
+  const res = await Booking.updateOne({ _id: booking._id, ...guard }, update);
+  return res.modifiedCount > 0;
+}
+
+async function processConfirmations(config, twilio, today) {
+  // Bookings whose current status or slot differs from what the customer was last told
+  const candidates = await Booking.find({
+    status: { $in: NOTIFIED_STATUSES },
+    date: { $gte: today },
+    $expr: {
+      $or: [
+        { $ne: ['$notifications.statusNotified', '$status'] },
+        { $ne: ['$notifications.slotNotified', { $concat: ['$date', ' ', '$time'] }] }
+      ]
+    }
+  })
+    .sort({ updatedAt: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+  for (const booking of candidates) {
+    const slot = `${booking.date} ${booking.time}`;
+    const n = booking.notifications || {};
+    if (n.statusNotified === booking.status && n.slotNotified === slot) continue;
+    let type = booking.status === 'pending' ? 'received' : booking.status;
+    if (n.statusNotified === booking.status && n.slotNotified && n.slotNotified !== slot) type = 'rescheduled';
+    const guard = {
+      status: booking.status,
+      'notifications.statusNotified': n.statusNotified ?? null,
+      'notifications.slotNotified': n.slotNotified ?? null
+    };
+    // A new slot needs a fresh reminder
+    const unset = n.slotNotified && n.slotNotified !== slot ? { 'notifications.reminderSentAt': '' } : null;
+    if (!(await claim(booking, guard, { 'notifications.statusNotified': booking.status, 'notifications.slotNotified': slot }, unset))) continue;
+    await deliver(booking, type, config, twilio);
+  }
+}
+
+async function processReminders(config, twilio, today) {
+  const now = Date.now();
+  const horizonMs = config.reminderHoursBefore * 60 * 60 * 1000;
+  const lastDate = shiftDate(today, Math.ceil(config.reminderHoursBefore / 24) + 1);
+  const candidates = await Booking.find({
+    status: { $in: ['pending', 'confirmed'] },
+    date: { $gte: today, $lte: lastDate },
+    'notifications.reminderSentAt': { $exists: false }
+  })
+    .sort({ date: 1, time: 1 })
+    .limit(BATCH_SIZE * 5)
+    .lean();
+  let sent = 0;
+  for (const booking of candidates) {
+    if (sent >= BATCH_SIZE) break;
+    const startsAt = bookingStartsAt(booking, config.timeZone);
+    if (!startsAt || startsAt.getTime() <= now || startsAt.getTime() - now > horizonMs) continue;
+    if (!(await claim(booking, { 'notifications.reminderSentAt': { $exists: false } }, { 'notifications.reminderSentAt': new Date() }))) continue;
+    await deliver(booking, 'reminder', config, twilio);
+    sent += 1;
+  }
+}
+
+async function processFollowUps(config, twilio) {
+  const now = Date.now();
+  const due = await Booking.find({
+    status: 'completed',
+    updatedAt: {
+      $lte: new Date(now - config.followUpDelayHours * 60 * 60 * 1000),
+      $gte: new Date(now - FOLLOW_UP_MAX_AGE_MS)
+    },
+    'notifications.followUpSentAt': { $exists: false }
+  })
+    .sort({ updatedAt: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+  for (const booking of due) {
+    if (!(await claim(booking, { 'notifications.followUpSentAt': { $exists: false } }, { 'notifications.followUpSentAt': new Date() }))) continue;
+    await deliver(booking, 'followUp', config, twilio);
+  }
+}
+
+export function startBookingNotificationScheduler() {
+  if (timer) return;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const settings = await getSettings();
+      const config = sanitizeBookingNotificationSettings(settings?.grooming?.notifications);
+      if (!config.enabled) return;
+      const twilio = resolveTwilioConfig(settings?.checkoutForm || {});
+      const today = new Intl.DateTimeFormat('en-CA', { timeZone: config.timeZone }).format(new Date());
+      await processConfirmations(config, twilio, today);
+      await processReminders(config, twilio, today);
+      await processFollowUps(config, twilio);
+    } catch (e) {
+      console.warn('[booking-notify] scheduler tick failed', e?.message || e);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, POLL_INTERVAL_MS);
+}
+
+export function stopBookingNotificationScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
@@ -1,23 +1,15 @@
-import axios from 'axios';
 import CheckoutDraft from '../models/CheckoutDraft.js';
 import Settings from '../models/Settings.js';
+import {
+  envTwilio,
+  normalizeFromAddress,
+  normalizeWhatsAppAddress,
+  sendWhatsAppViaTwilio
+} from './twilioWhatsAppService.js';
 
 const REMINDER_DELAY_MS = 10 * 60 * 1000;
 const POLL_INTERVAL_MS = 60 * 1000;
 const SETTINGS_CACHE_MS = 60 * 1000;
-const envTwilio = {
-  enabled: String(process.env.TWILIO_WHATSAPP_AUTO_ENABLED || '').trim() === '1',
-  accountSid: process.env.TWILIO_ACCOUNT_SID || '',
-  authToken: process.env.TWILIO_AUTH_TOKEN || '',
-  from: process.env.TWILIO_WHATSAPP_FROM || '',
-  messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID || ''
-};
-
-// Default country code to rewrite local numbers (e.g. 059 -> +97259)
-const DEFAULT_WHATSAPP_COUNTRY_CODE = (process.env.TWILIO_DEFAULT_COUNTRY_CODE || process.env.DEFAULT_COUNTRY_CODE || '972')
-  .replace(/\D/g, '')
-  .trim();
-
 let timer = null;
 let cachedSettings = null;
 let cachedAt = 0;
@@ -71,70 +63,6 @@ const buildWhatsappLink = (phone, message) => {
   return `https://wa.me/${digits}?text=${encodeURIComponent(message)}`;
 };
 
-const normalizeE164 = (phone) => {
-  const raw = String(phone || '').trim();
-  let digits = raw.replace(/\D/g, '');
-  if (!digits) return '';
-
-  // Remove leading 00 (international dial prefix) if present
-  if (digits.startsWith('00')) {
-    digits = digits.slice(2);
-  }
-
-  // If already starts with default country code (e.g. 972...), trust it
-  if (DEFAULT_WHATSAPP_COUNTRY_CODE && digits.startsWith(DEFAULT_WHATSAPP_COUNTRY_CODE)) {
-    return `+${digits}`;
-  }
-
-  // Convert local numbers that start with a leading 0 to E.164 using default country
-  if (DEFAULT_WHATSAPP_COUNTRY_CODE && digits.startsWith('0')) {
-    return `+${DEFAULT_WHATSAPP_COUNTRY_CODE}${digits.slice(1)}`;
-  }
-
-  // Handle local numbers missing the leading 0 (e.g. 598..., 2598...)
-  if (DEFAULT_WHATSAPP_COUNTRY_CODE && digits.length >= 7 && digits.length <= 11) {
-    return `+${DEFAULT_WHATSAPP_COUNTRY_CODE}${digits}`;
-  }
-
-  return `+${digits}`;
-};
-
-const normalizeWhatsAppAddress = (phone) => {
-  const e164 = normalizeE164(phone);
-  if (!e164) return '';
-  const digits = e164.replace(/\D/g, '');
-  // Twilio generally expects 8-15 digits; reject clearly invalid lengths
-  if (digits.length < 8 || digits.length > 15) return '';
-  return `whatsapp:${e164}`;
-};
-
-const normalizeFromAddress = (from) => {
-  const raw = String(from || '').trim();
-  if (!raw) return '';
-  if (raw.startsWith('whatsapp:')) return raw;
-  if (raw.startsWith('+')) return `whatsapp:${raw}`;
-  const digits = raw.replace(/\D/g, '');
-  if (!digits) return '';
-  return `whatsapp:+${digits}`;
-};
-
-const sendWhatsAppViaTwilio = async ({ accountSid, authToken, from, messagingServiceSid, to, body }) => {
-  const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
-  const payload = new URLSearchParams();
-  if (messagingServiceSid) {
-    payload.set('MessagingServiceSid', messagingServiceSid);
-  } else {
-    payload.set('From', from);
-  }
-  payload.set('To', to);
-  payload.set('Body', body);
-  const response = await axios.post(url, payload.toString(), {
-    auth: { username: accountSid, password: authToken },
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
-  });
-  return response?.data || null;
-};
-
 export function startCheckoutDraftReminderScheduler() {
   if (timer) return;
 
@@ -0,0 +1,294 @@
+// couponService.js
+// Coupon engine: eligibility rules, per-customer redemption ledger and auto-apply campaigns.
+// Shared by POST /coupons/validate, createOrder and payment session finalization.
+//
+// A customer is identified by any of user id, email or phone; per-customer limits and "first order"
+// checks match on any of them so the same person cannot bypass limits by checking out as a guest.
+
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import { normalizePhoneE164ish } from '../utils/phone.js';
+import { priceCartItems } from './promotionPricingService.js';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export function normalizeIdentity({ user, email, phone } = {}) {
+  const rawEmail = email || user?.email || '';
+  const rawPhone = phone || user?.phoneNumber || '';
+  return {
+    userId: user?._id || null,
+    email: String(rawEmail).trim().toLowerCase() || null,
+    phone: rawPhone ? normalizePhoneE164ish(rawPhone) || null : null,
+    user: user || null
+  };
+}
+
+function identityOr(identity, { userField, emailField, phoneField }) {
+  const or = [];
+  if (identity.userId) or.push({ [userField]: identity.userId });
+  if (identity.email) or.push({ [emailField]: new RegExp(`^${escapeRegex(identity.email)}$`, 'i') });
+  if (identity.phone) or.push({ [phoneField]: identity.phone });
+  return or;
+}
+
+async function countCustomerRedemptions(coupon, identity) {
+  const or = identityOr(identity, { userField: 'user', emailField: 'email', phoneField: 'phone' });
+  if (!or.length) return 0;
+  return CouponRedemption.countDocuments({ coupon: coupon._id, status: 'redeemed', $or: or });
+}
+
+async function hasPreviousOrders(identity, excludeOrderId = null) {
+  const or = identityOr(identity, { userField: 'user', emailField: 'customerInfo.email', phoneField: 'customerInfo.mobile' });
+  if (!or.length) return false;
+  const filter = { status: { $ne: 'cancelled' }, $or: or };
+  if (excludeOrderId) filter._id = { $ne: excludeOrderId };
+  return !!(await Order.exists(filter));
+}
+
+function isSaleLine(line) {
+  if (line.promotion) return true;
+  const original = Number(line.product?.originalPrice);
+  return Number.isFinite(original) && original > line.unitPrice;
+}
+
+function lineMatchesCouponScope(coupon, line) {
+  const productIds = (coupon.products || []).map(String);
+  const categoryIds = (coupon.categories || []).map(String);
+  if (!productIds.length && !categoryIds.length) return true;
+  const p = line.product || {};
+  if (productIds.includes(String(p._id))) return true;
+  const cats = [p.category, ...(p.categories || [])].filter(Boolean).map(String);
+  return cats.some((c) => categoryIds.includes(c));
+}
+
+/**
+ * Build the evaluation context for a cart.
+ * items: raw cart lines ({ product, quantity, variantId }) — priced server-side when present.
+ * totalAmount is only used when no items are sent (legacy clients).
+ */
+export async function buildCouponContext({ items, totalAmount, user, email, phone, giftCard } = {}) {
+  let lines = null;
+  let subtotal = Number(totalAmount) || 0;
+  if (Array.isArray(items) && items.length && items.every((it) => it?.product)) {
+    const pricing = await priceCartItems(items);
+    lines = pricing.lines;
+    subtotal = pricing.subtotal;
+  }
+  return {
+    lines,
+    subtotal,
+    identity: normalizeIdentity({ user, email, phone }),
+    giftCardApplied: !!(giftCard && (giftCard.code || giftCard === true))
+  };
+}
+
+/**
+ * Evaluate one coupon against a context built by buildCouponContext.
+ * @returns {Promise<{ ok: true, discount: number, eligibleSubtotal: number } | { ok: false, reason: string, message: string }>}
+ */
+export async function evaluateCoupon(coupon, ctx, { excludeOrderId = null, now = new Date() } = {}) {
+  const fail = (reason, message) => ({ ok: false, reason, message });
+  if (!coupon || !coupon.isActive || coupon.startDate > now || coupon.endDate < now) {
+    return fail('invalid', 'Invalid or expired coupon code');
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return fail('usage_limit', 'Coupon usage limit reached');
+  }
+
+  const { identity } = ctx;
+  const allowedEmails = (coupon.allowedEmails || []).map((e) => String(e).toLowerCase());
+  const allowedPhones = (coupon.allowedPhones || []).map((p) => normalizePhoneE164ish(p));
+  if (allowedEmails.length || allowedPhones.length) {
+    const emailOk = identity.email && allowedEmails.includes(identity.email);
+    const phoneOk = identity.phone && allowedPhones.includes(identity.phone);
+    if (!emailOk && !phoneOk) return fail('not_eligible_customer', 'This coupon is not available for your account');
+  }
+
+  if (coupon.newCustomersOnly) {
+    let createdAt = identity.user?.createdAt;
+    if (!createdAt && identity.userId) {
+      createdAt = (await User.findById(identity.userId).select('createdAt').lean())?.createdAt;
+    }
+    const windowMs = (Number(coupon.newCustomerWindowDays) || 30) * 24 * 60 * 60 * 1000;
+    if (!createdAt || (now - new Date(createdAt)) > windowMs) {
+      return fail('new_customers_only', 'This coupon is for new customers only');
+    }
+  }
+
+  if (coupon.firstOrderOnly && await hasPreviousOrders(identity, excludeOrderId)) {
+    return fail('first_order_only', 'This coupon is valid on your first order only');
+  }
+
+  if (coupon.perCustomerLimit > 0) {
+    const used = await countCustomerRedemptions(coupon, identity);
+    if (used >= coupon.perCustomerLimit) {
+      return fail('per_customer_limit', 'You have already used this coupon');
+    }
+  }
+
+  if (coupon.stacking?.giftCards === false && ctx.giftCardApplied) {
+    return fail('no_stack_gift_card', 'This coupon cannot be combined with a gift card');
+  }
+
+  return couponDiscount(coupon, ctx);
+}
+
+// Cart-dependent part of evaluateCoupon: stacking with sale items, scope, minimum purchase and the amount
+function couponDiscount(coupon, ctx) {
+  const fail = (reason, message) => ({ ok: false, reason, message });
+  let eligibleSubtotal = ctx.subtotal;
+  if (ctx.lines) {
+    if (coupon.stacking?.flashSales === false && ctx.lines.some((l) => l.promotion?.type === 'flash_sale')) {
+      return fail('no_stack_flash_sale', 'This coupon cannot be combined with flash sale items');
+    }
+    eligibleSubtotal = ctx.lines
+      .filter((l) => lineMatchesCouponScope(coupon, l))
+      .filter((l) => !(coupon.excludeSaleItems && isSaleLine(l)))
+      .reduce((s, l) => s + l.unitPrice * l.quantity, 0);
+    if (eligibleSubtotal <= 0) {
+      return fail('no_eligible_items', 'No items in your cart are eligible for this coupon');
+    }
+  }
+
+  if (ctx.subtotal < (coupon.minPurchase || 0)) {
+    return fail('min_purchase', `Minimum purchase amount of $${coupon.minPurchase} required`);
+  }
+
+  let discount = 0;
+  if (coupon.type === 'percentage') {
+    discount = (eligibleSubtotal * coupon.value) / 100;
+    if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+  } else {
+    discount = Math.min(coupon.value, eligibleSubtotal);
+  }
+  return { ok: true, discount: round2(discount), eligibleSubtotal: round2(eligibleSubtotal) };
+}
+
+/**
+ * Discount of an already-redeemed coupon after the order's lines changed (order amendments).
+ * Customer eligibility and usage limits were checked at checkout and are not re-applied; an expired or
+ * deactivated coupon keeps applying to the order it was redeemed on.
+ * lines: [{ product, unitPrice, quantity, promotion }] with product populated (scope checks).
+ * @returns {Promise<{ ok: true, discount: number } | { ok: false, reason: string, message: string }>}
+ */
+export async function recalculateCouponDiscount(code, { lines, subtotal }) {
+  const coupon = await findCouponByCode(code);
+  if (!coupon) return { ok: false, reason: 'invalid', message: 'Coupon no longer exists' };
+  return couponDiscount(coupon, { lines, subtotal });
+}
+
+/**
+ * Checkout-time coupon check used by createOrder and the payment session builders.
+ * pricing: result of priceCartItems for the cart. now: the checkout time (payment sessions are re-checked at
+ * their creation time, not when the gateway calls back).
+ * @returns {Promise<{ ok: true, coupon, identity, discount: number } | { ok: false, reason: string, message: string }>}
+ */
+export async function validateCheckoutCoupon({ code, pricing, user, email, phone, giftCardApplied = false, now = new Date() }) {
+  const coupon = await findActiveCouponByCode(code, { now });
+  if (!coupon) return { ok: false, reason: 'invalid', message: 'Invalid or expired coupon code' };
+  const identity = normalizeIdentity({ user, email, phone });
+  const result = await evaluateCoupon(coupon, {
+    lines: pricing?.lines || null,
+    subtotal: pricing?.subtotal || 0,
+    identity,
+    giftCardApplied
+  }, { now });
+  if (!result.ok) return result;
+  return { ok: true, coupon, identity, discount: result.discount };
+}
+
+// Coupon by code whatever its state (orders that already redeemed it)
+export async function findCouponByCode(code) {
+  if (!code) return null;
+  return Coupon.findOne({ code: String(code).trim().toUpperCase() });
+}
+
+export async function findActiveCouponByCode(code, { now = new Date() } = {}) {
+  if (!code) return null;
+  return Coupon.findOne({
+    code: String(code).trim().toUpperCase(),
+    isActive: true,
+    startDate: { $lte: now },
+    endDate: { $gte: now }
+  });
+}
+
+// Best eligible auto-apply coupon for the cart: highest discount, ties broken by autoApplyPriority
+export async function findBestAutoApplyCoupon(ctx) {
+  const now = new Date();
+  const candidates = await Coupon.find({
+    autoApply: true,
+    isActive: true,
+    startDate: { $lte: now },
+    endDate: { $gte: now }
+  });
+  let best = null;
+  for (const coupon of candidates) {
+    const result = await evaluateCoupon(coupon, ctx);
+    if (!result.ok || result.discount <= 0) continue;
+    if (!best || result.discount > best.discount ||
+      (result.discount === best.discount && (coupon.autoApplyPriority || 0) > (best.coupon.autoApplyPriority || 0))) {
+      best = { coupon, discount: result.discount, eligibleSubtotal: result.eligibleSubtotal };
+    }
+  }
+  return best;
+}
+
+/**
+ * Write a ledger entry and bump the global counter once an order actually used the coupon.
+ * The per-customer and global limits are enforced here, after the entry is written: concurrent checkouts can all
+ * pass evaluateCoupon, but only the customer's earliest entries within perCustomerLimit (and only while usedCount
+ * is below usageLimit) are kept. enforceLimits: false records a redemption that was already paid for.
+ * @returns {Promise<{ ok: true, entry } | { ok: false, reason: string, message: string }>}
+ */
+export async function recordRedemption(coupon, { identity, order, discount, autoApplied = false, enforceLimits = true } = {}) {
+  if (!coupon) return { ok: true, entry: null };
+  const entry = await CouponRedemption.create({
+    coupon: coupon._id,
+    code: coupon.code,
+    user: identity?.userId || undefined,
+    email: identity?.email || undefined,
+    phone: identity?.phone || undefined,
+    order: order?._id,
+    orderNumber: order?.orderNumber,
+    discount: Math.max(0, Number(discount) || 0),
+    autoApplied
+  });
+  const reject = async (reason, message) => {
+    await CouponRedemption.deleteOne({ _id: entry._id });
+    return { ok: false, reason, message };
+  };
+  if (enforceLimits && coupon.perCustomerLimit > 0) {
+    const or = identityOr(identity || {}, { userField: 'user', emailField: 'email', phoneField: 'phone' });
+    if (or.length) {
+      const kept = await CouponRedemption.find({ coupon: coupon._id, status: 'redeemed', $or: or })
+        .sort({ _id: 1 })
+        .limit(coupon.perCustomerLimit)
+        .select('_id')
+        .lean();
+      if (!kept.some((r) => String(r._id) === String(entry._id))) {
+        return reject('per_customer_limit', 'You have already used this coupon');
+      }
+    }
+  }
+  const counted = await Coupon.updateOne(
+    enforceLimits && coupon.usageLimit ? { _id: coupon._id, usedCount: { $lt: coupon.usageLimit } } : { _id: coupon._id },
+    { $inc: { usedCount: 1 } }
+  );
+  if (!counted.modifiedCount) return reject('usage_limit', 'Coupon usage limit reached');
+  return { ok: true, entry };
+}
+
+// Release redemptions of a cancelled order so the customer may use the coupon again
+export async function voidRedemptionsForOrder(orderId) {
+  const entries = await CouponRedemption.find({ order: orderId, status: 'redeemed' });
+  for (const entry of entries) {
+    entry.status = 'voided';
+    await entry.save();
+    await Coupon.updateOne({ _id: entry.coupon, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  }
+  return entries.length;
+}
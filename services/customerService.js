@@ -0,0 +1,203 @@
+// customerService.js
+// Customer lookup for the POS, linking in-store sales to a User, loyalty points on POS sales and the
+// combined (online + in-store) purchase history shown in admin.
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Recipient from '../models/Recipient.js';
+import Order from '../models/Order.js';
+import POSTransaction from '../models/POSTransaction.js';
+import Settings from '../models/Settings.js';
+import { normalizePhoneE164ish } from '../utils/phone.js';
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(String(id || ''));
+
+// Local numbers ("050-123 4567") and E.164 ("+97250...") share the same trailing digits
+const phoneSuffix = (input) => String(input || '').replace(/\D/g, '').replace(/^0+/, '');
+
+/**
+ * Search registered users and saved delivery recipients by phone, email or name.
+ * Recipients whose email belongs to a user are folded into that user.
+ * @returns {Promise<Array<{ type: 'user'|'recipient', _id, name, email, phone, loyaltyPoints?, user? }>>}
+ */
+export async function searchCustomers(q, { limit = 20 } = {}) {
+  const term = String(q || '').trim();
+  if (term.length < 2) throw httpError(400, 'Search term must be at least 2 characters');
+  const take = Math.min(50, Math.max(1, parseInt(limit, 10) || 20));
+
+  const digits = phoneSuffix(term);
+  const isPhone = /^[\d\s+()./-]+$/.test(term) && digits.length >= 4;
+  const text = new RegExp(escapeRegex(term), 'i');
+
+  const userOr = isPhone
+    ? [{ phoneNumber: new RegExp(`${escapeRegex(digits)}$`) }]
+    : [{ email: text }, { name: text }];
+  const recipientOr = isPhone
+    ? [{ mobile: new RegExp(`${escapeRegex(digits)}$`) }, { secondaryMobile: new RegExp(`${escapeRegex(digits)}$`) }]
+    : [{ email: text }, { firstName: text }, { lastName: text }];
+
+  const [users, recipients] = await Promise.all([
+    User.find({ $or: userOr }).select('name email phoneNumber loyaltyPoints').limit(take).lean(),
+    Recipient.find({ $or: recipientOr }).select('firstName lastName email mobile').limit(take).lean()
+  ]);
+
+  // Link recipients to accounts with the same email
+  const recipientEmails = [...new Set(recipients.map((r) => String(r.email || '').toLowerCase()).filter(Boolean))];
+  const linked = recipientEmails.length
+    ? await User.find({ email: { $in: recipientEmails } }).select('name email phoneNumber loyaltyPoints').lean()
+    : [];
+  const usersById = new Map(users.map((u) => [String(u._id), u]));
+  const userByEmail = new Map([...users, ...linked].map((u) => [String(u.email || '').toLowerCase(), u]));
+
+  const results = users.map((u) => ({
+    type: 'user',
+    _id: u._id,
+    name: u.name,
+    email: u.email,
+    phone: u.phoneNumber,
+    loyaltyPoints: u.loyaltyPoints || 0
+  }));
+  for (const r of recipients) {
+    const user = userByEmail.get(String(r.email || '').toLowerCase());
+    if (user && !usersById.has(String(user._id))) {
+      usersById.set(String(user._id), user);
+      results.push({
+        type: 'user',
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        phone: user.phoneNumber || r.mobile,
+        loyaltyPoints: user.loyaltyPoints || 0
+      });
+    }
+    if (user) continue;
+    results.push({
+      type: 'recipient',
+      _id: r._id,
+      name: `${r.firstName} ${r.lastName}`.trim(),
+      email: r.email,
+      phone: r.mobile
+    });
+  }
+  return results.slice(0, take);
+}
+
+/**
+ * Customer a POS sale belongs to: the given user id, else a user matching customerInfo email/phone.
+ * Missing customerInfo fields are filled from the account.
+ */
+export async function resolveSaleCustomer({ customer, customerInfo } = {}) {
+  const info = { ...(customerInfo || {}) };
+  let user = null;
+  if (customer) {
+    if (!isValidId(customer)) throw httpError(400, 'Invalid customer id');
+    user = await User.findById(customer).select('name email phoneNumber').lean();
+    if (!user) throw httpError(404, 'Customer not found');
+  } else if (info.email || info.phone) {
+    const or = [];
+    if (info.email) or.push({ email: new RegExp(`^${escapeRegex(String(info.email).trim())}$`, 'i') });
+    if (info.phone) {
+      const phone = normalizePhoneE164ish(info.phone);
+      if (phone.startsWith('+')) or.push({ phoneNumber: phone });
+    }
+    user = or.length ? await User.findOne({ $or: or }).select('name email phoneNumber').lean() : null;
+  }
+  if (!user) return { customer: undefined, customerInfo: Object.keys(info).length ? info : undefined };
+  return {
+    customer: user._id,
+    customerInfo: {
+      name: info.name || user.name,
+      email: info.email || user.email,
+      phone: info.phone || user.phoneNumber
+    }
+  };
+}
+
+async function getPointsPerUnit() {
+  const settings = await Settings.findOne().select('pos.loyaltyPointsPerUnit').lean();
+  return Number(settings?.pos?.loyaltyPointsPerUnit) || 0;
+}
+
+/**
+ * Add loyalty points for a completed POS sale. Gift card tender is already-prepaid value and earns nothing.
+ * @returns {Promise<number>} points added
+ */
+export async function accrueLoyaltyPoints(transaction) {
+  if (!transaction.customer || transaction.type !== 'sale') return 0;
+  const rate = await getPointsPerUnit();
+  if (!rate) return 0;
+  const giftCardTender = transaction.paymentMethod === 'gift-card'
+    ? transaction.total
+    : (transaction.payments || []).filter((p) => p.method === 'gift-card').reduce((sum, p) => sum + p.amount, 0);
+  const points = Math.floor(Math.max(0, transaction.total - giftCardTender) * rate);
+  if (points <= 0) return 0;
+  await User.updateOne({ _id: transaction.customer }, { $inc: { loyaltyPoints: points } });
+  await POSTransaction.updateOne({ _id: transaction._id }, { $set: { loyaltyPointsEarned: points } });
+  transaction.loyaltyPointsEarned = points;
+  return points;
+}
+
+/**
+ * Take back the points a refunded share of a sale earned (never below zero).
+ * @returns {Promise<number>} points removed
+ */
+export async function reverseLoyaltyPoints(refund, original) {
+  if (!original.customer || !original.loyaltyPointsEarned || !original.total) return 0;
+  const points = Math.round(original.loyaltyPointsEarned * Math.min(1, Math.abs(refund.total) / original.total));
+  if (points <= 0) return 0;
+  await User.updateOne(
+    { _id: original.customer },
+    [{ $set: { loyaltyPoints: { $max: [0, { $subtract: [{ $ifNull: ['$loyaltyPoints', 0] }, points] }] } } }]
+  );
+  await POSTransaction.updateOne({ _id: refund._id }, { $set: { loyaltyPointsEarned: -points } });
+  refund.loyaltyPointsEarned = -points;
+  return points;
+}
+
+/**
+ * Recent online orders and in-store purchases of a user, newest first, in the order-list shape.
+ * POS entries carry channel 'pos' and the transaction number as orderNumber.
+ */
+export async function getPurchaseHistory(userId, { limit = 10 } = {}) {
+  const take = Math.min(parseInt(limit, 10) || 10, 50);
+  const [orders, sales] = await Promise.all([
+    Order.find({ user: userId })
+      .sort({ createdAt: -1 })
+      .limit(take)
+      .select('orderNumber totalAmount currency status paymentStatus createdAt items')
+      .lean(),
+    POSTransaction.find({ customer: userId, type: 'sale', status: { $in: ['completed', 'refunded'] } })
+      .sort({ createdAt: -1 })
+      .limit(take)
+      .select('transactionNumber receiptNumber total currency status createdAt items loyaltyPointsEarned register')
+      .populate('register', 'name location')
+      .lean()
+  ]);
+  const history = [
+    ...orders.map((o) => ({ ...o, channel: 'online' })),
+    ...sales.map((t) => ({
+      _id: t._id,
+      orderNumber: t.transactionNumber,
+      receiptNumber: t.receiptNumber,
+      totalAmount: t.total,
+      currency: t.currency,
+      status: t.status,
+      paymentStatus: 'paid',
+      createdAt: t.createdAt,
+      items: (t.items || []).map((it) => ({
+        product: it.product,
+        name: it.productName,
+        sku: it.productSku,
+        size: it.size,
+        color: it.color,
+        price: it.unitPrice,
+        quantity: it.quantity
+      })),
+      loyaltyPointsEarned: t.loyaltyPointsEarned || 0,
+      register: t.register,
+      channel: 'pos'
+    }))
+  ];
+  return history.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)).slice(0, take);
+}
@@ -1,19 +1,5 @@
 // --- Delivery Integration Debug & Helpers ---
 const isDebug = process.env.DELIVERY_DEBUG === 'true' || process.env.NODE_ENV !== 'production';
-const SENSITIVE_KEY_REGEX = /(authorization|apiKey|apikey|token|password|secret|signature|refreshToken|accessToken)/i;
-
-function maskSecrets(value) {
-  if (value == null) return value;
-  if (Array.isArray(value)) return value.map(maskSecrets);
-  if (typeof value === 'object') {
-    const out = Array.isArray(value) ? [] : {};
-    for (const [k, v] of Object.entries(value)) {
-      out[k] = SENSITIVE_KEY_REGEX.test(k) ? '***' : maskSecrets(v);
-    }
-    return out;
-  }
-  return value;
-}
 
 function safeJson(value, max = 10000) {
   try {
@@ -151,6 +137,9 @@ const COMMON_STATUS_MAP = {
   canceled: 'cancelled'
 };
 import axios from 'axios';
+import { maskSecrets } from '../utils/secrets.js';
+import { escapeXml, toXmlElements, parseXml, findDeep } from '../utils/xml.js';
+import { summarizePackage } from './shippingPackageService.js';
 
 function buildAuth({ apiConfiguration = {}, credentials = {} }) {
   const method = apiConfiguration.authMethod || 'none';
@@ -187,7 +176,18 @@ function inferJsonRpcMethodFromUrl(url) {
   }
 }
 
+// Field mappings can read package.* (weight, volumetricWeight, chargeableWeight, volume, pieces) of the lines sent
+function withPackage(order) {
+  if (!order || order.package) return order;
+  const plain = typeof order.toObject === 'function' ? order.toObject() : order;
+  return {
+    ...plain,
+    package: summarizePackage(plain.items, { divisor: plain.shippingCalculation?.package?.divisor })
+  };
+}
+
 export function buildPayloadFromMappings(order, company) {
+  order = withPackage(order);
   const payload = {};
   const mappings = Array.isArray(company.fieldMappings) ? company.fieldMappings : [];
   for (const m of mappings) {
@@ -260,7 +260,8 @@ export function buildPayloadFromMappings(order, company) {
       productName: 'items.0.name',
       itemCount: 'items.length',
       currency: 'currency',
-      notes: 'deliveryNotes'
+      notes: 'deliveryNotes',
+      weight: 'package.weight'
     };
     Object.entries(standard).forEach(([key, src]) => {
       const target = fm[key];
@@ -274,6 +275,32 @@ export function buildPayloadFromMappings(order, company) {
   return payload;
 }
 
+/**
+ * Order as the carrier should see one shipment of it: only the shipment's lines, the shipment number as the
+ * parcel reference (orderNumber) and the cash to collect for this parcel. Field mappings can also read
+ * parentOrderNumber, shipment.* (shipmentNumber, warehouse.name, warehouse.address, ...) and package.* (the
+ * weight of this parcel only).
+ */
+export function buildShipmentOrderView(order, shipment) {
+  const lines = new Map((order.items || []).map((it) => [String(it._id), it]));
+  const items = (shipment.items || []).map((si) => {
+    const line = lines.get(String(si.orderItem)) || {};
+    return { ...line, quantity: si.quantity };
+  });
+  const itemsValue = items.reduce((s, it) => s + (Number(it.price) || 0) * (Number(it.quantity) || 0), 0);
+  return {
+    ...order,
+    orderNumber: shipment.shipmentNumber,
+    parentOrderNumber: order.orderNumber,
+    items,
+    totalAmount: Math.round(itemsValue * 100) / 100,
+    totalWithShipping: Number(shipment.codAmount) || 0,
+    codAmount: Number(shipment.codAmount) || 0,
+    package: summarizePackage(items, { divisor: order.shippingCalculation?.package?.divisor }),
+    shipment
+  };
+}
+
 export function validateRequiredMappings(order, company) {
   const payload = buildPayloadFromMappings(order, company);
   const mappings = Array.isArray(company.fieldMappings) ? company.fieldMappings : [];
@@ -307,6 +334,13 @@ export function validateCompanyConfiguration(company) {
 
   if (!isTest && !url) issues.push('missing_url');
 
+  if (format === 'soap') {
+    const soap = company.apiConfiguration?.soap || {};
+    if (!soap.envelopeTemplate && !(soap.operation || company.apiConfiguration?.method)) issues.push('missing_soap_operation');
+  } else if (format === 'graphql') {
+    if (!company.apiConfiguration?.graphql?.mutation) issues.push('missing_graphql_mutation');
+  }
+
   if (format === 'jsonrpc') {
     const method = hubCfg?.method || company.apiConfiguration?.method || inferJsonRpcMethodFromUrl(url);
     const omit = hubCfg?.jsonrpcOmitMethod === true || company.apiConfiguration?.jsonrpcOmitMethod === true || company.apiConfiguration?.omitJsonRpcMethod === true;
@@ -326,7 +360,8 @@ export function validateCompanyConfiguration(company) {
   }
 
   const statusUrl = hubCfg?.statusUrl || company.apiConfiguration?.statusUrl;
-  if (statusUrl) {
+  // SOAP/GraphQL status lookups pass the tracking number in the request body instead of the URL
+  if (statusUrl && format !== 'soap' && format !== 'graphql') {
     const hasPlaceholder = String(statusUrl).includes(':tracking');
     if (!hasPlaceholder) issues.push('status_url_missing_tracking_placeholder');
   }
@@ -518,7 +553,241 @@ async function sendJsonRpc(order, company, payload) {
   return { trackingNumber: tracking, providerResponse: resp.data, providerStatus };
 }
 
+// --- SOAP and GraphQL transports ---
+const SOAP_ENVELOPE_NS = {
+  '1.1': 'http://schemas.xmlsoap.org/soap/envelope/',
+  '1.2': 'http://www.w3.org/2003/05/soap-envelope'
+};
+const TRACKING_KEYS = ['trackingNumber', 'tracking_number', 'trackingId', 'tracking_id', 'awb', 'waybill', 'reference', 'reference_id', 'shipmentNumber', 'id'];
+const STATUS_KEYS = ['deliveryStatus', 'status', 'current_status', 'state'];
+
+function readPath(obj, path, fallbackKeys) {
+  if (path) return getByPath(obj || {}, path);
+  return findDeep(obj, fallbackKeys);
+}
+
+// {{field}} -> escaped value of a mapped field (dotted paths allowed); {{fields}} -> all fields as elements
+function fillSoapTemplate(template, fields, fieldsXml) {
+  return String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => {
+    if (key === 'fields') return fieldsXml;
+    const value = getByPath(fields, key);
+    return value === undefined || value === null ? '' : escapeXml(value);
+  });
+}
+
+function buildSoapEnvelope(company, fields, { operation, template }) {
+  const soap = company.apiConfiguration?.soap || {};
+  const prefix = soap.namespace ? (soap.namespacePrefix || 'tns') : '';
+  const fieldsXml = toXmlElements(fields, prefix);
+  if (template) return fillSoapTemplate(template, fields, fieldsXml);
+  if (!operation) throw new Error('SOAP operation is not configured (apiConfiguration.soap.operation)');
+  const envNs = SOAP_ENVELOPE_NS[soap.version] || SOAP_ENVELOPE_NS['1.1'];
+  const nsAttr = prefix ? ` xmlns:${prefix}="${escapeXml(soap.namespace)}"` : '';
+  const op = prefix ? `${prefix}:${operation}` : operation;
+  return '<?xml version="1.0" encoding="utf-8"?>'
+    + `<soap:Envelope xmlns:soap="${envNs}"${nsAttr}>`
+    + `<soap:Body><${op}>${fieldsXml}</${op}></soap:Body>`
+    + '</soap:Envelope>';
+}
+
+function soapFaultMessage(body) {
+  const fault = body?.Fault;
+  if (!fault) return null;
+  const code = fault.faultcode || fault.Code?.Value || '';
+  const reason = fault.faultstring || fault.Reason?.Text?.['#text'] || fault.Reason?.Text || fault.detail || 'SOAP fault';
+  return `Provider error${code ? ` (${code})` : ''}: ${typeof reason === 'string' ? reason : safeJson(reason, 500)}`;
+}
+
+async function postSoap(company, envelope, action) {
+  const url = appendQuery(company.apiUrl || company.apiConfiguration?.baseUrl, company.apiConfiguration?.queryParams || {});
+  const version = company.apiConfiguration?.soap?.version === '1.2' ? '1.2' : '1.1';
+  const { headers: extraHeaders, auth } = buildAuth(company);
+  const headers = version === '1.2'
+    ? { 'Content-Type': `application/soap+xml; charset=utf-8${action ? `; action="${action}"` : ''}`, ...extraHeaders }
+    : { 'Content-Type': 'text/xml; charset=utf-8', SOAPAction: `"${action || ''}"`, ...extraHeaders };
+  const timeout = Number(company.apiConfiguration?.timeoutMs) || 15000;
+  debugLog('Sending SOAP delivery request', {
+    company: company.name || company.code || company._id,
+    url,
+    action,
+    headers: maskSecrets(headers)
+  });
+  let raw;
+  try {
+    const resp = await axios.post(url, envelope, { headers, auth, timeout, responseType: 'text', transformResponse: [(d) => d] });
+    raw = resp.data;
+  } catch (err) {
+    // Faults usually come back as HTTP 500 with a SOAP body
+    const fault = (() => {
+      try { return soapFaultMessage(parseXml(err.response?.data).Envelope?.Body); } catch { return null; }
+    })();
+    if (fault) err.message = fault;
+    debugLog('SOAP delivery request failed', {
+      code: err.code,
+      message: err.message,
+      responseStatus: err.response?.status,
+      responseData: safeJson(err.response?.data)
+    });
+    throw err;
+  }
+  let parsed;
+  try {
+    parsed = parseXml(raw);
+  } catch (e) {
+    throw new Error(`Provider returned an unreadable SOAP response: ${e.message}`);
+  }
+  const body = parsed.Envelope?.Body || parsed;
+  const fault = soapFaultMessage(body);
+  if (fault) {
+    debugLog('SOAP fault received', { body: safeJson(body) });
+    throw new Error(fault);
+  }
+  return body;
+}
+
+function soapFields(company, payload) {
+  const cfg = company.apiConfiguration || {};
+  const fields = { ...(getGlobalDefaultParams() || {}), ...(cfg.params || {}), ...payload };
+  if (cfg.credentialsInParams === true) {
+    const username = cfg.username || company.credentials?.username || company.credentials?.login;
+    const password = cfg.password || company.credentials?.password;
+    if (username) fields.username = username;
+    if (password) fields.password = password;
+  }
+  return fields;
+}
+
+async function sendSoap(order, company, payload) {
+  if (!(company.apiUrl || company.apiConfiguration?.baseUrl)) throw new Error('Delivery company is missing API URL');
+  const soap = company.apiConfiguration?.soap || {};
+  const fields = soapFields(company, payload);
+  const envelopeOptions = { operation: soap.operation || company.apiConfiguration?.method, template: soap.envelopeTemplate };
+  const envelope = buildSoapEnvelope(company, fields, envelopeOptions);
+  if (isDebug) {
+    // Built again from masked fields: credentialsInParams puts the password in the body
+    const logged = buildSoapEnvelope(company, maskSecrets(fields), envelopeOptions);
+    debugLog('SOAP envelope', { envelope: logged.length > 4000 ? `${logged.slice(0, 4000)}…(truncated)` : logged });
+  }
+  const body = await postSoap(company, envelope, soap.action);
+  const tracking = readPath(body, soap.trackingPath, TRACKING_KEYS);
+  const providerStatus = readPath(body, soap.statusPath, STATUS_KEYS) || 'created';
+  debugLog('SOAP delivery response received', { tracking, providerStatus, body: safeJson(body) });
+  return { trackingNumber: tracking, providerResponse: { format: 'soap', body }, providerStatus };
+}
+
+function buildGraphqlRequest(company, payload, { query, variables }) {
+  const gql = company.apiConfiguration?.graphql || {};
+  return {
+    query,
+    variables: variables || (gql.inputVariable ? { [gql.inputVariable]: payload } : payload),
+    ...(gql.operationName ? { operationName: gql.operationName } : {})
+  };
+}
+
+async function postGraphql(company, url, request) {
+  const { headers: extraHeaders, auth } = buildAuth(company);
+  const headers = { 'Content-Type': 'application/json', Accept: 'application/json', ...extraHeaders };
+  const timeout = Number(company.apiConfiguration?.timeoutMs) || 15000;
+  const finalUrl = appendQuery(url, company.apiConfiguration?.queryParams || {});
+  debugLog('Sending GraphQL delivery request', {
+    company: company.name || company.code || company._id,
+    url: finalUrl,
+    headers: maskSecrets(headers),
+    variables: maskSecrets(request.variables)
+  });
+  let resp;
+  try {
+    resp = await axios.post(finalUrl, request, { headers, auth, timeout });
+  } catch (err) {
+    const errors = err.response?.data?.errors;
+    if (Array.isArray(errors) && errors.length) err.message = `Provider error: ${errors.map((e) => e.message).join('; ')}`;
+    debugLog('GraphQL delivery request failed', {
+      code: err.code,
+      message: err.message,
+      responseStatus: err.response?.status,
+      responseData: safeJson(err.response?.data)
+    });
+    throw err;
+  }
+  const errors = resp.data?.errors;
+  // Partial results with errors are treated as a failure: the carrier did not confirm the whole request
+  if (Array.isArray(errors) && errors.length) {
+    debugLog('GraphQL errors received', { errors: safeJson(errors) });
+    const err = new Error(`Provider error: ${errors.map((e) => e.message).join('; ')}`);
+    err.response = resp;
+    throw err;
+  }
+  return resp.data?.data || {};
+}
+
+async function sendGraphql(order, company, payload) {
+  const url = company.apiUrl || company.apiConfiguration?.baseUrl;
+  if (!url) throw new Error('Delivery company is missing API URL');
+  const gql = company.apiConfiguration?.graphql || {};
+  if (!gql.mutation) throw new Error('GraphQL mutation is not configured (apiConfiguration.graphql.mutation)');
+  const data = await postGraphql(company, url, buildGraphqlRequest(company, payload, { query: gql.mutation }));
+  const tracking = readPath(data, gql.trackingPath, TRACKING_KEYS);
+  const providerStatus = readPath(data, gql.statusPath, STATUS_KEYS) || 'created';
+  debugLog('GraphQL delivery response received', { tracking, providerStatus, data: safeJson(data) });
+  return { trackingNumber: tracking, providerResponse: { format: 'graphql', data }, providerStatus };
+}
+
+// Request a SOAP/GraphQL company would receive; shown by the test-mode simulator so templates can be checked.
+// Credentials are masked: the preview is stored on the order and returned by the connection test.
+function previewRequest(format, company, payload) {
+  try {
+    if (format === 'soap') {
+      const soap = company.apiConfiguration?.soap || {};
+      return {
+        action: soap.action,
+        envelope: buildSoapEnvelope(company, maskSecrets(soapFields(company, payload)), {
+          operation: soap.operation || company.apiConfiguration?.method,
+          template: soap.envelopeTemplate
+        })
+      };
+    }
+    if (format === 'graphql') {
+      return maskSecrets(buildGraphqlRequest(company, payload, { query: company.apiConfiguration?.graphql?.mutation }));
+    }
+  } catch (e) {
+    return { error: e.message };
+  }
+  return undefined;
+}
+
+async function fetchSoapStatus(company, tracking) {
+  const soap = company.apiConfiguration?.soap || {};
+  const fields = { ...soapFields(company, {}), trackingNumber: tracking };
+  const envelope = buildSoapEnvelope(company, fields, { operation: soap.statusOperation, template: soap.statusEnvelopeTemplate });
+  const statusCompany = company.apiConfiguration?.statusUrl
+    ? { ...company, apiUrl: company.apiConfiguration.statusUrl }
+    : company;
+  const body = await postSoap(statusCompany, envelope, soap.statusAction);
+  debugLog('SOAP status response received', { body: safeJson(body) });
+  return {
+    status: readPath(body, soap.statusPath, STATUS_KEYS) || 'in_transit',
+    trackingNumber: tracking,
+    estimatedDelivery: findDeep(body, ['estimatedDelivery', 'eta']),
+    events: []
+  };
+}
+
+async function fetchGraphqlStatus(company, tracking) {
+  const gql = company.apiConfiguration?.graphql || {};
+  const url = company.apiConfiguration?.statusUrl || company.apiUrl || company.apiConfiguration?.baseUrl;
+  const data = await postGraphql(company, url, buildGraphqlRequest(company, {}, { query: gql.statusQuery, variables: { trackingNumber: tracking } }));
+  debugLog('GraphQL status response received', { data: safeJson(data) });
+  return {
+    status: readPath(data, gql.statusPath, STATUS_KEYS) || 'in_transit',
+    trackingNumber: tracking,
+    estimatedDelivery: findDeep(data, ['estimatedDelivery', 'eta']),
+    events: []
+  };
+}
+
+// extra.shipment: send only that shipment (see buildShipmentOrderView); otherwise the whole order
 export async function sendToCompany(order, company, extra = {}) {
+  if (extra.shipment) order = buildShipmentOrderView(order, extra.shipment);
   const payload = buildPayloadFromMappings(order, company);
   // Allow custom fields from company config
   if (company.customFields && typeof company.customFields === 'object') {
@@ -546,9 +815,10 @@ export async function sendToCompany(order, company, extra = {}) {
   if (isTest) {
     const tracking = `TEST-${order.orderNumber || order._id}-${Date.now().toString().slice(-6)}`;
     debugLog('Simulated delivery send (test mode)', { tracking });
+    const request = previewRequest(format, company, payload);
     return {
       trackingNumber: tracking,
-      providerResponse: { mode: 'test', note: 'Simulated send (no API URL or test mode enabled)', payload },
+      providerResponse: { mode: 'test', note: 'Simulated send (no API URL or test mode enabled)', payload, ...(request ? { request } : {}) },
       providerStatus: 'created'
     };
   }
@@ -610,6 +880,13 @@ export async function sendToCompany(order, company, extra = {}) {
     throw err;
   }
 
+  if (format === 'soap' || format === 'graphql') {
+    const effective = hubCfg
+      ? { ...company, apiConfiguration: { ...(company.apiConfiguration || {}), ...hubCfg } }
+      : company;
+    return format === 'soap' ? sendSoap(order, effective, payload) : sendGraphql(order, effective, payload);
+  }
+
   if (format === 'jsonrpc' || hubCfg?.format === 'jsonrpc') {
     // If using hub, temporarily project hub auth into company for call
     if (hubCfg) {
@@ -655,18 +932,36 @@ export async function sendToCompany(order, company, extra = {}) {
   }
 }
 
-export async function getDeliveryStatusFromCompany(order, company) {
+// options.shipment: query that shipment's tracking number instead of the order-level one
+export async function getDeliveryStatusFromCompany(order, company, { shipment } = {}) {
+  const currentStatus = shipment ? shipment.status : order.deliveryStatus;
+  const tracking = shipment ? shipment.trackingNumber : (order.deliveryTrackingNumber || order.trackingNumber);
+  const format = company.apiFormat || company.apiConfiguration?.format || 'rest';
+  const soapStatus = format === 'soap' && (company.apiConfiguration?.soap?.statusOperation || company.apiConfiguration?.soap?.statusEnvelopeTemplate);
+  const graphqlStatus = format === 'graphql' && company.apiConfiguration?.graphql?.statusQuery;
+  if (soapStatus || graphqlStatus) {
+    if (company.apiConfiguration?.isTestMode === true || !(company.apiUrl || company.apiConfiguration?.baseUrl)) {
+      debugLog('Simulated status lookup (test mode)', { tracking, status: currentStatus || 'assigned' });
+      return { status: currentStatus || 'assigned', trackingNumber: tracking, events: [], mode: 'test' };
+    }
+    try {
+      return soapStatus ? await fetchSoapStatus(company, tracking) : await fetchGraphqlStatus(company, tracking);
+    } catch (err) {
+      debugLog('Status fetch failed', { format, code: err.code, message: err.message, responseStatus: err.response?.status });
+      throw err;
+    }
+  }
   // If company provides a status endpoint in apiConfiguration
   const statusUrl = company.apiConfiguration?.statusUrl || company.statusUrl;
   if (!statusUrl) {
     debugLog('No status URL configured; returning order status', {
-      orderRef: order.orderNumber || order._id,
-      status: order.deliveryStatus || 'assigned'
+      orderRef: shipment?.shipmentNumber || order.orderNumber || order._id,
+      status: currentStatus || 'assigned'
     });
-    return { status: order.deliveryStatus || 'assigned', events: [] };
+    return { status: currentStatus || 'assigned', events: [] };
   }
   const { headers, auth } = buildAuth(company);
-  const finalUrl = statusUrl.replace(':tracking', order.deliveryTrackingNumber || order.trackingNumber);
+  const finalUrl = statusUrl.replace(':tracking', tracking);
   debugLog('Fetching delivery status', {
     company: company.name || company.code || company._id,
     url: finalUrl,
@@ -688,7 +983,7 @@ export async function getDeliveryStatusFromCompany(order, company) {
   debugLog('Status response received', { status: resp.status, data: safeJson(data) });
   return {
   status: data.deliveryStatus || data.status || data.current_status || data.state || 'in_transit',
-    trackingNumber: order.deliveryTrackingNumber || order.trackingNumber,
+    trackingNumber: tracking,
     estimatedDelivery: data.estimatedDelivery || data.eta,
     events: data.events || data.updates || []
   };
@@ -696,8 +991,25 @@ export async function getDeliveryStatusFromCompany(order, company) {
 
 export async function testCompanyConnection(company) {
   const url = company.apiUrl || company.apiConfiguration?.baseUrl;
+  const format = company.apiFormat || company.apiConfiguration?.format || 'rest';
+  if ((format === 'soap' || format === 'graphql') && company.apiConfiguration?.isTestMode === true) {
+    // Simulator: render the request from sample mappings instead of calling the carrier
+    const request = previewRequest(format, company, buildPayloadFromMappings({}, company));
+    return { ok: !request?.error, status: null, mode: 'test', request };
+  }
   if (!url) throw new Error('No API URL configured');
   const { headers, auth } = buildAuth(company);
+  if (format === 'soap') {
+    // A SOAP endpoint normally serves its WSDL; a fault or 405 on GET still proves it is reachable
+    const resp = await axios.get(`${url}${url.includes('?') ? '&' : '?'}wsdl`, { headers, auth, timeout: 8000, validateStatus: () => true, responseType: 'text' });
+    const wsdl = /<(\w+:)?definitions[\s>]/.test(String(resp.data || ''));
+    debugLog('SOAP connection test', { url, status: resp.status, wsdl });
+    return { ok: resp.status < 500 || wsdl, status: resp.status, wsdl };
+  }
+  if (format === 'graphql') {
+    const data = await postGraphql(company, url, { query: '{ __typename }' });
+    return { ok: !!data.__typename, status: 200, typename: data.__typename };
+  }
   debugLog('Testing company connection', { company: company.name || company.code || company._id, url, headers: maskSecrets(headers) });
   const resp = await axios({ method: 'OPTIONS', url, headers, auth, timeout: 8000 }).catch(async (err) => {
     debugLog('OPTIONS failed, falling back to HEAD', { code: err.code, message: err.message });
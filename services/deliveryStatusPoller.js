@@ -0,0 +1,255 @@
+// deliveryStatusPoller.js
+// Scheduled carrier status checks for delivery companies that do not push webhooks. Every minute each company
+// with statusPolling.enabled is asked (getDeliveryStatusFromCompany) for the status of its open parcels whose
+// nextPollAt is due; the reply goes through mapStatus and, when it changed, into the shipment status history
+// (updateShipmentStatus, source 'poll'), which also moves the order status and emits the webhook/realtime events.
+// Orders sent before split shipments are polled on their order-level delivery fields.
+//
+// A parcel is checked again statusPolling.intervalMinutes later; every consecutive failure doubles that delay
+// (capped at a day) so a carrier outage does not turn into a request storm. Each check is claimed with a
+// conditional update on nextPollAt so several server instances never poll the same parcel twice.
+
+import DeliveryCompany from '../models/DeliveryCompany.js';
+import Order from '../models/Order.js';
+import { getDeliveryStatusFromCompany, mapStatus } from './deliveryIntegrationService.js';
+import { updateShipmentStatus, recordOrderDeliveryStatus } from './shipmentService.js';
+import { enqueueOrderEvent } from './webhookService.js';
+import { realTimeEventService } from './realTimeEventService.js';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+// Parcels still on their way; delivered / returned / cancelled ones are final
+const OPEN_STATUSES = ['assigned', 'picked_up', 'in_transit', 'out_for_delivery', 'delivery_failed'];
+const MAX_BACKOFF_STEPS = 6;
+const MAX_BACKOFF_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+const pollingConfig = (company) => {
+  const p = company.statusPolling || {};
+  const num = (v, def, min) => (Number.isFinite(Number(v)) && Number(v) >= min ? Number(v) : def);
+  return {
+    intervalMs: num(p.intervalMinutes, 60, 5) * 60 * 1000,
+    maxAgeMs: num(p.maxAgeDays, 30, 1) * 24 * 60 * 60 * 1000,
+    batchSize: Math.min(num(p.batchSize, 50, 1), 500)
+  };
+};
+
+// Delay before the next check: the company cadence, doubled per consecutive failure
+export const nextPollDelay = (intervalMs, failures = 0) => (failures > 0
+  ? Math.max(intervalMs, Math.min(intervalMs * 2 ** Math.min(failures, MAX_BACKOFF_STEPS), MAX_BACKOFF_MS))
+  : intervalMs);
+
+// Whether the company has somewhere to ask for a status (otherwise the lookup just echoes our own status)
+export function hasStatusLookup(company) {
+  const cfg = company.apiConfiguration || {};
+  const format = company.apiFormat || cfg.format || 'rest';
+  if (format === 'soap' && (cfg.soap?.statusOperation || cfg.soap?.statusEnvelopeTemplate)) return true;
+  if (format === 'graphql' && cfg.graphql?.statusQuery) return true;
+  return !!(cfg.statusUrl || company.statusUrl);
+}
+
+const dueFilter = (field, now) => ({ $or: [{ [field]: null }, { [field]: { $lte: now } }] });
+
+const errorMessage = (err) => String(err?.response?.data?.message || err?.message || err || 'Status lookup failed').slice(0, 500);
+
+const parseDate = (value) => {
+  const d = value ? new Date(value) : null;
+  return d && !Number.isNaN(d.getTime()) ? d : undefined;
+};
+
+// mapStatus falls back to 'assigned' for statuses it does not know; never move a parcel back on that
+const resolveStatus = (current, mapped) => (mapped === 'assigned' && current && current !== 'assigned' ? current : mapped);
+
+async function pollShipment(company, orderId, shipmentId, cfg, now) {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, shipments: { $elemMatch: { _id: shipmentId, ...dueFilter('nextPollAt', now) } } },
+    { $set: { 'shipments.$.nextPollAt': new Date(now.getTime() + cfg.intervalMs) } },
+    { new: true }
+  );
+  if (!order) return 'skipped';
+  const shipment = order.shipments.id(shipmentId);
+  if (!shipment || !OPEN_STATUSES.includes(shipment.status)) return 'skipped';
+  shipment.lastPolledAt = now;
+
+  let result;
+  try {
+    result = await getDeliveryStatusFromCompany(order, company, { shipment });
+  } catch (err) {
+    shipment.pollFailures = (Number(shipment.pollFailures) || 0) + 1;
+    shipment.lastPollError = errorMessage(err);
+    shipment.nextPollAt = new Date(now.getTime() + nextPollDelay(cfg.intervalMs, shipment.pollFailures));
+    await order.save();
+    return { error: shipment.lastPollError };
+  }
+
+  shipment.pollFailures = 0;
+  shipment.lastPollError = undefined;
+  shipment.nextPollAt = new Date(now.getTime() + cfg.intervalMs);
+  const status = resolveStatus(shipment.status, mapStatus(company, result?.status));
+  if (status === shipment.status) {
+    await order.save();
+    return 'unchanged';
+  }
+  await updateShipmentStatus(order, shipment, {
+    status,
+    providerStatus: result?.status ? String(result.status) : undefined,
+    trackingNumber: result?.trackingNumber,
+    estimatedDate: parseDate(result?.estimatedDelivery),
+    source: 'poll'
+  });
+  return 'updated';
+}
+
+async function pollLegacyOrder(company, orderId, cfg, now) {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, ...dueFilter('deliveryPoll.nextPollAt', now) },
+    { $set: { 'deliveryPoll.nextPollAt': new Date(now.getTime() + cfg.intervalMs) } },
+    { new: true }
+  );
+  if (!order || !OPEN_STATUSES.includes(order.deliveryStatus)) return 'skipped';
+  const poll = order.deliveryPoll;
+  poll.lastPolledAt = now;
+
+  let result;
+  try {
+    result = await getDeliveryStatusFromCompany(order, company);
+  } catch (err) {
+    poll.failures = (Number(poll.failures) || 0) + 1;
+    poll.lastError = errorMessage(err);
+    poll.nextPollAt = new Date(now.getTime() + nextPollDelay(cfg.intervalMs, poll.failures));
+    await order.save();
+    return { error: poll.lastError };
+  }
+
+  poll.failures = 0;
+  poll.lastError = undefined;
+  poll.nextPollAt = new Date(now.getTime() + cfg.intervalMs);
+  const status = resolveStatus(order.deliveryStatus, mapStatus(company, result?.status));
+  const changed = status !== order.deliveryStatus && recordOrderDeliveryStatus(order, {
+    status,
+    providerStatus: result?.status ? String(result.status) : undefined,
+    source: 'poll'
+  });
+  const estimatedDate = parseDate(result?.estimatedDelivery);
+  if (changed && estimatedDate) order.deliveryEstimatedDate = estimatedDate;
+  await order.save();
+  if (!changed) return 'unchanged';
+  await enqueueOrderEvent('order.updated', order);
+  try { realTimeEventService.emitOrderUpdate(order); } catch {}
+  return 'updated';
+}
+
+/**
+ * Check the company's due parcels once.
+ * @returns {Promise<{ checked: number, updated: number, failed: number, skipped?: string }>}
+ */
+export async function pollCompanyOnce(company, { now = new Date() } = {}) {
+  const summary = { checked: 0, updated: 0, failed: 0 };
+  if (!hasStatusLookup(company)) {
+    await DeliveryCompany.updateOne({ _id: company._id }, {
+      $set: { 'statusPolling.lastRunAt': now, 'statusPolling.lastError': 'No status endpoint configured' }
+    });
+    return { ...summary, skipped: 'no_status_endpoint' };
+  }
+  const cfg = pollingConfig(company);
+  const since = new Date(now.getTime() - cfg.maxAgeMs);
+  let lastError = null;
+  const record = (outcome) => {
+    if (outcome === 'skipped') return;
+    summary.checked += 1;
+    if (outcome === 'updated') summary.updated += 1;
+    if (outcome?.error) {
+      summary.failed += 1;
+      lastError = outcome.error;
+    }
+  };
+
+  const openShipment = (s) => String(s.deliveryCompany) === String(company._id)
+    && OPEN_STATUSES.includes(s.status)
+    && s.trackingNumber
+    && s.dispatchedAt && new Date(s.dispatchedAt) >= since
+    && (!s.nextPollAt || new Date(s.nextPollAt) <= now);
+  const orders = await Order.find({
+    shipments: {
+      $elemMatch: {
+        deliveryCompany: company._id,
+        status: { $in: OPEN_STATUSES },
+        trackingNumber: { $nin: [null, ''] },
+        dispatchedAt: { $gte: since },
+        ...dueFilter('nextPollAt', now)
+      }
+    }
+  })
+    .select('shipments._id shipments.deliveryCompany shipments.status shipments.trackingNumber shipments.dispatchedAt shipments.nextPollAt')
+    .sort({ 'shipments.nextPollAt': 1 })
+    .limit(cfg.batchSize)
+    .lean();
+  let budget = cfg.batchSize;
+  for (const order of orders) {
+    for (const shipment of order.shipments.filter(openShipment)) {
+      if (budget <= 0) break;
+      budget -= 1;
+      record(await pollShipment(company, order._id, shipment._id, cfg, now));
+    }
+  }
+
+  if (budget > 0) {
+    const legacy = await Order.find({
+      'shipments.0': { $exists: false },
+      deliveryCompany: company._id,
+      deliveryStatus: { $in: OPEN_STATUSES },
+      deliveryTrackingNumber: { $nin: [null, ''] },
+      deliveryAssignedAt: { $gte: since },
+      ...dueFilter('deliveryPoll.nextPollAt', now)
+    })
+      .select('_id')
+      .sort({ 'deliveryPoll.nextPollAt': 1 })
+      .limit(budget)
+      .lean();
+    for (const { _id } of legacy) {
+      record(await pollLegacyOrder(company, _id, cfg, now));
+    }
+  }
+
+  await DeliveryCompany.updateOne({ _id: company._id }, lastError
+    ? { $set: { 'statusPolling.lastRunAt': now, 'statusPolling.lastError': lastError } }
+    : { $set: { 'statusPolling.lastRunAt': now }, $unset: { 'statusPolling.lastError': 1 } });
+  return summary;
+}
+
+export function startDeliveryStatusPoller() {
+  if (timer) return;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const companies = await DeliveryCompany.find({ isActive: true, 'statusPolling.enabled': true });
+      for (const company of companies) {
+        try {
+          const summary = await pollCompanyOnce(company);
+          if (summary.updated || summary.failed) {
+            console.log('[delivery-poll]', company.code || company.name, summary);
+          }
+        } catch (e) {
+          console.warn('[delivery-poll] company run failed', company.code || company._id, e?.message || e);
+        }
+      }
+    } catch (e) {
+      console.warn('[delivery-poll] poller tick failed', e?.message || e);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, POLL_INTERVAL_MS);
+  try { timer.unref?.(); } catch {}
+}
+
+export function stopDeliveryStatusPoller() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
@@ -0,0 +1,177 @@
+// deliveryWebhookService.js
+// Inbound carrier status webhooks per delivery company (POST /api/delivery/webhook/:companyCode).
+// Each company authenticates with its own secret (DeliveryCompany.webhook): a shared token, or an HMAC signature
+// of the raw request body. Carriers post their native payload (JSON, form or XML); webhook.paths says where the
+// order reference, status and tracking number are, and deliveryController applies the result like the shared
+// /webhook/status endpoint does. Every request is logged in DeliveryWebhookLog for debugging and replay; the raw
+// body is kept only once the request is authenticated, rejected requests keep their metadata.
+
+import crypto from 'crypto';
+import DeliveryWebhookLog from '../models/DeliveryWebhookLog.js';
+import { parseXml, findDeep } from '../utils/xml.js';
+import { readJsonPath } from '../utils/jsonPath.js';
+
+const MAX_LOGGED_BODY = 256 * 1024;
+const MASKED_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'x-api-key'];
+
+// Key names looked for when a company has no path configured for a field
+const FIELD_KEYS = {
+  orderReference: ['orderNumber', 'order_number', 'orderId', 'order_id', 'orderReference', 'order_reference', 'reference'],
+  shipmentReference: ['shipmentNumber', 'shipment_number'],
+  status: ['providerStatus', 'provider_status', 'status', 'deliveryStatus', 'state'],
+  trackingNumber: ['trackingNumber', 'tracking_number', 'trackingId', 'tracking_id', 'awb', 'waybill'],
+  occurredAt: ['occurredAt', 'occurred_at', 'eventTime', 'event_time', 'timestamp'],
+  estimatedDate: ['estimatedDate', 'estimated_date', 'estimatedDelivery', 'eta'],
+  deliveredAt: ['actualDate', 'actual_date', 'deliveredAt', 'delivered_at'],
+  notes: ['notes', 'note', 'comment']
+};
+
+const header = (headers, name) => {
+  const value = headers?.[String(name || '').toLowerCase()];
+  return Array.isArray(value) ? value[0] : value;
+};
+
+const safeEqual = (a, b) => {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+};
+
+// Raw body as received: captured by the JSON/urlencoded parsers for webhook paths, or the text body for XML
+export function rawBodyOf(req) {
+  if (Buffer.isBuffer(req.rawBody)) return req.rawBody.toString('utf8');
+  if (typeof req.body === 'string') return req.body;
+  return req.body && Object.keys(req.body).length ? JSON.stringify(req.body) : '';
+}
+
+// Raw body -> payload object according to its content type (also used when replaying a log)
+export function parseWebhookPayload(raw, contentType = '') {
+  const text = String(raw || '').trim();
+  if (!text) return {};
+  if (/xml/i.test(contentType) || text.startsWith('<')) return parseXml(text);
+  if (/x-www-form-urlencoded/i.test(contentType)) return Object.fromEntries(new URLSearchParams(text));
+  return JSON.parse(text);
+}
+
+/**
+ * Check a request against the company's webhook settings.
+ * @returns {{ ok: boolean, reason?: string }}
+ */
+export function verifyWebhookRequest(company, { headers = {}, rawBody = '', query = {} } = {}) {
+  const cfg = company?.webhook || {};
+  if (!cfg.enabled) return { ok: false, reason: 'webhook_disabled' };
+  if (!cfg.secret) return { ok: false, reason: 'webhook_secret_missing' };
+
+  if (cfg.auth !== 'hmac') {
+    const presented = String(header(headers, cfg.tokenHeader || 'Authorization') || query.token || '')
+      .replace(/^Bearer\s+/i, '')
+      .trim();
+    return presented && safeEqual(presented, cfg.secret) ? { ok: true } : { ok: false, reason: 'invalid_token' };
+  }
+
+  let signature = String(header(headers, cfg.signatureHeader || 'X-Signature') || '').trim();
+  if (!signature) return { ok: false, reason: 'missing_signature' };
+  let timestamp = cfg.timestampHeader ? header(headers, cfg.timestampHeader) : undefined;
+  // "t=<ts>,v1=<sig>"
+  const parts = Object.fromEntries(signature.split(',').map((p) => p.trim().split('=')).filter((p) => p.length === 2));
+  if (parts.t && parts.v1) {
+    timestamp = parts.t;
+    signature = parts.v1;
+  } else if (cfg.signaturePrefix && signature.startsWith(cfg.signaturePrefix)) {
+    signature = signature.slice(cfg.signaturePrefix.length);
+  }
+  if (timestamp !== undefined) {
+    const ts = Number(timestamp);
+    const seconds = ts > 1e12 ? ts / 1000 : ts;
+    const tolerance = Number(cfg.toleranceSeconds) > 0 ? Number(cfg.toleranceSeconds) : 300;
+    if (!Number.isFinite(seconds) || Math.abs(Date.now() / 1000 - seconds) > tolerance) {
+      return { ok: false, reason: 'stale_signature' };
+    }
+  }
+  const content = timestamp !== undefined ? `${timestamp}.${rawBody}` : rawBody;
+  const expected = crypto
+    .createHmac(cfg.signatureAlgorithm || 'sha256', String(cfg.secret))
+    .update(content)
+    .digest(cfg.signatureEncoding === 'base64' ? 'base64' : 'hex');
+  const matches = cfg.signatureEncoding === 'base64' ? safeEqual(signature, expected) : safeEqual(signature.toLowerCase(), expected);
+  return matches ? { ok: true } : { ok: false, reason: 'invalid_signature' };
+}
+
+const scalar = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'object') return value['#text'] !== undefined ? String(value['#text']) : undefined;
+  return String(value);
+};
+
+/**
+ * Fields of a carrier payload, read from webhook.paths (or the usual key names)
+ * @returns {{ orderReference?, shipmentReference?, status?, trackingNumber?, occurredAt?, estimatedDate?, deliveredAt?, notes? }}
+ */
+export function extractWebhookFields(company, payload) {
+  const paths = company?.webhook?.paths || {};
+  const out = {};
+  for (const [field, keys] of Object.entries(FIELD_KEYS)) {
+    const value = scalar(paths[field] ? readJsonPath(payload, paths[field]) : findDeep(payload, keys));
+    if (value !== undefined) out[field] = value.trim();
+  }
+  return out;
+}
+
+// Extracted fields -> the payload shape of the shared /webhook/status endpoint
+export function toStatusPayload(fields) {
+  const ref = fields.orderReference;
+  const isId = !!ref && /^[a-f0-9]{24}$/i.test(ref);
+  return {
+    orderId: isId ? ref : undefined,
+    orderNumber: isId ? undefined : ref,
+    shipmentNumber: fields.shipmentReference || (isId ? undefined : ref),
+    trackingNumber: fields.trackingNumber,
+    providerStatus: fields.status,
+    occurredAt: fields.occurredAt,
+    estimatedDate: fields.estimatedDate,
+    actualDate: fields.deliveredAt,
+    notes: fields.notes
+  };
+}
+
+const maskHeaders = (headers, company) => {
+  const masked = new Set(MASKED_HEADERS);
+  if (company?.webhook?.auth === 'token' && company.webhook.tokenHeader) masked.add(company.webhook.tokenHeader.toLowerCase());
+  return Object.fromEntries(Object.entries(headers || {}).map(([k, v]) => [k, masked.has(k.toLowerCase()) ? '***' : v]));
+};
+
+// Raw body as stored on a verified request's log (truncated)
+export function loggedRawBody(req) {
+  const raw = rawBodyOf(req);
+  return raw.length > MAX_LOGGED_BODY ? raw.slice(0, MAX_LOGGED_BODY) : raw;
+}
+
+// Store the request's metadata before it is authenticated (the body is added by finishWebhookLog once the
+// request is verified); logging never fails the webhook
+export async function createWebhookLog(req, { company = null, companyCode, endpoint }) {
+  try {
+    const query = { ...(req.query || {}) };
+    if (query.token) query.token = '***';
+    return await DeliveryWebhookLog.create({
+      company: company?._id,
+      companyCode: companyCode || company?.code,
+      endpoint,
+      method: req.method,
+      contentType: header(req.headers, 'content-type'),
+      headers: maskHeaders(req.headers, company),
+      query
+    });
+  } catch (e) {
+    console.warn('[delivery-webhook] failed to store log', e?.message || e);
+    return null;
+  }
+}
+
+export async function finishWebhookLog(log, patch) {
+  if (!log) return;
+  try {
+    await DeliveryWebhookLog.updateOne({ _id: log._id }, { $set: patch });
+  } catch (e) {
+    console.warn('[delivery-webhook] failed to update log', e?.message || e);
+  }
+}
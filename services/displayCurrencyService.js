@@ -0,0 +1,139 @@
+// displayCurrencyService.js
+// Storefront prices in a shopper-selected display currency (?currency=JOD). Store-currency prices are left
+// untouched (cart and checkout keep using them); converted, rounded values are added under `display`.
+import Settings from '../models/Settings.js';
+import { getStoreCurrency } from './storeCurrencyService.js';
+import { SUPPORTED_CURRENCIES, convertPriceDetailed, roundDisplayPrice } from '../utils/currency.js';
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+let cached = { value: null, ts: 0 };
+const TTL_MS = 60 * 1000;
+
+export async function getDisplayCurrencyConfig() {
+  const now = Date.now();
+  if (cached.value && now - cached.ts < TTL_MS) return cached.value;
+  const s = await Settings.findOne().select('displayCurrencies').lean();
+  const cfg = s?.displayCurrencies || {};
+  const value = {
+    enabled: !!cfg.enabled,
+    currencies: (cfg.currencies || []).map((c) => String(c).toUpperCase()).filter((c) => SUPPORTED_CURRENCIES[c]),
+    rounding: cfg.rounding || []
+  };
+  cached = { value, ts: now };
+  return value;
+}
+
+export function clearDisplayCurrencyCache() {
+  cached = { value: null, ts: 0 };
+}
+
+/**
+ * Display context for a request, or null when no conversion is needed (no ?currency, or the store currency).
+ * Throws 400 for a currency that is not offered.
+ * @returns {Promise<null | { currency, storeCurrency, rate, asOf, stale, warnings, convert(amount): number }>}
+ */
+export async function resolveDisplayCurrency(requested) {
+  const code = String(requested || '').trim().toUpperCase();
+  if (!code) return null;
+  const storeCurrency = await getStoreCurrency();
+  if (code === storeCurrency) return null;
+  const cfg = await getDisplayCurrencyConfig();
+  if (!cfg.enabled || !cfg.currencies.includes(code)) {
+    throw httpError(400, `Display currency ${code} is not available`);
+  }
+  const { rate, asOf, stale, warnings } = convertPriceDetailed(1, storeCurrency, code);
+  const rule = cfg.rounding.find((r) => r.currency === code) || null;
+  return {
+    currency: code,
+    storeCurrency,
+    rate,
+    asOf,
+    stale,
+    warnings,
+    convert: (amount) => {
+      const n = Number(amount);
+      if (!Number.isFinite(n) || n <= 0) return n === 0 ? 0 : null;
+      return roundDisplayPrice(n * rate, rule, code);
+    }
+  };
+}
+
+// Response headers so clients can show which rate was used
+export function setDisplayHeaders(res, ctx) {
+  if (!ctx) return;
+  try {
+    res.set('X-Display-Currency', ctx.currency);
+    res.set('X-Exchange-Rate', String(ctx.rate));
+    if (ctx.asOf) res.set('X-Exchange-Rate-Date', new Date(ctx.asOf).toISOString());
+    if (ctx.stale) res.set('X-Exchange-Rate-Stale', 'true');
+  } catch {}
+}
+
+const pick = (ctx, obj, fields) => {
+  const out = { currency: ctx.currency };
+  for (const f of fields) {
+    if (obj?.[f] !== undefined && obj[f] !== null && obj[f] !== '') out[f] = ctx.convert(obj[f]);
+  }
+  return out;
+};
+
+/**
+ * Add `display` prices to a product (and its variants / selected variant)
+ */
+export function addProductDisplayPrices(product, ctx) {
+  if (!ctx || !product || typeof product !== 'object') return product;
+  product.display = pick(ctx, product, ['price', 'originalPrice', 'flashPrice']);
+  if (Array.isArray(product.variants)) {
+    for (const v of product.variants) {
+      if (v && typeof v === 'object') v.display = pick(ctx, v, ['price', 'originalPrice']);
+    }
+  }
+  if (product.selectedVariant && typeof product.selectedVariant === 'object' && !product.selectedVariant.display) {
+    product.selectedVariant.display = pick(ctx, product.selectedVariant, ['price', 'originalPrice']);
+  }
+  return product;
+}
+
+/**
+ * Flash sale items: { product, flashPrice, ... }
+ */
+export function addFlashSaleItemDisplayPrices(items, ctx) {
+  if (!ctx || !Array.isArray(items)) return items;
+  for (const it of items) {
+    if (!it) continue;
+    it.display = pick(ctx, it, ['flashPrice']);
+    if (it.product && typeof it.product === 'object') addProductDisplayPrices(it.product, ctx);
+  }
+  return items;
+}
+
+/**
+ * Bundle offers: explicit bundle price, fixed discount amount and member product prices
+ */
+export function addBundleDisplayPrices(bundles, ctx) {
+  if (!ctx || !Array.isArray(bundles)) return bundles;
+  for (const b of bundles) {
+    if (!b) continue;
+    b.display = pick(ctx, b, ['price']);
+    if (b.discountType === 'fixed' && b.discountValue != null) b.display.discountValue = ctx.convert(b.discountValue);
+    for (const entry of b.products || []) {
+      if (entry?.product && typeof entry.product === 'object') addProductDisplayPrices(entry.product, ctx);
+    }
+  }
+  return bundles;
+}
+
+/**
+ * Currencies a shopper can pick, with the current rate from the store currency and the rounding applied
+ */
+export async function listDisplayCurrencies() {
+  const storeCurrency = await getStoreCurrency();
+  const cfg = await getDisplayCurrencyConfig();
+  const currencies = (cfg.enabled ? cfg.currencies : []).filter((c) => c !== storeCurrency).map((code) => {
+    const { rate, asOf, stale } = convertPriceDetailed(1, storeCurrency, code);
+    const rule = cfg.rounding.find((r) => r.currency === code) || null;
+    return { currency: code, symbol: SUPPORTED_CURRENCIES[code]?.symbol, rate, asOf, stale, rounding: rule };
+  });
+  return { storeCurrency, enabled: cfg.enabled, currencies };
+}
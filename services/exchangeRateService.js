@@ -0,0 +1,223 @@
+// exchangeRateService.js
+// Exchange rates for display currencies. A provider (Settings.exchangeRates.provider) supplies rates:
+//  - static: built-in table in utils/currency.js, nothing is fetched or stored
+//  - file:   local JSON { base, date, rates } (filePath)
+//  - ecb:    ECB-style daily XML feed (EUR base, <Cube currency='USD' rate='1.08'/>) (feedUrl)
+//  - manual: admins enter rates; nothing is fetched
+// Every fetched or entered rate is stored as a dated ExchangeRate (USD base); the latest per currency is
+// loaded into utils/currency.js so convertPrice uses it. Manual entries can also override a feed rate.
+import fs from 'fs/promises';
+import axios from 'axios';
+import ExchangeRate from '../models/ExchangeRate.js';
+import Settings from '../models/Settings.js';
+import { SUPPORTED_CURRENCIES, setExchangeRates, getExchangeRate } from '../utils/currency.js';
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const DEFAULTS = {
+  provider: 'static',
+  filePath: '',
+  feedUrl: 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml',
+  refreshMinutes: 360,
+  staleAfterHours: 48
+};
+
+let _timer = null;
+let _inFlight = false;
+
+export async function getExchangeRateConfig() {
+  const s = await Settings.findOne().select('exchangeRates').lean();
+  const cfg = s?.exchangeRates || {};
+  return {
+    ...DEFAULTS,
+    ...Object.fromEntries(Object.entries(cfg).filter(([, v]) => v !== undefined && v !== null && v !== '')),
+    filePath: cfg.filePath || process.env.EXCHANGE_RATES_FILE || ''
+  };
+}
+
+// Rates quoted against `base` -> rates per 1 USD
+function toUsdBase(base, rates) {
+  const b = String(base || 'USD').toUpperCase();
+  const all = { ...rates, [b]: 1 };
+  const usd = Number(all.USD);
+  if (!(usd > 0)) throw new Error(`Rates in ${b} do not include USD`);
+  const out = {};
+  for (const [code, value] of Object.entries(all)) {
+    const rate = Number(value) / usd;
+    if (SUPPORTED_CURRENCIES[code] && Number.isFinite(rate) && rate > 0) out[code] = rate;
+  }
+  return out;
+}
+
+async function fetchFileRates(filePath) {
+  if (!filePath) throw new Error('Exchange rate file path is not configured');
+  const json = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  if (!json || typeof json.rates !== 'object') throw new Error('Exchange rate file must contain a "rates" object');
+  const date = json.date ? new Date(json.date) : new Date();
+  return { effectiveDate: Number.isNaN(date.getTime()) ? new Date() : date, rates: toUsdBase(json.base || 'USD', json.rates) };
+}
+
+async function fetchEcbRates(feedUrl) {
+  const resp = await axios.get(feedUrl, { timeout: 15000, responseType: 'text' });
+  const xml = String(resp.data || '');
+  const time = xml.match(/time=['"](\d{4}-\d{2}-\d{2})['"]/);
+  const rates = {};
+  for (const m of xml.matchAll(/currency=['"]([A-Z]{3})['"]\s+rate=['"]([\d.]+)['"]/g)) rates[m[1]] = Number(m[2]);
+  if (!Object.keys(rates).length) throw new Error('No rates found in feed');
+  return { effectiveDate: time ? new Date(`${time[1]}T00:00:00Z`) : new Date(), rates: toUsdBase('EUR', rates) };
+}
+
+/**
+ * Load the latest stored rate per currency into utils/currency.js. With the static provider the table is
+ * cleared and the built-in rates apply.
+ */
+export async function loadLatestRates(config = null) {
+  const cfg = config || await getExchangeRateConfig();
+  if (cfg.provider === 'static') {
+    setExchangeRates({}, { staleAfterHours: cfg.staleAfterHours });
+    return {};
+  }
+  const latest = await ExchangeRate.aggregate([
+    { $match: { base: 'USD' } },
+    { $sort: { effectiveDate: -1, createdAt: -1 } },
+    { $group: { _id: '$currency', rate: { $first: '$rate' }, asOf: { $first: '$effectiveDate' }, source: { $first: '$source' } } }
+  ]);
+  const rates = Object.fromEntries(latest.map((r) => [r._id, { rate: r.rate, asOf: r.asOf, source: r.source }]));
+  setExchangeRates(rates, { staleAfterHours: cfg.staleAfterHours });
+  return rates;
+}
+
+/**
+ * Pull rates from the configured provider, store them and reload the live table.
+ * Re-fetching the same publication updates the stored row instead of adding another.
+ * @returns {Promise<{ provider, effectiveDate?, updated: string[] }>}
+ */
+export async function refreshExchangeRates() {
+  const cfg = await getExchangeRateConfig();
+  if (cfg.provider === 'static' || cfg.provider === 'manual') {
+    await loadLatestRates(cfg);
+    return { provider: cfg.provider, updated: [] };
+  }
+  try {
+    const { effectiveDate, rates } = cfg.provider === 'file'
+      ? await fetchFileRates(cfg.filePath)
+      : await fetchEcbRates(cfg.feedUrl);
+    const fetchedAt = new Date();
+    const updated = [];
+    for (const [currency, rate] of Object.entries(rates)) {
+      if (currency === 'USD') continue;
+      await ExchangeRate.updateOne(
+        { base: 'USD', currency, source: cfg.provider, effectiveDate },
+        { $set: { rate, fetchedAt } },
+        { upsert: true }
+      );
+      updated.push(currency);
+    }
+    await Settings.updateOne({}, { $set: { 'exchangeRates.lastRefreshAt': fetchedAt, 'exchangeRates.lastRefreshError': '' } });
+    await loadLatestRates(cfg);
+    return { provider: cfg.provider, effectiveDate, updated };
+  } catch (e) {
+    const message = e?.message || String(e);
+    await Settings.updateOne({}, { $set: { 'exchangeRates.lastRefreshAt': new Date(), 'exchangeRates.lastRefreshError': message } });
+    // Keep serving the last stored rates (they will be flagged stale)
+    await loadLatestRates(cfg);
+    throw httpError(502, `Exchange rate refresh failed: ${message}`);
+  }
+}
+
+/**
+ * Admin-entered rate (units of `currency` per 1 USD), effective now unless a date is given
+ */
+export async function setManualRate({ currency, rate, effectiveDate, note, user }) {
+  const code = String(currency || '').toUpperCase();
+  if (!SUPPORTED_CURRENCIES[code] || code === 'USD') throw httpError(400, 'Unsupported currency');
+  const value = Number(rate);
+  if (!Number.isFinite(value) || value <= 0) throw httpError(400, 'rate must be a positive number');
+  const date = effectiveDate ? new Date(effectiveDate) : new Date();
+  if (Number.isNaN(date.getTime())) throw httpError(400, 'Invalid effectiveDate');
+  const entry = await ExchangeRate.create({
+    base: 'USD',
+    currency: code,
+    rate: value,
+    source: 'manual',
+    effectiveDate: date,
+    setBy: user?._id,
+    note
+  });
+  await loadLatestRates();
+  return entry;
+}
+
+/**
+ * Current rate per supported currency with its age (what convertPrice will use)
+ */
+export async function getCurrentRates() {
+  const cfg = await getExchangeRateConfig();
+  const rates = Object.keys(SUPPORTED_CURRENCIES).map((code) => getExchangeRate(code));
+  return { base: 'USD', provider: cfg.provider, staleAfterHours: cfg.staleAfterHours, rates };
+}
+
+export async function getRateHistory({ currency, from, to, limit = 100 } = {}) {
+  const filter = {};
+  if (currency) filter.currency = String(currency).toUpperCase();
+  if (from || to) {
+    filter.effectiveDate = {};
+    if (from) filter.effectiveDate.$gte = new Date(from);
+    if (to) filter.effectiveDate.$lte = new Date(to);
+  }
+  return ExchangeRate.find(filter)
+    .sort({ effectiveDate: -1, createdAt: -1 })
+    .limit(Math.min(1000, Math.max(1, parseInt(limit, 10) || 100)))
+    .populate('setBy', 'name email')
+    .lean();
+}
+
+/**
+ * Rate snapshot for an order placed in `storeCurrency` and shown in `displayCurrency`
+ * @returns {{ displayCurrency, exchangeRate, exchangeRateAsOf, exchangeRateSource } | null} null when no conversion applies
+ */
+export function resolveDisplayRate(storeCurrency, displayCurrency) {
+  const display = String(displayCurrency || '').toUpperCase();
+  if (!display || display === storeCurrency || !SUPPORTED_CURRENCIES[display]) return null;
+  const from = getExchangeRate(storeCurrency);
+  const to = getExchangeRate(display);
+  if (!from?.rate || !to?.rate) return null;
+  return {
+    displayCurrency: display,
+    exchangeRate: to.rate / from.rate,
+    exchangeRateAsOf: [from.asOf, to.asOf].filter(Boolean).sort((a, b) => a - b)[0] || undefined,
+    exchangeRateSource: from.source === to.source ? to.source : `${from.source}/${to.source}`
+  };
+}
+
+export function startExchangeRateScheduler() {
+  if (_timer) return;
+  const tick = async () => {
+    if (_inFlight) return;
+    _inFlight = true;
+    try {
+      const cfg = await getExchangeRateConfig();
+      const intervalMs = Math.max(5, Number(cfg.refreshMinutes) || DEFAULTS.refreshMinutes) * 60 * 1000;
+      const last = cfg.lastRefreshAt ? new Date(cfg.lastRefreshAt).getTime() : 0;
+      if (['file', 'ecb'].includes(cfg.provider) && Date.now() - last >= intervalMs) {
+        await refreshExchangeRates();
+      } else {
+        await loadLatestRates(cfg);
+      }
+    } catch (e) {
+      console.warn('[fx] exchange rate refresh failed', e?.message || e);
+    } finally {
+      _inFlight = false;
+    }
+  };
+  tick();
+  _timer = setInterval(tick, 60 * 1000);
+  try { _timer.unref?.(); } catch {}
+}
+
+export function stopExchangeRateScheduler() {
+  if (_timer) {
+    clearInterval(_timer);
+    _timer = null;
+  }
+}
@@ -0,0 +1,246 @@
+// fiscalDocumentRenderer.js
+// Output formats for FiscalDocument: A4 PDF (pdfkit) and 58/80mm thermal printer text with ESC/POS commands.
+// Text is laid out left-to-right; for Hebrew/Arabic names configure a TrueType font that has those glyphs
+// (Settings.fiscal.pdfFontPath or FISCAL_PDF_FONT), otherwise Helvetica cannot draw them.
+import fs from 'fs';
+import PDFDocument from 'pdfkit';
+
+export const DOCUMENT_TITLES = {
+  tax_invoice: 'Tax Invoice',
+  receipt: 'Receipt',
+  credit_note: 'Credit Note'
+};
+
+const money = (n) => (Number(n) || 0).toFixed(2);
+const formatDate = (d) => {
+  const date = new Date(d);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toISOString().replace('T', ' ').slice(0, 16);
+};
+const describeRate = (rate) => `${Number(rate) || 0}%`;
+
+/**
+ * @param {object} doc FiscalDocument (document or lean object)
+ * @param {{ fontPath?: string }} options
+ * @returns {Promise<Buffer>}
+ */
+export function renderDocumentPdf(doc, { fontPath } = {}) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `${DOCUMENT_TITLES[doc.type] || 'Document'} ${doc.documentNumber}` } });
+    const chunks = [];
+    pdf.on('data', (c) => chunks.push(c));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    let regular = 'Helvetica';
+    let bold = 'Helvetica-Bold';
+    const customFont = fontPath || process.env.FISCAL_PDF_FONT;
+    if (customFont && fs.existsSync(customFont)) {
+      pdf.registerFont('DocumentFont', customFont);
+      regular = 'DocumentFont';
+      bold = 'DocumentFont';
+    }
+
+    const left = pdf.page.margins.left;
+    const right = pdf.page.width - pdf.page.margins.right;
+    const width = right - left;
+    const currency = doc.currency || '';
+
+    // Seller
+    const seller = doc.seller || {};
+    pdf.font(bold).fontSize(16).text(seller.name || '', left, 40);
+    pdf.font(regular).fontSize(9);
+    if (seller.businessId) pdf.text(`Business ID: ${seller.businessId}`);
+    if (seller.address) pdf.text(seller.address);
+    const contact = [seller.phone, seller.email].filter(Boolean).join(' | ');
+    if (contact) pdf.text(contact);
+
+    // Title block
+    pdf.moveDown(1);
+    pdf.font(bold).fontSize(14).text(`${DOCUMENT_TITLES[doc.type] || 'Document'} ${doc.documentNumber}`);
+    pdf.font(regular).fontSize(9).text(`Date: ${formatDate(doc.issuedAt)}`);
+    if (doc.sourceNumber) pdf.text(`${doc.sourceType === 'Order' ? 'Order' : 'Transaction'}: ${doc.sourceNumber}`);
+    if (doc.relatedDocumentNumber) pdf.text(`Refers to: ${doc.relatedDocumentNumber}`);
+    if (doc.reason) pdf.text(`Reason: ${doc.reason}`);
+
+    // Customer
+    const customer = doc.customer || {};
+    const customerLines = [customer.name, customer.taxId ? `Tax ID: ${customer.taxId}` : '', customer.address, customer.phone, customer.email].filter(Boolean);
+    if (customerLines.length) {
+      pdf.moveDown(0.8);
+      pdf.font(bold).text('Customer');
+      pdf.font(regular);
+      customerLines.forEach((l) => pdf.text(l));
+    }
+
+    // Lines table
+    const cols = [
+      { key: 'description', label: 'Description', x: left, w: width * 0.42, align: 'left' },
+      { key: 'quantity', label: 'Qty', x: left + width * 0.42, w: width * 0.08, align: 'right' },
+      { key: 'unitPrice', label: 'Unit price', x: left + width * 0.5, w: width * 0.14, align: 'right' },
+      { key: 'discount', label: 'Discount', x: left + width * 0.64, w: width * 0.12, align: 'right' },
+      { key: 'vatRate', label: 'VAT', x: left + width * 0.76, w: width * 0.08, align: 'right' },
+      { key: 'total', label: 'Total', x: left + width * 0.84, w: width * 0.16, align: 'right' }
+    ];
+    const cell = (line, key) => {
+      if (key === 'description') return line.sku ? `${line.description} (${line.sku})` : line.description;
+      if (key === 'quantity') return String(line.quantity ?? '');
+      if (key === 'vatRate') return describeRate(line.vatRate);
+      if (key === 'discount') return line.discount ? money(line.discount) : '';
+      return money(line[key]);
+    };
+    const drawRow = (values, font) => {
+      if (pdf.y > pdf.page.height - 120) pdf.addPage();
+      const y = pdf.y;
+      pdf.font(font).fontSize(9);
+      let bottom = y;
+      cols.forEach((c) => {
+        pdf.text(values(c), c.x, y, { width: c.w - 4, align: c.align });
+        bottom = Math.max(bottom, pdf.y);
+      });
+      pdf.x = left;
+      pdf.y = bottom + 3;
+    };
+    pdf.moveDown(1);
+    drawRow((c) => c.label, bold);
+    pdf.moveTo(left, pdf.y).lineTo(right, pdf.y).stroke();
+    pdf.y += 3;
+    (doc.lines || []).forEach((line) => drawRow((c) => cell(line, c.key), regular));
+    pdf.moveTo(left, pdf.y).lineTo(right, pdf.y).stroke();
+    pdf.y += 6;
+
+    // VAT breakdown and totals
+    const labelX = left + width * 0.5;
+    const valueW = width * 0.5;
+    const row = (label, value, font = regular) => {
+      const y = pdf.y;
+      pdf.font(font).fontSize(9).text(label, labelX, y, { width: valueW * 0.6 });
+      pdf.text(value, labelX + valueW * 0.6, y, { width: valueW * 0.4, align: 'right' });
+      pdf.x = left;
+    };
+    (doc.vatBreakdown || []).forEach((b) => {
+      row(`VAT ${describeRate(b.rate)} on ${money(b.net)}`, money(b.vat));
+    });
+    const totals = doc.totals || {};
+    if (totals.discount) row('Discount', `-${money(totals.discount)}`);
+    row('Total before VAT', money(totals.net));
+    row('VAT', money(totals.vat));
+    row(`Total (${currency})`, money(totals.gross), bold);
+
+    // Payments
+    if ((doc.payments || []).length) {
+      pdf.moveDown(1);
+      pdf.font(bold).fontSize(9).text('Payments', left);
+      pdf.font(regular);
+      doc.payments.forEach((p) => {
+        pdf.text(`${p.method}${p.reference ? ` (${p.reference})` : ''}: ${money(p.amount)} ${currency}`, left);
+      });
+    }
+
+    if (doc.footer) {
+      pdf.moveDown(2);
+      pdf.font(regular).fontSize(8).text(doc.footer, left, pdf.y, { width, align: 'center' });
+    }
+    pdf.end();
+  });
+}
+
+// ESC/POS control sequences
+const ESC = '\x1b';
+const GS = '\x1d';
+const CMD = {
+  init: `${ESC}@`,
+  alignLeft: `${ESC}a\x00`,
+  alignCenter: `${ESC}a\x01`,
+  boldOn: `${ESC}E\x01`,
+  boldOff: `${ESC}E\x00`,
+  doubleOn: `${GS}!\x11`,
+  doubleOff: `${GS}!\x00`,
+  cut: `${GS}V\x41\x03`
+};
+
+function wrap(text, width) {
+  const out = [];
+  let line = '';
+  for (const word of String(text || '').split(/\s+/).filter(Boolean)) {
+    if (!line) line = word;
+    else if (line.length + 1 + word.length <= width) line += ` ${word}`;
+    else {
+      out.push(line);
+      line = word;
+    }
+    while (line.length > width) {
+      out.push(line.slice(0, width));
+      line = line.slice(width);
+    }
+  }
+  if (line) out.push(line);
+  return out.length ? out : [''];
+}
+
+const pad = (leftText, rightText, width) => {
+  const l = String(leftText);
+  const r = String(rightText);
+  const space = width - l.length - r.length;
+  return space >= 1 ? `${l}${' '.repeat(space)}${r}` : `${l.slice(0, Math.max(0, width - r.length - 1))} ${r}`;
+};
+
+/**
+ * Receipt text for thermal printers.
+ * @param {object} doc FiscalDocument
+ * @param {{ width?: number, raw?: boolean }} options width in characters (32 for 58mm, 42/48 for 80mm);
+ *   raw=false drops the ESC/POS commands (plain-text preview)
+ * @returns {string}
+ */
+export function renderDocumentEscPos(doc, { width = 42, raw = true } = {}) {
+  const w = Math.min(64, Math.max(24, parseInt(width, 10) || 42));
+  const c = raw ? CMD : Object.fromEntries(Object.keys(CMD).map((k) => [k, '']));
+  const out = [];
+  const push = (s = '') => out.push(s);
+  const rule = '-'.repeat(w);
+  const seller = doc.seller || {};
+  const currency = doc.currency || '';
+
+  out.push(c.init + c.alignCenter + c.boldOn + (seller.name || '') + c.boldOff);
+  if (seller.businessId) push(`Business ID: ${seller.businessId}`);
+  wrap(seller.address, w).forEach((l) => l && push(l));
+  if (seller.phone) push(seller.phone);
+  push();
+  push(c.boldOn + `${DOCUMENT_TITLES[doc.type] || 'Document'} ${doc.documentNumber}` + c.boldOff);
+  push(formatDate(doc.issuedAt));
+  out.push(c.alignLeft + rule);
+  if (doc.sourceNumber) push(pad(doc.sourceType === 'Order' ? 'Order' : 'Transaction', doc.sourceNumber, w));
+  if (doc.relatedDocumentNumber) push(pad('Refers to', doc.relatedDocumentNumber, w));
+  if (doc.customer?.name) push(pad('Customer', doc.customer.name, w));
+  if (doc.customer?.taxId) push(pad('Tax ID', doc.customer.taxId, w));
+  if (doc.reason) wrap(`Reason: ${doc.reason}`, w).forEach(push);
+  push(rule);
+
+  for (const line of doc.lines || []) {
+    wrap(line.description, w).forEach(push);
+    push(pad(`  ${line.quantity} x ${money(line.unitPrice)}`, money(line.total), w));
+    if (line.discount) push(pad('  Discount', `-${money(line.discount)}`, w));
+  }
+  push(rule);
+
+  const totals = doc.totals || {};
+  if (totals.discount) push(pad('Discount', `-${money(totals.discount)}`, w));
+  push(pad('Before VAT', money(totals.net), w));
+  for (const b of doc.vatBreakdown || []) {
+    push(pad(`VAT ${describeRate(b.rate)} (${money(b.net)})`, money(b.vat), w));
+  }
+  out.push(c.boldOn + c.doubleOn + pad('TOTAL', `${money(totals.gross)} ${currency}`, raw ? Math.floor(w / 2) : w) + c.doubleOff + c.boldOff);
+  push(rule);
+  for (const p of doc.payments || []) push(pad(p.method, money(p.amount), w));
+  if (doc.change) push(pad('Change', money(doc.change), w));
+
+  if (doc.footer) {
+    push();
+    out.push(c.alignCenter + wrap(doc.footer, w).join('\n'));
+  }
+  push();
+  push();
+  push();
+  if (raw) out.push(c.cut);
+  return out.join('\n');
+}
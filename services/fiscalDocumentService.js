@@ -0,0 +1,514 @@
+// fiscalDocumentService.js
+// Tax invoices, receipts and credit notes for online orders and POS transactions, independent of the payment gateway.
+// Numbering is gapless per document type: the DocumentCounter increment and the document insert share one MongoDB
+// transaction. On a standalone server (no transactions) a failed insert hands its number back to the counter.
+// VAT uses Settings.fiscal.vatPercent, falling back to the MCG tax multiplier (utils/mcgTax.js).
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { StatusCodes } from 'http-status-codes';
+import FiscalDocument from '../models/FiscalDocument.js';
+import DocumentCounter from '../models/DocumentCounter.js';
+import Order from '../models/Order.js';
+import POSTransaction from '../models/POSTransaction.js';
+import Settings from '../models/Settings.js';
+import { ApiError } from '../utils/ApiError.js';
+import { DEFAULT_TAX_MULTIPLIER, normalizeTaxMultiplier, multiplierToPercent } from '../utils/mcgTax.js';
+import { sendNotificationEmail } from '../utils/emailService.js';
+import { isTwilioConfigured, normalizeWhatsAppAddress, resolveTwilioConfig, sendWhatsAppViaTwilio } from './twilioWhatsAppService.js';
+import { DOCUMENT_TITLES, renderDocumentEscPos, renderDocumentPdf } from './fiscalDocumentRenderer.js';
+
+export const DOCUMENT_TYPES = ['tax_invoice', 'receipt', 'credit_note'];
+const DEFAULT_PREFIXES = { tax_invoice: 'INV', receipt: 'RCP', credit_note: 'CRN' };
+const NUMBER_DIGITS = 6;
+const LINK_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+export async function getFiscalConfig() {
+  const settings = await Settings.findOne().select('fiscal mcg.taxMultiplier currency checkoutForm').lean();
+  const f = settings?.fiscal || {};
+  let vatPercent = 0;
+  if (!f.vatExempt) {
+    vatPercent = f.vatPercent != null && Number.isFinite(Number(f.vatPercent))
+      ? Number(f.vatPercent)
+      : multiplierToPercent(normalizeTaxMultiplier(settings?.mcg?.taxMultiplier ?? DEFAULT_TAX_MULTIPLIER));
+  }
+  return {
+    seller: {
+      name: f.businessName || '',
+      businessId: f.businessId || '',
+      address: f.address || '',
+      phone: f.phone || '',
+      email: f.email || ''
+    },
+    vatPercent,
+    pricesIncludeVat: f.pricesIncludeVat !== false,
+    prefixes: { ...DEFAULT_PREFIXES, ...(f.prefixes || {}) },
+    startNumbers: f.startNumbers || {},
+    footer: f.footer || '',
+    autoIssuePos: f.autoIssuePos !== false,
+    posSaleDocumentType: f.posSaleDocumentType === 'receipt' ? 'receipt' : 'tax_invoice',
+    pdfFontPath: f.pdfFontPath || '',
+    currency: settings?.currency || process.env.STORE_CURRENCY || 'USD',
+    twilio: resolveTwilioConfig(settings?.checkoutForm || {})
+  };
+}
+
+// Split an amount charged at `rate` percent into net / VAT / gross
+export function splitVat(amount, rate, pricesIncludeVat = true) {
+  const a = round2(amount);
+  if (!rate) return { net: a, vat: 0, gross: a };
+  if (pricesIncludeVat) {
+    const net = round2(a / (1 + rate / 100));
+    return { net, vat: round2(a - net), gross: a };
+  }
+  const vat = round2((a * rate) / 100);
+  return { net: a, vat, gross: round2(a + vat) };
+}
+
+function buildLine({ description, sku, quantity = 1, unitPrice, discount = 0, amount, rate, pricesIncludeVat }) {
+  const { net, vat, gross } = splitVat(amount, rate, pricesIncludeVat);
+  return {
+    description: String(description || '').slice(0, 300) || '-',
+    sku: sku || undefined,
+    quantity,
+    unitPrice: round2(unitPrice ?? amount / (quantity || 1)),
+    discount: round2(discount),
+    vatRate: rate,
+    net,
+    vat,
+    total: gross
+  };
+}
+
+// VAT breakdown per rate and document totals
+export function summarizeLines(lines) {
+  const byRate = new Map();
+  const totals = { net: 0, vat: 0, discount: 0, gross: 0 };
+  for (const l of lines) {
+    const b = byRate.get(l.vatRate) || { rate: l.vatRate, net: 0, vat: 0, gross: 0 };
+    b.net += l.net;
+    b.vat += l.vat;
+    b.gross += l.total;
+    byRate.set(l.vatRate, b);
+    totals.net += l.net;
+    totals.vat += l.vat;
+    totals.gross += l.total;
+    totals.discount += l.discount || 0;
+  }
+  const vatBreakdown = [...byRate.values()]
+    .map((b) => ({ rate: b.rate, net: round2(b.net), vat: round2(b.vat), gross: round2(b.gross) }))
+    .sort((a, b) => b.rate - a.rate);
+  return {
+    vatBreakdown,
+    totals: { net: round2(totals.net), vat: round2(totals.vat), discount: round2(totals.discount), gross: round2(totals.gross) }
+  };
+}
+
+const isTransactionUnsupported = (err) => err?.code === 20 || /Transaction numbers are only allowed/i.test(String(err?.message || ''));
+
+async function nextNumber(type, start, session) {
+  const counter = await DocumentCounter.findOneAndUpdate(
+    { _id: `fiscal:${type}` },
+    [{ $set: { seq: { $max: [{ $add: [{ $ifNull: ['$seq', 0] }, 1] }, start] } } }],
+    { upsert: true, new: true, session }
+  );
+  return counter.seq;
+}
+
+const formatNumber = (prefix, number) => `${prefix ? `${prefix}-` : ''}${String(number).padStart(NUMBER_DIGITS, '0')}`;
+
+async function insertWithNumber(data, cfg) {
+  const start = Math.max(1, parseInt(cfg.startNumbers?.[data.type], 10) || 1);
+  const prefix = cfg.prefixes?.[data.type] ?? DEFAULT_PREFIXES[data.type];
+  const session = await mongoose.startSession();
+  try {
+    let created;
+    await session.withTransaction(async () => {
+      const number = await nextNumber(data.type, start, session);
+      [created] = await FiscalDocument.create([{ ...data, number, documentNumber: formatNumber(prefix, number) }], { session });
+    });
+    return created;
+  } catch (err) {
+    if (!isTransactionUnsupported(err)) throw err;
+  } finally {
+    await session.endSession();
+  }
+  // Standalone MongoDB: no transaction, so give the number back when the insert fails
+  const number = await nextNumber(data.type, start, null);
+  try {
+    return await FiscalDocument.create({ ...data, number, documentNumber: formatNumber(prefix, number) });
+  } catch (err) {
+    await DocumentCounter.updateOne({ _id: `fiscal:${data.type}`, seq: number }, { $inc: { seq: -1 } }).catch(() => {});
+    throw err;
+  }
+}
+
+// Issue one document; with an idempotencyKey an existing document is returned instead of a second one
+async function issueDocument(data, cfg) {
+  if (data.idempotencyKey) {
+    const existing = await FiscalDocument.findOne({ idempotencyKey: data.idempotencyKey });
+    if (existing) return { document: existing, created: false };
+  }
+  if (!data.lines?.length) throw new ApiError(StatusCodes.BAD_REQUEST, 'Document has no lines');
+  const { vatBreakdown, totals } = summarizeLines(data.lines);
+  try {
+    const document = await insertWithNumber({
+      ...data,
+      vatBreakdown,
+      totals,
+      seller: cfg.seller,
+      footer: cfg.footer,
+      pricesIncludeVat: cfg.pricesIncludeVat,
+      issuedAt: new Date()
+    }, cfg);
+    return { document, created: true };
+  } catch (err) {
+    if (err?.code === 11000 && data.idempotencyKey) {
+      const existing = await FiscalDocument.findOne({ idempotencyKey: data.idempotencyKey });
+      if (existing) return { document: existing, created: false };
+    }
+    throw err;
+  }
+}
+
+// Latest invoice/receipt for a source (what a credit note refers to)
+async function findPrimaryDocument(sourceType, sourceId) {
+  return FiscalDocument.findOne({ sourceType, source: sourceId, type: { $in: ['tax_invoice', 'receipt'] } })
+    .sort({ issuedAt: -1 });
+}
+
+// ----- Orders -----
+
+function describeOrderItem(item) {
+  const options = [item.size, item.color, ...(item.variants || []).map((v) => v.valueName)].filter(Boolean);
+  return options.length ? `${item.name || 'Item'} (${[...new Set(options)].join(', ')})` : (item.name || 'Item');
+}
+
+function orderCustomer(order) {
+  const c = order.customerInfo || {};
+  const a = order.shippingAddress || {};
+  return {
+    name: `${c.firstName || ''} ${c.lastName || ''}`.trim(),
+    email: c.email,
+    phone: c.mobile,
+    address: [a.street, a.city, a.country].filter(Boolean).join(', ')
+  };
+}
+
+function orderPayments(order, gross) {
+  const giftCard = round2(order.giftCard?.amountApplied || 0);
+  const payments = [];
+  if (giftCard > 0) payments.push({ method: 'gift-card', amount: Math.min(giftCard, gross), reference: order.giftCard.code });
+  const rest = round2(gross - Math.min(giftCard, gross));
+  if (rest > 0) payments.push({ method: order.paymentMethod, amount: rest, reference: order.paymentReference });
+  return payments;
+}
+
+function fullOrderLines(order, cfg) {
+  const rate = cfg.vatPercent;
+  const lines = (order.items || []).map((item) => buildLine({
+    description: describeOrderItem(item),
+    sku: item.sku,
+    quantity: item.quantity,
+    unitPrice: item.price,
+    amount: (Number(item.price) || 0) * (Number(item.quantity) || 0),
+    rate,
+    pricesIncludeVat: cfg.pricesIncludeVat
+  }));
+  const shipping = Number(order.shippingFee) || Number(order.deliveryFee) || 0;
+  if (shipping > 0) {
+    lines.push(buildLine({ description: order.shippingMethodName || 'Shipping', amount: shipping, rate, pricesIncludeVat: cfg.pricesIncludeVat }));
+  }
+  const couponDiscount = round2(order.coupon?.discount || 0);
+  if (couponDiscount > 0) {
+    lines.push(buildLine({
+      description: `Discount${order.coupon.code ? ` (${order.coupon.code})` : ''}`,
+      amount: -couponDiscount,
+      rate,
+      pricesIncludeVat: cfg.pricesIncludeVat
+    }));
+  }
+  return lines;
+}
+
+/**
+ * Issue a document for an order.
+ * Invoices/receipts are one per order and type. Credit notes refund either selected lines
+ * (items: [{ index, quantity }], optional includeShipping), a fixed amount, or the whole order, and may never
+ * exceed what was invoiced minus earlier credit notes.
+ */
+export async function issueOrderDocument(orderId, { type, user, items, amount, includeShipping = false, reason, returnId } = {}) {
+  if (!DOCUMENT_TYPES.includes(type)) throw new ApiError(StatusCodes.BAD_REQUEST, 'Invalid document type');
+  if (!mongoose.Types.ObjectId.isValid(String(orderId))) throw new ApiError(StatusCodes.BAD_REQUEST, 'Invalid order id');
+  const order = await Order.findById(orderId).lean();
+  if (!order) throw new ApiError(StatusCodes.NOT_FOUND, 'Order not found');
+  const cfg = await getFiscalConfig();
+  const base = {
+    type,
+    sourceType: 'Order',
+    source: order._id,
+    sourceNumber: order.orderNumber,
+    currency: order.currency || cfg.currency,
+    customer: orderCustomer(order),
+    issuedBy: user?._id,
+    reason: reason ? String(reason).slice(0, 500) : undefined
+  };
+
+  if (type !== 'credit_note') {
+    const lines = fullOrderLines(order, cfg);
+    const { totals } = summarizeLines(lines);
+    return issueDocument({ ...base, idempotencyKey: `${type}:Order:${order._id}`, lines, payments: orderPayments(order, totals.gross) }, cfg);
+  }
+
+  const primary = await findPrimaryDocument('Order', order._id);
+  if (!primary) throw new ApiError(StatusCodes.CONFLICT, 'Issue an invoice or receipt for this order before a credit note');
+  let lines;
+  if (Array.isArray(items) && items.length) {
+    lines = items.map(({ index, quantity }) => {
+      const item = order.items?.[Number(index)];
+      const qty = Number(quantity);
+      if (!item || !Number.isFinite(qty) || qty <= 0 || qty > item.quantity) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, `Invalid credit line ${index}`);
+      }
+      return buildLine({
+        description: describeOrderItem(item),
+        sku: item.sku,
+        quantity: qty,
+        unitPrice: item.price,
+        amount: item.price * qty,
+        rate: cfg.vatPercent,
+        pricesIncludeVat: cfg.pricesIncludeVat
+      });
+    });
+    const shipping = Number(order.shippingFee) || Number(order.deliveryFee) || 0;
+    if (includeShipping && shipping > 0) {
+      lines.push(buildLine({ description: order.shippingMethodName || 'Shipping', amount: shipping, rate: cfg.vatPercent, pricesIncludeVat: cfg.pricesIncludeVat }));
+    }
+  } else if (amount != null) {
+    const value = round2(amount);
+    if (!(value > 0)) throw new ApiError(StatusCodes.BAD_REQUEST, 'Credit amount must be positive');
+    lines = [buildLine({ description: reason ? `Refund: ${reason}` : 'Refund', amount: value, rate: cfg.vatPercent, pricesIncludeVat: cfg.pricesIncludeVat })];
+  } else {
+    lines = fullOrderLines(order, cfg);
+  }
+
+  const { totals } = summarizeLines(lines);
+  const credited = await FiscalDocument.aggregate([
+    { $match: { sourceType: 'Order', source: order._id, type: 'credit_note' } },
+    { $group: { _id: null, gross: { $sum: '$totals.gross' } } }
+  ]);
+  const remaining = round2((primary.totals?.gross || 0) - (credited[0]?.gross || 0));
+  if (totals.gross > remaining + 0.005) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Credit exceeds the remaining invoiced amount (${remaining})`);
+  }
+  return issueDocument({
+    ...base,
+    idempotencyKey: returnId ? `credit_note:Return:${returnId}` : undefined,
+    relatedDocument: primary._id,
+    relatedDocumentNumber: primary.documentNumber,
+    lines,
+    payments: []
+  }, cfg);
+}
+
+// ----- POS -----
+
+function posLines(tx, cfg) {
+  const lines = (tx.items || []).map((item) => {
+    const description = [item.productName || 'Item', item.variantName && item.variantName !== item.productSku ? item.variantName : '']
+      .filter(Boolean).join(' ');
+    const itemRate = Number(item.tax?.rate) || 0;
+    if (itemRate > 0) {
+      // Register added tax on top of the price: the line already carries its VAT amount
+      const vat = round2(item.tax?.amount || 0);
+      const gross = round2(item.totalPrice);
+      return {
+        description,
+        sku: item.productSku,
+        quantity: item.quantity,
+        unitPrice: round2(item.unitPrice),
+        discount: round2(item.discount?.amount || 0),
+        vatRate: itemRate,
+        net: round2(gross - vat),
+        vat,
+        total: gross
+      };
+    }
+    return {
+      ...buildLine({ description, sku: item.productSku, quantity: item.quantity, unitPrice: item.unitPrice, amount: item.totalPrice, rate: cfg.vatPercent, pricesIncludeVat: true }),
+      discount: round2(item.discount?.amount || 0)
+    };
+  });
+  // Transaction-level discounts are not on the lines; book them as one negative line
+  const linesGross = round2(lines.reduce((sum, l) => sum + l.total, 0));
+  const orderDiscount = round2(linesGross - (Number(tx.total) || 0));
+  if (orderDiscount > 0.005) {
+    lines.push(buildLine({ description: 'Discount', amount: -orderDiscount, rate: cfg.vatPercent, pricesIncludeVat: true }));
+  }
+  return lines;
+}
+
+/**
+ * Issue the document for a POS transaction: a credit note for refunds, otherwise `type`
+ * (default Settings.fiscal.posSaleDocumentType). The receipt number printed on the slip becomes the document number.
+ */
+export async function issuePosDocument(transactionOrId, { type, user } = {}) {
+  const tx = transactionOrId?._id ? transactionOrId : await POSTransaction.findById(transactionOrId);
+  if (!tx) throw new ApiError(StatusCodes.NOT_FOUND, 'Transaction not found');
+  if (tx.status === 'voided' || tx.status === 'pending') {
+    throw new ApiError(StatusCodes.CONFLICT, 'Documents can only be issued for completed transactions');
+  }
+  if (!type) {
+    // Reprints / resends reuse whatever document the transaction already has
+    const existing = await FiscalDocument.findOne({ sourceType: 'POSTransaction', source: tx._id }).sort({ issuedAt: 1 });
+    if (existing) return { document: existing, created: false };
+  }
+  const cfg = await getFiscalConfig();
+  const isRefund = tx.type === 'refund';
+  const docType = isRefund ? 'credit_note' : (type || cfg.posSaleDocumentType);
+  if (!DOCUMENT_TYPES.includes(docType) || (!isRefund && docType === 'credit_note')) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Invalid document type for this transaction');
+  }
+  let related = null;
+  if (isRefund && tx.originalTransaction) related = await findPrimaryDocument('POSTransaction', tx.originalTransaction);
+
+  const result = await issueDocument({
+    type: docType,
+    sourceType: 'POSTransaction',
+    source: tx._id,
+    sourceNumber: tx.transactionNumber,
+    idempotencyKey: `${docType}:POSTransaction:${tx._id}`,
+    currency: tx.currency || cfg.currency,
+    customer: { name: tx.customerInfo?.name, email: tx.customerInfo?.email, phone: tx.customerInfo?.phone },
+    issuedBy: user?._id,
+    reason: isRefund ? tx.notes : undefined,
+    relatedDocument: related?._id,
+    relatedDocumentNumber: related?.documentNumber,
+    lines: posLines(tx, cfg),
+    payments: (tx.payments?.length ? tx.payments : [{ method: tx.paymentMethod, amount: tx.amountPaid || tx.total }])
+      .map((p) => ({ method: p.method, amount: round2(p.amount), reference: p.reference })),
+    change: round2(tx.change || 0)
+  }, cfg);
+  if (result.created) {
+    await POSTransaction.updateOne({ _id: tx._id }, { $set: { receiptNumber: result.document.documentNumber } });
+  }
+  return result;
+}
+
+// Called after a sale/refund completes; never throws (the transaction stands without its document)
+export async function autoIssuePosDocument(tx, user) {
+  try {
+    const cfg = await getFiscalConfig();
+    if (!cfg.autoIssuePos) return null;
+    const { document } = await issuePosDocument(tx, { user });
+    return document;
+  } catch (e) {
+    console.error('[fiscal] POS document issue failed', { transaction: String(tx?._id), error: e?.message || e });
+    return null;
+  }
+}
+
+// ----- Rendering and delivery -----
+
+export async function renderPdf(document) {
+  const cfg = await getFiscalConfig();
+  return renderDocumentPdf(document, { fontPath: cfg.pdfFontPath });
+}
+
+export function renderEscPos(document, options) {
+  return renderDocumentEscPos(document, options);
+}
+
+const linkSecret = () => process.env.DOCUMENT_LINK_SECRET || process.env.JWT_SECRET || '';
+
+export function signDocumentLink(documentId, expiresAt = Date.now() + LINK_TTL_MS) {
+  const expires = Math.floor(expiresAt / 1000);
+  const signature = crypto.createHmac('sha256', linkSecret()).update(`${documentId}.${expires}`).digest('hex');
+  return { expires, signature };
+}
+
+export function verifyDocumentLink(documentId, expires, signature) {
+  if (!linkSecret() || !expires || !signature) return false;
+  if (Number(expires) * 1000 < Date.now()) return false;
+  const expected = crypto.createHmac('sha256', linkSecret()).update(`${documentId}.${Number(expires)}`).digest('hex');
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+export function publicPdfUrl(document, apiBase) {
+  const base = String(apiBase || process.env.PUBLIC_API_URL || '').replace(/\/$/, '');
+  if (!base) return '';
+  const { expires, signature } = signDocumentLink(String(document._id));
+  return `${base}/api/documents/${document._id}/public.pdf?expires=${expires}&signature=${signature}`;
+}
+
+function summaryText(document) {
+  const title = DOCUMENT_TITLES[document.type] || 'Document';
+  const lines = [
+    `${title} ${document.documentNumber}`,
+    document.seller?.name || '',
+    `${(document.totals?.gross || 0).toFixed(2)} ${document.currency}`
+  ];
+  if (document.sourceNumber) lines.push(`${document.sourceType === 'Order' ? 'Order' : 'Transaction'} ${document.sourceNumber}`);
+  return lines.filter(Boolean).join('\n');
+}
+
+/**
+ * Send a document by email (PDF attached) or WhatsApp (summary + signed PDF link via Twilio).
+ * Every attempt is appended to document.deliveries.
+ * @returns {Promise<{ ok: boolean, delivery: object }>}
+ */
+export async function sendDocument(document, { channel, to, user, apiBase } = {}) {
+  if (!['email', 'whatsapp'].includes(channel)) throw new ApiError(StatusCodes.BAD_REQUEST, 'channel must be email or whatsapp');
+  const cfg = await getFiscalConfig();
+  const delivery = { channel, sentBy: user?._id, at: new Date() };
+  try {
+    if (channel === 'email') {
+      const recipient = String(to || document.customer?.email || '').trim();
+      if (!recipient) throw new ApiError(StatusCodes.BAD_REQUEST, 'No email address for this document');
+      delivery.to = recipient;
+      const pdf = await renderDocumentPdf(document, { fontPath: cfg.pdfFontPath });
+      await sendNotificationEmail({
+        to: recipient,
+        subject: `${DOCUMENT_TITLES[document.type] || 'Document'} ${document.documentNumber}`,
+        text: summaryText(document),
+        attachments: [{ filename: `${document.documentNumber}.pdf`, content: pdf, contentType: 'application/pdf' }]
+      });
+    } else {
+      const recipient = normalizeWhatsAppAddress(to || document.customer?.phone || '');
+      if (!recipient) throw new ApiError(StatusCodes.BAD_REQUEST, 'No phone number for this document');
+      if (!isTwilioConfigured(cfg.twilio)) throw new ApiError(StatusCodes.BAD_REQUEST, 'WhatsApp (Twilio) is not configured');
+      delivery.to = recipient;
+      const link = publicPdfUrl(document, apiBase);
+      const body = link ? `${summaryText(document)}\n${link}` : summaryText(document);
+      const result = await sendWhatsAppViaTwilio({ ...cfg.twilio, to: recipient, body, mediaUrl: link || undefined });
+      delivery.reference = result?.sid;
+    }
+    delivery.status = 'sent';
+  } catch (e) {
+    if (e instanceof ApiError && !delivery.to) throw e;
+    delivery.status = 'failed';
+    delivery.error = String(e?.response?.data?.message || e?.message || e).slice(0, 500);
+  }
+  await FiscalDocument.updateOne({ _id: document._id }, { $push: { deliveries: delivery } });
+  if (delivery.status === 'sent' && channel === 'email' && document.sourceType === 'POSTransaction') {
+    await POSTransaction.updateOne({ _id: document.source }, { $set: { receiptEmailSent: true } }).catch(() => {});
+  }
+  return { ok: delivery.status === 'sent', delivery };
+}
+
+export function buildDocumentFilter(query = {}) {
+  const filter = {};
+  if (DOCUMENT_TYPES.includes(query.type)) filter.type = query.type;
+  if (['Order', 'POSTransaction'].includes(query.sourceType)) filter.sourceType = query.sourceType;
+  if (query.sourceId && mongoose.Types.ObjectId.isValid(String(query.sourceId))) filter.source = query.sourceId;
+  if (query.documentNumber) filter.documentNumber = String(query.documentNumber).trim();
+  if (query.from || query.to) {
+    filter.issuedAt = {};
+    if (query.from) filter.issuedAt.$gte = new Date(query.from);
+    if (query.to) filter.issuedAt.$lte = new Date(query.to);
+  }
+  return filter;
+}
@@ -0,0 +1,97 @@
+// giftCardService.js
+// Gift card validation and balance changes shared by online orders (giftCardController) and POS tender.
+// Balances are changed with a conditional update so two redemptions cannot spend the same balance.
+import { StatusCodes } from 'http-status-codes';
+import GiftCard from '../models/GiftCard.js';
+import { ApiError } from '../utils/ApiError.js';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Load a gift card that can pay `amount` now.
+ * Throws 404 when the code is unknown, 400 when it is expired, not active, short of balance or in another currency.
+ */
+export async function loadRedeemableGiftCard(code, amount, { currency } = {}) {
+  const giftCard = await GiftCard.findOne({ code: String(code || '').trim().toUpperCase() });
+  if (!giftCard) {
+    throw new ApiError(StatusCodes.NOT_FOUND, 'Gift card not found');
+  }
+
+  // Check expiry and update status if needed
+  if (giftCard.expiryDate && giftCard.expiryDate < new Date()) {
+    if (giftCard.status !== 'expired') {
+      giftCard.status = 'expired';
+      await giftCard.save();
+    }
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Gift card is expired');
+  }
+
+  if (giftCard.status !== 'active') {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Gift card is ${giftCard.status}`);
+  }
+
+  if (currency && giftCard.currency && giftCard.currency !== currency) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Gift card is in ${giftCard.currency}, not ${currency}`);
+  }
+
+  if (amount !== undefined && giftCard.currentBalance < round2(amount)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Insufficient gift card balance');
+  }
+
+  return giftCard;
+}
+
+/**
+ * Take `amount` off a gift card and record the redemption against an order or POS transaction.
+ * @returns {Promise<{ giftCard, code, amountApplied, remainingBalance }>}
+ */
+export async function redeemGiftCard({ code, amount, order, posTransaction, currency }) {
+  const value = round2(amount);
+  if (!Number.isFinite(Number(amount)) || value <= 0) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Gift card amount must be greater than 0');
+  }
+  const card = await loadRedeemableGiftCard(code, value, { currency });
+
+  const giftCard = await GiftCard.findOneAndUpdate(
+    { _id: card._id, status: 'active', currentBalance: { $gte: value } },
+    {
+      $inc: { currentBalance: -value },
+      $set: { lastUsed: new Date() },
+      $push: { redemptions: { order, posTransaction, amount: value } }
+    },
+    { new: true }
+  );
+  if (!giftCard) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Insufficient gift card balance');
+  }
+  if (giftCard.currentBalance <= 0) {
+    giftCard.currentBalance = 0;
+    giftCard.status = 'redeemed';
+    await GiftCard.updateOne({ _id: giftCard._id }, { $set: { currentBalance: 0, status: 'redeemed' } });
+  }
+
+  return { giftCard, code: giftCard.code, amountApplied: value, remainingBalance: giftCard.currentBalance };
+}
+
+/**
+ * Put `amount` back on a gift card (refund or a sale that did not go through).
+ * A fully spent card becomes active again unless it has expired.
+ */
+export async function creditGiftCard({ code, amount, order, posTransaction }) {
+  const value = round2(amount);
+  if (value <= 0) throw new ApiError(StatusCodes.BAD_REQUEST, 'Gift card amount must be greater than 0');
+  const giftCard = await GiftCard.findOneAndUpdate(
+    { code: String(code || '').trim().toUpperCase(), status: { $ne: 'cancelled' } },
+    {
+      $inc: { currentBalance: value },
+      $push: { redemptions: { order, posTransaction, amount: -value, type: 'refund' } }
+    },
+    { new: true }
+  );
+  if (!giftCard) throw new ApiError(StatusCodes.NOT_FOUND, 'Gift card not found or cancelled');
+  if (giftCard.status === 'redeemed' && giftCard.currentBalance > 0 && !(giftCard.expiryDate < new Date())) {
+    giftCard.status = 'active';
+    await GiftCard.updateOne({ _id: giftCard._id }, { $set: { status: 'active' } });
+  }
+  return { giftCard, code: giftCard.code, amountCredited: value, remainingBalance: giftCard.currentBalance };
+}
@@ -0,0 +1,62 @@
+// groomingPricingService.js
+// Pet-based price/duration adjustments for grooming services (Settings.grooming.pricingRules).
+// Rules are applied in order; every matching rule multiplies then adds to the running price and duration,
+// so e.g. "large dogs x1.5" followed by "poodles +20" stacks for a large poodle.
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const lowerList = (list) => (Array.isArray(list) ? list : []).map((v) => String(v).trim().toLowerCase()).filter(Boolean);
+
+export function sanitizePricingRules(list) {
+  if (!Array.isArray(list)) return [];
+  const num = (v, def) => (Number.isFinite(Number(v)) ? Number(v) : def);
+  return list
+    .filter((r) => r && typeof r === 'object')
+    .map((r) => ({
+      name: typeof r.name === 'string' ? r.name.trim() : '',
+      serviceIds: (Array.isArray(r.serviceIds) ? r.serviceIds : []).map(String).filter(Boolean),
+      species: lowerList(r.species),
+      sizes: lowerList(r.sizes),
+      breeds: lowerList(r.breeds),
+      priceMultiplier: Math.max(0, num(r.priceMultiplier, 1)),
+      priceDelta: num(r.priceDelta, 0),
+      durationMultiplier: Math.max(0, num(r.durationMultiplier, 1)),
+      durationDelta: num(r.durationDelta, 0)
+    }));
+}
+
+function ruleMatches(rule, serviceId, pet) {
+  if (rule.serviceIds?.length && !rule.serviceIds.includes(serviceId)) return false;
+  const species = String(pet.species || '').toLowerCase();
+  const size = String(pet.sizeClass || pet.size || '').toLowerCase();
+  const breed = String(pet.breed || '').trim().toLowerCase();
+  if (rule.species?.length && !rule.species.includes(species)) return false;
+  if (rule.sizes?.length && !rule.sizes.includes(size)) return false;
+  if (rule.breeds?.length && !rule.breeds.includes(breed)) return false;
+  return true;
+}
+
+/**
+ * Adjust catalog services for a pet.
+ * @param {Array<{id, name, durationMin, price}>} services catalog entries
+ * @param {object|null} pet Pet document (or plain object with species/breed/size/weightKg)
+ * @param {Array} rules sanitized pricing rules
+ * @returns {Array<{id, name, durationMin, price}>} new service objects (input is not mutated)
+ */
+export function applyPetRules(services, pet, rules) {
+  if (!pet || !rules?.length) return services.map((s) => ({ ...s }));
+  return services.map((s) => {
+    let price = Number(s.price) || 0;
+    let durationMin = Number(s.durationMin) || 0;
+    for (const rule of rules) {
+      if (!ruleMatches(rule, s.id, pet)) continue;
+      price = price * rule.priceMultiplier + rule.priceDelta;
+      durationMin = durationMin * rule.durationMultiplier + rule.durationDelta;
+    }
+    return {
+      ...s,
+      price: Math.max(0, round2(price)),
+      // Durations stay on a 5-minute grid so they line up with the scheduling step
+      durationMin: Math.max(5, Math.round(durationMin / 5) * 5)
+    };
+  });
+}
@@ -0,0 +1,204 @@
+// groomingScheduleService.js
+// Scheduling engine for grooming bookings.
+// Each booking occupies one resource (groomer or table) from its start time for the total service duration
+// plus a cleanup buffer. Free start times are computed per resource from its working hours and existing bookings,
+// and the same conflict check is used by availability, createBooking and rescheduleBooking.
+//
+// When no GroomingResource is configured the shop behaves like before: a single pool of `slotCapacity`
+// parallel bookings, open on the configured slot grid.
+
+import Booking from '../models/Booking.js';
+import GroomingResource from '../models/GroomingResource.js';
+
+export const DEFAULT_SLOT_STEP_MIN = 15;
+export const DEFAULT_BUFFER_MIN = 10;
+const DEFAULT_RESOURCE_KEY = 'default';
+
+export function toMinutes(hhmm) {
+  const m = /^(\d{2}):(\d{2})$/.exec(String(hhmm || ''));
+  if (!m) return NaN;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+export function fromMinutes(total) {
+  const h = Math.floor(total / 60);
+  const m = total % 60;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+const dayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+export const resourceKey = (resource) => (resource?._id ? String(resource._id) : DEFAULT_RESOURCE_KEY);
+
+export function totalServiceDuration(services) {
+  return (services || []).reduce((s, x) => s + (Number(x?.durationMin) || 0), 0);
+}
+
+// Shop-wide opening window derived from the slot grid: first slot until one hour after the last slot
+function shopWindow(config) {
+  const mins = (config.slots || []).map(toMinutes).filter(Number.isFinite).sort((a, b) => a - b);
+  if (!mins.length) return null;
+  return { start: mins[0], end: mins[mins.length - 1] + 60 };
+}
+
+function buildDefaultResource(config) {
+  return {
+    _id: null,
+    name: 'Default',
+    type: 'table',
+    services: [],
+    capacity: config.slotCapacity,
+    workingHours: [],
+    daysOff: [],
+    isDefault: true
+  };
+}
+
+export async function loadResources(config) {
+  const list = await GroomingResource.find({ active: true }).sort({ sortOrder: 1, name: 1 }).lean();
+  return list.length ? list : [buildDefaultResource(config)];
+}
+
+function workingIntervals(resource, date, config) {
+  if ((resource.daysOff || []).includes(date)) return [];
+  if (!resource.workingHours?.length) {
+    const win = shopWindow(config);
+    return win ? [win] : [];
+  }
+  const dow = dayOfWeek(date);
+  return resource.workingHours
+    .filter((h) => Number(h.dayOfWeek) === dow)
+    .map((h) => ({ start: toMinutes(h.start), end: toMinutes(h.end) }))
+    .filter((h) => Number.isFinite(h.start) && Number.isFinite(h.end) && h.end > h.start);
+}
+
+const canServe = (resource, serviceIds) =>
+  !resource.services?.length || (serviceIds || []).every((id) => resource.services.includes(id));
+
+const resourceBuffer = (resource, config) =>
+  (Number.isFinite(resource?.bufferMin) ? resource.bufferMin : config.bufferMin);
+
+// Occupied interval of an existing booking, buffer included
+function bookingSpan(booking, config) {
+  const start = toMinutes(booking.time);
+  const duration = Number(booking.durationMin) > 0 ? Number(booking.durationMin) : totalServiceDuration(booking.services);
+  const buffer = Number.isFinite(booking.bufferMin) ? booking.bufferMin : config.bufferMin;
+  return { start, end: start + Math.max(duration, 1) + buffer };
+}
+
+async function loadBookingSpans(dates, config, excludeBookingId) {
+  const q = { date: { $in: dates }, status: { $ne: 'cancelled' } };
+  if (excludeBookingId) q._id = { $ne: excludeBookingId };
+  const existing = await Booking.find(q).select('date time durationMin bufferMin services resource').lean();
+  const map = new Map();
+  for (const b of existing) {
+    const key = `${b.date}|${b.resource ? String(b.resource) : DEFAULT_RESOURCE_KEY}`;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(bookingSpan(b, config));
+  }
+  return map;
+}
+
+// Remaining parallel capacity of a resource for [start, end) given its booked spans
+function remainingCapacity(resource, spans, start, end) {
+  const overlapping = (spans || []).filter((s) => s.start < end && start < s.end).length;
+  return Math.max((resource.capacity || 1) - overlapping, 0);
+}
+
+function candidateStarts(resource, date, durationMin, config) {
+  const intervals = workingIntervals(resource, date, config);
+  const fits = (t) => intervals.some((iv) => t >= iv.start && t + durationMin <= iv.end);
+  // Explicit slot lists (per-date overrides, or the legacy grid for the default pool) restrict start times
+  const fixed = config.dateSlotOverrides?.[date] || (resource.isDefault ? config.slots : null);
+  if (fixed) return fixed.map(toMinutes).filter((t) => Number.isFinite(t) && fits(t)).sort((a, b) => a - b);
+  const out = [];
+  const step = config.slotStepMin || DEFAULT_SLOT_STEP_MIN;
+  for (const iv of intervals) {
+    for (let t = iv.start; t + durationMin <= iv.end; t += step) out.push(t);
+  }
+  return out;
+}
+
+/**
+ * Free start times for a set of dates.
+ * @param {string[]} dates YYYY-MM-DD
+ * @param {{ config: object, durationMin: number, serviceIds?: string[], excludeBookingId?: any }} opts
+ *   config: loadGroomingConfig() result (slots, slotCapacity, dateSlotOverrides, slotStepMin, bufferMin)
+ * @returns {Promise<{ resources: Array, byResource: Object, slots: Object, slotRemaining: Object }>}
+ *   byResource[date][resourceKey] = ['HH:MM', ...]; slots/slotRemaining aggregate all resources per date.
+ */
+export async function computeAvailability(dates, { config, durationMin, serviceIds = [], excludeBookingId = null }) {
+  const resources = (await loadResources(config)).filter((r) => canServe(r, serviceIds));
+  const spans = await loadBookingSpans(dates, config, excludeBookingId);
+  const byResource = {};
+  const slots = {};
+  const slotRemaining = {};
+  for (const date of dates) {
+    byResource[date] = {};
+    const remainingAt = new Map();
+    for (const resource of resources) {
+      const key = resourceKey(resource);
+      const booked = spans.get(`${date}|${key}`);
+      const end = durationMin + resourceBuffer(resource, config);
+      const free = [];
+      for (const t of candidateStarts(resource, date, durationMin, config)) {
+        const remaining = remainingCapacity(resource, booked, t, t + end);
+        if (remaining > 0) free.push(fromMinutes(t));
+        remainingAt.set(t, (remainingAt.get(t) || 0) + remaining);
+      }
+      byResource[date][key] = free;
+    }
+    const times = [...remainingAt.keys()].sort((a, b) => a - b);
+    slots[date] = times.map(fromMinutes);
+    slotRemaining[date] = Object.fromEntries(times.map((t) => [fromMinutes(t), remainingAt.get(t)]));
+  }
+  return {
+    resources: resources.map((r) => ({ id: resourceKey(r), name: r.name, type: r.type, capacity: r.capacity || 1 })),
+    byResource,
+    slots,
+    slotRemaining
+  };
+}
+
+/**
+ * Pick a resource that can take a booking at date/time, or fail with statusCode 400/409.
+ * When resourceId is given only that resource is considered.
+ * @returns {Promise<{ resource: object, bufferMin: number, endTime: string, remaining: number }>}
+ */
+export async function reserveResource({ date, time, durationMin, serviceIds = [], resourceId = null, config, excludeBookingId = null }) {
+  const start = toMinutes(time);
+  if (!Number.isFinite(start)) {
+    const err = new Error('Invalid time slot');
+    err.statusCode = 400;
+    throw err;
+  }
+  let resources = await loadResources(config);
+  if (resourceId) {
+    resources = resources.filter((r) => resourceKey(r) === String(resourceId));
+    if (!resources.length) {
+      const err = new Error('Resource not found');
+      err.statusCode = 400;
+      throw err;
+    }
+  }
+  resources = resources.filter((r) => canServe(r, serviceIds));
+  if (!resources.length) {
+    const err = new Error('No groomer can perform the selected services');
+    err.statusCode = 400;
+    throw err;
+  }
+  const spans = await loadBookingSpans([date], config, excludeBookingId);
+  let onGrid = false;
+  for (const resource of resources) {
+    if (!candidateStarts(resource, date, durationMin, config).includes(start)) continue;
+    onGrid = true;
+    const bufferMin = resourceBuffer(resource, config);
+    const remaining = remainingCapacity(resource, spans.get(`${date}|${resourceKey(resource)}`), start, start + durationMin + bufferMin);
+    if (remaining > 0) {
+      return { resource, bufferMin, endTime: fromMinutes(start + durationMin), remaining: remaining - 1 };
+    }
+  }
+  const err = new Error(onGrid ? 'Slot full' : 'Invalid time slot');
+  err.statusCode = onGrid ? 409 : 400;
+  throw err;
+}
@@ -47,7 +47,7 @@ class InventoryAnalyticsService {
 
         // Estimate reserved units from open orders (pending -> shipped)
         const openOrdersPromise = Order.find({
-          status: { $in: ['pending', 'processing', 'shipped'] }
+          status: { $in: ['pending', 'processing', 'partially_shipped', 'shipped'] }
         }).select('items.quantity').lean();
 
         // Pre-compute helpers in parallel
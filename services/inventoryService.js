@@ -8,6 +8,15 @@ import { ApiError } from '../utils/ApiError.js';
 import { realTimeEventService } from './realTimeEventService.js';
 import Settings from '../models/Settings.js';
 import { updateItemsQuantities, setItemsList, getItemsList } from './mcgService.js';
+import { enqueueEvent, enqueueOrderEvent } from './webhookService.js';
+import {
+  skuFilter,
+  isSameSku,
+  outstandingBackorder,
+  resolveBackorderPolicy,
+  outstandingBackorderQuantity,
+  findPendingBackorderOrders
+} from './backorderService.js';
 
 class InventoryService {
   // Public: force recomputation of product and per-variant stock totals
@@ -16,12 +25,18 @@ class InventoryService {
   }
 
   // Reserve items for an order across warehouses. Throws if insufficient stock unless allowNegativeStock.
-  // items: [{ product, quantity, variantId? , size?, color? }]
-  async reserveItems(items, userId, session = null) {
-    if (!Array.isArray(items) || !items.length) return;
+  // items: [{ product, quantity, variantId? , size?, color?, warehouse? }]
+  // An item naming a warehouse only draws stock from that warehouse (POS registers).
+  // options.allowNegative overrides Settings.inventory.allowNegativeStock; options.reason labels the history entry.
+  // options.allowBackorder (order placement): for products set up for back-order/pre-order, a shortfall is not an
+  // error; what is on hand is reserved and the rest is returned in `backorders` for the order lines.
+  // Returns { backorders: [{ product, variantId?, size?, color?, quantity, mode, expectedDate }] }
+  async reserveItems(items, userId, session = null, { reason = 'Order reservation', allowNegative: allowNegativeOverride, allowBackorder = false } = {}) {
+    const backorders = [];
+    if (!Array.isArray(items) || !items.length) return { backorders };
     const settings = await Settings.findOne().lean();
     const invCfg = settings?.inventory || {};
-    const allowNegative = !!invCfg.allowNegativeStock;
+    const allowNegative = typeof allowNegativeOverride === 'boolean' ? allowNegativeOverride : !!invCfg.allowNegativeStock;
     const mcgCfg = settings?.mcg || {};
     const pushToMcg = !!mcgCfg.pushStockBackEnabled;
     try {
@@ -34,7 +49,8 @@ class InventoryService {
   const mcgAbsMap = new Map();
     const affectedProducts = new Set();
     for (const it of items) {
-      const { product, quantity } = it;
+      const { product } = it;
+      let { quantity } = it;
       if (!product || !quantity || quantity <= 0) {
         throw new ApiError(StatusCodes.BAD_REQUEST, 'Invalid reservation item');
       }
@@ -43,12 +59,36 @@ class InventoryService {
       const normalized = usingVariant
         ? { product, variantId: it.variantId }
         : { product, size: (it.size && String(it.size).trim()) ? it.size : 'Default', color: (it.color && String(it.color).trim()) ? it.color : 'Default' };
-      const baseFilter = normalized;
+      const baseFilter = it.warehouse ? { ...normalized, warehouse: it.warehouse } : normalized;
 
       // Load inventories sorted by quantity desc
       const invQuery = Inventory.find({ ...baseFilter }).sort({ quantity: -1 });
       const invs = session ? await invQuery.session(session) : await invQuery;
       const totalAvail = invs.reduce((s, x) => s + (Number(x.quantity) || 0), 0);
+      const policy = !allowNegative && allowBackorder && totalAvail < quantity
+        ? await resolveBackorderPolicy(product, it.variantId)
+        : null;
+      if (policy) {
+        const shortfall = quantity - Math.max(0, totalAvail);
+        if (policy.maxQuantity !== null) {
+          const waiting = await outstandingBackorderQuantity(skuFilter({ ...it, product }));
+          if (waiting + shortfall > policy.maxQuantity) {
+            const left = Math.max(0, policy.maxQuantity - waiting);
+            throw new ApiError(
+              StatusCodes.BAD_REQUEST,
+              `Insufficient stock for ${policy.productName || 'product'}. Available: ${Math.max(0, totalAvail)}, can be ${policy.mode === 'preorder' ? 'pre-ordered' : 'back-ordered'}: ${left}, requested: ${quantity}`
+            );
+          }
+        }
+        backorders.push({
+          ...skuFilter({ ...it, product }),
+          quantity: shortfall,
+          mode: policy.mode,
+          expectedDate: policy.expectedDate
+        });
+        quantity -= shortfall;
+        if (quantity <= 0) continue;
+      }
       if (!allowNegative && totalAvail < quantity) {
         // Use human-friendly product name (and note if it's a variant) instead of raw id
         let displayName = 'product';
@@ -79,9 +119,9 @@ class InventoryService {
           inv.quantity -= remain; // go negative
           if (session) await inv.save({ session }); else await inv.save();
         } else {
-          // No inventory rows yet: create a default row in Main Warehouse and record negative stock
+          // No inventory rows yet: create a default row (in the requested or Main Warehouse) and record negative stock
           try {
-            let warehouses = await Warehouse.find({});
+            let warehouses = it.warehouse ? await Warehouse.find({ _id: it.warehouse }) : await Warehouse.find({});
             if (!warehouses || warehouses.length === 0) {
               const main = await Warehouse.findOneAndUpdate(
                 { name: 'Main Warehouse' },
@@ -121,7 +161,7 @@ class InventoryService {
         product,
         type: 'decrease',
         quantity,
-        reason: 'Order reservation',
+        reason,
         user: userId
       });
       affectedProducts.add(String(product));
@@ -240,9 +280,68 @@ class InventoryService {
     } else {
       try { console.log('[mcg][push-back] disabled by settings (Settings.mcg.pushStockBackEnabled=false)'); } catch {}
     }
+    return { backorders };
+  }
+
+  // Hand out stock that became available to back-ordered order lines, oldest order first.
+  // skus: [{ product, variantId? | size?, color? }] whose stock just went up.
+  async allocateBackorders(skus, userId = null) {
+    const unique = new Map();
+    for (const sku of skus || []) {
+      if (!sku?.product) continue;
+      const filter = skuFilter({ ...sku, product: sku.product?._id || sku.product });
+      unique.set(JSON.stringify(filter), filter);
+    }
+    if (!unique.size) return { allocated: 0, orders: [] };
+    const orders = await findPendingBackorderOrders([...unique.values()].map((s) => s.product));
+    if (!orders.length) return { allocated: 0, orders: [] };
+
+    let allocated = 0;
+    const touched = new Set();
+    for (const sku of unique.values()) {
+      const rows = await Inventory.find(sku).select('quantity').lean();
+      let available = rows.reduce((s, r) => s + Math.max(0, Number(r.quantity) || 0), 0);
+      for (const order of orders) {
+        if (available <= 0) break;
+        for (const line of order.items) {
+          if (available <= 0) break;
+          if (!isSameSku(line, sku)) continue;
+          const take = Math.min(outstandingBackorder(line), available);
+          if (take <= 0) continue;
+          await this.reserveItems([{ ...sku, quantity: take }], userId, null, { reason: `Back-order allocation ${order.orderNumber}`, allowNegative: false });
+          line.backorder.allocatedQuantity = (Number(line.backorder.allocatedQuantity) || 0) + take;
+          if (outstandingBackorder(line) <= 0) {
+            line.backorder.status = 'allocated';
+            line.backorder.allocatedAt = new Date();
+          }
+          // Saved per line so the order matches the stock already taken if a later allocation fails
+          await order.save();
+          available -= take;
+          allocated += take;
+          touched.add(order);
+        }
+      }
+    }
+    for (const order of touched) {
+      await enqueueOrderEvent('order.updated', order, { extra: { reason: 'backorder_allocated' } });
+      try { realTimeEventService.emitOrderUpdate(order); } catch {}
+    }
+    return { allocated, orders: [...touched].map((o) => String(o._id)) };
+  }
+
+  // Allocation after a restock must not fail the stock update itself
+  async #allocateAfterRestock(skus, userId) {
+    try {
+      const result = await this.allocateBackorders(skus, userId);
+      if (result.allocated) console.log('[inventory][backorder] allocated=%d orders=%d', result.allocated, result.orders.length);
+    } catch (e) {
+      console.warn('[inventory][backorder] allocation failed:', e?.message || e);
+    }
   }
 
   // Increase back stock for items (used on cancel or return depending on settings)
+  // items: [{ product, quantity, variantId?, size?, color?, warehouse? }]
+  // When an item names a warehouse, stock goes into that warehouse (row created if missing).
   async incrementItems(items, userId, reason = 'Manual increase', session = null) {
     if (!Array.isArray(items) || !items.length) return;
     const affectedProducts = new Set();
@@ -257,7 +356,8 @@ class InventoryService {
       const baseFilter = usingVariant
         ? { product, variantId: it.variantId }
         : { product, size: (it.size && String(it.size).trim()) ? it.size : 'Default', color: (it.color && String(it.color).trim()) ? it.color : 'Default' };
-      const invQuery = Inventory.find({ ...baseFilter }).sort({ quantity: 1 }); // smallest first
+      const targetFilter = it.warehouse ? { ...baseFilter, warehouse: it.warehouse } : baseFilter;
+      const invQuery = Inventory.find(targetFilter).sort({ quantity: 1 }); // smallest first
       const invs = session ? await invQuery.session(session) : await invQuery;
       let remain = quantity;
       for (const inv of invs) {
@@ -267,6 +367,12 @@ class InventoryService {
         remain -= add;
         if (session) await inv.save({ session }); else await inv.save();
       }
+      if (remain > 0 && it.warehouse) {
+        // Explicit target warehouse without a matching row: create it there
+        const row = new Inventory({ ...targetFilter, quantity: remain });
+        if (session) await row.save({ session }); else await row.save();
+        remain = 0;
+      }
       if (remain > 0) {
         // If no rows existed, we cannot create without size/color/warehouse context in this generic method.
         // Let caller use addInventory to create missing rows explicitly.
@@ -491,6 +597,14 @@ class InventoryService {
           color: inventory.color
         }]);
       } catch {}
+      if (type === 'increase') {
+        await this.#allocateAfterRestock([{
+          product: inventory.product._id,
+          variantId: inventory.variantId,
+          size: inventory.size,
+          color: inventory.color
+        }], userId);
+      }
       return inventory;
     } catch (error) {
       if (error instanceof ApiError) throw error;
@@ -602,6 +716,14 @@ class InventoryService {
           color: savedInventory.color
         }]);
       } catch {}
+      if (savedInventory.quantity > 0) {
+        await this.#allocateAfterRestock([{
+          product: savedInventory.product,
+          variantId: savedInventory.variantId,
+          size: savedInventory.size,
+          color: savedInventory.color
+        }], userId);
+      }
       return savedInventory;
     } catch (error) {
       // If it's already an ApiError, just re-throw it
@@ -669,6 +791,7 @@ class InventoryService {
       await Promise.all(updates);
       // Push absolute quantities for all touched SKUs to MCG (Uplîcali)
       try { await this.#pushMcgForSkus(skus); } catch {}
+      await this.#allocateAfterRestock(skus, userId);
     } catch (error) {
       throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error performing bulk update');
     }
@@ -745,9 +868,15 @@ class InventoryService {
         }
         // Update product total stock as sum of variant stocks
         await Product.updateOne({ _id: productId }, { $set: { stock: sumVariants } }, { runValidators: false });
+        await enqueueEvent('inventory.updated', {
+          productId: String(productId),
+          stock: sumVariants,
+          variants: productLean.variants.map((v) => ({ variantId: String(v._id), sku: v.sku, stock: perVariant.get(String(v._id)) || 0 }))
+        }, { aggregateType: 'Product', aggregateId: productId });
       } else {
         // No variants array: use total inventory sum directly
         await Product.updateOne({ _id: productId }, { $set: { stock: totalStock } }, { runValidators: false });
+        await enqueueEvent('inventory.updated', { productId: String(productId), stock: totalStock, variants: [] }, { aggregateType: 'Product', aggregateId: productId });
       }
     } catch (error) {
       throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error updating product stock');
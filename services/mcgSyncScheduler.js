@@ -19,6 +19,8 @@ let _timer = null;
 let _inFlight = false;
 let _lastRunAt = 0;
 let _logBlockedSamples = 0;
+// SKUs given stock during the current run; back-orders are allocated from them once the run ends
+let _restockedSkus = [];
 
 function normalizeBlockKey(value) {
   if (value === undefined || value === null) return '';
@@ -61,6 +63,7 @@ async function upsertInventoryFor({ productId, variantId, qty, size, color }) {
   const opts = { new: true, upsert: true, setDefaultsOnInsert: true };
   const inv = await Inventory.findOneAndUpdate(filter, update, opts);
   await inventoryService.recomputeProductStock(productId);
+  if (update.$set.quantity > 0) _restockedSkus.push({ product: productId, variantId, size: filter.size, color: filter.color });
   await new InventoryHistory({
     product: productId,
     type: 'update',
@@ -73,6 +76,7 @@ async function upsertInventoryFor({ productId, variantId, qty, size, color }) {
 async function oneRun() {
   if (_inFlight) return;
   _inFlight = true;
+  _restockedSkus = [];
   try {
     _logBlockedSamples = 0;
     const s = await Settings.findOne().lean();
@@ -327,6 +331,15 @@ async function oneRun() {
   } catch (e) {
     try { console.warn('[mcg][auto-pull] failed:', e?.message || e); } catch {}
   } finally {
+    if (_restockedSkus.length) {
+      try {
+        const { allocated, orders } = await inventoryService.allocateBackorders(_restockedSkus);
+        if (allocated) console.log('[mcg][auto-pull] back-orders allocated=%d orders=%d', allocated, orders.length);
+      } catch (e) {
+        try { console.warn('[mcg][auto-pull] back-order allocation failed:', e?.message || e); } catch {}
+      }
+      _restockedSkus = [];
+    }
     _inFlight = false;
   }
 }
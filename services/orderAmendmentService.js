@@ -0,0 +1,462 @@
+// orderAmendmentService.js
+// Admin amendments to an order's lines after checkout: add lines, change quantities, remove lines.
+// Each applied amendment is stored as a numbered OrderRevision. Stock is adjusted through inventoryService
+// (when it was decremented at order placement), totals are recomputed (coupon, calculateShippingFee) and, for
+// orders that were already paid, the difference is kept on Order.balanceDue until it is collected or refunded.
+//
+// Pricing: existing lines keep the unit price the customer checked out with (also when their quantity changes);
+// added lines are priced now by the promotion pricing engine, like a new cart.
+// Units allocated to a shipment that is not cancelled or returned cannot be removed: cancel the shipment first.
+
+import { StatusCodes } from 'http-status-codes';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import OrderRevision from '../models/OrderRevision.js';
+import Product from '../models/Product.js';
+import Settings from '../models/Settings.js';
+import { ApiError } from '../utils/ApiError.js';
+import { inventoryService } from './inventoryService.js';
+import { outstandingBackorder } from './backorderService.js';
+import { unallocatedQuantities } from './shipmentService.js';
+import { priceCartItems } from './promotionPricingService.js';
+import { recalculateCouponDiscount } from './couponService.js';
+import { calculateShippingFee } from './shippingService.js';
+import { itemShippingSpec, buildCartPackage } from './shippingPackageService.js';
+import { refundViaGateway } from './returnService.js';
+import { enqueueOrderEvent } from './webhookService.js';
+import { realTimeEventService } from './realTimeEventService.js';
+
+// Lines can only change before the parcel leaves the store
+const AMENDABLE_STATUSES = ['pending', 'processing'];
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const isObjectId = (v) => mongoose.Types.ObjectId.isValid(String(v || ''));
+
+// Same rule as updateOrderStatus: stock is taken at checkout unless inventory settings say otherwise
+async function stockDecrementedAtOrder() {
+  const invCfg = (await Settings.findOne().select('inventory').lean())?.inventory || null;
+  const hasCfg = invCfg && (Object.prototype.hasOwnProperty.call(invCfg, 'reserveOnCheckout') || Object.prototype.hasOwnProperty.call(invCfg, 'autoDecrementOnOrder'));
+  return hasCfg ? !!(invCfg.reserveOnCheckout || invCfg.autoDecrementOnOrder) : true;
+}
+
+const stockLine = (line, quantity) => ({
+  product: line.product,
+  quantity,
+  ...(line.variantId ? { variantId: line.variantId } : { size: line.size, color: line.color })
+});
+
+const itemsSubtotal = (items) => round2(items.reduce((s, it) => s + (Number(it.price) || 0) * (Number(it.quantity) || 0), 0));
+
+// Totals as the customer pays them. Orders finalized from a payment session store totalAmount net of the
+// coupon, orders created directly store the item subtotal; `couponInTotal` keeps whichever the order used.
+function orderTotals(order, items, { couponDiscount, shippingFee }) {
+  const subtotal = itemsSubtotal(items);
+  const giftCardApplied = round2(order.giftCard?.amountApplied || 0);
+  return {
+    subtotal,
+    couponDiscount: round2(couponDiscount),
+    shippingFee: round2(shippingFee),
+    giftCardApplied,
+    total: round2(Math.max(0, subtotal - couponDiscount + shippingFee - giftCardApplied))
+  };
+}
+
+function couponInTotal(order) {
+  const discount = Number(order.coupon?.discount) || 0;
+  return discount > 0 && Math.abs((Number(order.totalAmount) || 0) - (itemsSubtotal(order.items) - discount)) < 0.01;
+}
+
+// Coupon scope checks need the products' categories and list prices
+async function couponLines(items) {
+  const ids = [...new Set(items.map((it) => String(it.product)))];
+  const products = await Product.find({ _id: { $in: ids } }).select('category categories originalPrice').lean();
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+  return items.map((it) => ({
+    product: byId.get(String(it.product)) || { _id: it.product },
+    unitPrice: Number(it.price) || 0,
+    quantity: Number(it.quantity) || 0,
+    promotion: it.promotion?.type ? it.promotion : undefined
+  }));
+}
+
+/**
+ * Work out an amendment without applying it.
+ * changes: [{ orderItem, quantity }] to change (0 removes) an existing line, { orderItem, remove: true },
+ *          or { product, variantId?, size?, color?, variants?, sku?, quantity } to add a line.
+ */
+async function planAmendment(order, { items: changes, shippingFee, recalculateShipping = true } = {}) {
+  if (!Array.isArray(changes) || !changes.length) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'At least one item change is required');
+  }
+  const items = order.items.map((line) => line.toObject());
+  const byId = new Map(items.map((it) => [String(it._id), it]));
+  const changeLog = [];
+  const reserve = [];
+  const release = [];
+  const additions = [];
+  // Units already packed into a shipment (pending or sent) stay on the order until that shipment is cancelled
+  const unallocated = unallocatedQuantities(order);
+
+  for (const change of changes) {
+    if (change?.orderItem) {
+      const line = byId.get(String(change.orderItem));
+      if (!line) throw new ApiError(StatusCodes.BAD_REQUEST, `Order item not found: ${change.orderItem}`);
+      if (line._touched) throw new ApiError(StatusCodes.BAD_REQUEST, `Order item changed more than once: ${change.orderItem}`);
+      line._touched = true;
+      const quantity = change.remove ? 0 : Number(change.quantity);
+      if (!Number.isInteger(quantity) || quantity < 0) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, `Invalid quantity for ${line.name || 'item'}`);
+      }
+      const previousQuantity = Number(line.quantity) || 0;
+      if (quantity === previousQuantity) continue;
+      const inShipments = previousQuantity - (unallocated.get(String(line._id)) ?? previousQuantity);
+      if (quantity < inShipments) {
+        const numbers = (order.shipments || [])
+          .filter((s) => !['cancelled', 'returned'].includes(s.status) && s.items.some((it) => String(it.orderItem) === String(line._id)))
+          .map((s) => s.shipmentNumber);
+        throw new ApiError(
+          StatusCodes.CONFLICT,
+          `${inShipments} unit(s) of ${line.name || 'item'} are in shipment ${numbers.join(', ')}; cancel the shipment before reducing the line below that`
+        );
+      }
+      if (quantity > previousQuantity) reserve.push(stockLine(line, quantity - previousQuantity));
+      else {
+        // Back-ordered units never came out of stock: drop those first, release the rest
+        const waiting = Math.min(previousQuantity - quantity, outstandingBackorder(line));
+        if (waiting > 0) {
+          line.backorder.quantity -= waiting;
+          if (!line.backorder.quantity) line.backorder = undefined;
+          else if (outstandingBackorder(line) <= 0) Object.assign(line.backorder, { status: 'allocated', allocatedAt: new Date() });
+        }
+        if (previousQuantity - quantity > waiting) release.push(stockLine(line, previousQuantity - quantity - waiting));
+      }
+      changeLog.push({
+        action: quantity === 0 ? 'remove' : 'update',
+        orderItem: line._id,
+        product: line.product,
+        variantId: line.variantId,
+        size: line.size,
+        color: line.color,
+        name: line.name,
+        previousQuantity,
+        quantity,
+        unitPrice: line.price
+      });
+      line.quantity = quantity;
+    } else if (change?.product) {
+      if (!isObjectId(change.product)) throw new ApiError(StatusCodes.BAD_REQUEST, `Invalid product id: ${change.product}`);
+      additions.push({
+        product: String(change.product),
+        quantity: Number(change.quantity),
+        variantId: change.variantId ? String(change.variantId) : undefined,
+        size: change.size || undefined,
+        color: (typeof change.color === 'string' ? change.color : (change.color?.name || change.color?.code)) || undefined,
+        variants: change.variants,
+        sku: change.sku
+      });
+    } else {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Each change needs an orderItem (existing line) or a product (new line)');
+    }
+  }
+
+  // Price added lines server-side; promotions split a line into segments just like at checkout
+  let promotions = [];
+  if (additions.length) {
+    const pricing = await priceCartItems(additions);
+    promotions = pricing.promotions || [];
+    for (const line of pricing.lines) {
+      const { item, product } = line;
+      const usingVariant = !!item.variantId;
+      const { weight, dimensions } = itemShippingSpec(product, item.variantId);
+      const orderItem = {
+        _id: new mongoose.Types.ObjectId(),
+        product: product._id,
+        quantity: line.quantity,
+        price: line.unitPrice,
+        name: product.name,
+        image: Array.isArray(product.images) && product.images.length ? product.images[0] : undefined,
+        size: usingVariant ? undefined : item.size,
+        color: item.color,
+        variants: Array.isArray(item.variants) ? item.variants.map((v) => ({
+          attributeId: v.attributeId || v.attribute || undefined,
+          attributeName: v.attributeName || v.name || undefined,
+          valueId: v.valueId || v.value || undefined,
+          valueName: v.valueName || v.valueLabel || v.label || undefined
+        })) : undefined,
+        variantId: item.variantId,
+        sku: typeof item.sku === 'string' ? item.sku : undefined,
+        weight,
+        dimensions,
+        promotion: line.promotion
+      };
+      items.push(orderItem);
+      reserve.push(stockLine({ ...orderItem, size: item.size }, line.quantity));
+      changeLog.push({
+        action: 'add',
+        orderItem: orderItem._id,
+        product: product._id,
+        variantId: orderItem.variantId,
+        size: item.size,
+        color: orderItem.color,
+        name: orderItem.name,
+        previousQuantity: 0,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice
+      });
+    }
+  }
+
+  if (!changeLog.length) throw new ApiError(StatusCodes.BAD_REQUEST, 'The requested changes do not modify the order');
+  const nextItems = items.filter((it) => (Number(it.quantity) || 0) > 0).map(({ _touched, ...it }) => it);
+  if (!nextItems.length) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'An order must keep at least one item; cancel the order instead');
+  }
+
+  const warnings = [];
+  const previousDiscount = round2(order.coupon?.discount || 0);
+  const coupon = order.coupon?.code ? { code: order.coupon.code, previousDiscount, discount: 0 } : null;
+  if (coupon) {
+    const result = await recalculateCouponDiscount(coupon.code, { lines: await couponLines(nextItems), subtotal: itemsSubtotal(nextItems) });
+    if (result.ok) {
+      coupon.discount = result.discount;
+    } else {
+      coupon.droppedReason = result.message;
+      warnings.push(`Coupon ${coupon.code} no longer applies: ${result.message}`);
+    }
+  }
+
+  const currentShippingFee = Number(order.shippingFee) || Number(order.deliveryFee) || 0;
+  let nextShippingFee = currentShippingFee;
+  let shippingRecalculated = false;
+  let shippingPackage = null;
+  if (typeof shippingFee === 'number' && shippingFee >= 0) {
+    nextShippingFee = shippingFee;
+  } else if (recalculateShipping !== false) {
+    const sa = order.shippingAddress || {};
+    try {
+      shippingPackage = await buildCartPackage(nextItems);
+      const fee = await calculateShippingFee({
+        subtotal: itemsSubtotal(nextItems),
+        weight: shippingPackage.weight,
+        volume: shippingPackage.volume,
+        missingWeight: shippingPackage.missingWeight,
+        country: sa.country,
+        region: sa.areaGroup || undefined,
+        city: sa.city
+      });
+      if (Number.isFinite(fee) && fee >= 0) {
+        nextShippingFee = fee;
+        shippingRecalculated = true;
+      }
+    } catch (e) {
+      warnings.push(`Shipping fee kept at ${nextShippingFee}: ${e?.message || e}`);
+    }
+  }
+
+  const before = orderTotals(order, order.items, { couponDiscount: previousDiscount, shippingFee: currentShippingFee });
+  const after = orderTotals(order, nextItems, { couponDiscount: coupon ? coupon.discount : 0, shippingFee: nextShippingFee });
+  const paid = PAID_STATUSES.includes(order.paymentStatus);
+  // What the customer has actually paid so far: the previous total less anything not yet collected
+  const amountPaid = paid ? round2(before.total - (Number(order.balanceDue) || 0)) : 0;
+
+  return {
+    items: nextItems,
+    changes: changeLog,
+    reserve,
+    release,
+    promotions,
+    coupon,
+    shippingFee: nextShippingFee,
+    shippingRecalculated,
+    shippingPackage,
+    before,
+    after,
+    difference: round2(after.total - before.total),
+    paid,
+    amountPaid,
+    balanceDue: paid ? round2(after.total - amountPaid) : 0,
+    warnings
+  };
+}
+
+async function revertStock(reserved, released, userId, reason) {
+  try { await inventoryService.incrementItems(reserved, userId, reason); } catch (e) { console.warn('[orderAmendment] stock revert failed', e?.message || e); }
+  try { await inventoryService.reserveItems(released, userId, null, { reason, allowNegative: true }); } catch (e) { console.warn('[orderAmendment] stock revert failed', e?.message || e); }
+}
+
+/**
+ * Apply (or with preview: true, only compute) an amendment to an order's lines.
+ * expectedRevision: optional Order.revision the admin edited from; a different current revision is a 409.
+ * @returns {Promise<{ order, revision, summary }>} summary: before/after totals, difference, amountPaid, balanceDue
+ */
+export async function amendOrder(order, { items, shippingFee, recalculateShipping, reason, expectedRevision, preview = false, user } = {}) {
+  if (!AMENDABLE_STATUSES.includes(order.status)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Order in status "${order.status}" cannot be amended`);
+  }
+  if (expectedRevision !== undefined && expectedRevision !== null && Number(expectedRevision) !== (order.revision || 0)) {
+    throw new ApiError(StatusCodes.CONFLICT, `Order was amended in the meantime (current revision ${order.revision || 0})`);
+  }
+  const plan = await planAmendment(order, { items, shippingFee, recalculateShipping });
+  const summary = {
+    before: plan.before,
+    after: plan.after,
+    difference: plan.difference,
+    paymentStatus: order.paymentStatus,
+    amountPaid: plan.amountPaid,
+    balanceDue: plan.balanceDue,
+    coupon: plan.coupon,
+    shippingRecalculated: plan.shippingRecalculated,
+    warnings: plan.warnings
+  };
+  if (preview) return { order, revision: null, summary: { ...summary, changes: plan.changes, preview: true } };
+
+  const userId = user?._id || null;
+  const stockReason = `Order ${order.orderNumber} amendment`;
+  const adjustStock = await stockDecrementedAtOrder();
+  if (adjustStock) {
+    // Take new stock first: if it is not available nothing has been changed yet
+    await inventoryService.reserveItems(plan.reserve, userId, null, { reason: stockReason });
+    try {
+      await inventoryService.incrementItems(plan.release, userId, stockReason);
+    } catch (e) {
+      await revertStock(plan.reserve, [], userId, `${stockReason} (reverted)`);
+      throw e;
+    }
+  }
+
+  const previousItems = order.items.map((line) => line.toObject());
+  const keepCouponInTotal = couponInTotal(order);
+  order.items = plan.items;
+  order.totalAmount = round2(keepCouponInTotal ? Math.max(0, plan.after.subtotal - plan.after.couponDiscount) : plan.after.subtotal);
+  if (plan.coupon) order.coupon.discount = plan.after.couponDiscount;
+  order.shippingFee = plan.shippingFee;
+  order.deliveryFee = plan.shippingFee;
+  if (plan.shippingRecalculated) {
+    order.shippingCalculation = {
+      ...(order.shippingCalculation || {}),
+      subtotal: plan.after.subtotal,
+      weight: plan.shippingPackage?.weight ?? 0,
+      package: plan.shippingPackage,
+      recalculatedAt: new Date()
+    };
+  }
+  if (plan.promotions.length) order.promotions = [...(order.promotions || []), ...plan.promotions];
+  order.revision = (order.revision || 0) + 1;
+  order.balanceDue = plan.balanceDue;
+  try {
+    await order.save();
+  } catch (e) {
+    if (adjustStock) await revertStock(plan.reserve, plan.release, userId, `${stockReason} (reverted)`);
+    if (e?.name === 'VersionError') {
+      throw new ApiError(StatusCodes.CONFLICT, 'Order was changed in the meantime; reload and try again');
+    }
+    throw e;
+  }
+
+  const revision = await OrderRevision.create({
+    order: order._id,
+    orderNumber: order.orderNumber,
+    revision: order.revision,
+    changes: plan.changes,
+    previousItems,
+    before: plan.before,
+    after: plan.after,
+    difference: plan.difference,
+    paymentStatus: order.paymentStatus,
+    amountPaid: plan.amountPaid,
+    balanceDue: plan.balanceDue,
+    coupon: plan.coupon || undefined,
+    shippingRecalculated: plan.shippingRecalculated,
+    inventory: adjustStock
+      ? { adjusted: true, reserved: plan.reserve, released: plan.release }
+      : { adjusted: false },
+    reason,
+    warnings: plan.warnings,
+    createdBy: userId || undefined
+  });
+
+  await enqueueOrderEvent('order.updated', order, { extra: { revision: order.revision, balanceDue: order.balanceDue } });
+  try { realTimeEventService.emitOrderUpdate(order); } catch {}
+  return { order, revision, summary: { ...summary, revision: order.revision } };
+}
+
+export async function listOrderRevisions(orderId) {
+  return OrderRevision.find({ order: orderId })
+    .sort({ revision: -1 })
+    .populate('createdBy', 'name email')
+    .lean();
+}
+
+/**
+ * Record (and for refunds with method 'original', perform) settlement of Order.balanceDue.
+ * method: 'original' refunds through the order's payment gateway (refunds only);
+ *         'manual' records money collected or returned outside the system (cash, payment link, bank transfer).
+ * amount defaults to the whole outstanding balance.
+ */
+export async function settleOrderBalance(order, { method = 'manual', amount, reference, note, user } = {}) {
+  const balance = round2(order.balanceDue || 0);
+  if (!balance) throw new ApiError(StatusCodes.BAD_REQUEST, 'Order has no outstanding amendment balance');
+  if (!['original', 'manual'].includes(method)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'method must be "original" or "manual"');
+  }
+  const value = amount != null ? round2(amount) : Math.abs(balance);
+  if (!(value > 0)) throw new ApiError(StatusCodes.BAD_REQUEST, 'Amount must be positive');
+  if (value > Math.abs(balance)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Amount exceeds the outstanding balance (${Math.abs(balance)})`);
+  }
+  const isRefund = balance < 0;
+  if (!isRefund && method === 'original') {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Collecting a balance through the original payment is not supported; record it as manual');
+  }
+
+  const viaGateway = isRefund && method === 'original';
+  const settlement = {
+    _id: new mongoose.Types.ObjectId(),
+    amount: isRefund ? -value : value,
+    method,
+    reference: reference ? String(reference) : undefined,
+    note: note ? String(note) : undefined,
+    status: viaGateway ? 'pending' : 'completed',
+    settledAt: new Date(),
+    settledBy: user?._id
+  };
+  const delta = isRefund ? value : -value;
+
+  // Claim the balance before any money moves, so two settlements cannot both consume (and refund) it
+  let updated = await Order.findOneAndUpdate(
+    { _id: order._id, balanceDue: balance },
+    { $inc: { balanceDue: delta }, $push: { balanceSettlements: settlement } },
+    { new: true }
+  );
+  if (!updated) throw new ApiError(StatusCodes.CONFLICT, 'Order balance changed in the meantime; reload and try again');
+
+  if (viaGateway) {
+    let result;
+    try {
+      result = await refundViaGateway(order, value);
+    } catch (e) {
+      // Nothing was refunded: give the balance back
+      await Order.updateOne(
+        { _id: order._id },
+        { $inc: { balanceDue: -delta }, $pull: { balanceSettlements: { _id: settlement._id } } }
+      );
+      throw e;
+    }
+    updated = await Order.findOneAndUpdate(
+      { _id: order._id, 'balanceSettlements._id': settlement._id },
+      {
+        $set: {
+          'balanceSettlements.$.status': 'completed',
+          'balanceSettlements.$.gateway': result.gateway,
+          'balanceSettlements.$.reference': result.reference || settlement.reference,
+          'balanceSettlements.$.providerResponse': result.providerResponse
+        }
+      },
+      { new: true }
+    );
+  }
+  updated.balanceDue = round2(updated.balanceDue);
+  await enqueueOrderEvent('order.updated', updated, { extra: { balanceDue: updated.balanceDue } });
+  try { realTimeEventService.emitOrderUpdate(updated); } catch {}
+  return { order: updated, settlement: updated.balanceSettlements.find((s) => String(s._id) === String(settlement._id)) };
+}
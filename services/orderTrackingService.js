@@ -0,0 +1,179 @@
+// orderTrackingService.js
+// Public order tracking: a guest finds an order by its number plus the phone or email it was placed with and
+// gets a read-only view of where it is — status, carrier and tracking link, ETA and a localized timeline built
+// from the shipment status histories (or Order.deliveryStatusHistory for orders sent before split shipments).
+// Nothing else of the order (address, prices, payment) is exposed.
+
+import { StatusCodes } from 'http-status-codes';
+import Order from '../models/Order.js';
+import DeliveryCompany from '../models/DeliveryCompany.js';
+import { ApiError } from '../utils/ApiError.js';
+import { normalizePhoneE164ish } from '../utils/phone.js';
+import { getAreaGroupDeliveryEta } from './shippingService.js';
+
+export const TRACKING_LANGUAGES = ['ar', 'he', 'en'];
+
+const STATUS_LABELS = {
+  placed: { en: 'Order placed', ar: 'تم استلام الطلب', he: 'ההזמנה התקבלה' },
+  pending: { en: 'Pending', ar: 'قيد الانتظار', he: 'ממתינה' },
+  processing: { en: 'Being prepared', ar: 'قيد التجهيز', he: 'בהכנה' },
+  partially_shipped: { en: 'Partially shipped', ar: 'تم شحن جزء من الطلب', he: 'נשלחה חלקית' },
+  shipped: { en: 'Shipped', ar: 'تم الشحن', he: 'נשלחה' },
+  partially_delivered: { en: 'Partially delivered', ar: 'تم توصيل جزء من الطلب', he: 'נמסרה חלקית' },
+  delivered: { en: 'Delivered', ar: 'تم التوصيل', he: 'נמסרה' },
+  cancelled: { en: 'Cancelled', ar: 'ملغي', he: 'בוטלה' },
+  partially_returned: { en: 'Partially returned', ar: 'مرتجع جزئيًا', he: 'הוחזרה חלקית' },
+  returned: { en: 'Returned', ar: 'مرتجع', he: 'הוחזרה' },
+  assigned: { en: 'Handed to the carrier', ar: 'تم التسليم لشركة التوصيل', he: 'הועברה לחברת המשלוחים' },
+  picked_up: { en: 'Picked up by the carrier', ar: 'استلمتها شركة التوصيل', he: 'נאספה על ידי השליח' },
+  in_transit: { en: 'On the way', ar: 'في الطريق', he: 'בדרך' },
+  out_for_delivery: { en: 'Out for delivery', ar: 'خرجت للتوصيل', he: 'יצאה למסירה' },
+  delivery_failed: { en: 'Delivery attempt failed', ar: 'تعذر التوصيل', he: 'ניסיון המסירה נכשל' }
+};
+// Orders with nothing left to arrive
+const FINAL_ORDER_STATUSES = ['delivered', 'cancelled', 'returned', 'partially_returned'];
+
+export const statusLabel = (status, lang = 'en') => STATUS_LABELS[status]?.[lang] || STATUS_LABELS[status]?.en || status;
+
+// 'he-IL' / 'iw' / 'ar,en;q=0.8' -> supported language, or null
+export function resolveTrackingLanguage(value) {
+  for (const part of String(value || '').toLowerCase().split(',')) {
+    let lang = part.split(';')[0].trim().split('-')[0];
+    if (lang === 'iw') lang = 'he';
+    if (TRACKING_LANGUAGES.includes(lang)) return lang;
+  }
+  return null;
+}
+
+// Compare on the last 9 digits so local (05x...) and international (+9725x...) forms of a number match
+const phoneKey = (value) => normalizePhoneE164ish(value).replace(/\D/g, '').slice(-9);
+
+/**
+ * Order matching the number and the customer's phone or email; one 404 for both "no such order" and
+ * "wrong contact" so the endpoint cannot be used to discover order numbers.
+ */
+export async function findTrackableOrder({ orderNumber, phone, email } = {}) {
+  const number = String(orderNumber || '').trim();
+  const emailKey = String(email || '').trim().toLowerCase();
+  const phoneDigits = phone ? phoneKey(phone) : '';
+  if (!number || (!emailKey && !phoneDigits)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'orderNumber and phone or email are required');
+  }
+  const order = await Order.findOne({ orderNumber: number });
+  const matches = order && (
+    (emailKey && String(order.customerInfo?.email || '').trim().toLowerCase() === emailKey)
+    || (phoneDigits.length >= 7 && phoneKey(order.customerInfo?.mobile) === phoneDigits)
+  );
+  if (!matches) throw new ApiError(StatusCodes.NOT_FOUND, 'No order found for these details');
+  return order;
+}
+
+// Carrier tracking page from DeliveryCompany.trackingUrlTemplate
+export function buildTrackingUrl(company, { trackingNumber, orderNumber } = {}) {
+  const template = company?.trackingUrlTemplate;
+  if (!template || !trackingNumber) return null;
+  return template
+    .replace(/\{\{\s*trackingNumber\s*\}\}/g, encodeURIComponent(trackingNumber))
+    .replace(/\{\{\s*orderNumber\s*\}\}/g, encodeURIComponent(orderNumber || ''));
+}
+
+const carrierView = (company, refs) => (company
+  ? { name: company.name, trackingUrl: buildTrackingUrl(company, refs) }
+  : null);
+
+// Carrier date when one was reported, otherwise the area group delivery time counted from dispatch
+async function resolveEta(order, openShipments) {
+  if (FINAL_ORDER_STATUSES.includes(order.status)) return null;
+  const carrierDates = (order.shipments?.length ? openShipments.map((s) => s.estimatedDate) : [order.deliveryEstimatedDate])
+    .filter(Boolean)
+    .map((d) => new Date(d))
+    .sort((a, b) => b - a);
+  if (carrierDates.length) return { date: carrierDates[0], label: null, source: 'carrier' };
+  let eta = null;
+  try {
+    eta = await getAreaGroupDeliveryEta({ areaGroup: order.shippingAddress?.areaGroup, city: order.shippingAddress?.city });
+  } catch (e) {
+    console.warn('[tracking] area group ETA lookup failed', e?.message || e);
+  }
+  if (!eta) return null;
+  const from = openShipments.map((s) => s.dispatchedAt).filter(Boolean).map((d) => new Date(d)).sort((a, b) => a - b)[0]
+    || order.deliveryAssignedAt
+    || order.createdAt;
+  const date = Number.isFinite(eta.estimatedDays) && eta.estimatedDays > 0
+    ? new Date(new Date(from).getTime() + eta.estimatedDays * 24 * 60 * 60 * 1000)
+    : null;
+  return { date, label: eta.label, source: 'area_group' };
+}
+
+function buildTimeline(order, lang) {
+  const events = [{ status: 'placed', at: order.createdAt }];
+  if (order.shipments?.length) {
+    for (const shipment of order.shipments.filter((s) => s.status !== 'cancelled')) {
+      for (const entry of shipment.statusHistory || []) {
+        if (!STATUS_LABELS[entry.status] || entry.status === 'pending') continue;
+        events.push({ status: entry.status, at: entry.at, shipmentNumber: shipment.shipmentNumber });
+      }
+    }
+  } else if (order.deliveryStatusHistory?.length) {
+    for (const entry of order.deliveryStatusHistory) events.push({ status: entry.status, at: entry.at });
+  } else if (order.deliveryStatus) {
+    events.push({ status: order.deliveryStatus, at: order.deliveryStatusUpdated || order.deliveryAssignedAt || order.updatedAt });
+  }
+  if (['cancelled', 'returned'].includes(order.status) && !events.some((e) => e.status === order.status && !e.shipmentNumber)) {
+    events.push({ status: order.status, at: order.updatedAt });
+  }
+  return events
+    .filter((e) => e.at)
+    .sort((a, b) => new Date(a.at) - new Date(b.at))
+    .map((e) => ({ ...e, label: statusLabel(e.status, lang) }));
+}
+
+/**
+ * Public tracking view of an order
+ * @param {import('mongoose').Document} order
+ * @param {string} [lang] - 'ar' | 'he' | 'en'
+ */
+export async function buildTrackingView(order, lang = 'en') {
+  const language = TRACKING_LANGUAGES.includes(lang) ? lang : 'en';
+  const companyIds = [order.deliveryCompany, ...(order.shipments || []).map((s) => s.deliveryCompany)].filter(Boolean);
+  const companies = companyIds.length
+    ? await DeliveryCompany.find({ _id: { $in: companyIds } }).select('name trackingUrlTemplate').lean()
+    : [];
+  const companyOf = (id) => (id ? companies.find((c) => String(c._id) === String(id)) || null : null);
+
+  const activeShipments = (order.shipments || []).filter((s) => s.status !== 'cancelled');
+  const openShipments = activeShipments.filter((s) => !['delivered', 'returned'].includes(s.status));
+  const trackingNumber = order.deliveryTrackingNumber || order.trackingNumber || null;
+
+  return {
+    orderNumber: order.orderNumber,
+    status: order.status,
+    statusLabel: statusLabel(order.status, language),
+    lang: language,
+    placedAt: order.createdAt,
+    items: order.items.map((line) => ({ name: line.name, image: line.image, quantity: line.quantity })),
+    delivery: order.deliveryStatus || trackingNumber
+      ? {
+          status: order.deliveryStatus || null,
+          statusLabel: order.deliveryStatus ? statusLabel(order.deliveryStatus, language) : null,
+          carrier: carrierView(companyOf(order.deliveryCompany), { trackingNumber, orderNumber: order.orderNumber }),
+          trackingNumber,
+          estimatedDate: order.deliveryEstimatedDate || null,
+          deliveredAt: order.deliveryActualDate || null
+        }
+      : null,
+    shipments: activeShipments.map((s) => ({
+      shipmentNumber: s.shipmentNumber,
+      status: s.status,
+      statusLabel: statusLabel(s.status, language),
+      carrier: carrierView(companyOf(s.deliveryCompany), { trackingNumber: s.trackingNumber, orderNumber: order.orderNumber }),
+      trackingNumber: s.trackingNumber || null,
+      items: s.items.map((it) => ({ name: it.name, quantity: it.quantity })),
+      dispatchedAt: s.dispatchedAt || null,
+      estimatedDate: s.estimatedDate || null,
+      deliveredAt: s.deliveredAt || null
+    })),
+    eta: await resolveEta(order, openShipments),
+    timeline: buildTimeline(order, language)
+  };
+}
@@ -1,9 +1,15 @@
 import mongoose from 'mongoose';
 import Order from '../models/Order.js';
-import Product from '../models/Product.js';
 import GiftCard from '../models/GiftCard.js';
 import PaymentSession from '../models/PaymentSession.js';
 import { inventoryService } from './inventoryService.js';
+import { priceCartItems } from './promotionPricingService.js';
+import { validateCheckoutCoupon, recordRedemption, findCouponByCode, normalizeIdentity } from './couponService.js';
+import { enqueueOrderEvent } from './webhookService.js';
+import { resolveDisplayRate } from './exchangeRateService.js';
+import { flagBackorderedItems } from './backorderService.js';
+import { itemShippingSpec, summarizePackage, buildCartPackage, getVolumetricDivisor } from './shippingPackageService.js';
+import { calculateShippingFee, defaultShippingFee } from './shippingService.js';
 
 function normalizeCoupon(session) {
   if (!session?.coupon?.code) return undefined;
@@ -19,46 +25,102 @@ function buildOrderNumber(session, override) {
 }
 
 async function buildOrderItems(session) {
-  const items = [];
-  const reservations = [];
-  let total = 0;
-
-  for (const item of session.items || []) {
-    const productId = item?.product;
-    const product = await Product.findById(productId);
-    if (!product) {
-      throw new Error(`Product not found: ${productId}`);
+  const cart = (session.items || []).map((item) => {
+    if (!item?.product) {
+      throw new Error('missing_product');
     }
-    const qty = Number(item.quantity) || 0;
-    if (qty <= 0) {
-      throw new Error('invalid_quantity');
-    }
-    const price = Number(product.price);
-    if (!Number.isFinite(price)) {
-      throw new Error(`Invalid price for product ${product._id}`);
-    }
-    total += price * qty;
-    const orderItem = {
-      product: product._id,
-      quantity: qty,
-      price,
-      name: product.name,
-      image: Array.isArray(product.images) && product.images.length ? product.images[0] : undefined,
-      size: item.variantId ? undefined : (item.size || undefined),
-      color: item.color || undefined,
+    return {
+      product: item.product,
+      quantity: Number(item.quantity) || 0,
+      size: item.size,
+      color: item.color,
       variants: item.variants,
       variantId: item.variantId,
       sku: item.sku
     };
-    items.push(orderItem);
-    reservations.push({
-      product: product._id,
-      quantity: qty,
-      ...(item.variantId ? { variantId: item.variantId } : { size: item.size, color: item.color })
-    });
+  });
+  if (cart.some((it) => it.quantity <= 0)) {
+    throw new Error('invalid_quantity');
   }
 
-  return { orderItems: items, reservationItems: reservations, totalAmount: total };
+  // Prices are resolved server-side (catalog, flash sales, bundles); the session's price snapshot is not trusted.
+  // Promotions are those of the session's creation time: the amount charged was computed then, and a flash sale
+  // ending before the payment callback must not change the order's prices
+  const pricing = await priceCartItems(cart, { now: session.createdAt ? new Date(session.createdAt) : new Date() });
+  const items = pricing.lines.map(({ item, product, quantity, unitPrice, promotion }) => ({
+    ...itemShippingSpec(product, item.variantId),
+    product: product._id,
+    quantity,
+    price: unitPrice,
+    name: product.name,
+    image: Array.isArray(product.images) && product.images.length ? product.images[0] : undefined,
+    size: item.variantId ? undefined : (item.size || undefined),
+    color: item.color || undefined,
+    variants: item.variants,
+    variantId: item.variantId,
+    sku: item.sku,
+    promotion
+  }));
+  const reservations = cart.map((item) => ({
+    product: item.product,
+    quantity: item.quantity,
+    ...(item.variantId ? { variantId: item.variantId } : { size: item.size, color: item.color })
+  }));
+
+  return { orderItems: items, reservationItems: reservations, totalAmount: pricing.subtotal, promotions: pricing.promotions, pricing };
+}
+
+/**
+ * Coupon of a new payment session, validated on the server-priced cart with the same rules as createOrder
+ * (per-customer limit, first order, allowed emails, scope, stacking). The client's discount is never used.
+ * @param {Object} params
+ * @param {string} [params.code]
+ * @param {Object} params.pricing - priceCartItems() result for the session's cart
+ * @returns {Promise<{ ok: true, coupon?: { code: string, discount: number } } | { ok: false, reason: string, message: string }>}
+ */
+export async function resolveSessionCoupon({ code, pricing, customerInfo = {}, user = null, giftCardApplied = false }) {
+  if (!code || !String(code).trim()) return { ok: true, coupon: undefined };
+  const result = await validateCheckoutCoupon({
+    code: String(code).trim(),
+    pricing,
+    user,
+    email: customerInfo.email,
+    phone: customerInfo.mobile,
+    giftCardApplied
+  });
+  if (!result.ok) return result;
+  return { ok: true, coupon: { code: result.coupon.code, discount: result.discount } };
+}
+
+/**
+ * Shipping fee of a new payment session, priced by the shipping rates on the catalog weight of the cart (the
+ * client's shippingFee is never charged). When no zone or rate covers the address the default fee applies, as
+ * in createOrder.
+ * @param {Object} params
+ * @param {Array} params.items - sanitized cart items
+ * @param {number} params.subtotal - server-priced cart subtotal (before coupon, like createOrder)
+ * @param {Object} params.shippingAddress
+ * @returns {Promise<{ shippingFee: number, shippingPackage: Object }>}
+ */
+export async function resolveSessionShipping({ items, subtotal, shippingAddress = {} }) {
+  const shippingPackage = await buildCartPackage(items);
+  let fee;
+  try {
+    fee = await calculateShippingFee({
+      subtotal,
+      weight: shippingPackage.weight,
+      volume: shippingPackage.volume,
+      missingWeight: shippingPackage.missingWeight,
+      country: shippingAddress.country,
+      region: shippingAddress.areaGroup || undefined,
+      city: shippingAddress.city
+    });
+  } catch (e) {
+    fee = defaultShippingFee();
+    console.warn('[paymentSession] shipping calculation failed, charging the default fee', { error: e?.message || e, fee });
+  }
+  const shippingFee = Number(fee);
+  return { shippingFee: Number.isFinite(shippingFee) && shippingFee >= 0 ? shippingFee : 0, shippingPackage };
 }
 
 export async function finalizePaymentSessionToOrder(session, {
@@ -78,8 +140,37 @@ export async function finalizePaymentSessionToOrder(session, {
     }
   }
 
-  const couponInfo = normalizeCoupon(session);
-  const { orderItems, reservationItems, totalAmount: catalogTotal } = await buildOrderItems(session);
+  const { orderItems, reservationItems, totalAmount: catalogTotal, promotions, pricing } = await buildOrderItems(session);
+  // The session's discount was validated when the session was created; validate it again, for the same customer
+  // and as of the session's creation, before the order records the redemption. The charge already included the
+  // discount, so a coupon that no longer passes (e.g. the customer's limit was used up by another checkout in
+  // the meantime) is logged and kept: it is never turned into a balance the customer owes.
+  const requestedCoupon = normalizeCoupon(session);
+  const couponCustomer = {
+    user: session.user ? { _id: session.user } : null,
+    email: session.customerInfo?.email,
+    phone: session.customerInfo?.mobile
+  };
+  let couponInfo;
+  let appliedCoupon = null;
+  if (requestedCoupon) {
+    const result = await validateCheckoutCoupon({
+      code: requestedCoupon.code,
+      pricing,
+      ...couponCustomer,
+      giftCardApplied: !!session.giftCard?.code,
+      now: session.createdAt ? new Date(session.createdAt) : new Date()
+    });
+    if (result.ok) {
+      couponInfo = { code: result.coupon.code, discount: Math.min(requestedCoupon.discount, result.discount) };
+      appliedCoupon = { coupon: result.coupon, identity: result.identity };
+    } else {
+      console.warn('[paymentSession] coupon no longer valid at finalize; keeping the discount charged', { session: String(session._id), code: requestedCoupon.code, reason: result.reason });
+      couponInfo = requestedCoupon;
+      const coupon = await findCouponByCode(requestedCoupon.code);
+      if (coupon) appliedCoupon = { coupon, identity: normalizeIdentity(couponCustomer) };
+    }
+  }
   let totalAmount = catalogTotal;
   if (couponInfo?.discount) {
     totalAmount = Math.max(0, totalAmount - couponInfo.discount);
@@ -87,10 +178,14 @@ export async function finalizePaymentSessionToOrder(session, {
 
   const shippingFeeRaw = Number(session.shippingFee);
   const shippingFee = Number.isFinite(shippingFeeRaw) && shippingFeeRaw >= 0 ? shippingFeeRaw : 0;
+  const shippingPackage = summarizePackage(orderItems, {
+    divisor: session.shippingPackage?.divisor || await getVolumetricDivisor()
+  });
 
   try {
     if (reservationItems.length) {
-      await inventoryService.reserveItems(reservationItems, null, null);
+      const { backorders } = await inventoryService.reserveItems(reservationItems, null, null, { allowBackorder: true });
+      flagBackorderedItems(orderItems, backorders);
     }
   } catch (e) {
     console.warn('[paymentSession] inventory reserve failed', e?.message || e);
@@ -116,6 +211,7 @@ export async function finalizePaymentSessionToOrder(session, {
   }
 
   const orderNumber = buildOrderNumber(session, orderNumberOverride);
+  const displayRate = resolveDisplayRate(session.currency, session.displayCurrency);
 
   try {
     const order = await Order.create({
@@ -123,7 +219,10 @@ export async function finalizePaymentSessionToOrder(session, {
       items: orderItems,
       totalAmount,
       currency: session.currency,
-      exchangeRate: 1,
+      exchangeRate: displayRate?.exchangeRate || 1,
+      displayCurrency: displayRate?.displayCurrency,
+      exchangeRateAsOf: displayRate?.exchangeRateAsOf,
+      exchangeRateSource: displayRate?.exchangeRateSource,
       shippingAddress: session.shippingAddress,
       paymentMethod,
       customerInfo: session.customerInfo,
@@ -131,11 +230,30 @@ export async function finalizePaymentSessionToOrder(session, {
       orderNumber,
       shippingFee,
       deliveryFee: shippingFee,
+      shippingCalculation: {
+        subtotal: catalogTotal,
+        country: session.shippingAddress?.country,
+        city: session.shippingAddress?.city,
+        areaGroup: session.shippingAddress?.areaGroup,
+        weight: shippingPackage.weight,
+        package: shippingPackage
+      },
       paymentStatus,
       coupon: couponInfo,
+      promotions,
       giftCard: giftCardSnapshot,
       paymentDetails
     });
+    await enqueueOrderEvent('order.created', order);
+
+    if (appliedCoupon) {
+      try {
+        // Already charged with the discount: recorded even past the limits, so later checkouts count it
+        await recordRedemption(appliedCoupon.coupon, { identity: appliedCoupon.identity, order, discount: couponInfo.discount, enforceLimits: false });
+      } catch (e) {
+        console.warn('[paymentSession] coupon redemption ledger write failed', e?.message || e);
+      }
+    }
 
     session.status = paymentStatus === 'failed' ? 'failed' : 'confirmed';
     session.orderId = order._id;
@@ -209,6 +327,14 @@ export async function createPaymentSessionDocument(payload) {
     };
     return doc;
   }
+  if (!payload.shippingPackage) {
+    try {
+      // Weighed from the catalog, whatever weight the client quoted its shipping with
+      payload.shippingPackage = await buildCartPackage(payload.items);
+    } catch (e) {
+      console.warn('[paymentSession] package weight calculation failed', e?.message || e);
+    }
+  }
   try {
     return await PaymentSession.create(payload);
   } catch (err) {
@@ -1,18 +1,211 @@
 import mongoose from 'mongoose';
 import POSTransaction from '../models/POSTransaction.js';
 import POSSession from '../models/POSSession.js';
+import POSRegister from '../models/POSRegister.js';
+import POSCashMovement from '../models/POSCashMovement.js';
 import Product from '../models/Product.js';
+import Inventory from '../models/Inventory.js';
+import Settings from '../models/Settings.js';
+import { inventoryService } from './inventoryService.js';
+import { redeemGiftCard, creditGiftCard } from './giftCardService.js';
+import { hasPermission } from '../utils/permissions.js';
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const CASH_MOVEMENT_FIELDS = { drop: 'drops', pay_in: 'payIns', pay_out: 'payOuts' };
+
+// Cash a sale put in the drawer (net of change) or a refund paid out of it, unsigned
+const cashTendered = (t) => (t.paymentMethod === 'split'
+  ? (t.payments || []).filter((p) => p.method === 'cash').reduce((sum, p) => sum + p.amount, 0) - (t.change || 0)
+  : (t.paymentMethod === 'cash' ? Math.abs(t.total) : 0));
+
+// Same normalization as inventoryService.reserveItems for non-variant rows
+const stockKey = ({ product, variant, variantId, size, color }) => {
+  const v = variant || variantId;
+  if (v) return `${product}|v:${v}`;
+  const sz = size && String(size).trim() ? String(size) : 'Default';
+  const co = color && String(color).trim() ? String(color) : 'Default';
+  return `${product}|${sz}|${co}`;
+};
 
 export class POSService {
-  
+
+  /**
+   * POS settings (Settings.pos) merged with defaults
+   */
+  async getPosSettings() {
+    const settings = await Settings.findOne().select('currency pos').lean();
+    const pos = settings?.pos || {};
+    return {
+      currency: settings?.currency || 'USD',
+      taxRate: Number(pos.taxRate) || 0,
+      allowNegativeInventory: !!pos.allowNegativeInventory,
+      requireReceiptPrint: !!pos.requireReceiptPrint,
+      autoLogoutMinutes: Number(pos.autoLogoutMinutes) || 30,
+      defaultWarehouse: pos.defaultWarehouse || null,
+      loyaltyPointsPerUnit: Number(pos.loyaltyPointsPerUnit) || 0,
+      blindClose: !!pos.blindClose,
+      cashDenominations: (pos.cashDenominations || []).filter((v) => Number(v) > 0).sort((a, b) => b - a)
+    };
+  }
+
+  /**
+   * Whether `user` may see the expected drawer cash of an open session: always, unless blind close is on and
+   * the user cannot manage the POS
+   */
+  async revealsExpectedCash(user) {
+    const { blindClose } = await this.getPosSettings();
+    return !blindClose || hasPermission(user, 'pos:manage');
+  }
+
+  /**
+   * Session without the figures its expected cash could be added up from (opening float, expected balance,
+   * payment method and cash movement totals), for users who count an open blind-close session
+   */
+  blindSessionView(session) {
+    const view = typeof session?.toObject === 'function' ? session.toObject() : { ...session };
+    delete view.openingBalance;
+    delete view.expectedClosingBalance;
+    delete view.paymentMethods;
+    delete view.cashMovements;
+    return view;
+  }
+
+  /**
+   * Warehouse a register sells from: its own, else the POS default, else null (all warehouses)
+   */
+  resolveWarehouse(register, posSettings) {
+    return register?.warehouse || posSettings?.defaultWarehouse || null;
+  }
+
+  /**
+   * On-hand quantities keyed like stockKey(), for the given products in one warehouse (or all)
+   */
+  async getStockLevels(productIds, warehouseId = null) {
+    const ids = [...new Set(productIds.map(String))]
+      .filter((id) => mongoose.Types.ObjectId.isValid(id))
+      .map((id) => new mongoose.Types.ObjectId(id));
+    if (!ids.length) return new Map();
+    const match = { product: { $in: ids } };
+    if (warehouseId) match.warehouse = new mongoose.Types.ObjectId(String(warehouseId));
+    const rows = await Inventory.aggregate([
+      { $match: match },
+      { $group: { _id: { product: '$product', variantId: '$variantId', size: '$size', color: '$color' }, quantity: { $sum: '$quantity' } } }
+    ]);
+    const levels = new Map();
+    for (const r of rows) {
+      const key = stockKey({ product: String(r._id.product), variantId: r._id.variantId ? String(r._id.variantId) : null, size: r._id.size, color: r._id.color });
+      levels.set(key, (levels.get(key) || 0) + (Number(r.quantity) || 0));
+      const totalKey = `${r._id.product}|*`;
+      levels.set(totalKey, (levels.get(totalKey) || 0) + (Number(r.quantity) || 0));
+    }
+    return levels;
+  }
+
+  /**
+   * Availability of one product at a warehouse, with per-variant quantities
+   */
+  async checkAvailability({ productId, variantId, size, color, quantity = 1, warehouseId = null, allowNegative = false }) {
+    if (!mongoose.Types.ObjectId.isValid(String(productId))) throw httpError(400, 'Invalid product id');
+    const product = await Product.findById(productId).select('name sku variants isActive').lean();
+    if (!product) throw httpError(404, 'Product not found');
+    const levels = await this.getStockLevels([productId], warehouseId);
+    const pid = String(product._id);
+    const variants = (product.variants || [])
+      .filter((v) => v.isActive !== false)
+      .map((v) => ({
+        variantId: String(v._id),
+        sku: v.sku,
+        barcode: v.barcode,
+        price: v.price,
+        availableQuantity: levels.get(stockKey({ product: pid, variantId: String(v._id) })) || 0
+      }));
+    const requested = Math.max(1, Number(quantity) || 1);
+    const requiresVariant = variants.length > 0 && !variantId;
+    const availableQuantity = requiresVariant
+      ? levels.get(`${pid}|*`) || 0
+      : levels.get(stockKey({ product: pid, variantId, size, color })) || 0;
+    return {
+      productId: pid,
+      productName: product.name,
+      available: !requiresVariant && (allowNegative || availableQuantity >= requested),
+      availableQuantity,
+      requestedQuantity: requested,
+      requiresVariant,
+      allowNegativeInventory: allowNegative,
+      warehouse: warehouseId ? String(warehouseId) : null,
+      variants
+    };
+  }
+
+  /**
+   * Lines that exceed on-hand stock (duplicate lines for the same SKU are summed)
+   * @returns {Promise<Array<{product, variant, size, color, productName, requested, available}>>}
+   */
+  async findStockShortages(items, warehouseId = null) {
+    const wanted = new Map();
+    for (const it of items) {
+      const key = stockKey({ product: String(it.product), variant: it.variant, size: it.size, color: it.color });
+      const entry = wanted.get(key) || {
+        product: String(it.product),
+        variant: it.variant ? String(it.variant) : undefined,
+        size: it.variant ? undefined : it.size,
+        color: it.variant ? undefined : it.color,
+        productName: it.productName,
+        requested: 0
+      };
+      entry.requested += Number(it.quantity) || 0;
+      wanted.set(key, entry);
+    }
+    const levels = await this.getStockLevels(items.map((it) => it.product), warehouseId);
+    const shortages = [];
+    for (const [key, entry] of wanted) {
+      const available = levels.get(key) || 0;
+      if (available < entry.requested) shortages.push({ ...entry, available });
+    }
+    return shortages;
+  }
+
+  /**
+   * Decrement stock for a completed sale (register warehouse when set)
+   */
+  async commitSaleInventory(transaction, userId, { allowNegative = false } = {}) {
+    const items = transaction.items.map((it) => ({
+      product: it.product,
+      quantity: it.quantity,
+      ...(it.variant ? { variantId: it.variant } : { size: it.size, color: it.color }),
+      ...(transaction.warehouse ? { warehouse: transaction.warehouse } : {})
+    }));
+    await inventoryService.reserveItems(items, userId, null, {
+      reason: `POS sale ${transaction.transactionNumber}`,
+      allowNegative
+    });
+  }
+
+  /**
+   * Return refunded units to stock (same warehouse the sale drew from)
+   */
+  async restockRefund(refund, userId) {
+    const items = refund.items.map((it) => ({
+      product: it.product,
+      quantity: it.quantity,
+      ...(it.variant ? { variantId: it.variant } : { size: it.size, color: it.color }),
+      ...(refund.warehouse ? { warehouse: refund.warehouse } : {})
+    }));
+    await inventoryService.incrementItems(items, userId, `POS refund ${refund.transactionNumber}`);
+  }
+
   /**
    * Validate and calculate transaction totals
+   * transactionData.warehouse / allowNegative control the stock check (see checkAvailability)
    */
   async validateAndCalculateTransaction(transactionData) {
-    const { items, paymentMethod, payments, customerInfo, discounts = [], currency } = transactionData;
+    const { items, paymentMethod, payments, customerInfo, discounts = [], currency, warehouse = null, allowNegative = false } = transactionData;
     
     if (!items || items.length === 0) {
-      throw new Error('Transaction must have at least one item');
+      throw httpError(400, 'Transaction must have at least one item');
     }
     
     let subtotal = 0;
@@ -24,10 +217,21 @@ export class POSService {
       items.map(async (item) => {
         const product = await Product.findById(item.product);
         if (!product || !product.isActive) {
-          throw new Error(`Product ${item.product} not found or inactive`);
+          throw httpError(400, `Product ${item.product} not found or inactive`);
+        }
+        const quantity = Number(item.quantity);
+        if (!Number.isFinite(quantity) || quantity <= 0) {
+          throw httpError(400, `Invalid quantity for ${product.name}`);
+        }
+        let variant = null;
+        if (item.variant) {
+          variant = product.variants?.id(item.variant);
+          if (!variant || variant.isActive === false) {
+            throw httpError(400, `Variant ${item.variant} of ${product.name} not found or inactive`);
+          }
         }
         
-        let unitPrice = item.unitPrice || product.price;
+        let unitPrice = item.unitPrice || variant?.price || product.price;
         let itemTotal = unitPrice * item.quantity;
         
         // Apply item-level discount
@@ -56,7 +260,8 @@ export class POSService {
           unitPrice,
           totalPrice: itemTotal + itemTax,
           productName: product.name,
-          productSku: product.sku,
+          productSku: variant?.sku || product.sku,
+          variantName: variant ? (variant.sku || String(variant._id)) : item.variantName,
           discount: {
             amount: itemDiscount,
             percentage: item.discount?.percentage || 0,
@@ -70,25 +275,38 @@ export class POSService {
       })
     );
     
-    // Apply transaction-level discounts
+    // Stock check against the register's warehouse
+    if (!allowNegative) {
+      const [shortage] = await this.findStockShortages(processedItems, warehouse);
+      if (shortage) {
+        throw httpError(409, `Insufficient stock for ${shortage.productName}. Available: ${shortage.available}, requested: ${shortage.requested}`);
+      }
+    }
+
+    // Apply transaction-level discounts (item discounts are already netted out of subtotal)
+    let transactionDiscount = 0;
     discounts.forEach(discount => {
       if (discount.type === 'percentage') {
-        totalDiscount += (subtotal * discount.value) / 100;
+        transactionDiscount += (subtotal * discount.value) / 100;
       } else if (discount.type === 'fixed') {
-        totalDiscount += discount.value;
+        transactionDiscount += discount.value;
       }
     });
+    totalDiscount += transactionDiscount;
     
-    const total = subtotal + totalTax - totalDiscount;
+    const total = subtotal + totalTax - transactionDiscount;
+    const tenders = this.normalizeTenders(transactionData, total);
     
     // Validate payment
     let amountPaid = 0;
-    if (payments && payments.length > 0) {
-      amountPaid = payments.reduce((sum, payment) => sum + payment.amount, 0);
+    if (tenders.length > 0) {
+      amountPaid = tenders.reduce((sum, payment) => sum + payment.amount, 0);
+    } else if (transactionData.amountPaid != null) {
+      amountPaid = Number(transactionData.amountPaid) || 0;
     }
     
     if (amountPaid < total) {
-      throw new Error('Insufficient payment amount');
+      throw httpError(400, 'Insufficient payment amount');
     }
     
     const change = amountPaid - total;
@@ -99,10 +317,84 @@ export class POSService {
       totalTax,
       totalDiscount,
       total,
+      payments: tenders,
       amountPaid,
       change
     };
   }
+
+  /**
+   * Payment lines for a sale. paymentMethod 'gift-card' without payments becomes one gift card line for the
+   * total (card code in giftCardCode). Gift card lines need the code as reference and may not exceed the
+   * total, since no change is given from a card balance.
+   */
+  normalizeTenders({ paymentMethod, payments, giftCardCode }, total) {
+    const lines = Array.isArray(payments) && payments.length
+      ? payments.map((p) => ({ ...p, amount: Number(p.amount) }))
+      : (paymentMethod === 'gift-card' ? [{ method: 'gift-card', amount: round2(total), reference: giftCardCode }] : []);
+    let giftCardTotal = 0;
+    for (const p of lines) {
+      if (!Number.isFinite(p.amount) || p.amount < 0) throw httpError(400, 'Invalid payment amount');
+      if (p.method !== 'gift-card') continue;
+      if (!p.reference || !String(p.reference).trim()) throw httpError(400, 'Gift card payments need the card code as reference');
+      p.reference = String(p.reference).trim().toUpperCase();
+      giftCardTotal += p.amount;
+    }
+    if (round2(giftCardTotal) > round2(total)) throw httpError(400, 'Gift card tender cannot exceed the sale total');
+    return lines;
+  }
+
+  /**
+   * Take the gift card lines of a sale off the cards. All or nothing: when one card fails the ones already
+   * charged are credited back and the error is rethrown.
+   */
+  async redeemGiftCardTender(transaction) {
+    const redeemed = [];
+    try {
+      for (const p of transaction.payments || []) {
+        if (p.method !== 'gift-card' || !(p.amount > 0)) continue;
+        const result = await redeemGiftCard({
+          code: p.reference,
+          amount: p.amount,
+          posTransaction: transaction._id,
+          currency: transaction.currency
+        });
+        p.processor = 'gift-card';
+        p.processorResponse = { remainingBalance: result.remainingBalance };
+        redeemed.push(p);
+      }
+    } catch (e) {
+      await this.releaseGiftCardTender(transaction, redeemed);
+      throw e;
+    }
+    return redeemed;
+  }
+
+  /**
+   * Credit gift card lines back (sale voided after the cards were charged)
+   */
+  async releaseGiftCardTender(transaction, lines = null) {
+    const toRelease = lines || (transaction.payments || []).filter((p) => p.method === 'gift-card' && p.processor === 'gift-card');
+    for (const p of toRelease) {
+      try {
+        await creditGiftCard({ code: p.reference, amount: p.amount, posTransaction: transaction._id });
+      } catch (e) {
+        console.error(`Failed to release gift card ${p.reference} for POS transaction ${transaction._id}:`, e?.message || e);
+      }
+    }
+  }
+
+  /**
+   * Refund to gift card: the amount goes back to the card the sale was paid with, or to `code`
+   * @returns {Promise<{ code, remainingBalance }>}
+   */
+  async refundToGiftCard(refund, original, code) {
+    const charged = (original.payments || []).filter((p) => p.method === 'gift-card');
+    const target = code ? String(code).trim().toUpperCase() : charged[0]?.reference;
+    if (!target) throw httpError(400, 'giftCardCode is required to refund to a gift card');
+    const result = await creditGiftCard({ code: target, amount: Math.abs(refund.total), posTransaction: refund._id });
+    return { code: result.code, remainingBalance: result.remainingBalance };
+  }
   
   /**
    * Calculate session totals from transactions
@@ -159,16 +451,122 @@ export class POSService {
       }
     });
     
+    const session = await POSSession.findById(sessionId).select('openingBalance').lean();
+    const cashMovements = await this.getCashMovementTotals(sessionId);
+    const expectedCash = session ? await this.calculateExpectedCash(session) : null;
+
     return {
       totalTransactions,
       totalSales,
       totalRefunds,
       totalDiscounts,
       totalTax,
-      paymentMethods
+      paymentMethods,
+      cashMovements,
+      expectedCash
     };
   }
+
+  /**
+   * Drops, pay-ins and pay-outs recorded for a session
+   */
+  async getCashMovementTotals(sessionId) {
+    const rows = await POSCashMovement.aggregate([
+      { $match: { session: new mongoose.Types.ObjectId(String(sessionId)) } },
+      { $group: { _id: '$type', total: { $sum: '$amount' } } }
+    ]);
+    const totals = { drops: 0, payIns: 0, payOuts: 0 };
+    for (const r of rows) {
+      if (CASH_MOVEMENT_FIELDS[r._id]) totals[CASH_MOVEMENT_FIELDS[r._id]] = round2(r.total);
+    }
+    return totals;
+  }
+
+  /**
+   * Record a drop, pay-in or pay-out on an open session. Cash taken out cannot exceed what should be in
+   * the drawer unless the register allows a negative balance (the amount is only named to those who may see
+   * the expected cash of a blind-close session).
+   */
+  async recordCashMovement(session, { type, amount, reason, reference }, user) {
+    if (!CASH_MOVEMENT_FIELDS[type]) throw httpError(400, 'type must be drop, pay_in or pay_out');
+    const value = round2(amount);
+    if (!Number.isFinite(Number(amount)) || value <= 0) throw httpError(400, 'amount must be greater than 0');
+    if (!reason || !String(reason).trim()) throw httpError(400, 'reason is required');
+    if (session.status !== 'open') throw httpError(409, 'Session is not open');
+
+    if (type !== 'pay_in') {
+      const register = await POSRegister.findById(session.register).select('settings').lean();
+      if (!register?.settings?.allowNegativeBalance) {
+        const available = await this.calculateExpectedCash(session);
+        if (value > available) {
+          throw httpError(409, await this.revealsExpectedCash(user)
+            ? `Only ${available.toFixed(2)} ${session.currency} should be in the drawer`
+            : 'Amount exceeds the cash that should be in the drawer');
+        }
+      }
+    }
+
+    const movement = await POSCashMovement.create({
+      session: session._id,
+      register: session.register,
+      type,
+      amount: value,
+      reason: String(reason).trim(),
+      reference: reference ? String(reference).trim() : undefined,
+      performedBy: user._id,
+      currency: session.currency
+    });
+    await POSSession.updateOne(
+      { _id: session._id },
+      { $inc: { [`cashMovements.${CASH_MOVEMENT_FIELDS[type]}`]: value } }
+    );
+    return movement;
+  }
+
+  /**
+   * Validate a denomination count ([{ value, count }]) and total it. When the store configured its
+   * denominations, only those values are accepted.
+   */
+  countDenominations(denominations, allowed = []) {
+    if (!Array.isArray(denominations) || !denominations.length) {
+      throw httpError(400, 'denominations must be a non-empty array of { value, count }');
+    }
+    const byValue = new Map();
+    for (const d of denominations) {
+      const value = Number(d?.value);
+      const count = Number(d?.count);
+      if (!Number.isFinite(value) || value <= 0 || !Number.isInteger(count) || count < 0) {
+        throw httpError(400, 'Each denomination needs a positive value and a whole, non-negative count');
+      }
+      if (allowed.length && !allowed.includes(value)) throw httpError(400, `Unknown denomination ${value}`);
+      byValue.set(value, (byValue.get(value) || 0) + count);
+    }
+    const counted = [...byValue.entries()]
+      .sort((a, b) => b[0] - a[0])
+      .map(([value, count]) => ({ value, count }));
+    return { denominations: counted, total: round2(counted.reduce((sum, d) => sum + d.value * d.count, 0)) };
+  }
   
+  /**
+   * Cash that should be in the drawer: opening float + cash taken on sales (net of change) - cash refunds
+   * + pay-ins - drops - pay-outs
+   */
+  async calculateExpectedCash(session) {
+    const transactions = await POSTransaction.find({
+      session: session._id,
+      status: { $ne: 'voided' },
+      type: { $in: ['sale', 'refund'] }
+    }).select('type paymentMethod payments total change').lean();
+    let cash = Number(session.openingBalance) || 0;
+    for (const t of transactions) {
+      const cashPaid = cashTendered(t);
+      cash += t.type === 'refund' ? -Math.abs(cashPaid) : cashPaid;
+    }
+    const movements = await this.getCashMovementTotals(session._id);
+    cash += movements.payIns - movements.drops - movements.payOuts;
+    return round2(cash);
+  }
+
   /**
    * Update session totals after a new transaction
    */
@@ -210,15 +608,27 @@ export class POSService {
   }
   
   /**
-   * Generate detailed session report
+   * Generate detailed session report.
+   * type 'x': running figures, can be pulled any time during the shift; 'z': end-of-shift report for a
+   * closed session (the first Z report is stamped on the session). revealExpected=false leaves out, while a
+   * blind-close session is still open, the expected cash and everything it could be added up from: opening
+   * float, cash sales and refunds, cash movements, the payment method breakdown and the transaction list.
    */
-  async generateSessionReport(sessionId) {
+  async generateSessionReport(sessionId, { type = 'x', revealExpected = true } = {}) {
+    if (!['x', 'z'].includes(type)) throw httpError(400, 'Report type must be x or z');
     const session = await POSSession.findById(sessionId)
       .populate('register', 'name location')
       .populate('openedBy closedBy', 'firstName lastName');
     
     if (!session) {
-      throw new Error('Session not found');
+      throw httpError(404, 'Session not found');
+    }
+    if (type === 'z' && session.status !== 'closed') {
+      throw httpError(409, 'Z report is only available after the session is closed');
+    }
+    if (type === 'z' && !session.zReportAt) {
+      session.zReportAt = new Date();
+      await POSSession.updateOne({ _id: session._id, zReportAt: null }, { $set: { zReportAt: session.zReportAt } });
     }
     
     const transactions = await POSTransaction.find({ session: sessionId })
@@ -227,8 +637,8 @@ export class POSService {
       .sort({ createdAt: 1 });
     
     // Calculate additional metrics
-    const salesTransactions = transactions.filter(t => t.type === 'sale');
-    const refundTransactions = transactions.filter(t => t.type === 'refund');
+    const salesTransactions = transactions.filter(t => t.type === 'sale' && t.status !== 'voided');
+    const refundTransactions = transactions.filter(t => t.type === 'refund' && t.status !== 'voided');
     
     const averageTransaction = session.totalSales / (salesTransactions.length || 1);
     const refundRate = (refundTransactions.length / (salesTransactions.length || 1)) * 100;
@@ -254,10 +664,43 @@ export class POSService {
     const topProducts = Object.values(productSales)
       .sort((a, b) => b.revenue - a.revenue)
       .slice(0, 10);
-    
+
+    // Drawer reconciliation
+    const cashMovements = await POSCashMovement.find({ session: session._id })
+      .populate('performedBy', 'firstName lastName')
+      .sort({ createdAt: 1 });
+    const movementTotals = { drops: 0, payIns: 0, payOuts: 0 };
+    cashMovements.forEach(m => { movementTotals[CASH_MOVEMENT_FIELDS[m.type]] += m.amount; });
+    const cashSales = round2(salesTransactions.reduce((sum, t) => sum + cashTendered(t), 0));
+    const cashRefunds = round2(refundTransactions.reduce((sum, t) => sum + Math.abs(cashTendered(t)), 0));
+    const closed = session.status === 'closed';
+    const showExpected = closed || revealExpected;
+    const expectedCash = closed
+      ? session.expectedClosingBalance
+      : round2(session.openingBalance + cashSales - cashRefunds + movementTotals.payIns - movementTotals.drops - movementTotals.payOuts);
+    const cash = showExpected
+      ? {
+          openingBalance: session.openingBalance,
+          cashSales,
+          cashRefunds,
+          payIns: round2(movementTotals.payIns),
+          drops: round2(movementTotals.drops),
+          payOuts: round2(movementTotals.payOuts),
+          expected: expectedCash,
+          counted: closed ? session.closingBalance : null,
+          variance: closed ? session.variance : null,
+          closeMode: session.closeMode || null,
+          denominations: session.countedDenominations || []
+        }
+      : { blind: true, expected: null, counted: null, variance: null, closeMode: session.closeMode || null };
+
+    const sessionView = showExpected ? session : this.blindSessionView(session);
+
     return {
-      session,
-      transactions,
+      reportType: type,
+      generatedAt: new Date(),
+      session: sessionView,
+      ...(showExpected ? { transactions } : {}),
       summary: {
         totalTransactions: session.totalTransactions,
         salesTransactions: salesTransactions.length,
@@ -269,9 +712,11 @@ export class POSService {
         totalTax: session.totalTax,
         averageTransaction,
         refundRate: parseFloat(refundRate.toFixed(2)),
-        variance: session.variance || 0
+        variance: closed ? session.variance || 0 : null
       },
-      paymentMethods: session.paymentMethods,
+      ...(showExpected ? { paymentMethods: session.paymentMethods } : {}),
+      cash,
+      ...(showExpected ? { cashMovements } : {}),
       topProducts,
       performance: {
         averageTransactionValue: averageTransaction,
@@ -295,7 +740,7 @@ export class POSService {
     };
     
     if (registerId) {
-      matchStage.register = mongoose.Types.ObjectId(registerId);
+      matchStage.register = new mongoose.Types.ObjectId(registerId);
     }
     
     if (dateFrom || dateTo) {
@@ -0,0 +1,274 @@
+// posSyncService.js
+// Batch upload of POS sales recorded while a register was offline.
+// Every sale carries a client-generated id (the idempotency key) and the time it was rung up. The goods have
+// already left the shop, so stock and session problems do not reject a sale: it is recorded (stock may go
+// negative) and flagged with syncConflicts for a manager to review. Only sales that cannot be recorded at all
+// (unknown product, bad payload, no session to attach to) are rejected and stay queued on the client.
+// Gift card tender is charged on upload; a card that no longer covers it is a conflict, not a rejection.
+import mongoose from 'mongoose';
+import POSRegister from '../models/POSRegister.js';
+import POSSession from '../models/POSSession.js';
+import POSTransaction from '../models/POSTransaction.js';
+import POSSyncBatch from '../models/POSSyncBatch.js';
+import { posService } from './posService.js';
+import { autoIssuePosDocument } from './fiscalDocumentService.js';
+import { resolveSaleCustomer, accrueLoyaltyPoints } from './customerService.js';
+import { hasPermission } from '../utils/permissions.js';
+
+export const MAX_SYNC_BATCH = 200;
+const MAX_CLIENT_ID_LENGTH = 100;
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(String(id || ''));
+
+// Session the sale belongs to: the one named by the client, else the register session open at clientCreatedAt,
+// else the register's current open session (flagged as a mismatch)
+async function resolveSession(register, tx, ts) {
+  const conflicts = [];
+  let session = null;
+  if (tx.sessionId && isValidId(tx.sessionId)) {
+    session = await POSSession.findOne({ _id: tx.sessionId, register: register._id });
+  }
+  if (!session) {
+    session = await POSSession.findOne({
+      register: register._id,
+      openedAt: { $lte: ts },
+      $or: [{ closedAt: null }, { closedAt: { $gte: ts } }]
+    }).sort({ openedAt: -1 });
+  }
+  if (!session) {
+    session = await POSSession.findOne({ register: register._id, status: 'open' });
+    if (!session) return { session: null, conflicts };
+    conflicts.push({
+      type: 'session_mismatch',
+      message: 'No session covered the sale time; attached to the current open session',
+      details: { requestedSession: tx.sessionId || null, session: String(session._id) }
+    });
+  }
+  if (session.status !== 'open') {
+    conflicts.push({
+      type: 'session_closed',
+      message: 'Session was closed before the sale synced; its totals changed after closing',
+      details: { session: String(session._id), closedAt: session.closedAt, closedBy: session.closedBy }
+    });
+  }
+  return { session, conflicts };
+}
+
+async function syncOne(tx, ctx) {
+  const clientTransactionId = String(tx?.clientTransactionId || '').trim();
+  const base = { clientTransactionId };
+  if (!clientTransactionId || clientTransactionId.length > MAX_CLIENT_ID_LENGTH) {
+    return { ...base, status: 'rejected', error: 'clientTransactionId is required' };
+  }
+  const clientTs = new Date(tx.clientCreatedAt);
+  if (!tx.clientCreatedAt || Number.isNaN(clientTs.getTime())) {
+    return { ...base, status: 'rejected', error: 'clientCreatedAt must be a valid timestamp' };
+  }
+  // A register clock running ahead must not date sales in the future
+  const ts = clientTs > ctx.now ? ctx.now : clientTs;
+  base.clientCreatedAt = ts;
+
+  const known = ctx.seen.get(clientTransactionId) || ctx.existing.get(clientTransactionId);
+  if (known) return { ...base, status: 'duplicate', transaction: known };
+  if (tx.type && tx.type !== 'sale') {
+    return { ...base, status: 'rejected', error: `Offline ${tx.type} transactions are not supported` };
+  }
+
+  const { session, conflicts } = await resolveSession(ctx.register, tx, ts);
+  if (!session) {
+    return { ...base, status: 'rejected', error: 'No session covers this sale and the register has no open session' };
+  }
+
+  let calc;
+  try {
+    calc = await posService.validateAndCalculateTransaction({ ...tx, warehouse: ctx.warehouse, allowNegative: true });
+  } catch (e) {
+    return { ...base, status: 'rejected', error: e?.message || String(e) };
+  }
+  let customer;
+  try {
+    customer = await resolveSaleCustomer({ customer: tx.customer, customerInfo: tx.customerInfo });
+  } catch {
+    // Unknown account: keep the contact details the register captured
+    customer = { customer: undefined, customerInfo: tx.customerInfo };
+  }
+  const shortages = await posService.findStockShortages(calc.items, ctx.warehouse);
+  if (shortages.length) {
+    conflicts.push({
+      type: 'oversold',
+      message: 'Sold more than was in stock; inventory went negative',
+      details: { warehouse: ctx.warehouse ? String(ctx.warehouse) : null, items: shortages }
+    });
+  }
+
+  let transaction;
+  try {
+    transaction = await POSTransaction.create({
+      session: session._id,
+      register: ctx.register._id,
+      // The syncing user, unless a register manager uploads sales rung up by another cashier
+      cashier: isValidId(tx.cashier) && hasPermission(ctx.user, 'pos:manage') ? tx.cashier : ctx.user._id,
+      type: 'sale',
+      status: 'pending',
+      items: calc.items,
+      subtotal: calc.subtotal,
+      totalDiscount: calc.totalDiscount,
+      totalTax: calc.totalTax,
+      total: calc.total,
+      paymentMethod: tx.paymentMethod,
+      payments: calc.payments,
+      amountPaid: calc.amountPaid,
+      change: calc.change,
+      customer: customer.customer,
+      customerInfo: customer.customerInfo,
+      warehouse: ctx.warehouse || undefined,
+      currency: ctx.register.currency,
+      notes: tx.notes,
+      createdAt: ts,
+      clientTransactionId,
+      clientCreatedAt: ts,
+      offline: true,
+      syncedAt: ctx.now,
+      syncBatch: ctx.batchId,
+      syncConflicts: conflicts,
+      review: { status: conflicts.length ? 'pending' : 'none' }
+    });
+  } catch (e) {
+    // Same id uploaded concurrently by another request
+    if (e?.code === 11000) {
+      const dup = await POSTransaction.findOne({ clientTransactionId }).select('_id').lean();
+      if (dup) return { ...base, status: 'duplicate', transaction: dup._id };
+    }
+    return { ...base, status: 'rejected', error: e?.message || String(e) };
+  }
+
+  try {
+    await posService.commitSaleInventory(transaction, ctx.user._id, { allowNegative: true });
+  } catch (invErr) {
+    transaction.status = 'voided';
+    transaction.internalNotes = `Inventory commit failed: ${invErr?.message || invErr}`;
+    await transaction.save();
+    return { ...base, status: 'rejected', transaction: transaction._id, error: invErr?.message || 'Failed to commit inventory' };
+  }
+  try {
+    await posService.redeemGiftCardTender(transaction);
+  } catch (gcErr) {
+    conflicts.push({
+      type: 'gift_card',
+      message: 'Gift card could not be charged; collect the amount another way',
+      details: { cards: transaction.payments.filter((p) => p.method === 'gift-card').map((p) => p.reference), error: gcErr?.message || String(gcErr) }
+    });
+    transaction.syncConflicts = conflicts;
+    transaction.review = { status: 'pending' };
+  }
+  transaction.status = 'completed';
+  transaction.inventoryCommitted = true;
+  await transaction.save();
+  await posService.updateSessionTotals(session._id, transaction);
+  try {
+    await accrueLoyaltyPoints(transaction);
+  } catch (loyaltyErr) {
+    console.error('POS loyalty accrual failed:', loyaltyErr?.message || loyaltyErr);
+  }
+  await autoIssuePosDocument(transaction, ctx.user);
+
+  return { ...base, status: conflicts.length ? 'conflict' : 'created', transaction: transaction._id, conflicts };
+}
+
+/**
+ * Record a batch of offline sales for one register, oldest first.
+ * @param {{ registerId, deviceId?, transactions: Array<{ clientTransactionId, clientCreatedAt, sessionId?, items, paymentMethod, payments?, amountPaid?, ... }>, user }} input
+ * @returns {Promise<{ batchId, summary, results }>} results are in upload order
+ */
+export async function syncOfflineTransactions({ registerId, deviceId, transactions, user }) {
+  if (!isValidId(registerId)) throw httpError(400, 'registerId is required');
+  if (!Array.isArray(transactions) || !transactions.length) throw httpError(400, 'transactions must be a non-empty array');
+  if (transactions.length > MAX_SYNC_BATCH) throw httpError(400, `At most ${MAX_SYNC_BATCH} transactions per batch`);
+  const register = await POSRegister.findById(registerId);
+  if (!register) throw httpError(404, 'POS Register not found');
+
+  const posSettings = await posService.getPosSettings();
+  const batch = new POSSyncBatch({ register: register._id, deviceId, submittedBy: user._id });
+  const ids = transactions.map((t) => String(t?.clientTransactionId || '').trim()).filter(Boolean);
+  const existingDocs = ids.length
+    ? await POSTransaction.find({ clientTransactionId: { $in: ids } }).select('_id clientTransactionId').lean()
+    : [];
+  const ctx = {
+    register,
+    user,
+    warehouse: posService.resolveWarehouse(register, posSettings),
+    batchId: batch._id,
+    now: new Date(),
+    existing: new Map(existingDocs.map((d) => [d.clientTransactionId, d._id])),
+    seen: new Map()
+  };
+
+  // Replay in the order the sales happened so stock and session attribution follow the shop floor
+  const order = transactions
+    .map((tx, index) => ({ tx, index, at: new Date(tx?.clientCreatedAt).getTime() || 0 }))
+    .sort((a, b) => a.at - b.at || a.index - b.index);
+  const results = new Array(transactions.length);
+  for (const { tx, index } of order) {
+    let result;
+    try {
+      result = await syncOne(tx, ctx);
+    } catch (e) {
+      result = { clientTransactionId: String(tx?.clientTransactionId || ''), status: 'rejected', error: e?.message || String(e) };
+    }
+    if (result.transaction && result.status !== 'rejected' && !ctx.seen.has(result.clientTransactionId)) {
+      ctx.seen.set(result.clientTransactionId, result.transaction);
+    }
+    results[index] = result;
+  }
+
+  const count = (status) => results.filter((r) => r.status === status).length;
+  batch.results = results;
+  batch.summary = {
+    received: results.length,
+    created: count('created'),
+    duplicates: count('duplicate'),
+    conflicts: count('conflict'),
+    rejected: count('rejected')
+  };
+  await batch.save();
+  return { batchId: batch._id, summary: batch.summary, results };
+}
+
+// Offline sales flagged during sync that still need a manager's review
+export async function listSyncConflicts({ registerId, status = 'pending', page = 1, limit = 50 } = {}) {
+  const filter = { 'review.status': status === 'resolved' ? 'resolved' : 'pending' };
+  if (registerId && isValidId(registerId)) filter.register = registerId;
+  const take = Math.min(200, Math.max(1, parseInt(limit, 10) || 50));
+  const skip = (Math.max(1, parseInt(page, 10) || 1) - 1) * take;
+  const [transactions, total] = await Promise.all([
+    POSTransaction.find(filter)
+      .select('transactionNumber clientTransactionId clientCreatedAt syncedAt register session cashier total items syncConflicts review syncBatch')
+      .populate('register', 'name location')
+      .populate('cashier', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(take)
+      .lean(),
+    POSTransaction.countDocuments(filter)
+  ]);
+  return { transactions, pagination: { total, page: Math.floor(skip / take) + 1, limit: take, pages: Math.ceil(total / take) } };
+}
+
+export async function resolveSyncConflict(transactionId, { user, note } = {}) {
+  if (!isValidId(transactionId)) throw httpError(400, 'Invalid transaction id');
+  const transaction = await POSTransaction.findOneAndUpdate(
+    { _id: transactionId, 'review.status': 'pending' },
+    {
+      $set: {
+        'review.status': 'resolved',
+        'review.resolvedBy': user._id,
+        'review.resolvedAt': new Date(),
+        ...(note ? { 'review.note': String(note).slice(0, 2000) } : {})
+      }
+    },
+    { new: true }
+  );
+  if (!transaction) throw httpError(404, 'No pending conflict for this transaction');
+  return transaction;
+}
@@ -0,0 +1,227 @@
+// promotionPricingService.js
+// Server-side pricing engine shared by createOrder and payment session finalization.
+// Resolves the effective unit price of every cart line from the catalog, active flash sales and
+// active bundle offers, so promotional prices never depend on what the client sends.
+//
+// Rules:
+//  - Base price: variant.price override when set, otherwise product.price.
+//  - Flash sale: lowest active flashPrice wins. quantityLimit (0 = unlimited) caps how many units per order
+//    get the flash price; the remainder is charged at the base price.
+//    Category/brand sales are priced from discountPercent against the live base price (same as the storefront).
+//  - Bundle: applies to units NOT already discounted by a flash sale (no stacking). Every complete set of the
+//    bundle's products/quantities gets the bundle discount (explicit price, percent or fixed per set),
+//    allocated proportionally across the set's units.
+// A cart line can therefore resolve into several priced segments (e.g. 2 units at flash price + 1 at base price);
+// each segment becomes its own Order.items entry carrying the promotion that applied.
+
+import FlashSale from '../models/FlashSale.js';
+import BundleOffer from '../models/BundleOffer.js';
+import Product from '../models/Product.js';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+function computePercentPrice(base, pct) {
+  if (typeof base !== 'number' || !isFinite(base) || base <= 0) return 0;
+  if (typeof pct !== 'number' || !isFinite(pct) || pct <= 0 || pct >= 100) return 0;
+  const r = round2(base * (1 - pct / 100));
+  if (r <= 0) return 0;
+  if (r >= base) return Math.max(0, round2(base - 0.01));
+  return r;
+}
+
+// Catalog unit price for a product (optionally a specific variant)
+export function resolveBaseUnitPrice(product, variantId) {
+  if (!product) return NaN;
+  if (variantId && Array.isArray(product.variants)) {
+    const v = product.variants.find((x) => String(x?._id) === String(variantId));
+    const vp = Number(v?.price);
+    if (v && Number.isFinite(vp) && vp > 0) return vp;
+  }
+  return Number(product.price);
+}
+
+function productMatchesSale(product, sale) {
+  const pid = String(product._id);
+  if (sale.targetType === 'categories') {
+    const ids = new Set((sale.categoryIds || []).map(String));
+    if (product.category && ids.has(String(product.category))) return true;
+    return (product.categories || []).some((c) => ids.has(String(c)));
+  }
+  if (sale.targetType === 'brands') {
+    const ids = new Set((sale.brandIds || []).map(String));
+    return !!product.brand && ids.has(String(product.brand));
+  }
+  return (sale.items || []).some((it) => String(it.product) === pid);
+}
+
+// Best active flash sale offer for a product at the given base price, or null
+function findFlashOffer(product, basePrice, sales) {
+  let best = null;
+  for (const sale of sales) {
+    if (!productMatchesSale(product, sale)) continue;
+    let flashPrice = 0;
+    let quantityLimit = 0;
+    if (sale.targetType === 'categories' || sale.targetType === 'brands') {
+      flashPrice = computePercentPrice(basePrice, Number(sale.discountPercent));
+    } else {
+      const item = (sale.items || []).find((it) => String(it.product) === String(product._id));
+      flashPrice = Number(item?.flashPrice);
+      quantityLimit = Math.max(0, Number(item?.quantityLimit) || 0);
+    }
+    if (!Number.isFinite(flashPrice) || flashPrice <= 0 || flashPrice >= basePrice) continue;
+    if (!best || flashPrice < best.flashPrice) {
+      best = { saleId: sale._id, name: sale.name, flashPrice, quantityLimit };
+    }
+  }
+  return best;
+}
+
+export async function loadActivePromotions(now = new Date()) {
+  const [flashSales, bundles] = await Promise.all([
+    FlashSale.find({ active: true, startDate: { $lte: now }, endDate: { $gte: now } }).lean(),
+    BundleOffer.find({
+      active: true,
+      $and: [
+        { $or: [{ startDate: null }, { startDate: { $lte: now } }] },
+        { $or: [{ endDate: null }, { endDate: { $gte: now } }] }
+      ]
+    }).lean()
+  ]);
+  return { flashSales, bundles };
+}
+
+// Discount (currency amount) granted for ONE complete bundle set whose units are worth setBase at base price
+function bundleSetDiscount(bundle, setBase) {
+  const explicit = Number(bundle.price);
+  if (Number.isFinite(explicit) && explicit > 0) {
+    return Math.max(0, setBase - explicit);
+  }
+  const value = Number(bundle.discountValue);
+  if (!Number.isFinite(value) || value <= 0) return 0;
+  if (bundle.discountType === 'percent') return setBase * Math.min(100, value) / 100;
+  if (bundle.discountType === 'fixed') return Math.min(setBase, value);
+  return 0;
+}
+
+/**
+ * Price a cart server-side.
+ * @param {Array<{product: string|ObjectId, quantity: number, variantId?: string}>} items raw cart lines (extra fields are passed through)
+ * @param {{ session?: import('mongoose').ClientSession, now?: Date }} [opts]
+ * @returns {Promise<{ lines: Array, subtotal: number, baseSubtotal: number, promotions: Array }>}
+ *   lines[]: { item, product, quantity, unitPrice, basePrice, promotion }
+ *   Throws Error with statusCode 400/404 on invalid input.
+ */
+export async function priceCartItems(items, { session = null, now = new Date() } = {}) {
+  const { flashSales, bundles } = await loadActivePromotions(now);
+
+  // 1) Load products and apply flash sales per line
+  const working = [];
+  for (const item of items || []) {
+    const query = Product.findById(item.product);
+    const product = session ? await query.session(session) : await query;
+    if (!product) {
+      const err = new Error(`Product not found: ${item.product}`);
+      err.statusCode = 404;
+      throw err;
+    }
+    const qty = Number(item.quantity) || 0;
+    if (qty <= 0) {
+      const err = new Error(`Invalid quantity for product ${product.name}`);
+      err.statusCode = 400;
+      throw err;
+    }
+    const basePrice = resolveBaseUnitPrice(product, item.variantId);
+    if (!Number.isFinite(basePrice)) {
+      const err = new Error(`Product ${product.name} has invalid price`);
+      err.statusCode = 400;
+      throw err;
+    }
+    const offer = findFlashOffer(product, basePrice, flashSales);
+    const flashQty = offer ? (offer.quantityLimit > 0 ? Math.min(qty, offer.quantityLimit) : qty) : 0;
+    working.push({ item, product, qty, basePrice, offer, flashQty, regularQty: qty - flashQty, bundled: [] });
+  }
+
+  // Flash quantityLimit is per order: units of the same product on several lines share the allowance
+  const flashUsed = new Map();
+  for (const w of working) {
+    if (!w.offer || !w.offer.quantityLimit) continue;
+    const key = String(w.product._id);
+    const used = flashUsed.get(key) || 0;
+    const allowed = Math.max(0, Math.min(w.flashQty, w.offer.quantityLimit - used));
+    w.regularQty += w.flashQty - allowed;
+    w.flashQty = allowed;
+    flashUsed.set(key, used + allowed);
+  }
+
+  // 2) Apply bundles on the regular-priced units
+  const promotions = [];
+  for (const bundle of bundles) {
+    const parts = (bundle.products || []).filter((p) => p?.product && (Number(p.quantity) || 1) > 0);
+    if (!parts.length) continue;
+    let sets = Infinity;
+    for (const part of parts) {
+      const need = Number(part.quantity) || 1;
+      const available = working
+        .filter((w) => String(w.product._id) === String(part.product))
+        .reduce((s, w) => s + w.regularQty, 0);
+      sets = Math.min(sets, Math.floor(available / need));
+    }
+    if (!Number.isFinite(sets) || sets <= 0) continue;
+
+    // Take units line by line and remember their base value for proportional allocation
+    const taken = [];
+    for (const part of parts) {
+      let remaining = (Number(part.quantity) || 1) * sets;
+      for (const w of working) {
+        if (remaining <= 0) break;
+        if (String(w.product._id) !== String(part.product) || w.regularQty <= 0) continue;
+        const take = Math.min(remaining, w.regularQty);
+        w.regularQty -= take;
+        remaining -= take;
+        taken.push({ w, qty: take });
+      }
+    }
+    const setBase = taken.reduce((s, t) => s + t.w.basePrice * t.qty, 0) / sets;
+    const discountPerSet = bundleSetDiscount(bundle, setBase);
+    const ratio = setBase > 0 ? Math.max(0, 1 - discountPerSet / setBase) : 1;
+    for (const t of taken) {
+      t.w.bundled.push({ qty: t.qty, unitPrice: round2(t.w.basePrice * ratio), bundle });
+    }
+    if (discountPerSet > 0) {
+      promotions.push({ type: 'bundle', refId: bundle._id, name: bundle.title, sets, discount: round2(discountPerSet * sets) });
+    }
+  }
+
+  // 3) Emit priced segments
+  const lines = [];
+  let subtotal = 0;
+  let baseSubtotal = 0;
+  const flashTotals = new Map();
+  for (const w of working) {
+    baseSubtotal += w.basePrice * w.qty;
+    if (w.flashQty > 0) {
+      const promotion = { type: 'flash_sale', refId: w.offer.saleId, name: w.offer.name, originalPrice: w.basePrice };
+      lines.push({ item: w.item, product: w.product, quantity: w.flashQty, unitPrice: w.offer.flashPrice, basePrice: w.basePrice, promotion });
+      subtotal += w.offer.flashPrice * w.flashQty;
+      const key = String(w.offer.saleId);
+      const prev = flashTotals.get(key) || { type: 'flash_sale', refId: w.offer.saleId, name: w.offer.name, units: 0, discount: 0 };
+      prev.units += w.flashQty;
+      prev.discount = round2(prev.discount + (w.basePrice - w.offer.flashPrice) * w.flashQty);
+      flashTotals.set(key, prev);
+    }
+    for (const b of w.bundled) {
+      const promotion = b.unitPrice < w.basePrice
+        ? { type: 'bundle', refId: b.bundle._id, name: b.bundle.title, originalPrice: w.basePrice }
+        : undefined;
+      lines.push({ item: w.item, product: w.product, quantity: b.qty, unitPrice: b.unitPrice, basePrice: w.basePrice, promotion });
+      subtotal += b.unitPrice * b.qty;
+    }
+    if (w.regularQty > 0) {
+      lines.push({ item: w.item, product: w.product, quantity: w.regularQty, unitPrice: w.basePrice, basePrice: w.basePrice, promotion: undefined });
+      subtotal += w.basePrice * w.regularQty;
+    }
+  }
+  promotions.unshift(...flashTotals.values());
+
+  return { lines, subtotal: round2(subtotal), baseSubtotal: round2(baseSubtotal), promotions };
+}
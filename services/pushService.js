@@ -1,6 +1,7 @@
 import webpush from 'web-push';
 import PushSubscription from '../models/PushSubscription.js';
 import User from '../models/User.js';
+import { ORDER_ALERT_ROLES } from '../utils/permissions.js';
 
 export async function sendPushToUser(userId, payload) {
   const subs = await PushSubscription.find({ userId });
@@ -17,7 +18,7 @@ export async function sendPushToAll(payload) {
 // Payload can be object or pre-stringified.
 export async function sendPushToAdmins(payload) {
   // Find all admin user ids first to avoid large $in with role filter on subscriptions collection (subscriptions store userId ref)
-  const admins = await User.find({ role: 'admin' }).select('_id').lean();
+  const admins = await User.find({ role: { $in: ORDER_ALERT_ROLES } }).select('_id').lean();
   if (!admins.length) return { sent: 0, removed: 0, note: 'no-admin-users' };
   const adminIds = admins.map(a => a._id);
   const subs = await PushSubscription.find({ userId: { $in: adminIds } });
@@ -116,7 +116,7 @@ class RealTimeEventService {
 
         const orders = await Order.find({
           createdAt: { $gte: thirtyDaysAgo },
-          status: { $in: ['delivered', 'processing', 'shipped'] }
+          status: { $in: ['delivered', 'partially_delivered', 'processing', 'partially_shipped', 'shipped'] }
         });
 
         const totalSales = orders.reduce((sum, order) => sum + order.totalAmount, 0);
@@ -132,7 +132,7 @@ class RealTimeEventService {
         const sixtyDaysAgo = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000);
         const previousOrders = await Order.find({
           createdAt: { $gte: sixtyDaysAgo, $lt: thirtyDaysAgo },
-          status: { $in: ['delivered', 'processing', 'shipped'] }
+          status: { $in: ['delivered', 'partially_delivered', 'processing', 'partially_shipped', 'shipped'] }
         });
 
         const previousSales = previousOrders.reduce((sum, order) => sum + order.totalAmount, 0);
@@ -0,0 +1,333 @@
+// returnService.js
+// Returns / RMA workflow for orders: customer request -> admin approve -> receive (restock) -> refund.
+// Restocking goes through inventoryService.incrementItems into the chosen warehouse; refunds go back to the
+// original gateway (Z-Credit, PayPal) or are issued as store credit (gift card).
+
+import { StatusCodes } from 'http-status-codes';
+import { addDays } from 'date-fns';
+import Return from '../models/Return.js';
+import Order from '../models/Order.js';
+import GiftCard from '../models/GiftCard.js';
+import Warehouse from '../models/Warehouse.js';
+import { ApiError } from '../utils/ApiError.js';
+import { inventoryService } from './inventoryService.js';
+import { refundTransaction as zcreditRefund } from './zcreditGatewayService.js';
+import { getPayPalClient, paypalSdk } from './paypalClient.js';
+import { sendGiftCardEmail } from '../utils/emailService.js';
+import { realTimeEventService } from './realTimeEventService.js';
+import { enqueueOrderEvent } from './webhookService.js';
+import { issueOrderDocument } from './fiscalDocumentService.js';
+import { hasPermission } from '../utils/permissions.js';
+
+// Returns only make sense once goods reached the customer (or at least left the store)
+const RETURNABLE_ORDER_STATUSES = ['partially_shipped', 'shipped', 'partially_delivered', 'delivered', 'partially_returned'];
+const OPEN_RETURN_STATUSES = ['requested', 'approved', 'received', 'refunding'];
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+function buildRmaNumber() {
+  return `RMA${Date.now()}${Math.floor(Math.random() * 90 + 10)}`;
+}
+
+function pushHistory(doc, status, by, note) {
+  doc.status = status;
+  doc.statusHistory.push({ status, at: new Date(), by: by || undefined, note: note || undefined });
+}
+
+// Units per order line already claimed by open or completed returns
+async function claimedQuantities(orderId, excludeReturnId = null) {
+  const filter = { order: orderId, status: { $in: [...OPEN_RETURN_STATUSES, 'refunded'] } };
+  if (excludeReturnId) filter._id = { $ne: excludeReturnId };
+  const existing = await Return.find(filter).select('items').lean();
+  const map = new Map();
+  for (const r of existing) {
+    for (const it of r.items || []) {
+      const key = String(it.orderItem);
+      map.set(key, (map.get(key) || 0) + (Number(it.quantity) || 0));
+    }
+  }
+  return map;
+}
+
+// Check that a user (or guest identified by email) may act on an order
+export function canAccessOrder(order, { user, email } = {}) {
+  if (!order) return false;
+  if (user && hasPermission(user, 'orders:read')) return true;
+  if (user && order.user && String(order.user) === String(user._id)) return true;
+  const orderEmail = String(order.customerInfo?.email || '').toLowerCase();
+  const candidate = String(email || user?.email || '').trim().toLowerCase();
+  return !!candidate && candidate === orderEmail;
+}
+
+export async function createReturnRequest(order, { items, note, user } = {}) {
+  if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Order in status "${order.status}" cannot be returned`);
+  }
+  if (!Array.isArray(items) || !items.length) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'At least one item is required');
+  }
+  const claimed = await claimedQuantities(order._id);
+  const returnItems = [];
+  for (const req of items) {
+    const line = order.items.id(req.orderItem || req.itemId);
+    if (!line) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Order item not found: ${req.orderItem || req.itemId}`);
+    }
+    const qty = Number(req.quantity) || 0;
+    const available = (Number(line.quantity) || 0) - (claimed.get(String(line._id)) || 0);
+    if (qty <= 0 || qty > available) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Invalid return quantity for ${line.name || 'item'} (returnable: ${Math.max(0, available)})`);
+    }
+    claimed.set(String(line._id), (claimed.get(String(line._id)) || 0) + qty);
+    returnItems.push({
+      orderItem: line._id,
+      product: line.product,
+      variantId: line.variantId,
+      size: line.size,
+      color: line.color,
+      name: line.name,
+      quantity: qty,
+      unitPrice: line.price,
+      reason: req.reason,
+      note: req.note
+    });
+  }
+  const ci = order.customerInfo || {};
+  const doc = new Return({
+    rmaNumber: buildRmaNumber(),
+    order: order._id,
+    orderNumber: order.orderNumber,
+    user: order.user || user?._id,
+    customer: {
+      name: [ci.firstName, ci.lastName].filter(Boolean).join(' '),
+      email: ci.email,
+      mobile: ci.mobile
+    },
+    items: returnItems,
+    customerNote: note
+  });
+  pushHistory(doc, 'requested', user?._id, note);
+  await doc.save();
+  return doc;
+}
+
+export async function approveReturn(doc, { adminId, note } = {}) {
+  if (doc.status !== 'requested') {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Cannot approve a return in status "${doc.status}"`);
+  }
+  if (note) doc.adminNote = note;
+  pushHistory(doc, 'approved', adminId, note);
+  await doc.save();
+  return doc;
+}
+
+export async function rejectReturn(doc, { adminId, note } = {}) {
+  if (!['requested', 'approved'].includes(doc.status)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Cannot reject a return in status "${doc.status}"`);
+  }
+  if (note) doc.adminNote = note;
+  pushHistory(doc, 'rejected', adminId, note);
+  await doc.save();
+  return doc;
+}
+
+export async function cancelReturn(doc, { userId } = {}) {
+  if (doc.status !== 'requested') {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Only pending return requests can be cancelled');
+  }
+  pushHistory(doc, 'cancelled', userId);
+  await doc.save();
+  return doc;
+}
+
+// Mark goods as received and restock them into the chosen warehouse.
+// items (optional): [{ itemId, receivedQuantity, restock }] — defaults to everything, restocked.
+export async function receiveReturn(doc, { warehouseId, items, adminId, note } = {}) {
+  if (doc.status !== 'approved') {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Cannot receive a return in status "${doc.status}"`);
+  }
+  const warehouse = warehouseId ? await Warehouse.findById(warehouseId) : null;
+  const overrides = new Map((Array.isArray(items) ? items : []).map((it) => [String(it.itemId || it._id), it]));
+  const restockItems = [];
+  for (const it of doc.items) {
+    const o = overrides.get(String(it._id));
+    const received = o && o.receivedQuantity != null
+      ? Math.max(0, Math.min(it.quantity, Number(o.receivedQuantity) || 0))
+      : it.quantity;
+    it.receivedQuantity = received;
+    if (o && typeof o.restock === 'boolean') it.restock = o.restock;
+    if (it.restock && received > 0) {
+      restockItems.push({
+        product: it.product,
+        quantity: received,
+        ...(it.variantId ? { variantId: it.variantId } : { size: it.size, color: it.color }),
+        ...(warehouse ? { warehouse: warehouse._id } : {})
+      });
+    }
+  }
+  if (restockItems.length && !warehouse) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'warehouseId is required to restock returned items');
+  }
+  if (restockItems.length) {
+    await inventoryService.incrementItems(restockItems, adminId || null, `Return ${doc.rmaNumber}`);
+  }
+  doc.warehouse = warehouse?._id;
+  pushHistory(doc, 'received', adminId, note);
+  await doc.save();
+
+  // Reflect returned units on the order lines and derive order status
+  const order = await Order.findById(doc.order);
+  if (order) {
+    for (const it of doc.items) {
+      const line = order.items.id(it.orderItem);
+      if (line) line.returnedQuantity = (Number(line.returnedQuantity) || 0) + (it.receivedQuantity || 0);
+    }
+    const allReturned = order.items.every((l) => (Number(l.returnedQuantity) || 0) >= (Number(l.quantity) || 0));
+    const prevStatus = order.status;
+    order.status = allReturned ? 'returned' : 'partially_returned';
+    await order.save();
+    if (order.status !== prevStatus) {
+      await enqueueOrderEvent('order.status_changed', order, { extra: { previousStatus: prevStatus } });
+    } else {
+      await enqueueOrderEvent('order.updated', order);
+    }
+    try { realTimeEventService.emitOrderUpdate(order); } catch {}
+  }
+  return doc;
+}
+
+function detectGateway(order) {
+  const pd = order.paymentDetails || {};
+  if (order.paymentMethod === 'paypal' || pd?.purchase_units) return 'paypal';
+  if (pd.gateway === 'zcredit' || pd.zcredit) return 'zcredit';
+  return pd.gateway || order.paymentMethod || 'unknown';
+}
+
+// Refund `amount` of an order through the gateway that captured it (also used for order amendment refunds)
+export async function refundViaGateway(order, amount) {
+  const gateway = detectGateway(order);
+  const pd = order.paymentDetails || {};
+  if (gateway === 'zcredit') {
+    const referenceNumber = pd.zcredit?.ReferenceNumber || order.paymentReference;
+    if (!referenceNumber) throw new ApiError(StatusCodes.BAD_REQUEST, 'Z-Credit reference number missing on order');
+    const data = await zcreditRefund({ referenceNumber, amount });
+    return { gateway, reference: String(data?.ReferenceNumber || referenceNumber), providerResponse: data };
+  }
+  if (gateway === 'paypal') {
+    const captureId = pd?.purchase_units?.[0]?.payments?.captures?.[0]?.id;
+    if (!captureId) throw new ApiError(StatusCodes.BAD_REQUEST, 'PayPal capture id missing on order');
+    const client = await getPayPalClient();
+    const request = new paypalSdk.payments.CapturesRefundRequest(captureId);
+    request.requestBody({ amount: { value: amount.toFixed(2), currency_code: order.currency } });
+    const result = await client.execute(request);
+    return { gateway, reference: result?.result?.id, providerResponse: result?.result };
+  }
+  throw new ApiError(StatusCodes.BAD_REQUEST, `Refund to original payment is not supported for "${gateway}"; use store credit`);
+}
+
+async function issueStoreCredit(order, doc, amount, adminId) {
+  const giftCard = await GiftCard.create({
+    initialBalance: amount,
+    currentBalance: amount,
+    currency: order.currency,
+    expiryDate: addDays(new Date(), 365),
+    purchasedBy: order.user || adminId,
+    recipient: {
+      name: doc.customer?.name,
+      email: doc.customer?.email,
+      message: `Store credit for return ${doc.rmaNumber} (order ${order.orderNumber})`
+    }
+  });
+  if (doc.customer?.email) {
+    Promise.resolve().then(() => sendGiftCardEmail({ to: doc.customer.email, giftCard, sender: 'Store credit' }))
+      .catch((e) => console.error('Failed to send store credit email:', e?.message || e));
+  }
+  return giftCard;
+}
+
+// What the customer paid for the order: its lines less the coupon discount, plus shipping
+function orderPaidAmount(order) {
+  const subtotal = (order.items || []).reduce((s, it) => s + (Number(it.price) || 0) * (Number(it.quantity) || 0), 0);
+  return round2(Math.max(0, subtotal - (Number(order.coupon?.discount) || 0) + (Number(order.shippingFee) || 0)));
+}
+
+// Received units x unit price, less the order's coupon discount prorated over the order's lines by value
+function returnDefaultAmount(doc, order) {
+  const subtotal = (order.items || []).reduce((s, it) => s + (Number(it.price) || 0) * (Number(it.quantity) || 0), 0);
+  const discount = Number(order.coupon?.discount) || 0;
+  const share = subtotal > 0 ? Math.max(0, 1 - discount / subtotal) : 1;
+  return round2(doc.items.reduce((s, it) => s + it.unitPrice * (it.receivedQuantity || 0), 0) * share);
+}
+
+// Refund a received return. method: 'original' | 'store_credit'. amount defaults to received units x unit price,
+// less their share of the coupon discount; refunds never exceed what was paid less earlier refunds.
+// The return and the order's refundedAmount are claimed atomically before any money moves (and released again
+// when the refund fails), so a double submit or two refunds on the same order cannot both pay out.
+export async function refundReturn(doc, { method = 'original', amount, adminId } = {}) {
+  if (doc.status !== 'received') {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Cannot refund a return in status "${doc.status}"`);
+  }
+  if (!['original', 'store_credit'].includes(method)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'method must be "original" or "store_credit"');
+  }
+  const claimed = await Return.updateOne({ _id: doc._id, status: 'received' }, { $set: { status: 'refunding' } });
+  if (!claimed.modifiedCount) throw new ApiError(StatusCodes.CONFLICT, 'This return is already being refunded');
+  const releaseReturn = () => Return.updateOne({ _id: doc._id, status: 'refunding' }, { $set: { status: 'received' } });
+
+  let order;
+  let paidAmount;
+  let refundAmount;
+  try {
+    order = await Order.findById(doc.order);
+    if (!order) throw new ApiError(StatusCodes.NOT_FOUND, 'Order not found');
+    paidAmount = orderPaidAmount(order);
+    const refundable = round2(Math.max(0, paidAmount - (order.refundedAmount || 0)));
+    refundAmount = amount != null ? round2(amount) : Math.min(returnDefaultAmount(doc, order), refundable);
+    if (!(refundAmount > 0)) throw new ApiError(StatusCodes.BAD_REQUEST, 'Refund amount must be positive');
+    if (refundAmount > refundable) throw new ApiError(StatusCodes.BAD_REQUEST, `Refund amount exceeds refundable balance (${refundable})`);
+    // Reserve the amount on the order; fails when another refund took the balance in the meantime
+    order = await Order.findOneAndUpdate(
+      { _id: order._id, $or: [{ refundedAmount: { $lte: round2(paidAmount - refundAmount) } }, { refundedAmount: null }] },
+      { $inc: { refundedAmount: refundAmount } },
+      { new: true }
+    );
+    if (!order) throw new ApiError(StatusCodes.CONFLICT, 'Order refunds changed in the meantime; reload and try again');
+    order.refundedAmount = round2(order.refundedAmount);
+  } catch (e) {
+    await releaseReturn();
+    throw e;
+  }
+
+  const refund = { method, amount: refundAmount, currency: order.currency, refundedAt: new Date(), refundedBy: adminId };
+  try {
+    if (method === 'original') {
+      Object.assign(refund, await refundViaGateway(order, refundAmount));
+    } else {
+      const giftCard = await issueStoreCredit(order, doc, refundAmount, adminId);
+      Object.assign(refund, { gateway: 'gift_card', giftCard: giftCard._id, giftCardCode: giftCard.code, reference: giftCard.code });
+    }
+  } catch (e) {
+    await Order.updateOne({ _id: order._id }, { $inc: { refundedAmount: -refundAmount } });
+    await releaseReturn();
+    throw e;
+  }
+  doc.refund = refund;
+  pushHistory(doc, 'refunded', adminId, `${method} ${refundAmount} ${order.currency}`);
+  await doc.save();
+
+  order.paymentStatus = order.refundedAmount >= paidAmount
+    ? 'refunded'
+    : 'partially_refunded';
+  await Order.updateOne(
+    { _id: order._id, paymentStatus: { $ne: 'refunded' } },
+    { $set: { paymentStatus: order.paymentStatus } }
+  );
+  await enqueueOrderEvent('order.updated', order);
+  try { realTimeEventService.emitOrderUpdate(order); } catch {}
+  // Credit note against the order's invoice, when one was issued (never blocks the refund)
+  try {
+    await issueOrderDocument(order._id, { type: 'credit_note', amount: refundAmount, reason: `Return ${doc.rmaNumber}`, returnId: doc._id, user: { _id: adminId } });
+  } catch (e) {
+    if (e?.statusCode !== StatusCodes.CONFLICT) console.warn('[returns] credit note failed', { rma: doc.rmaNumber, error: e?.message || e });
+  }
+  return doc;
+}
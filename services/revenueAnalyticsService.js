@@ -9,7 +9,7 @@ class RevenueAnalyticsService {
       // Get orders within the date range
       const orders = await Order.find({
         createdAt: { $gte: start, $lte: end },
-        status: { $in: ['delivered', 'processing', 'shipped'] }
+        status: { $in: ['delivered', 'partially_delivered', 'processing', 'partially_shipped', 'shipped'] }
       }).populate('items.product');
 
       console.log(`Found ${orders.length} orders in period`);
@@ -202,12 +202,12 @@ class RevenueAnalyticsService {
 
     const currentOrders = await Order.find({
       createdAt: { $gte: start, $lte: end },
-      status: { $in: ['delivered', 'processing', 'shipped'] }
+      status: { $in: ['delivered', 'partially_delivered', 'processing', 'partially_shipped', 'shipped'] }
     });
 
     const previousOrders = await Order.find({
       createdAt: { $gte: previousStart, $lte: previousEnd },
-      status: { $in: ['delivered', 'processing', 'shipped'] }
+      status: { $in: ['delivered', 'partially_delivered', 'processing', 'partially_shipped', 'shipped'] }
     });
 
     const currentRevenue = currentOrders.reduce((sum, order) => sum + order.totalAmount, 0);
@@ -256,7 +256,7 @@ class RevenueAnalyticsService {
 
       const historicalOrders = await Order.find({
         createdAt: { $gte: start, $lte: end },
-        status: { $in: ['delivered', 'processing', 'shipped'] }
+        status: { $in: ['delivered', 'partially_delivered', 'processing', 'partially_shipped', 'shipped'] }
       });
 
       // Calculate average daily revenue
@@ -0,0 +1,359 @@
+// shipmentService.js
+// Split shipments: an order's lines are fulfilled in one or more Order.shipments, each with its own source
+// warehouse, carrier, tracking number and status history. Every parcel is dispatched on its own through
+// deliveryIntegrationService.sendToCompany, and the order status follows its shipments
+// (partially_shipped -> shipped -> partially_delivered -> delivered).
+//
+// The order-level delivery fields (deliveryCompany, deliveryStatus, deliveryTrackingNumber, ...) mirror the most
+// recently dispatched shipment so existing screens keep working.
+
+import { StatusCodes } from 'http-status-codes';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Warehouse from '../models/Warehouse.js';
+import DeliveryCompany from '../models/DeliveryCompany.js';
+import { ApiError } from '../utils/ApiError.js';
+import { sendToCompany, mapStatus } from './deliveryIntegrationService.js';
+import { enqueueOrderEvent } from './webhookService.js';
+import { realTimeEventService } from './realTimeEventService.js';
+import { outstandingBackorder } from './backorderService.js';
+
+export const SHIPMENT_STATUSES = ['pending', 'assigned', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'delivery_failed', 'returned', 'cancelled'];
+// Parcels that no longer hold their lines (the units can be shipped again)
+const RELEASED_STATUSES = ['cancelled', 'returned'];
+// Parcels that left the store
+const SHIPPED_STATUSES = ['picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'delivery_failed'];
+// Order statuses the shipments no longer drive
+const CLOSED_ORDER_STATUSES = ['cancelled', 'returned', 'partially_returned'];
+const FULFILLMENT_ORDER_STATUSES = ['partially_shipped', 'shipped', 'partially_delivered', 'delivered'];
+
+// A dispatch claim older than this is treated as abandoned (the process stopped while booking)
+const DISPATCH_CLAIM_TTL_MS = 5 * 60 * 1000;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const isActive = (shipment) => !RELEASED_STATUSES.includes(shipment.status);
+
+// Units per order line not yet allocated to an active shipment
+export function unallocatedQuantities(order, { excludeShipmentId = null } = {}) {
+  const remaining = new Map(order.items.map((line) => [String(line._id), Number(line.quantity) || 0]));
+  for (const shipment of order.shipments || []) {
+    if (!isActive(shipment)) continue;
+    if (excludeShipmentId && String(shipment._id) === String(excludeShipmentId)) continue;
+    for (const it of shipment.items) {
+      const key = String(it.orderItem);
+      if (remaining.has(key)) remaining.set(key, remaining.get(key) - it.quantity);
+    }
+  }
+  return remaining;
+}
+
+// Units per order line that can go into a new shipment: not yet shipped and not waiting for back-order stock
+export function shippableQuantities(order) {
+  const remaining = unallocatedQuantities(order);
+  for (const line of order.items) {
+    const key = String(line._id);
+    remaining.set(key, Math.max(0, remaining.get(key) - outstandingBackorder(line)));
+  }
+  return remaining;
+}
+
+/**
+ * Order status implied by the shipments, or null when they do not determine it (nothing shipped yet).
+ */
+export function deriveOrderStatus(order) {
+  const active = (order.shipments || []).filter(isActive);
+  if (!active.length) return null;
+  const totalUnits = order.items.reduce((s, line) => s + (Number(line.quantity) || 0), 0);
+  let shipped = 0;
+  let delivered = 0;
+  for (const shipment of active) {
+    const units = shipment.items.reduce((s, it) => s + it.quantity, 0);
+    if (SHIPPED_STATUSES.includes(shipment.status)) shipped += units;
+    if (shipment.status === 'delivered') delivered += units;
+  }
+  if (totalUnits > 0 && delivered >= totalUnits) return 'delivered';
+  if (delivered > 0) return 'partially_delivered';
+  if (totalUnits > 0 && shipped >= totalUnits) return 'shipped';
+  if (shipped > 0) return 'partially_shipped';
+  return null;
+}
+
+// Apply deriveOrderStatus and mirror the latest dispatched shipment into the legacy delivery fields
+function syncOrderFromShipments(order) {
+  const prevStatus = order.status;
+  if (!CLOSED_ORDER_STATUSES.includes(order.status)) {
+    const derived = deriveOrderStatus(order);
+    if (derived) order.status = derived;
+    // Shipments were cancelled or came back: the order is back to being prepared
+    else if (FULFILLMENT_ORDER_STATUSES.includes(order.status)) order.status = 'processing';
+  }
+  const latest = (order.shipments || [])
+    .filter((s) => s.dispatchedAt)
+    .sort((a, b) => new Date(b.dispatchedAt) - new Date(a.dispatchedAt))[0];
+  if (latest) {
+    order.deliveryCompany = latest.deliveryCompany;
+    order.deliveryStatus = latest.status === 'pending' ? 'assigned' : latest.status;
+    order.deliveryTrackingNumber = latest.trackingNumber;
+    order.trackingNumber = latest.trackingNumber;
+    order.deliveryAssignedAt = latest.dispatchedAt;
+    order.deliveryResponse = latest.providerResponse;
+    order.deliveryStatusUpdated = new Date();
+    if (latest.estimatedDate) order.deliveryEstimatedDate = latest.estimatedDate;
+  }
+  if ((order.shipments || []).length && order.shipments.filter(isActive).every((s) => s.status === 'delivered')) {
+    const last = order.shipments.map((s) => s.deliveredAt).filter(Boolean).sort((a, b) => b - a)[0];
+    if (last) order.deliveryActualDate = last;
+  }
+  return prevStatus;
+}
+
+async function saveAndNotify(order, prevStatus, shipment) {
+  await order.save();
+  const extra = shipment ? { shipment: serializeShipment(shipment) } : undefined;
+  await enqueueOrderEvent('order.shipment_updated', order, { extra });
+  if (order.status !== prevStatus) {
+    await enqueueOrderEvent('order.status_changed', order, { extra: { previousStatus: prevStatus } });
+  }
+  try { realTimeEventService.emitOrderUpdate(order); } catch {}
+}
+
+export function serializeShipment(shipment) {
+  const s = typeof shipment?.toObject === 'function' ? shipment.toObject() : shipment || {};
+  return {
+    id: String(s._id),
+    shipmentNumber: s.shipmentNumber,
+    status: s.status,
+    trackingNumber: s.trackingNumber,
+    deliveryCompany: s.deliveryCompany ? String(s.deliveryCompany._id || s.deliveryCompany) : undefined,
+    warehouse: s.warehouse ? String(s.warehouse._id || s.warehouse) : undefined,
+    items: (s.items || []).map((it) => ({ orderItem: String(it.orderItem), name: it.name, quantity: it.quantity })),
+    dispatchedAt: s.dispatchedAt,
+    deliveredAt: s.deliveredAt
+  };
+}
+
+export function findShipment(order, shipmentId) {
+  const shipment = mongoose.Types.ObjectId.isValid(String(shipmentId || '')) ? order.shipments.id(shipmentId) : null;
+  if (!shipment) throw new ApiError(StatusCodes.NOT_FOUND, 'Shipment not found');
+  return shipment;
+}
+
+// Cash the carrier collects for a COD order: each parcel carries its lines' value and the last one the rest
+// (shipping, discounts), so the parcels add up to the order total
+function defaultCodAmount(order, lines, completesOrder, excludeShipmentId) {
+  if (order.paymentMethod !== 'cod' || order.paymentStatus === 'completed') return 0;
+  const orderTotal = round2((order.totalWithShipping || 0) - (order.giftCard?.amountApplied || 0));
+  const assigned = (order.shipments || [])
+    .filter((s) => isActive(s) && String(s._id) !== String(excludeShipmentId))
+    .reduce((sum, s) => sum + (Number(s.codAmount) || 0), 0);
+  const open = Math.max(0, round2(orderTotal - assigned));
+  if (completesOrder) return open;
+  const value = lines.reduce((sum, l) => sum + (Number(l.price) || 0) * l.quantity, 0);
+  return round2(Math.min(value, open));
+}
+
+/**
+ * Add a shipment for some of the order's unshipped units.
+ * items: [{ orderItem, quantity }]; omitted = every unit not yet in a shipment.
+ */
+export async function createShipment(order, { items, warehouse, deliveryCompany, deliveryFee, codAmount, notes, user } = {}) {
+  if (CLOSED_ORDER_STATUSES.includes(order.status)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Order in status "${order.status}" cannot be shipped`);
+  }
+  const remaining = shippableQuantities(order);
+  const requested = Array.isArray(items) && items.length
+    ? items
+    : [...remaining.entries()].filter(([, qty]) => qty > 0).map(([orderItem, quantity]) => ({ orderItem, quantity }));
+  if (!requested.length) throw new ApiError(StatusCodes.BAD_REQUEST, 'No order items are ready to ship (already in shipments or waiting for back-order stock)');
+
+  const lines = [];
+  for (const req of requested) {
+    const line = order.items.id(req.orderItem);
+    if (!line) throw new ApiError(StatusCodes.BAD_REQUEST, `Order item not found: ${req.orderItem}`);
+    const qty = Number(req.quantity);
+    const available = remaining.get(String(line._id)) || 0;
+    if (!Number.isInteger(qty) || qty <= 0 || qty > available) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Invalid shipment quantity for ${line.name || 'item'} (ready to ship: ${Math.max(0, available)})`);
+    }
+    remaining.set(String(line._id), available - qty);
+    lines.push({ line, quantity: qty });
+  }
+
+  if (warehouse && !(await Warehouse.exists({ _id: warehouse }))) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Warehouse not found');
+  }
+  if (deliveryCompany && !(await DeliveryCompany.exists({ _id: deliveryCompany }))) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Delivery company not found');
+  }
+
+  // Last parcel of the order (back-ordered units still to come keep the order open)
+  const unallocated = unallocatedQuantities(order);
+  for (const { line, quantity } of lines) unallocated.set(String(line._id), unallocated.get(String(line._id)) - quantity);
+  const completesOrder = [...unallocated.values()].every((qty) => qty <= 0);
+  const shipmentNumber = `${order.orderNumber}-S${(order.shipments || []).length + 1}`;
+  order.shipments.push({
+    shipmentNumber,
+    items: lines.map(({ line, quantity }) => ({
+      orderItem: line._id,
+      product: line.product,
+      variantId: line.variantId,
+      size: line.size,
+      color: line.color,
+      name: line.name,
+      quantity
+    })),
+    warehouse: warehouse || undefined,
+    deliveryCompany: deliveryCompany || undefined,
+    status: 'pending',
+    statusHistory: [{ status: 'pending', source: 'admin', by: user?._id, note: notes }],
+    deliveryFee: Number(deliveryFee) || 0,
+    codAmount: codAmount != null
+      ? round2(codAmount)
+      : defaultCodAmount(order, lines.map(({ line, quantity }) => ({ price: line.price, quantity })), completesOrder),
+    notes,
+    createdBy: user?._id
+  });
+  const shipment = order.shipments[order.shipments.length - 1];
+  const prevStatus = syncOrderFromShipments(order);
+  await saveAndNotify(order, prevStatus, shipment);
+  return shipment;
+}
+
+/**
+ * Send one shipment to a delivery company and record the tracking number it returns.
+ */
+export async function dispatchShipment(order, shipment, company, { deliveryFee, user } = {}) {
+  if (!isActive(shipment) || shipment.status === 'delivered') {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Shipment in status "${shipment.status}" cannot be dispatched`);
+  }
+  if (shipment.dispatchedAt && shipment.trackingNumber) {
+    throw new ApiError(StatusCodes.CONFLICT, `Shipment ${shipment.shipmentNumber} was already sent (tracking ${shipment.trackingNumber})`);
+  }
+  // Claim the shipment in its current status before calling the carrier: of two concurrent dispatches only one
+  // books the parcel
+  const claimedAt = new Date();
+  const claim = await Order.updateOne(
+    {
+      _id: order._id,
+      shipments: {
+        $elemMatch: {
+          _id: shipment._id,
+          status: shipment.status,
+          $and: [
+            { $or: [{ dispatchedAt: null }, { trackingNumber: null }] },
+            { $or: [{ dispatchStartedAt: null }, { dispatchStartedAt: { $lt: new Date(claimedAt - DISPATCH_CLAIM_TTL_MS) } }] }
+          ]
+        }
+      }
+    },
+    { $set: { 'shipments.$.dispatchStartedAt': claimedAt } }
+  );
+  if (!claim.modifiedCount) {
+    throw new ApiError(StatusCodes.CONFLICT, `Shipment ${shipment.shipmentNumber} is already being sent or was changed; reload and try again`);
+  }
+  shipment.dispatchStartedAt = claimedAt;
+  if (typeof deliveryFee === 'number') shipment.deliveryFee = deliveryFee;
+
+  const companyObj = typeof company.toObject === 'function' ? company.toObject() : company;
+  let sent;
+  try {
+    const view = shipment.toObject();
+    if (view.warehouse) view.warehouse = await Warehouse.findById(view.warehouse).select('name address contact').lean();
+    sent = await sendToCompany(order.toObject(), companyObj, { deliveryFee: shipment.deliveryFee, shipment: view });
+  } catch (e) {
+    await Order.updateOne(
+      { _id: order._id, 'shipments._id': shipment._id },
+      { $unset: { 'shipments.$.dispatchStartedAt': 1 } }
+    ).catch(() => {});
+    throw e;
+  }
+  const { trackingNumber, providerResponse, providerStatus } = sent;
+
+  const status = mapStatus(companyObj, providerStatus || 'assigned');
+  shipment.dispatchStartedAt = undefined;
+  shipment.deliveryCompany = company._id;
+  shipment.trackingNumber = trackingNumber;
+  shipment.providerResponse = providerResponse;
+  shipment.dispatchedAt = new Date();
+  shipment.status = status;
+  shipment.statusHistory.push({ status, providerStatus: providerStatus || undefined, source: 'dispatch', by: user?._id });
+  order.deliveryFee = round2(order.shipments.filter(isActive).reduce((s, sh) => s + (Number(sh.deliveryFee) || 0), 0));
+  const prevStatus = syncOrderFromShipments(order);
+  await saveAndNotify(order, prevStatus, shipment);
+  return shipment;
+}
+
+/**
+ * Dispatch flow behind POST /delivery/send: send the given shipment, or one shipment holding every unit not
+ * yet in a shipment (the whole order when it was never split).
+ */
+export async function dispatchOrder(order, company, { shipmentId, deliveryFee, warehouse, user } = {}) {
+  let shipment;
+  if (shipmentId) {
+    shipment = findShipment(order, shipmentId);
+  } else {
+    const pending = order.shipments.filter((s) => s.status === 'pending' && !s.dispatchedAt);
+    const hasShippable = [...shippableQuantities(order).values()].some((qty) => qty > 0);
+    shipment = hasShippable
+      ? await createShipment(order, { warehouse, deliveryCompany: company._id, deliveryFee, user })
+      : pending[0];
+    if (!shipment) throw new ApiError(StatusCodes.BAD_REQUEST, 'Nothing left to dispatch: every unit is in a dispatched shipment or waiting for back-order stock');
+  }
+  return dispatchShipment(order, shipment, company, { deliveryFee, user });
+}
+
+/**
+ * Record a status change of one shipment (admin, carrier webhook or status poll).
+ */
+export async function updateShipmentStatus(order, shipment, { status, providerStatus, trackingNumber, note, occurredAt, estimatedDate, deliveredAt, source = 'admin', user } = {}) {
+  if (!SHIPMENT_STATUSES.includes(status)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `status must be one of ${SHIPMENT_STATUSES.join(', ')}`);
+  }
+  const at = occurredAt || new Date();
+  if (trackingNumber) shipment.trackingNumber = String(trackingNumber);
+  if (estimatedDate) shipment.estimatedDate = estimatedDate;
+  if (note) shipment.notes = note;
+  if (status === 'delivered') shipment.deliveredAt = deliveredAt || shipment.deliveredAt || at;
+  const changed = shipment.status !== status;
+  shipment.status = status;
+  if (changed || providerStatus) {
+    shipment.statusHistory.push({ status, providerStatus: providerStatus || undefined, at, source, note, by: user?._id });
+  }
+  const prevStatus = syncOrderFromShipments(order);
+  await saveAndNotify(order, prevStatus, shipment);
+  return shipment;
+}
+
+/**
+ * Record a carrier status on an order without shipments (sent before split shipments existed).
+ * Sets the legacy delivery fields and appends to Order.deliveryStatusHistory; the caller saves.
+ * @returns {boolean} whether the delivery status changed
+ */
+export function recordOrderDeliveryStatus(order, { status, providerStatus, occurredAt, deliveredAt, source } = {}) {
+  const at = occurredAt || new Date();
+  const changed = order.deliveryStatus !== status;
+  order.deliveryStatus = status;
+  order.deliveryStatusUpdated = at;
+  if (changed) {
+    order.deliveryStatusHistory.push({ status, providerStatus: providerStatus || undefined, at, source });
+  }
+  if (deliveredAt) order.deliveryActualDate = deliveredAt;
+  else if (status === 'delivered' && !order.deliveryActualDate) order.deliveryActualDate = at;
+  return changed;
+}
+
+export async function cancelShipment(order, shipment, { note, user } = {}) {
+  if (SHIPPED_STATUSES.includes(shipment.status)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Shipment in status "${shipment.status}" cannot be cancelled; record it as returned instead`);
+  }
+  return updateShipmentStatus(order, shipment, { status: 'cancelled', note, source: 'admin', user });
+}
+
+// Order and shipment a carrier tracking number belongs to
+export async function findByTrackingNumber(trackingNumber) {
+  const tracking = String(trackingNumber || '').trim();
+  if (!tracking) return { order: null, shipment: null };
+  const order = await Order.findOne({ 'shipments.trackingNumber': tracking });
+  if (!order) return { order: null, shipment: null };
+  return { order, shipment: order.shipments.find((s) => s.trackingNumber === tracking) || null };
+}
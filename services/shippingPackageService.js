@@ -0,0 +1,106 @@
+// shippingPackageService.js
+// Shipping weight of a cart or order. Products (and variants) carry a unit weight in kg and packed dimensions in
+// cm; order lines keep a snapshot of them. The package sums the lines:
+//   weight            actual weight (kg)
+//   volume            sum of the unit volumes (cm³)
+//   volumetricWeight  volume / divisor (cm³ per kg; Settings.shipping.volumetricDivisor, 5000 by default)
+//   chargeableWeight  the larger of the two
+// Rates price weight and volume (ShippingRate.calculateCost), orders keep the package in shippingCalculation and
+// delivery field mappings can read package.* (weight, volumetricWeight, chargeableWeight, volume, pieces).
+
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Settings from '../models/Settings.js';
+
+export const DEFAULT_VOLUMETRIC_DIVISOR = 5000;
+const DIMENSIONS = ['length', 'width', 'height'];
+
+const round3 = (n) => Math.round((Number(n) || 0) * 1000) / 1000;
+const positive = (v) => {
+  const n = Number(v);
+  return v !== null && v !== '' && Number.isFinite(n) && n > 0 ? n : null;
+};
+const completeDimensions = (d) => (d && DIMENSIONS.every((k) => positive(d[k]) !== null)
+  ? { length: Number(d.length), width: Number(d.width), height: Number(d.height) }
+  : undefined);
+
+/**
+ * Unit weight / dimensions of a product or one of its variants (variant values win when set)
+ * @returns {{ weight?: number, dimensions?: { length, width, height } }}
+ */
+export function itemShippingSpec(product, variantId) {
+  const variant = variantId && Array.isArray(product?.variants)
+    ? product.variants.find((v) => String(v._id) === String(variantId))
+    : null;
+  return {
+    weight: positive(variant?.weight) ?? positive(product?.weight) ?? undefined,
+    dimensions: completeDimensions(variant?.dimensions) || completeDimensions(product?.dimensions)
+  };
+}
+
+/**
+ * Package of lines carrying { quantity, weight, dimensions }. missingWeight counts units without a weight.
+ */
+export function summarizePackage(lines, { divisor = DEFAULT_VOLUMETRIC_DIVISOR } = {}) {
+  let pieces = 0;
+  let weight = 0;
+  let volume = 0;
+  let missingWeight = 0;
+  for (const line of lines || []) {
+    const quantity = Number(line.quantity) || 0;
+    if (quantity <= 0) continue;
+    pieces += quantity;
+    const unitWeight = positive(line.weight);
+    if (unitWeight === null) missingWeight += quantity;
+    else weight += unitWeight * quantity;
+    const d = completeDimensions(line.dimensions);
+    if (d) volume += d.length * d.width * d.height * quantity;
+  }
+  const div = positive(divisor) || DEFAULT_VOLUMETRIC_DIVISOR;
+  const volumetricWeight = round3(volume / div);
+  return {
+    pieces,
+    weight: round3(weight),
+    volume: Math.round(volume),
+    volumetricWeight,
+    chargeableWeight: Math.max(round3(weight), volumetricWeight),
+    divisor: div,
+    missingWeight
+  };
+}
+
+export async function getVolumetricDivisor() {
+  try {
+    const s = await Settings.findOne().sort({ updatedAt: -1 }).select('shipping.volumetricDivisor').lean();
+    return positive(s?.shipping?.volumetricDivisor) || DEFAULT_VOLUMETRIC_DIVISOR;
+  } catch {
+    return DEFAULT_VOLUMETRIC_DIVISOR;
+  }
+}
+
+/**
+ * Package of cart items or order lines that only reference their product: weight / dimensions already on the
+ * item (order line snapshot) are used as they are, the rest come from the products.
+ * items: [{ product, variantId?, quantity, weight?, dimensions? }]
+ */
+export async function buildCartPackage(items, { divisor } = {}) {
+  const list = Array.isArray(items) ? items : [];
+  const productIdOf = (it) => String(it?.product?._id || it?.product || '');
+  const ids = [...new Set(list
+    .filter((it) => positive(it?.weight) === null || !completeDimensions(it?.dimensions))
+    .map(productIdOf)
+    .filter((id) => mongoose.isValidObjectId(id)))];
+  const products = ids.length
+    ? await Product.find({ _id: { $in: ids } }).select('weight dimensions variants._id variants.weight variants.dimensions').lean()
+    : [];
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+  const lines = list.map((it) => {
+    const spec = itemShippingSpec(byId.get(productIdOf(it)), it.variantId);
+    return {
+      quantity: it.quantity,
+      weight: positive(it.weight) ?? spec.weight,
+      dimensions: completeDimensions(it.dimensions) || spec.dimensions
+    };
+  });
+  return summarizePackage(lines, { divisor: divisor ?? await getVolumetricDivisor() });
+}
@@ -6,14 +6,17 @@ import Settings from '../models/Settings.js';
  * Calculate shipping fee based on order details
  * @param {Object} params - Shipping calculation parameters
  * @param {number} params.subtotal - Order subtotal
- * @param {number} params.weight - Total weight of items
+ * @param {number} params.weight - Total weight of items (kg)
+ * @param {number} params.volume - Total volume of items in cm³ (optional, for rates priced on volumetric weight)
  * @param {string} params.country - Destination country
  * @param {string} params.region - Destination region (optional)
  * @param {string} params.areaGroup - Area grouping label (optional, overrides region when provided)
  * @param {string} params.city - Destination city (optional for city-specific rates)
+ * @param {number} params.missingWeight - Units in the package without a weight (optional); weight-band rates are
+ *   skipped when there are any, since those units would otherwise ship as 0 kg in the cheapest band
  * @returns {Promise<number>} Calculated shipping fee
  */
-export const calculateShippingFee = async ({ subtotal, weight, country, region, city, areaGroup }) => {
+export const calculateShippingFee = async ({ subtotal, weight, volume, country, region, city, areaGroup, missingWeight = 0 }) => {
   try {
     const resolvedAreaGroup = await resolveAreaGroupForCity(areaGroup, city);
     const effectiveRegion = resolvedAreaGroup || region;
@@ -114,7 +117,11 @@ export const calculateShippingFee = async ({ subtotal, weight, country, region,
     
     const candidateRates = citySpecific.length ? citySpecific : allRates;
     for (const rate of candidateRates) {
-      const cost = rate.calculateCost(subtotal, weight);
+      if (rate.method === 'weight_band' && missingWeight > 0) {
+        console.warn('[shipping] weight-band rate skipped: package has units without a weight', { rate: rate.name, missingWeight });
+        continue;
+      }
+      const cost = rate.calculateCost(subtotal, weight, { volume });
       if (cost !== null) {
         applicableRates.push({
           rate,
@@ -162,6 +169,15 @@ export const calculateShippingFee = async ({ subtotal, weight, country, region,
   }
 };
 
+/**
+ * Fee charged when no shipping zone or rate covers the address (DEFAULT_SHIPPING_FEE, 50 when unset)
+ * @returns {number}
+ */
+export const defaultShippingFee = () => {
+  const fee = Number(process.env.DEFAULT_SHIPPING_FEE || 50);
+  return Number.isFinite(fee) && fee > 0 ? fee : 0;
+};
+
 /**
  * Get available shipping options for a location
  * @param {Object} params - Location parameters
@@ -169,9 +185,10 @@ export const calculateShippingFee = async ({ subtotal, weight, country, region,
  * @param {string} params.region - Destination region (optional)
  * @param {number} params.subtotal - Order subtotal (optional)
  * @param {number} params.weight - Total weight (optional)
+ * @param {number} params.volume - Total volume in cm³ (optional)
  * @returns {Promise<Array>} Available shipping options
  */
-export const getAvailableShippingOptions = async ({ country, region, areaGroup, city, subtotal = 0, weight = 0 }) => {
+export const getAvailableShippingOptions = async ({ country, region, areaGroup, city, subtotal = 0, weight = 0, volume = 0 }) => {
   try {
     const resolvedAreaGroup = await resolveAreaGroupForCity(areaGroup, city);
     const effectiveRegion = resolvedAreaGroup || region;
@@ -284,7 +301,7 @@ export const getAvailableShippingOptions = async ({ country, region, areaGroup,
       if (normalizedAreaGroup && areaGroupEntriesByZone.has(zoneId)) {
         continue;
       }
-      const cost = rate.calculateCost(subtotal, weight);
+      const cost = rate.calculateCost(subtotal, weight, { volume });
       if (cost !== null) {
         options.push({
           id: rate._id,
@@ -405,6 +422,37 @@ function getAreaGroupEtaLabel(entry) {
   return `${eta.label} ${eta.unit}`;
 }
 
+/**
+ * Delivery time configured for an area group on the active shipping zones
+ * @param {Object} params
+ * @param {string} [params.areaGroup] - Area group (resolved from the city when empty)
+ * @param {string} [params.city] - City
+ * @returns {Promise<{ areaGroup: string, zone: string, label: string, numeric: number|null, unit: string, estimatedDays: number|null }|null>}
+ */
+export const getAreaGroupDeliveryEta = async ({ areaGroup, city } = {}) => {
+  const resolved = await resolveAreaGroupForCity(areaGroup, city);
+  if (!resolved) return null;
+  const zones = await ShippingZone.find({
+    isActive: true,
+    'areaGroupPrices.areaGroup': { $regex: buildCaseInsensitiveRegex(resolved) }
+  });
+  for (const zone of zones) {
+    const entry = getAreaGroupEntry(zone, resolved);
+    const eta = getAreaGroupEta(entry);
+    if (eta) {
+      return {
+        areaGroup: resolved,
+        zone: zone.name,
+        label: getAreaGroupEtaLabel(entry),
+        numeric: eta.numeric,
+        unit: eta.unit,
+        estimatedDays: getAreaGroupEstimatedDays(entry)
+      };
+    }
+  }
+  return null;
+};
+
 // Cache city → areaGroup mappings to avoid repeated full Settings scans
 const cityAreaGroupCache = {
   map: null,
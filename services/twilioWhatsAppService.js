@@ -0,0 +1,92 @@
+// Twilio WhatsApp sender shared by the checkout reminder and booking notification schedulers.
+// Credentials come from Settings.checkoutForm (twilio*) with TWILIO_* env vars as fallback.
+import axios from 'axios';
+
+export const envTwilio = {
+  enabled: String(process.env.TWILIO_WHATSAPP_AUTO_ENABLED || '').trim() === '1',
+  accountSid: process.env.TWILIO_ACCOUNT_SID || '',
+  authToken: process.env.TWILIO_AUTH_TOKEN || '',
+  from: process.env.TWILIO_WHATSAPP_FROM || '',
+  messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID || ''
+};
+
+// Default country code to rewrite local numbers (e.g. 059 -> +97259)
+const DEFAULT_WHATSAPP_COUNTRY_CODE = (process.env.TWILIO_DEFAULT_COUNTRY_CODE || process.env.DEFAULT_COUNTRY_CODE || '972')
+  .replace(/\D/g, '')
+  .trim();
+
+export const normalizeE164 = (phone) => {
+  const raw = String(phone || '').trim();
+  let digits = raw.replace(/\D/g, '');
+  if (!digits) return '';
+
+  // Remove leading 00 (international dial prefix) if present
+  if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  }
+
+  // If already starts with default country code (e.g. 972...), trust it
+  if (DEFAULT_WHATSAPP_COUNTRY_CODE && digits.startsWith(DEFAULT_WHATSAPP_COUNTRY_CODE)) {
+    return `+${digits}`;
+  }
+
+  // Convert local numbers that start with a leading 0 to E.164 using default country
+  if (DEFAULT_WHATSAPP_COUNTRY_CODE && digits.startsWith('0')) {
+    return `+${DEFAULT_WHATSAPP_COUNTRY_CODE}${digits.slice(1)}`;
+  }
+
+  // Handle local numbers missing the leading 0 (e.g. 598..., 2598...)
+  if (DEFAULT_WHATSAPP_COUNTRY_CODE && digits.length >= 7 && digits.length <= 11) {
+    return `+${DEFAULT_WHATSAPP_COUNTRY_CODE}${digits}`;
+  }
+
+  return `+${digits}`;
+};
+
+export const normalizeWhatsAppAddress = (phone) => {
+  const e164 = normalizeE164(phone);
+  if (!e164) return '';
+  const digits = e164.replace(/\D/g, '');
+  // Twilio generally expects 8-15 digits; reject clearly invalid lengths
+  if (digits.length < 8 || digits.length > 15) return '';
+  return `whatsapp:${e164}`;
+};
+
+export const normalizeFromAddress = (from) => {
+  const raw = String(from || '').trim();
+  if (!raw) return '';
+  if (raw.startsWith('whatsapp:')) return raw;
+  if (raw.startsWith('+')) return `whatsapp:${raw}`;
+  const digits = raw.replace(/\D/g, '');
+  if (!digits) return '';
+  return `whatsapp:+${digits}`;
+};
+
+// mediaUrl: optional public URL Twilio fetches and attaches (e.g. a PDF)
+export const sendWhatsAppViaTwilio = async ({ accountSid, authToken, from, messagingServiceSid, to, body, mediaUrl }) => {
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
+  const payload = new URLSearchParams();
+  if (messagingServiceSid) {
+    payload.set('MessagingServiceSid', messagingServiceSid);
+  } else {
+    payload.set('From', from);
+  }
+  payload.set('To', to);
+  payload.set('Body', body);
+  if (mediaUrl) payload.set('MediaUrl', mediaUrl);
+  const response = await axios.post(url, payload.toString(), {
+    auth: { username: accountSid, password: authToken },
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+  });
+  return response?.data || null;
+};
+
+// Effective Twilio config: Settings.checkoutForm values win over env
+export const resolveTwilioConfig = (checkoutForm = {}) => ({
+  accountSid: String(checkoutForm.twilioAccountSid || envTwilio.accountSid || '').trim(),
+  authToken: String(checkoutForm.twilioAuthToken || envTwilio.authToken || '').trim(),
+  from: normalizeFromAddress(checkoutForm.twilioWhatsAppFrom || envTwilio.from || ''),
+  messagingServiceSid: String(checkoutForm.twilioMessagingServiceSid || envTwilio.messagingServiceSid || '').trim()
+});
+
+export const isTwilioConfigured = (cfg) => !!(cfg?.accountSid && cfg?.authToken && (cfg.from || cfg.messagingServiceSid));
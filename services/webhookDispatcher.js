@@ -0,0 +1,218 @@
+// webhookDispatcher.js
+// Polls the outbox: fans pending events out to matching webhook subscriptions (one WebhookDelivery each),
+// then sends due deliveries with HMAC signatures and exponential backoff between failed attempts.
+import axios from 'axios';
+import OutboxEvent from '../models/OutboxEvent.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import { eventMatches, signWebhookPayload } from './webhookService.js';
+
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '15000', 10);
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+const STALE_LOCK_MS = 5 * 60 * 1000; // reclaim work from a crashed instance
+const EVENT_BATCH = 50;
+const DELIVERY_BATCH = 20;
+const RESPONSE_BODY_MAX = 2000;
+
+let timer = null;
+let running = false;
+
+// 30s, 1m, 2m, 4m ... capped at 6h
+export const backoffDelayMs = (attempts) => Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_MS);
+
+async function fanOutEvents() {
+  let subscriptions = null;
+  for (let i = 0; i < EVENT_BATCH; i++) {
+    const now = new Date();
+    const event = await OutboxEvent.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending' },
+          { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+        ]
+      },
+      { $set: { status: 'processing', lockedAt: now } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+    if (!event) return;
+    if (!subscriptions) subscriptions = await WebhookSubscription.find({ active: true }).select('_id url events').lean();
+    const targets = event.subscription
+      ? subscriptions.filter((s) => String(s._id) === String(event.subscription))
+      : subscriptions.filter((s) => eventMatches(s.events, event.type));
+    if (targets.length) {
+      try {
+        await WebhookDelivery.insertMany(targets.map((s) => ({
+          subscription: s._id,
+          event: event._id,
+          eventType: event.type,
+          url: s.url,
+          nextAttemptAt: now
+        })), { ordered: false });
+      } catch (e) {
+        // Duplicate (event, subscription) pairs mean a previous attempt already fanned this event out
+        if (e?.code !== 11000 && !e?.writeErrors?.every?.((w) => w.code === 11000)) throw e;
+      }
+    }
+    await OutboxEvent.updateOne(
+      { _id: event._id },
+      { $set: { status: 'processed', processedAt: new Date(), deliveries: targets.length }, $unset: { lockedAt: 1 } }
+    );
+  }
+}
+
+/**
+ * Send one delivery and record the outcome. The caller must already have claimed it (status 'sending').
+ * @param {object} delivery WebhookDelivery document
+ * @param {{ manual?: boolean }} [options] manual redelivery from the admin UI
+ */
+export async function attemptDelivery(delivery, { manual = false } = {}) {
+  const [subscription, event] = await Promise.all([
+    WebhookSubscription.findById(delivery.subscription).lean(),
+    OutboxEvent.findById(delivery.event).lean()
+  ]);
+  const now = new Date();
+  const attempts = (delivery.attempts || 0) + 1;
+  let responseStatus;
+  let responseBody;
+  let error;
+  const started = Date.now();
+
+  if (!subscription || !event) {
+    error = !subscription ? 'Subscription deleted' : 'Event not found';
+  } else if (!subscription.active && !manual) {
+    error = 'Subscription inactive';
+  } else {
+    const body = JSON.stringify({ id: String(event._id), type: event.type, createdAt: event.createdAt, data: event.payload });
+    const { timestamp, signature } = signWebhookPayload(subscription.secret, body);
+    try {
+      const resp = await axios.post(subscription.url, body, {
+        timeout: REQUEST_TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        transformResponse: [(d) => d],
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Store-Webhooks/1.0',
+          'X-Webhook-Event': event.type,
+          'X-Webhook-Event-Id': String(event._id),
+          'X-Webhook-Delivery': String(delivery._id),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signature
+        }
+      });
+      responseStatus = resp.status;
+      responseBody = typeof resp.data === 'string' ? resp.data.slice(0, RESPONSE_BODY_MAX) : undefined;
+      if (resp.status < 200 || resp.status >= 300) error = `HTTP ${resp.status}`;
+    } catch (e) {
+      error = e?.code ? `${e.code}: ${e.message}` : (e?.message || String(e));
+    }
+  }
+
+  const ok = !error;
+  const durationMs = Date.now() - started;
+  // Missing subscription/event cannot succeed later; manual retries of a dead delivery don't revive the schedule
+  const permanent = !subscription || !event || (manual && delivery.status === 'failed');
+  let status = 'succeeded';
+  let nextAttemptAt;
+  if (!ok) {
+    if (permanent || attempts >= MAX_ATTEMPTS) status = 'failed';
+    else {
+      status = 'retrying';
+      nextAttemptAt = new Date(now.getTime() + backoffDelayMs(attempts));
+    }
+  }
+
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    {
+      $set: {
+        status,
+        attempts,
+        lastAttemptAt: now,
+        ...(responseStatus ? { responseStatus } : {}),
+        ...(responseBody !== undefined ? { responseBody } : {}),
+        ...(ok ? { deliveredAt: now } : { error }),
+        ...(nextAttemptAt ? { nextAttemptAt } : {})
+      },
+      $unset: { lockedAt: 1, ...(ok ? { error: 1 } : {}) },
+      $push: { attemptLog: { $each: [{ at: now, responseStatus, durationMs, error, manual }], $slice: -20 } }
+    }
+  );
+  if (subscription) {
+    await WebhookSubscription.updateOne(
+      { _id: subscription._id },
+      ok
+        ? { $set: { lastDeliveryAt: now, lastDeliveryStatus: 'succeeded', consecutiveFailures: 0 } }
+        : { $set: { lastDeliveryAt: now, lastDeliveryStatus: status }, $inc: { consecutiveFailures: 1 } }
+    );
+  }
+  return { ok, status, attempts, responseStatus, error };
+}
+
+async function deliverDue() {
+  const now = new Date();
+  const due = await WebhookDelivery.find({
+    $or: [
+      { status: { $in: ['pending', 'retrying'] }, nextAttemptAt: { $lte: now } },
+      { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+    ]
+  }).sort({ nextAttemptAt: 1 }).limit(DELIVERY_BATCH).lean();
+
+  for (const d of due) {
+    // Claim atomically so concurrent instances don't double-send
+    const claimed = await WebhookDelivery.updateOne(
+      { _id: d._id, status: d.status, ...(d.lockedAt ? { lockedAt: d.lockedAt } : {}) },
+      { $set: { status: 'sending', lockedAt: new Date() } }
+    );
+    if (!claimed.modifiedCount) continue;
+    try {
+      await attemptDelivery(d);
+    } catch (e) {
+      console.warn('[webhooks] delivery attempt failed', String(d._id), e?.message || e);
+    }
+  }
+}
+
+// Manual redelivery from the admin UI: sends immediately, regardless of the retry schedule
+export async function redeliver(deliveryId) {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: { $ne: 'sending' } },
+    { $set: { status: 'sending', lockedAt: new Date() } },
+    { new: false } // previous state tells attemptDelivery whether this was a dead delivery
+  ).lean();
+  if (!delivery) {
+    const err = new Error('Delivery not found or currently being sent');
+    err.statusCode = 409;
+    throw err;
+  }
+  return attemptDelivery(delivery, { manual: true });
+}
+
+export function startWebhookDispatcher() {
+  if (timer) return;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await fanOutEvents();
+      await deliverDue();
+    } catch (e) {
+      console.warn('[webhooks] dispatcher tick failed', e?.message || e);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, POLL_INTERVAL_MS);
+}
+
+export function stopWebhookDispatcher() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
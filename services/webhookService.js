@@ -0,0 +1,101 @@
+// webhookService.js
+// Outbound webhooks: events are written to the OutboxEvent collection in the same flow as the change
+// (inside the order transaction when there is one) and delivered asynchronously by webhookDispatcher.js.
+import crypto from 'crypto';
+import OutboxEvent from '../models/OutboxEvent.js';
+
+export const WEBHOOK_EVENT_TYPES = ['order.created', 'order.updated', 'order.status_changed', 'order.shipment_updated', 'inventory.updated', 'webhook.ping'];
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Signature header value for a delivery: "t=<unix seconds>,v1=<hex hmac>".
+ * Receivers recompute HMAC-SHA256(secret, `${t}.${rawBody}`) and compare; t guards against replays.
+ */
+export function signWebhookPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', String(secret)).update(`${timestamp}.${body}`).digest('hex');
+  return { timestamp, signature: `t=${timestamp},v1=${digest}` };
+}
+
+// Subscription filter: '*' matches all, 'order.*' matches a prefix, otherwise exact type
+export function eventMatches(filters, type) {
+  const list = Array.isArray(filters) && filters.length ? filters : ['*'];
+  return list.some((f) => f === '*' || f === type || (f.endsWith('.*') && type.startsWith(f.slice(0, -1))));
+}
+
+export function sanitizeEventFilters(list) {
+  const values = (Array.isArray(list) ? list : [list]).map((v) => String(v || '').trim()).filter(Boolean);
+  const valid = values.filter((v) => v === '*' || WEBHOOK_EVENT_TYPES.includes(v) || (v.endsWith('.*') && WEBHOOK_EVENT_TYPES.some((t) => t.startsWith(v.slice(0, -1)))));
+  return valid.length ? [...new Set(valid)] : ['*'];
+}
+
+export function serializeOrderForWebhook(order) {
+  const o = typeof order?.toObject === 'function' ? order.toObject() : order || {};
+  return {
+    id: String(o._id),
+    orderNumber: o.orderNumber,
+    status: o.status,
+    paymentStatus: o.paymentStatus,
+    paymentMethod: o.paymentMethod,
+    totalAmount: o.totalAmount,
+    currency: o.currency,
+    shippingFee: o.shippingFee,
+    customerInfo: o.customerInfo,
+    shippingAddress: o.shippingAddress,
+    items: (o.items || []).map((it) => ({
+      product: String(it.product?._id || it.product),
+      name: it.name || it.product?.name,
+      sku: it.sku,
+      variantId: it.variantId,
+      size: it.size,
+      color: it.color,
+      quantity: it.quantity,
+      price: it.price
+    })),
+    shipments: (o.shipments || []).map((sh) => ({
+      id: String(sh._id),
+      shipmentNumber: sh.shipmentNumber,
+      status: sh.status,
+      trackingNumber: sh.trackingNumber,
+      items: (sh.items || []).map((it) => ({ orderItem: String(it.orderItem), quantity: it.quantity }))
+    })),
+    createdAt: o.createdAt,
+    updatedAt: o.updatedAt
+  };
+}
+
+/**
+ * Append an event to the outbox. Pass the mongoose session to commit it atomically with the change.
+ * Errors are logged, not thrown, unless a session is given (then the caller's transaction should abort).
+ */
+export async function enqueueEvent(type, payload, { session = null, aggregateType, aggregateId, subscription } = {}) {
+  const doc = { type, payload, aggregateType, aggregateId: aggregateId ? String(aggregateId) : undefined, subscription };
+  if (session) {
+    const [event] = await OutboxEvent.create([doc], { session });
+    return event;
+  }
+  try {
+    return await OutboxEvent.create(doc);
+  } catch (e) {
+    console.warn('[webhooks] failed to enqueue event', type, e?.message || e);
+    return null;
+  }
+}
+
+export const enqueueOrderEvent = (type, order, { session, extra } = {}) =>
+  enqueueEvent(type, { order: serializeOrderForWebhook(order), ...(extra || {}) }, {
+    session,
+    aggregateType: 'Order',
+    aggregateId: order?._id
+  });
+
+export default {
+  WEBHOOK_EVENT_TYPES,
+  generateWebhookSecret,
+  signWebhookPayload,
+  eventMatches,
+  sanitizeEventFilters,
+  serializeOrderForWebhook,
+  enqueueEvent,
+  enqueueOrderEvent
+};
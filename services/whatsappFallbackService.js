@@ -14,6 +14,7 @@
 
 import User from '../models/User.js';
 import Settings from '../models/Settings.js';
+import { FULL_ACCESS_ROLES } from '../utils/permissions.js';
 
 function sanitizePhone(number) {
   if (!number) return null;
@@ -41,7 +42,7 @@ export async function generateAdminWhatsAppLinks(orderDoc) {
   } catch {}
 
   // Fetch admins who opted in (if whatsappOptIn flag present) OR fallback to any admin with phoneNumber
-  const admins = await User.find({ role: 'admin' }).select('_id name phoneNumber whatsappOptIn').lean();
+  const admins = await User.find({ role: { $in: FULL_ACCESS_ROLES } }).select('_id name phoneNumber whatsappOptIn').lean();
 
   // Build base message (include store name prefix if available)
   const prefix = storeName ? `[${storeName}] ` : '';
@@ -0,0 +1,33 @@
+import { signUserJwt } from './jwt.js';
+import { createSession, refreshTtlMs } from './refreshTokenStore.js';
+
+// Refresh cookie options. For cross-site (Netlify/other -> Render) use SameSite=None; Secure.
+export function refreshCookieOptions() {
+  const allowCrossSite = ['1','true','yes','on'].includes(String(process.env.ALLOW_CROSS_SITE_COOKIES || '').toLowerCase());
+  let cookieSameSite = (process.env.COOKIE_SAMESITE || (process.env.NODE_ENV === 'production' ? 'none' : 'lax')).toLowerCase();
+  if (allowCrossSite) cookieSameSite = 'none';
+  const sameSiteValue = ['lax','strict','none'].includes(cookieSameSite) ? cookieSameSite : 'lax';
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: sameSiteValue,
+    maxAge: refreshTtlMs(),
+    path: '/api/auth'
+  };
+}
+
+export function setRefreshCookie(res, token) {
+  res.cookie('rt', token, refreshCookieOptions());
+}
+
+export function clearRefreshCookie(res) {
+  res.clearCookie('rt', { path: '/api/auth' });
+}
+
+// Login: short-lived access JWT + new refresh session (token family) in an HttpOnly cookie
+export async function issueAuthTokens(req, res, userId, { accessTtl = process.env.ACCESS_TOKEN_TTL || '1h' } = {}) {
+  const accessToken = signUserJwt(userId, { expiresIn: accessTtl });
+  const { token, session } = await createSession(userId, req);
+  setRefreshCookie(res, token);
+  return { accessToken, refreshTtlMs: refreshTtlMs(), session };
+}
@@ -23,23 +23,111 @@ export const SUPPORTED_CURRENCIES = {
   ILS: { name: 'Israeli Shekel', symbol: '₪', exchangeRate: 3.60 }
 };
 
-export function convertPrice(amount, fromCurrency, toCurrency) {
-  if (!amount || isNaN(amount)) return 0;
-  if (fromCurrency === toCurrency) return amount;
+// Live rates (USD base) loaded from the ExchangeRate collection by services/exchangeRateService.js.
+// The exchangeRate values above are only a fallback for currencies without a stored rate.
+const liveRates = new Map();
+let staleAfterMs = 48 * 60 * 60 * 1000;
+
+/**
+ * Replace the live rate table.
+ * @param {Record<string, { rate: number, asOf: Date, source: string }>} rates
+ * @param {{ staleAfterHours?: number }} options
+ */
+export function setExchangeRates(rates, { staleAfterHours } = {}) {
+  liveRates.clear();
+  for (const [code, entry] of Object.entries(rates || {})) {
+    if (SUPPORTED_CURRENCIES[code] && Number(entry?.rate) > 0) liveRates.set(code, entry);
+  }
+  if (Number(staleAfterHours) > 0) staleAfterMs = Number(staleAfterHours) * 60 * 60 * 1000;
+}
 
-  const fromRate = SUPPORTED_CURRENCIES[fromCurrency]?.exchangeRate;
-  const toRate = SUPPORTED_CURRENCIES[toCurrency]?.exchangeRate;
+/**
+ * Rate for one currency (units per 1 USD) and how much to trust it.
+ * @returns {{ currency, rate, asOf: Date|null, source: string, stale: boolean } | null}
+ */
+export function getExchangeRate(currency) {
+  if (!SUPPORTED_CURRENCIES[currency]) return null;
+  if (currency === 'USD') return { currency, rate: 1, asOf: null, source: 'base', stale: false };
+  const live = liveRates.get(currency);
+  if (live) {
+    const asOf = live.asOf ? new Date(live.asOf) : null;
+    const stale = !asOf || Date.now() - asOf.getTime() > staleAfterMs;
+    return { currency, rate: live.rate, asOf, source: live.source, stale };
+  }
+  return { currency, rate: SUPPORTED_CURRENCIES[currency].exchangeRate, asOf: null, source: 'built-in', stale: true };
+}
+
+/**
+ * convertPrice with the rate that was used and warnings when a rate is stale or built-in.
+ * @returns {{ amount: number, rate: number, asOf: Date|null, stale: boolean, warnings: string[] }}
+ */
+export function convertPriceDetailed(amount, fromCurrency, toCurrency) {
+  if (fromCurrency === toCurrency) {
+    return { amount: !amount || isNaN(amount) ? 0 : amount, rate: 1, asOf: null, stale: false, warnings: [] };
+  }
+  const from = getExchangeRate(fromCurrency);
+  const to = getExchangeRate(toCurrency);
 
-  if (!fromRate || !toRate) {
+  if (!from?.rate || !to?.rate) {
     throw new Error('Invalid currency');
   }
 
+  const warnings = [];
+  for (const r of [from, to]) {
+    if (!r.stale) continue;
+    warnings.push(r.source === 'built-in'
+      ? `No stored exchange rate for ${r.currency}; using the built-in rate`
+      : `Exchange rate for ${r.currency} is stale (last updated ${r.asOf ? r.asOf.toISOString() : 'unknown'})`);
+  }
+  const dates = [from.asOf, to.asOf].filter(Boolean);
+  const asOf = dates.length ? new Date(Math.min(...dates.map((d) => d.getTime()))) : null;
+
   // Convert to USD first, then to target currency
-  const inUSD = amount / fromRate;
-  const converted = inUSD * toRate;
+  const rate = to.rate / from.rate;
+  const converted = !amount || isNaN(amount) ? 0 : Number(((amount / from.rate) * to.rate).toFixed(2));
+  return { amount: converted, rate, asOf, stale: from.stale || to.stale, warnings };
+}
+
+export function convertPrice(amount, fromCurrency, toCurrency) {
+  if (!amount || isNaN(amount)) return 0;
+  if (fromCurrency === toCurrency) return amount;
 
   // Round based on currency
-  return Number(converted.toFixed(2));
+  return convertPriceDetailed(amount, fromCurrency, toCurrency).amount;
+}
+
+// Minor units per ISO 4217 (JOD/KWD: 3, LBP/IQD: 0, most others: 2)
+export function currencyDecimals(currency) {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch {
+    return 2;
+  }
+}
+
+/**
+ * Round a display price by a per-currency rule.
+ *  increment: step prices snap to (1 = whole units, 0.05, 1000 for LBP); default one minor unit
+ *  ending:    amount added on top of the step, e.g. 0.9 with increment 1 gives x.90 prices
+ *  mode:      'nearest' (default), 'up' or 'down'
+ * @param {number} amount
+ * @param {{ increment?: number, ending?: number, mode?: string }|null} rule
+ * @param {string} currency
+ */
+export function roundDisplayPrice(amount, rule, currency) {
+  const decimals = currencyDecimals(currency);
+  const fix = (n) => Number(n.toFixed(decimals));
+  if (!amount || isNaN(amount)) return 0;
+  const increment = Number(rule?.increment) > 0 ? Number(rule.increment) : Math.pow(10, -decimals);
+  const ending = Number(rule?.ending) > 0 && Number(rule.ending) < increment ? Number(rule.ending) : 0;
+  const steps = (amount - ending) / increment;
+  // Tolerance so 9.9000000001 does not round up a whole step
+  const k = rule?.mode === 'up'
+    ? Math.ceil(steps - 1e-9)
+    : rule?.mode === 'down' ? Math.floor(steps + 1e-9) : Math.round(steps);
+  const rounded = k * increment + ending;
+  // Never round a positive price down to zero
+  return fix(rounded > 0 ? rounded : increment + ending);
 }
 
 export function formatPrice(amount, currency) {
@@ -61,4 +61,28 @@ export async function sendGiftCardEmail({ to, giftCard, sender }) {
     subject: `You've Received a ${formattedAmount} Gift Card!`,
     html
   });
-}
\ No newline at end of file
+}
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Plain-text notification (booking confirmations, reminders, fiscal documents); line breaks are kept in the HTML part
+// attachments: nodemailer attachment objects ({ filename, content, contentType })
+export async function sendNotificationEmail({ to, subject, text, attachments }) {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; white-space: pre-line;">
+      ${escapeHtml(text)}
+    </div>
+  `;
+
+  await transporter.sendMail({
+    from: `"Eva Curves" <${process.env.SMTP_FROM}>`,
+    to,
+    subject,
+    text,
+    html,
+    ...(attachments?.length ? { attachments } : {})
+  });
+}
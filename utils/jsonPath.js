@@ -0,0 +1,45 @@
+// JSONPath-style reads for carrier payload mapping. Supported subset:
+//   $.data.order.reference   a.b.c   events[0].status   events[-1].status (last)   ['key with.dots']   items[*].sku
+// A leading '$' is optional. '[*]' collects the values from every element; read() returns the first defined one.
+
+const SEGMENT_RE = /\[\s*(-?\d+|\*|'[^']*'|"[^"]*")\s*\]|\.?([^.[\]]+)/g;
+
+export function parseJsonPath(path) {
+  const src = String(path || '').trim().replace(/^\$\.?/, '');
+  const segments = [];
+  let m;
+  SEGMENT_RE.lastIndex = 0;
+  while ((m = SEGMENT_RE.exec(src))) {
+    if (m[2] !== undefined) segments.push(m[2]);
+    else if (m[1] === '*') segments.push({ wildcard: true });
+    else if (/^-?\d+$/.test(m[1])) segments.push({ index: Number(m[1]) });
+    else segments.push(m[1].slice(1, -1));
+  }
+  return segments;
+}
+
+/**
+ * All values at a path (several when it contains [*])
+ */
+export function readJsonPathAll(obj, path) {
+  let nodes = [obj];
+  for (const seg of parseJsonPath(path)) {
+    const next = [];
+    for (const node of nodes) {
+      if (node === null || node === undefined) continue;
+      if (typeof seg === 'string') {
+        if (typeof node === 'object' && seg in node) next.push(node[seg]);
+      } else if (seg.wildcard) {
+        if (Array.isArray(node)) next.push(...node);
+        else if (typeof node === 'object') next.push(...Object.values(node));
+      } else if (Array.isArray(node)) {
+        const i = seg.index < 0 ? node.length + seg.index : seg.index;
+        if (i >= 0 && i < node.length) next.push(node[i]);
+      }
+    }
+    nodes = next;
+  }
+  return nodes.filter((v) => v !== undefined);
+}
+
+export const readJsonPath = (obj, path) => readJsonPathAll(obj, path)[0];
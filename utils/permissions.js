@@ -0,0 +1,86 @@
+// Role-based access control: permission matrix for staff roles.
+// `owner` and the legacy `admin` role hold every permission ('*'); `user` holds none.
+// Routes check permissions via requirePermission() in middleware/auth.js; adminAuth still means full access.
+
+export const PERMISSIONS = [
+  'orders:read',
+  'orders:write', // status changes, edits, shipping recalculation
+  'orders:refund', // approve/refund returns, gateway refunds
+  'catalog:write', // products, categories, brands, attributes, reviews
+  'promotions:write', // coupons, flash sales, bundles, gift cards
+  'inventory:read',
+  'inventory:write', // stock levels, warehouses, transfers
+  'pos:operate', // open/close own sessions, ring up sales
+  'pos:refund',
+  'pos:manage', // registers
+  'content:write', // pages, banners, navigation, uploads, translations
+  'customers:read',
+  'customers:write',
+  'users:manage_roles',
+  'grooming:manage',
+  'shipping:manage',
+  'reports:read',
+  'push:send', // push / WhatsApp broadcasts
+  'settings:write', // general store settings
+  'payments:manage', // payment gateway credentials
+  'integrations:manage', // ERP / delivery / cloud service credentials
+  'audit:read', // admin audit log
+  'db:manage'
+];
+
+export const ROLES = ['user', 'owner', 'admin', 'manager', 'support', 'warehouse', 'cashier', 'content_editor'];
+
+export const ROLE_PERMISSIONS = {
+  user: [],
+  owner: ['*'],
+  admin: ['*'],
+  manager: [
+    'orders:read', 'orders:write', 'orders:refund',
+    'catalog:write', 'promotions:write',
+    'inventory:read', 'inventory:write',
+    'pos:operate', 'pos:refund', 'pos:manage',
+    'content:write',
+    'customers:read', 'customers:write',
+    'grooming:manage', 'shipping:manage', 'reports:read', 'push:send'
+  ],
+  support: [
+    'orders:read', 'orders:write',
+    'customers:read', 'customers:write',
+    'inventory:read', 'grooming:manage'
+  ],
+  warehouse: [
+    'orders:read',
+    'inventory:read', 'inventory:write',
+    'shipping:manage'
+  ],
+  cashier: [
+    'pos:operate',
+    'inventory:read', 'customers:read'
+  ],
+  content_editor: [
+    'catalog:write', 'content:write'
+  ]
+};
+
+// Roles that may sign in to the admin panel
+export const STAFF_ROLES = ROLES.filter((r) => r !== 'user');
+
+export function permissionsForRole(role) {
+  const list = ROLE_PERMISSIONS[role] || [];
+  return list.includes('*') ? [...PERMISSIONS] : [...list];
+}
+
+export function hasPermission(userOrRole, permission) {
+  const role = typeof userOrRole === 'string' ? userOrRole : userOrRole?.role;
+  const list = ROLE_PERMISSIONS[role] || [];
+  return list.includes('*') || list.includes(permission);
+}
+
+export const isFullAccessRole = (role) => (ROLE_PERMISSIONS[role] || []).includes('*');
+
+export const FULL_ACCESS_ROLES = ROLES.filter(isFullAccessRole);
+
+export const rolesWithPermission = (permission) => ROLES.filter((role) => hasPermission(role, permission));
+
+// Staff notified about orders (new-order push, admin app broadcasts): every role that can see orders
+export const ORDER_ALERT_ROLES = rolesWithPermission('orders:read');
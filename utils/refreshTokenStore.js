@@ -1,46 +1,168 @@
-// In-memory refresh token store (can be replaced by Redis or database collection later)
-// Maps refresh token -> { userId, exp }
-// NOTE: Survives only for process lifetime; for production deploy to persistent/central store.
-const store = new Map();
-
-export function saveRefreshToken(token, userId, ttlMs) {
-  const exp = Date.now() + ttlMs;
-  store.set(token, { userId, exp });
-}
-
-export function consumeRefreshToken(token) {
-  const data = store.get(token);
-  if (!data) return null;
-  if (Date.now() > data.exp) {
-    store.delete(token);
-    return null;
-  }
-  return data; // one-time or multi-use? keep multi-use until expiry.
+// MongoDB-backed refresh token store (RefreshSession collection), shared by all instances.
+// Each login creates a session (token family). Refresh tokens are opaque random strings that rotate on every
+// refresh; presenting a token that was already rotated out means it leaked (or was replayed), so the whole
+// family is revoked. A short grace window tolerates two tabs refreshing at the same moment.
+import crypto from 'crypto';
+import RefreshSession from '../models/RefreshSession.js';
+
+const REUSE_HISTORY = 50;
+const REUSE_GRACE_MS = parseInt(process.env.REFRESH_REUSE_GRACE_MS || '10000', 10);
+
+export const refreshTtlMs = () => parseInt(process.env.REFRESH_TOKEN_DAYS || '30', 10) * 24 * 60 * 60 * 1000;
+
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const newToken = () => crypto.randomBytes(48).toString('base64url');
+
+// Short human label for a user agent ("Chrome on Windows"); raw UA is stored alongside
+export function describeUserAgent(ua = '') {
+  const s = String(ua);
+  const browser = /Edg\//.test(s) ? 'Edge'
+    : /OPR\//.test(s) ? 'Opera'
+      : /Chrome\//.test(s) ? 'Chrome'
+        : /Firefox\//.test(s) ? 'Firefox'
+          : /Safari\//.test(s) ? 'Safari'
+            : /okhttp|Expo|CFNetwork/i.test(s) ? 'Mobile app'
+              : 'Unknown client';
+  const os = /Windows/.test(s) ? 'Windows'
+    : /Android/.test(s) ? 'Android'
+      : /iPhone|iPad|iOS/.test(s) ? 'iOS'
+        : /Mac OS X|Macintosh/.test(s) ? 'macOS'
+          : /Linux/.test(s) ? 'Linux'
+            : '';
+  return os ? `${browser} on ${os}` : browser;
 }
 
-export function revokeToken(token) {
-  store.delete(token);
+const requestMeta = (req) => {
+  const userAgent = String(req?.headers?.['user-agent'] || '').slice(0, 512);
+  return { userAgent, label: describeUserAgent(userAgent), ip: req?.ip || '' };
+};
+
+// Start a new session for a user; returns the first refresh token of the family
+export async function createSession(userId, req, { legacyTokenHash } = {}) {
+  const token = newToken();
+  const meta = requestMeta(req);
+  const session = await RefreshSession.create({
+    user: userId,
+    family: crypto.randomUUID(),
+    tokenHash: hashToken(token),
+    // An exchanged legacy token counts as rotated out now (same reuse detection and grace window)
+    ...(legacyTokenHash ? { legacyTokenHash, usedTokenHashes: [legacyTokenHash], rotatedAt: new Date() } : {}),
+    device: { userAgent: meta.userAgent, label: meta.label },
+    createdIp: meta.ip,
+    lastIp: meta.ip,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + refreshTtlMs())
+  });
+  return { token, session };
 }
 
-export function revokeUserTokens(userId) {
-  for (const [t, v] of store.entries()) {
-    if (v.userId === userId) store.delete(t);
+/**
+ * Exchange a refresh token for a new one.
+ * @returns {Promise<{ ok: true, token: string, session } | { ok: false, reason: 'invalid'|'revoked'|'reuse_detected'|'concurrent' }>}
+ */
+export async function rotateRefreshToken(token, req) {
+  const oldHash = hashToken(token);
+  const now = new Date();
+  const next = newToken();
+  const meta = requestMeta(req);
+  const session = await RefreshSession.findOneAndUpdate(
+    { tokenHash: oldHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hashToken(next),
+        rotatedAt: now,
+        lastUsedAt: now,
+        lastIp: meta.ip,
+        'device.userAgent': meta.userAgent,
+        'device.label': meta.label,
+        // Sliding expiry: an active session stays signed in
+        expiresAt: new Date(now.getTime() + refreshTtlMs())
+      },
+      $push: { usedTokenHashes: { $each: [oldHash], $slice: -REUSE_HISTORY } }
+    },
+    { new: true }
+  );
+  if (session) return { ok: true, token: next, session };
+
+  const reused = await RefreshSession.findOne({ usedTokenHashes: oldHash });
+  if (!reused) return { ok: false, reason: 'invalid' };
+  if (reused.revokedAt) return { ok: false, reason: 'revoked' };
+  const isLatest = reused.usedTokenHashes[reused.usedTokenHashes.length - 1] === oldHash;
+  if (isLatest && reused.rotatedAt && now - reused.rotatedAt < REUSE_GRACE_MS) {
+    return { ok: false, reason: 'concurrent' };
   }
+  reused.revokedAt = now;
+  reused.revokedReason = 'reuse_detected';
+  await reused.save();
+  console.warn('[auth][refresh] token reuse detected; family revoked', { user: String(reused.user), family: reused.family });
+  return { ok: false, reason: 'reuse_detected' };
 }
 
-export function cleanupExpired() {
-  const now = Date.now();
-  for (const [t, v] of store.entries()) {
-    if (v.exp < now) store.delete(t);
+/**
+ * Exchange a stateless refresh JWT issued before sessions existed (already verified by the caller) for a
+ * session. Works once per token: the session records the JWT's hash, so presenting it again is reuse
+ * (rotateRefreshToken revokes the family) and a concurrent second exchange fails on the unique index.
+ * @returns {Promise<{ ok: true, token: string, session } | { ok: false, reason: 'reuse_detected' }>}
+ */
+export async function exchangeLegacyToken(legacyToken, userId, req) {
+  try {
+    const { token, session } = await createSession(userId, req, { legacyTokenHash: hashToken(legacyToken) });
+    return { ok: true, token, session };
+  } catch (e) {
+    if (e?.code === 11000) return { ok: false, reason: 'reuse_detected' };
+    throw e;
   }
 }
 
-// Periodic cleanup
-setInterval(cleanupExpired, 10 * 60 * 1000).unref();
+export async function findSessionByToken(token) {
+  if (!token) return null;
+  return RefreshSession.findOne({ tokenHash: hashToken(token), revokedAt: null });
+}
+
+export async function revokeToken(token, reason = 'logout') {
+  if (!token) return null;
+  return RefreshSession.findOneAndUpdate(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+}
+
+export async function revokeSession(userId, sessionId, { reason = 'user_revoked', by } = {}) {
+  return RefreshSession.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason, ...(by ? { revokedBy: by } : {}) } },
+    { new: true }
+  );
+}
+
+// Revoke every active session of a user, optionally keeping one (the caller's current session)
+export async function revokeUserTokens(userId, { reason = 'user_revoked', by, exceptSessionId } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const res = await RefreshSession.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason, ...(by ? { revokedBy: by } : {}) }
+  });
+  return res.modifiedCount || 0;
+}
+
+export async function listUserSessions(userId, { includeRevoked = false } = {}) {
+  const filter = { user: userId, expiresAt: { $gt: new Date() } };
+  if (!includeRevoked) filter.revokedAt = null;
+  return RefreshSession.find(filter)
+    .select('-tokenHash -usedTokenHashes')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
 
 export default {
-  saveRefreshToken,
-  consumeRefreshToken,
+  createSession,
+  rotateRefreshToken,
+  exchangeLegacyToken,
+  findSessionByToken,
   revokeToken,
-  revokeUserTokens
+  revokeSession,
+  revokeUserTokens,
+  listUserSessions
 };
@@ -0,0 +1,18 @@
+// Shared masking of credentials in logs, debug output and audit records
+export const SENSITIVE_KEY_REGEX = /(authorization|apiKey|apikey|token|password|secret|signature|refreshToken|accessToken|privateKey|retailerKey)/i;
+
+export function maskSecrets(value) {
+  if (value == null) return value;
+  if (Array.isArray(value)) return value.map(maskSecrets);
+  if (typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = SENSITIVE_KEY_REGEX.test(k) ? '***' : maskSecrets(v);
+    }
+    return out;
+  }
+  return value;
+}
+
+// True when any segment of a dotted path names a secret (e.g. "payments.paypal.clientSecret")
+export const isSensitivePath = (path) => String(path).split('.').some((seg) => SENSITIVE_KEY_REGEX.test(seg));
@@ -0,0 +1,132 @@
+// Minimal XML helpers for SOAP delivery integrations (no external dependency)
+// - escapeXml / toXmlElements: build request bodies from plain objects
+// - parseXml: element tree -> plain object (namespace prefixes dropped, attributes under '@', repeated tags -> arrays)
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+export const escapeXml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ENTITIES[c]);
+
+function unescapeXml(value) {
+  return String(value)
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Element names must start with a letter or underscore; other characters become '_'
+const safeName = (name) => {
+  const n = String(name).replace(/[^A-Za-z0-9_.:-]/g, '_');
+  return /^[A-Za-z_]/.test(n) ? n : `_${n}`;
+};
+
+/**
+ * { a: 1, b: { c: 'x' }, d: [1, 2] } -> <a>1</a><b><c>x</c></b><d>1</d><d>2</d>
+ * prefix is applied to every element name (e.g. 'tns').
+ */
+export function toXmlElements(value, prefix = '') {
+  if (value === undefined || value === null || typeof value !== 'object') return escapeXml(value);
+  const p = prefix ? `${prefix}:` : '';
+  let out = '';
+  for (const [key, v] of Object.entries(value)) {
+    if (v === undefined) continue;
+    const name = `${p}${safeName(key)}`;
+    const list = Array.isArray(v) ? v : [v];
+    for (const item of list) {
+      if (item === null) out += `<${name}/>`;
+      else if (item instanceof Date) out += `<${name}>${escapeXml(item.toISOString())}</${name}>`;
+      else out += `<${name}>${toXmlElements(item, prefix)}</${name}>`;
+    }
+  }
+  return out;
+}
+
+const localName = (name) => String(name).split(':').pop();
+
+function addChild(parent, name, value) {
+  if (parent[name] === undefined) parent[name] = value;
+  else if (Array.isArray(parent[name])) parent[name].push(value);
+  else parent[name] = [parent[name], value];
+}
+
+/**
+ * Parse an XML document into plain objects. Text-only elements become strings; elements with children or
+ * attributes become objects (text under '#text', attributes under '@'). Throws on malformed input.
+ */
+export function parseXml(xml) {
+  const src = String(xml || '')
+    .replace(/<\?[\s\S]*?\?>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!DOCTYPE[^>]*>/gi, '');
+  const root = {};
+  const stack = [{ name: null, node: root, text: '' }];
+  const tagRe = /<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[\w.:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  let last = 0;
+  let m;
+  while ((m = tagRe.exec(src))) {
+    const top = stack[stack.length - 1];
+    top.text += unescapeXml(src.slice(last, m.index));
+    last = tagRe.lastIndex;
+    if (m[1] !== undefined) {
+      top.text += m[1];
+      continue;
+    }
+    const [, , closing, rawName, rawAttrs, selfClosing] = m;
+    const name = localName(rawName);
+    if (closing) {
+      if (stack.length < 2 || top.name !== name) throw new Error(`Malformed XML: unexpected </${rawName}>`);
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      const hasChildren = Object.keys(top.node).length > 0;
+      const text = top.text.trim();
+      let value;
+      if (!hasChildren) value = text;
+      else {
+        value = top.node;
+        if (text) value['#text'] = text;
+      }
+      addChild(parent.node, name, value);
+      continue;
+    }
+    const attrs = {};
+    for (const a of rawAttrs.matchAll(/([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+      if (/^xmlns(:|$)/.test(a[1])) continue;
+      attrs[localName(a[1])] = unescapeXml(a[2] ?? a[3] ?? '');
+    }
+    const node = Object.keys(attrs).length ? { '@': attrs } : {};
+    if (selfClosing) {
+      addChild(top.node, name, Object.keys(node).length ? node : '');
+    } else {
+      stack.push({ name, node, text: '' });
+    }
+  }
+  if (stack.length !== 1) throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is not closed`);
+  return root;
+}
+
+/**
+ * First value found under any of the given keys (case-insensitive), searching depth-first.
+ * Works on parseXml output and on JSON objects alike.
+ */
+export function findDeep(obj, keys) {
+  const wanted = keys.map((k) => String(k).toLowerCase());
+  const usable = (v) => v !== '' && v !== null && v !== undefined && (typeof v !== 'object' || v['#text']);
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return undefined;
+    const entries = Object.entries(node);
+    // Keys earlier in the list win at the same level
+    for (const key of wanted) {
+      const hit = entries.find(([k, v]) => k.toLowerCase() === key && usable(v));
+      if (hit) return typeof hit[1] === 'object' ? hit[1]['#text'] : hit[1];
+    }
+    for (const [, v] of entries) {
+      const found = visit(v);
+      if (found !== undefined) return found;
+    }
+    return undefined;
+  };
+  return visit(obj);
+}